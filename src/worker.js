@@ -1,80 +1,578 @@
 const DEFAULT_BASE = "https://openrouter.ai/api/v1";
 const DEFAULT_MODELS_CACHE_TTL_MS = 300_000;
+const DEFAULT_PROVIDER_TIMEOUT_MS = 30_000;
+const DEFAULT_STREAM_IDLE_MS = 20_000;
+// Model-prefix routing: the longest matching prefix wins and lists providers to try in order.
+// Extend or override with the LLM_ROUTES env var (JSON).
+const DEFAULT_LLM_ROUTES = { "mock/": ["mock"], "*": ["openrouter"] };
 const MAX_PROMPT_CHARS = 8000;
+const MAX_CLIENT_MESSAGES = 50;
+const MAX_SESSION_MESSAGES = 60;
+const MAX_SESSION_CACHE = 500;
+const SESSION_KV_TTL_S = 30 * 24 * 3600;
+// Row cap per append-only table in the in-memory storage backend.
+const MAX_MEMORY_ROWS = 20_000;
+const DEFAULT_CONTEXT_TOKENS = 8192;
+const RESPONSE_TOKEN_RESERVE = 1024;
+const DEFAULT_FLOW_MODEL = "openai/gpt-4o-mini";
+const MAX_FLOW_STEPS = 50;
+const MAX_KB_DOC_CHARS = 500_000;
+const KB_CHUNK_CHARS = 900;
+const KB_CHUNK_OVERLAP = 150;
+const KB_MAX_CHUNKS = 5000;
+const KB_TOP_K = 4;
+const KB_CACHE_TTL_MS = 60_000;
+const WIDGET_TOKEN_TTL_S = 30 * 24 * 3600;
+// Defaults for rate limits and daily token quotas; override with the env vars in LIMIT_ENV or per bot
+// with `state.limits`. A value of 0 disables that limit.
+const DEFAULT_LIMITS = { ipRpm: 30, userRpm: 20, botRpm: 120, ipTokensPerDay: 200_000, userTokensPerDay: 50_000, botTokensPerDay: 2_000_000 };
+const LIMIT_ENV = {
+  ipRpm: "RATE_LIMIT_IP_RPM",
+  userRpm: "RATE_LIMIT_USER_RPM",
+  botRpm: "RATE_LIMIT_BOT_RPM",
+  ipTokensPerDay: "TOKEN_QUOTA_IP_DAILY",
+  userTokensPerDay: "TOKEN_QUOTA_USER_DAILY",
+  botTokensPerDay: "TOKEN_QUOTA_BOT_DAILY",
+};
+const USAGE_QUERY_LIMIT = 10_000;
+const USAGE_COLUMNS = ["user_id", "session_id", "model", "provider", "source", "prompt_tokens", "completion_tokens", "total_tokens", "cost_usd", "estimated", "created_at"];
+const MAX_CONVERSATION_PAGE = 100;
+const MAX_TRANSCRIPT_MESSAGES = 1000;
+const MAX_EXPORT_CONVERSATIONS = 50;
+const MAX_VERSION_PAGE = 100;
+const MAX_VERSION_MESSAGE_CHARS = 500;
+const ANALYTICS_GRANULARITIES = ["hour", "day", "week", "month"];
+const MAX_ANALYTICS_BUCKETS = 1000;
+const MAX_ANALYTICS_BATCH = 100;
+const MAX_ANALYTICS_BODY_BYTES = 256 * 1024;
+const MAX_EVENT_META_BYTES = 2048;
+const ANALYTICS_EXPORT_PAGE = 1000;
+const ANALYTICS_EXPORT_MAX_ROWS = 100_000;
+const ANALYTICS_EXPORT_COLUMNS = ["id", "created_at", "bot", "event_type", "user_id", "session_id", "node_id", "event_id", "meta_json"];
+// Known analytics event types and the JSON schema their `meta` must match.
+const ANALYTICS_EVENT_TYPES = {
+  message: {
+    type: "object",
+    properties: { source: { enum: ["chat", "flow", "widget", "builder"] }, textLen: { type: "integer", minimum: 0 } },
+    additionalProperties: false,
+  },
+  node_view: { type: "object", additionalProperties: false },
+  flow_complete: { type: "object", additionalProperties: false },
+  dropoff: { type: "object", properties: { reason: { type: "string", maxLength: 300 } }, additionalProperties: false },
+  automation: {
+    type: "object",
+    properties: {
+      textLen: { type: "integer", minimum: 0 },
+      model: { type: "string", maxLength: 200 },
+      persona: { type: "string", maxLength: 64 },
+      provider: { type: "string", maxLength: 64 },
+    },
+    additionalProperties: false,
+  },
+  widget_open: { type: "object", properties: { page: { type: "string", maxLength: 300 } }, additionalProperties: false },
+};
+const DEFAULT_BUDGET_ALERT_PERCENT = 80;
+const MAX_AUTOMATION_BODY_BYTES = 64 * 1024;
+const AUTOMATION_SIGNATURE_TOLERANCE_S = 300;
+const AUTOMATION_CALLBACK_TIMEOUT_MS = 10_000;
+// Job callbacks and schedule webhooks are tried once when the job or run finishes, then by the cron sweep after
+// each of these delays.
+const AUTOMATION_CALLBACK_RETRY_DELAYS_S = [60, 300, 1800];
+// A queued or running job that has not been updated for this long lost its worker; the cron sweep fails it.
+const AUTOMATION_JOB_LEASE_MS = 10 * 60_000;
+const MAX_AUTOMATION_JOBS_PER_TICK = 50;
+const IDEMPOTENCY_KEY_RE = /^[A-Za-z0-9_.:-]{1,128}$/;
+const MAX_SCHEDULES = 10;
+const MAX_SCHEDULE_RUNS_PER_TICK = 20;
+const MAX_SCHEDULE_WEBHOOKS_PER_TICK = 50;
+const MAX_SCHEDULE_CONVERSATIONS = 50;
+const MAX_SCHEDULE_INPUT_CHARS = 24_000;
+const DEFAULT_SCHEDULE_LOOKBACK_H = 24;
+const MAX_SCHEDULE_RUN_PAGE = 100;
+const SCHEDULE_INPUTS = ["none", "conversations", "analytics"];
+// Five-field cron expressions, evaluated in UTC. Day of week 0 and 7 are both Sunday.
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"] },
+  { name: "day of week", min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] },
+];
+const CRON_MACROS = { "@hourly": "0 * * * *", "@daily": "0 0 * * *", "@weekly": "0 0 * * 0", "@monthly": "0 0 1 * *", "@yearly": "0 0 1 1 *" };
+const MAX_WEBHOOKS_PER_BOT = 10;
+const WEBHOOK_CACHE_TTL_MS = 30_000;
+const WEBHOOK_TIMEOUT_MS = 10_000;
+// Delay before each retry of a failed delivery; a delivery is given up after the last one.
+const WEBHOOK_RETRY_DELAYS_S = [60, 300, 1800, 7200, 43_200];
+// How long a claimed delivery may stay "sending" before the cron sweep assumes the sender died and retries it.
+const WEBHOOK_SEND_LEASE_MS = 120_000;
+const MAX_WEBHOOK_DELIVERIES_PER_TICK = 50;
+const MAX_WEBHOOK_DELIVERY_PAGE = 100;
+const WEBHOOK_EVENT_TYPES = ["conversation.started", "node.reached", "lead.captured", "dropoff", "flow.completed", "automation.completed"];
+// Analytics rows that are also sent as webhook events.
+const WEBHOOK_EVENTS_FROM_ANALYTICS = { node_view: "node.reached", dropoff: "dropoff", flow_complete: "flow.completed" };
+// Messaging channels a bot can be connected to; the API bases can be pointed at a local fake for testing.
+const CHANNEL_TYPES = ["telegram", "viber"];
+const TELEGRAM_API_BASE = "https://api.telegram.org";
+const VIBER_API_BASE = "https://chatapi.viber.com/pa";
+const CHANNEL_API_TIMEOUT_MS = 10_000;
+const TELEGRAM_MAX_TEXT = 4096;
+const VIBER_MAX_TEXT = 7000;
+const CHANNEL_BUSY_TEXT = "Sorry, too many messages right now. Please try again in a little while.";
+// HTTP tools the model may call (state.tools). Auth header values are bot secrets (bot_secrets), never state.
+const MAX_TOOLS = 10;
+const MAX_TOOL_ROUNDS = 4;
+const MAX_TOOL_CALLS_PER_TURN = 8;
+const DEFAULT_TOOL_TIMEOUT_MS = 8_000;
+const MAX_TOOL_TIMEOUT_MS = 20_000;
+const MAX_TOOL_RESPONSE_BYTES = 16 * 1024;
+const TOOL_NAME_RE = /^[A-Za-z_][A-Za-z0-9_-]{0,63}$/;
+const MAX_SECRETS_PER_BOT = 20;
+const MAX_SECRET_CHARS = 4000;
+const SECRET_NAME_RE = /^[A-Z][A-Z0-9_]{0,63}$/;
+// JSON output schemas for automation triggers (`schema` in the request, or state.schemas by name). Only the
+// keywords validateSchema checks are accepted, so a schema never promises more than the worker verifies.
+const MAX_OUTPUT_SCHEMAS = 20;
+const MAX_OUTPUT_SCHEMA_BYTES = 16 * 1024;
+const OUTPUT_SCHEMA_RETRIES = 2;
+const OUTPUT_SCHEMA_KEYWORDS = ["type", "enum", "minLength", "maxLength", "pattern", "minimum", "maximum", "items", "minItems", "maxItems", "required", "properties", "additionalProperties", "title", "description"];
+const OUTPUT_SCHEMA_TYPES = ["string", "number", "integer", "boolean", "object", "array", "null"];
+const MAX_MEMORY_KEYS = 50;
+const MAX_MEMORY_VALUE_CHARS = 500;
+const MEMORY_CONTEXT_FACTS = 8;
+const MEMORY_KEY_RE = /^[A-Za-z][A-Za-z0-9_]{0,63}$/;
+// Facts the extraction pass looks for unless a bot lists its own in `state.memory.keys`.
+// `always` facts go into every prompt; the rest only when the user's message mentions them.
+const DEFAULT_MEMORY_KEYS = [
+  { key: "name", description: "the user's name", always: true },
+  { key: "language", description: "the language the user prefers to chat in", always: true },
+  { key: "preferences", description: "likes, dislikes or requirements the user stated, as a short phrase" },
+  { key: "orderNumber", description: "an order, booking or ticket number the user mentioned", ttlDays: 30 },
+  { key: "email", description: "the user's email address" },
+  { key: "phone", description: "the user's phone number" },
+  { key: "location", description: "the city or area the user is in", ttlDays: 90 },
+];
+// Bot definitions (builder state) are versioned by `schemaVersion`; see upgradeBotState for older shapes.
+const BOT_SCHEMA_VERSION = 2;
+const MAX_FLOW_NODES = 200;
+const CONDITION_OPERATORS = ["eq", "neq", "contains", "not_contains", "starts_with", "ends_with", "gt", "gte", "lt", "lte", "regex", "exists", "empty"];
+// Nodes that stop the flow until the user sends something.
+const WAITING_NODE_TYPES = new Set(["buttons", "quick_replies", "ai", "form"]);
+const FORM_FIELD_TYPES = ["text", "name", "email", "phone", "select", "date"];
+const MAX_FORM_FIELDS = 10;
+// Replies that leave an optional form field empty.
+const FORM_SKIP_WORDS = ["skip", "-"];
+const MAX_LEAD_PAGE = 100;
+const MAX_LEAD_EXPORT_ROWS = 5000;
+const FLOW_NODE_ID_SCHEMA = { type: "string", pattern: "^[A-Za-z0-9_-]{1,64}$" };
+const FLOW_VAR_SCHEMA = { type: "string", pattern: "^[A-Za-z_][A-Za-z0-9_]{0,63}$" };
+const FLOW_URL_SCHEMA = { type: "string", pattern: "^https?://", maxLength: 2000 };
+const FLOW_CHOICES_SCHEMA = {
+  type: "array",
+  minItems: 1,
+  maxItems: 12,
+  items: {
+    type: "object",
+    required: ["label"],
+    additionalProperties: false,
+    properties: { label: { type: "string", minLength: 1, maxLength: 80 }, value: { type: "string", maxLength: 200 }, nextNodeId: FLOW_NODE_ID_SCHEMA },
+  },
+};
+// Fields every node may carry; `nextNodeId` overrides the default of continuing with the next node in order.
+const FLOW_NODE_BASE = {
+  id: FLOW_NODE_ID_SCHEMA,
+  type: { type: "string" },
+  label: { type: "string", maxLength: 120 },
+  content: { type: "string", maxLength: MAX_PROMPT_CHARS },
+  nextNodeId: FLOW_NODE_ID_SCHEMA,
+};
+const FLOW_NODE_TYPES = {
+  text: {},
+  buttons: { required: ["options"], properties: { options: FLOW_CHOICES_SCHEMA, variable: FLOW_VAR_SCHEMA } },
+  quick_replies: { required: ["options"], properties: { options: FLOW_CHOICES_SCHEMA, variable: FLOW_VAR_SCHEMA } },
+  carousel: {
+    required: ["cards"],
+    properties: {
+      cards: {
+        type: "array",
+        minItems: 1,
+        maxItems: 10,
+        items: {
+          type: "object",
+          required: ["title"],
+          additionalProperties: false,
+          properties: { title: { type: "string", minLength: 1, maxLength: 80 }, subtitle: { type: "string", maxLength: 300 }, image: FLOW_URL_SCHEMA, url: FLOW_URL_SCHEMA },
+        },
+      },
+    },
+  },
+  // Matches go to `nextNodeId`, misses to `elseNodeId`; either defaults to the next node.
+  condition: {
+    required: ["operator"],
+    properties: { operator: { enum: CONDITION_OPERATORS }, conditionVar: FLOW_VAR_SCHEMA, conditionValue: { type: ["string", "number"] }, elseNodeId: FLOW_NODE_ID_SCHEMA },
+  },
+  // `tools` limits the node to some of state.tools; without it the node may call all of them.
+  ai: { properties: { model: { type: "string", maxLength: 200 }, persona: { type: "string", maxLength: 64 }, tools: { type: "array", maxItems: MAX_TOOLS, items: { type: "string", pattern: TOOL_NAME_RE.source } } } },
+  // Asks for each field in turn, re-asking until the reply is valid, and stores the answers as variables.
+  // `content` is shown once before the first field; completed forms are saved as leads unless `saveLead` is false.
+  form: {
+    required: ["fields"],
+    properties: {
+      fields: {
+        type: "array",
+        minItems: 1,
+        maxItems: MAX_FORM_FIELDS,
+        items: {
+          type: "object",
+          required: ["name", "type"],
+          additionalProperties: false,
+          properties: {
+            name: FLOW_VAR_SCHEMA,
+            type: { enum: FORM_FIELD_TYPES },
+            label: { type: "string", maxLength: 300 },
+            required: { type: "boolean" },
+            options: { type: "array", minItems: 1, maxItems: 12, items: { type: "string", minLength: 1, maxLength: 80 } },
+            error: { type: "string", maxLength: 300 },
+          },
+        },
+      },
+      saveLead: { type: "boolean" },
+    },
+  },
+};
+// Top-level bot settings; `nodes` entries are checked per type against FLOW_NODE_TYPES.
+const BOT_STATE_SCHEMA = {
+  type: "object",
+  required: ["schemaVersion", "nodes"],
+  properties: {
+    schemaVersion: { type: "integer", enum: [BOT_SCHEMA_VERSION] },
+    botName: { type: "string", maxLength: 120 },
+    model: { type: "string", maxLength: 200 },
+    persona: { type: "string", maxLength: 64 },
+    vars: { type: "object" },
+    personas: {
+      type: "array",
+      maxItems: 50,
+      items: {
+        type: "object",
+        required: ["id", "template"],
+        properties: {
+          id: { type: "string", minLength: 1, maxLength: 64 },
+          name: { type: "string", maxLength: 120 },
+          template: { type: "string", minLength: 1, maxLength: MAX_PROMPT_CHARS },
+          model: { type: "string", maxLength: 200 },
+          temperature: { type: ["number", "string"] },
+          maxTokens: { type: ["number", "string"] },
+        },
+      },
+    },
+    widget: { type: "object", properties: { color: { type: "string", maxLength: 32 }, avatar: { type: "string", maxLength: 2000 }, position: { enum: ["bottom-right", "bottom-left"] } } },
+    budget: { type: "object", properties: { dailyUsd: { type: "number", minimum: 0 }, monthlyUsd: { type: "number", minimum: 0 }, alertPercent: { type: "number", minimum: 1, maximum: 100 } } },
+    memory: {
+      type: "object",
+      properties: {
+        extract: { type: "boolean" },
+        model: { type: "string", maxLength: 200 },
+        keys: {
+          type: "array",
+          maxItems: MAX_MEMORY_KEYS,
+          items: {
+            type: "object",
+            required: ["key"],
+            properties: { key: { type: "string", pattern: MEMORY_KEY_RE.source }, description: { type: "string", maxLength: 200 }, ttlDays: { type: "number", minimum: 0 }, always: { type: "boolean" } },
+          },
+        },
+      },
+    },
+    limits: { type: "object", additionalProperties: { type: "number", minimum: 0 } },
+    schedules: {
+      type: "array",
+      maxItems: MAX_SCHEDULES,
+      items: {
+        type: "object",
+        required: ["id", "cron", "prompt"],
+        additionalProperties: false,
+        properties: {
+          id: { type: "string", pattern: "^[A-Za-z0-9_-]{1,64}$" },
+          name: { type: "string", maxLength: 120 },
+          cron: { type: "string", minLength: 1, maxLength: 100 },
+          prompt: { type: "string", minLength: 1, maxLength: MAX_PROMPT_CHARS },
+          input: { enum: SCHEDULE_INPUTS },
+          lookbackHours: { type: "number", minimum: 1, maximum: 24 * 31 },
+          persona: { type: "string", maxLength: 64 },
+          model: { type: "string", maxLength: 200 },
+          webhookUrl: { type: "string", pattern: "^https://", maxLength: 2000 },
+          enabled: { type: "boolean" },
+        },
+      },
+    },
+    // `url` is a template: {{arg}} placeholders take URL-encoded arguments and may not appear in the host.
+    tools: {
+      type: "array",
+      maxItems: MAX_TOOLS,
+      items: {
+        type: "object",
+        required: ["name", "description", "url"],
+        additionalProperties: false,
+        properties: {
+          name: { type: "string", pattern: TOOL_NAME_RE.source },
+          description: { type: "string", minLength: 1, maxLength: 1000 },
+          parameters: { type: "object", required: ["type"], properties: { type: { enum: ["object"] }, properties: { type: "object" }, required: { type: "array", items: { type: "string" } } } },
+          method: { enum: ["GET", "POST", "PUT", "PATCH", "DELETE"] },
+          url: { type: "string", pattern: "^https://[^/{}\\s]+(/\\S*)?$", maxLength: 2000 },
+          headers: { type: "object", additionalProperties: { type: "string", maxLength: 1000 } },
+          auth: {
+            type: "object",
+            required: ["secret"],
+            additionalProperties: false,
+            properties: { secret: { type: "string", pattern: SECRET_NAME_RE.source }, header: { type: "string", pattern: "^[A-Za-z0-9-]{1,64}$" }, scheme: { type: "string", maxLength: 32 } },
+          },
+          timeoutMs: { type: "number", minimum: 100, maximum: MAX_TOOL_TIMEOUT_MS },
+        },
+      },
+    },
+    // Named output schemas that automation triggers can ask for with `schema: "<name>"`.
+    schemas: {
+      type: "array",
+      maxItems: MAX_OUTPUT_SCHEMAS,
+      items: {
+        type: "object",
+        required: ["name", "schema"],
+        additionalProperties: false,
+        properties: {
+          name: { type: "string", pattern: TOOL_NAME_RE.source },
+          description: { type: "string", maxLength: 1000 },
+          schema: { type: "object" },
+        },
+      },
+    },
+    nodes: { type: "array", maxItems: MAX_FLOW_NODES },
+  },
+};
+const KB_STOPWORDS = new Set("a an and are as at be by for from has have how i in is it its of on or that the this to was what when where which who why will with you your".split(" "));
+
+const BUILTIN_PERSONAS = [
+  { id: "default", name: "Default", template: "You are Ko Paing style assistant: concise, practical, safe." },
+  { id: "sales", name: "Sales", template: "You are a sales assistant. Be persuasive, concise, and CTA-driven while staying honest." },
+  { id: "tutor", name: "Tutor", template: "You are a tutor. Explain step-by-step, ask check questions, and adapt to learner level." },
+  { id: "support", name: "Support", template: "You are a customer support agent. Be calm, precise, and solution-first." },
+];
+
+// Portable bot bundles (export/import and the template gallery). See migrateBundle for older formats.
+const BUNDLE_FORMAT = "kmn-bot-bundle";
+const BUNDLE_FORMAT_VERSION = 2;
+const MAX_BUNDLE_KB_DOCS = 100;
+const TEMPLATE_ID_RE = /^[a-z0-9][a-z0-9-]{1,63}$/;
+const BUNDLE_SCHEMA = {
+  type: "object",
+  required: ["format", "formatVersion", "bot"],
+  properties: {
+    format: { enum: [BUNDLE_FORMAT] },
+    formatVersion: { type: "integer", enum: [BUNDLE_FORMAT_VERSION] },
+    exportedAt: { type: "string" },
+    source: { type: "object" },
+    bot: { type: "object", required: ["state"], properties: { name: { type: "string", maxLength: 120 }, state: { type: "object" } } },
+    kb: {
+      type: "array",
+      maxItems: MAX_BUNDLE_KB_DOCS,
+      items: {
+        type: "object",
+        required: ["name", "content"],
+        additionalProperties: false,
+        properties: { name: { type: "string", minLength: 1, maxLength: 200 }, content: { type: "string", minLength: 1, maxLength: MAX_KB_DOC_CHARS } },
+      },
+    },
+  },
+};
+// Gallery entries every deployment has; teams add their own with POST /api/templates.
+const BUILTIN_TEMPLATES = [
+  {
+    id: "blank",
+    name: "Blank",
+    description: "A single welcome message.",
+    nodes: [{ id: "welcome", type: "text", content: "Welcome! How can I help?" }],
+  },
+  {
+    id: "faq",
+    name: "FAQ Bot",
+    description: "Quick replies for common questions with an AI fallback.",
+    nodes: [
+      { id: "welcome", type: "text", content: "Hello! Ask me anything about pricing or hours." },
+      { id: "topics", type: "quick_replies", variable: "topic", options: [{ label: "Pricing" }, { label: "Hours" }, { label: "Contact" }] },
+      { id: "answer", type: "ai", content: "Answer the user's question about {{topic}} using the knowledge base." },
+    ],
+  },
+  {
+    id: "lead",
+    name: "Lead Capture",
+    description: "Asks whether the visitor wants to be contacted and collects their name, phone and email as a lead.",
+    nodes: [
+      { id: "welcome", type: "text", content: "Hi! Can we contact you about an offer?" },
+      { id: "consent", type: "buttons", variable: "intent", options: [{ label: "Yes" }, { label: "Later" }] },
+      { id: "check", type: "condition", conditionVar: "intent", operator: "eq", conditionValue: "yes", elseNodeId: "later" },
+      {
+        id: "contact",
+        type: "form",
+        content: "Great! A few details so we can reach you.",
+        fields: [
+          { name: "name", type: "name" },
+          { name: "phone", type: "phone" },
+          { name: "email", type: "email", required: false },
+        ],
+      },
+      { id: "thanks", type: "text", content: "Thanks {{name}}, we will be in touch soon.", nextNodeId: "end" },
+      { id: "later", type: "text", content: "No problem, come back any time." },
+      { id: "end", type: "text", content: "Have a nice day!" },
+    ],
+  },
+];
 
 let modelsCache = { at: 0, data: null };
+const kbIndexCache = new Map();
+const webhookCache = new Map();
 
 export default {
-  async fetch(request, env) {
+  async fetch(request, env, ctx) {
     const url = new URL(request.url);
 
     if (request.method === "OPTIONS") return new Response(null, { headers: corsHeaders(request, env) });
 
     if (url.pathname === "/") return htmlResponse(INDEX_HTML, request, env);
     if (url.pathname === "/builder") return htmlResponse(BUILDER_HTML, request, env);
-    if (url.pathname === "/api/health") return json({ ok: true, service: "kopaing-edge-terminal-chat" }, 200, corsHeaders(request, env));
+    if (url.pathname === "/api/health") return json({ ok: true, service: "kopaing-edge-terminal-chat", storage: storageKind(env) }, 200, corsHeaders(request, env));
     if (url.pathname === "/api/models" && request.method === "GET") return handleModels(request, env);
-    if (url.pathname === "/api/chat" && request.method === "POST") return handleChat(request, env);
+    if (url.pathname.startsWith("/api/")) {
+      const storageProblem = storageConfigError(env);
+      if (storageProblem) return json({ ok: false, error: storageProblem, code: "STORAGE_NOT_CONFIGURED" }, 503, corsHeaders(request, env));
+    }
+    if (url.pathname === "/api/chat" && request.method === "POST") return handleChat(request, env, ctx);
+    if (url.pathname === "/api/personas" && request.method === "GET") return handlePersonasGet(request, env);
     if (url.pathname === "/api/builder/state" && request.method === "GET") return handleBuilderStateGet(request, env);
     if (url.pathname === "/api/builder/state" && request.method === "POST") return handleBuilderStatePost(request, env);
+    if (url.pathname === "/api/bots/export" && request.method === "GET") return handleBotExportGet(request, env);
+    if (url.pathname === "/api/bots/import" && request.method === "POST") return handleBotImportPost(request, env);
+    if (url.pathname === "/api/templates" && request.method === "GET") return handleTemplatesGet(request, env);
+    if (url.pathname === "/api/templates" && request.method === "POST") return handleTemplatePost(request, env);
+    if (url.pathname === "/api/templates" && request.method === "DELETE") return handleTemplateDelete(request, env);
+    if (url.pathname === "/api/builder/validate" && request.method === "POST") return handleBuilderValidatePost(request, env);
+    if (url.pathname === "/api/builder/versions" && request.method === "GET") return handleBotVersionsGet(request, env);
+    if (url.pathname === "/api/builder/versions/diff" && request.method === "GET") return handleBotVersionDiffGet(request, env);
+    if (url.pathname === "/api/builder/versions/publish" && request.method === "POST") return handleBotVersionPublish(request, env);
+    if (url.pathname === "/api/builder/versions/rollback" && request.method === "POST") return handleBotVersionRollback(request, env);
+    if (url.pathname === "/api/flow/run" && request.method === "POST") return handleFlowRun(request, env, ctx);
+    if (url.pathname === "/api/kb/documents" && request.method === "GET") return handleKbDocumentsGet(request, env);
+    if (url.pathname === "/api/kb/documents" && request.method === "POST") return handleKbDocumentPost(request, env);
+    if (url.pathname === "/api/kb/documents" && request.method === "DELETE") return handleKbDocumentDelete(request, env);
+    if (url.pathname === "/api/kb/search" && request.method === "GET") return handleKbSearch(request, env);
+    if (url.pathname === "/api/widget/session" && request.method === "POST") return handleWidgetSession(request, env);
+    if (url.pathname === "/api/widget/config" && request.method === "GET") return handleWidgetConfig(request, env);
     if (url.pathname === "/api/memory" && request.method === "GET") return handleMemoryGet(request, env);
-    if (url.pathname === "/api/memory" && request.method === "POST") return handleMemoryPost(request, env);
-    if (url.pathname === "/api/analytics/event" && request.method === "POST") return handleAnalyticsEventPost(request, env);
+    if (url.pathname === "/api/memory" && request.method === "POST") return handleMemoryWrite(request, env, { replace: true });
+    if (url.pathname === "/api/memory" && request.method === "PATCH") return handleMemoryWrite(request, env, { replace: false });
+    if (url.pathname === "/api/memory" && request.method === "DELETE") return handleMemoryDelete(request, env);
+    if (url.pathname === "/api/analytics/event" && request.method === "POST") return handleAnalyticsEventPost(request, env, ctx);
+    if (url.pathname === "/api/analytics/events" && request.method === "POST") return handleAnalyticsEventsPost(request, env, ctx);
+    if (url.pathname === "/api/analytics/export" && request.method === "GET") return handleAnalyticsExportGet(request, env);
     if (url.pathname === "/api/analytics/summary" && request.method === "GET") return handleAnalyticsSummaryGet(request, env);
-    if (url.pathname === "/api/automation/trigger" && request.method === "POST") return handleAutomationTrigger(request, env);
+    if (url.pathname === "/api/conversations" && request.method === "GET") return handleConversationsGet(request, env);
+    if (url.pathname === "/api/conversations/messages" && request.method === "GET") return handleConversationMessagesGet(request, env);
+    if (url.pathname === "/api/conversations/search" && request.method === "GET") return handleConversationSearchGet(request, env);
+    if (url.pathname === "/api/conversations/export" && request.method === "GET") return handleConversationExportGet(request, env);
+    if (url.pathname === "/api/leads" && request.method === "GET") return handleLeadsGet(request, env);
+    if (url.pathname === "/api/leads/export" && request.method === "GET") return handleLeadsExportGet(request, env);
+    if (url.pathname === "/api/usage" && request.method === "GET") return handleUsageGet(request, env);
+    if (url.pathname === "/api/automation/trigger" && request.method === "POST") return handleAutomationTrigger(request, env, ctx);
+    if (url.pathname === "/api/automation/jobs" && request.method === "GET") return handleAutomationJobGet(request, env);
+    if (url.pathname === "/api/automation/secret" && request.method === "POST") return handleAutomationSecret(request, env, { rotate: true });
+    if (url.pathname === "/api/automation/secret" && request.method === "DELETE") return handleAutomationSecret(request, env, { rotate: false });
+    if (url.pathname === "/api/schedules" && request.method === "GET") return handleSchedulesGet(request, env);
+    if (url.pathname === "/api/schedules/run" && request.method === "POST") return handleScheduleRunPost(request, env);
+    if (url.pathname === "/api/webhooks" && request.method === "GET") return handleWebhooksGet(request, env);
+    if (url.pathname === "/api/webhooks" && request.method === "POST") return handleWebhookPost(request, env);
+    if (url.pathname === "/api/webhooks" && request.method === "DELETE") return handleWebhookDelete(request, env);
+    if (url.pathname === "/api/webhooks/deliveries" && request.method === "GET") return handleWebhookDeliveriesGet(request, env);
+    if (url.pathname === "/api/webhooks/deliveries/replay" && request.method === "POST") return handleWebhookReplay(request, env, ctx);
+    if (url.pathname === "/api/secrets" && request.method === "GET") return handleSecretsGet(request, env);
+    if (url.pathname === "/api/secrets" && request.method === "POST") return handleSecretPost(request, env);
+    if (url.pathname === "/api/secrets" && request.method === "DELETE") return handleSecretDelete(request, env);
+    if (url.pathname === "/api/channels" && request.method === "GET") return handleChannelsGet(request, env);
+    if (url.pathname === "/api/channels" && request.method === "POST") return handleChannelPost(request, env);
+    if (url.pathname === "/api/channels" && request.method === "DELETE") return handleChannelDelete(request, env);
+    if (url.pathname === "/api/channels/telegram" && request.method === "POST") return handleChannelWebhook(request, env, ctx, "telegram");
+    if (url.pathname === "/api/channels/viber" && request.method === "POST") return handleChannelWebhook(request, env, ctx, "viber");
     if (url.pathname === "/widget.js" && request.method === "GET") {
       return new Response(WIDGET_JS, { headers: { "content-type": "application/javascript; charset=utf-8", ...corsHeaders(request, env) } });
     }
 
     return json({ error: "Not found" }, 404, corsHeaders(request, env));
   },
+
+  // Cron Trigger (see [triggers] in wrangler.toml): runs the bot schedules that are due, retries queued
+  // webhook deliveries and job callbacks, and fails automation jobs whose worker went away.
+  async scheduled(event, env, ctx) {
+    const now = new Date(event.scheduledTime || Date.now());
+    ctx.waitUntil(runDueSchedules(env, now));
+    ctx.waitUntil(sendDueWebhooks(env, now));
+    ctx.waitUntil(sweepAutomationJobs(env, now));
+    ctx.waitUntil(sweepScheduleWebhooks(env, now));
+  },
 };
 
 async function handleModels(request, env) {
-  if (!env.OPEN_ROUTER_API_KEY) {
-    return json({ error: "OPEN_ROUTER_API_KEY missing", code: "CONFIG_ERROR" }, 500, corsHeaders(request, env));
-  }
-
-  const ttl = Number(env.MODELS_CACHE_TTL_MS || DEFAULT_MODELS_CACHE_TTL_MS);
-  const now = Date.now();
-
-  if (modelsCache.data && now - modelsCache.at < ttl) {
-    return json({ models: modelsCache.data, cached: true }, 200, corsHeaders(request, env));
+  const providers = Object.values(loadProviders(env)).filter((p) => p.type === "openai" && p.listModels !== false);
+  if (!providers.length) {
+    return json({ error: "no LLM provider configured (set OPEN_ROUTER_API_KEY or LLM_PROVIDERS)", code: "CONFIG_ERROR" }, 500, corsHeaders(request, env));
   }
 
   try {
-    const res = await fetch(`${env.OPENROUTER_BASE_URL || DEFAULT_BASE}/models`, {
-      headers: openRouterHeaders(env),
-    });
-
-    if (!res.ok) {
-      const fallback = fallbackModels();
-      return json({ models: fallback, fallback: true }, 200, corsHeaders(request, env));
-    }
-
-    const data = await res.json();
-    const models = (Array.isArray(data?.data) ? data.data : [])
-      .map((m) => ({ id: m?.id, name: m?.name || m?.id }))
-      .filter((m) => m.id);
+    const { models, cached } = await loadModelCatalog(env, providers);
 
     if (!models.length) {
       const fallback = fallbackModels();
       return json({ models: fallback, fallback: true }, 200, corsHeaders(request, env));
     }
 
-    modelsCache = { at: now, data: models };
-    return json({ models, cached: false }, 200, corsHeaders(request, env));
+    return json({ models, cached }, 200, corsHeaders(request, env));
   } catch (e) {
     console.error("models_error", e?.message || e);
     return json({ models: fallbackModels(), fallback: true, degraded: true }, 200, corsHeaders(request, env));
   }
 }
 
-async function handleChat(request, env) {
-  if (!env.OPEN_ROUTER_API_KEY) {
-    return json({ error: "OPEN_ROUTER_API_KEY missing", code: "CONFIG_ERROR" }, 500, corsHeaders(request, env));
-  }
+// Model list across providers, cached per isolate for MODELS_CACHE_TTL_MS. Also the source of model pricing.
+async function loadModelCatalog(env, providers) {
+  const ttl = Number(env.MODELS_CACHE_TTL_MS || DEFAULT_MODELS_CACHE_TTL_MS);
+  const now = Date.now();
+  if (modelsCache.data && now - modelsCache.at < ttl) return { models: modelsCache.data, cached: true };
+
+  const lists = await Promise.all(providers.map((p) => listProviderModels(p).catch((e) => {
+    console.error("models_error", p.id, e?.message || e);
+    return [];
+  })));
+  const models = lists.flat();
+  if (models.length) modelsCache = { at: now, data: models };
+  return { models, cached: false };
+}
 
+async function listProviderModels(provider) {
+  const res = await fetch(`${provider.baseUrl}/models`, { headers: provider.headers });
+  if (!res.ok) throw new Error(`models ${res.status}`);
+  const data = await res.json();
+  return (Array.isArray(data?.data) ? data.data : [])
+    .map((m) => ({
+      id: m?.id ? `${provider.stripPrefix || ""}${m.id}` : null,
+      name: m?.name || m?.id,
+      contextLength: Number(m?.context_length) || null,
+      // OpenRouter lists request parameters each model accepts, e.g. "response_format", "structured_outputs".
+      supportedParameters: Array.isArray(m?.supported_parameters) ? m.supported_parameters.map(String) : null,
+      // USD per token, as OpenRouter reports it.
+      pricing: m?.pricing ? { prompt: Number(m.pricing.prompt) || 0, completion: Number(m.pricing.completion) || 0 } : null,
+      provider: provider.id,
+    }))
+    .filter((m) => m.id);
+}
+
+async function handleChat(request, env, ctx) {
   let body;
   try {
     body = await request.json();
@@ -82,41 +580,72 @@ async function handleChat(request, env) {
     return json({ error: "Invalid JSON" }, 400, corsHeaders(request, env));
   }
 
-  const model = String(body?.model || "").trim();
   const prompt = String(body?.prompt || "").trim();
-  const persona = String(body?.persona || "default").trim();
+  const sessionId = String(body?.sessionId || "").trim();
+  const bot = String(body?.bot || "").trim();
+
+  const auth = await getAuth(request, env);
+  let botState = null;
+  if (bot) {
+    const record = await loadBotState(env, bot);
+    if (!canAccessBot(auth, bot, record)) return authError(request, env, auth);
+    botState = record.state;
+  }
+  const persona = resolvePersona(botState, body?.persona);
+  // Widget visitors get the bot's model and the stored session history; choosing a model or supplying the
+  // history is for the bot's owner, since either one decides what the visitor's messages cost.
+  const widget = auth?.kind === "widget";
+  let model = String((widget ? "" : body?.model) || persona.model || botState?.model || "").trim();
+  const principal = sessionPrincipal({ userId: widget ? auth.userId : null, owner: auth?.owner });
+  // Chats without a bot have no owner to bill, so only admins may pick any model there.
+  if (!bot && auth?.kind !== "admin") {
+    const allowed = publicChatModels(env);
+    model ||= allowed[0] || "";
+    if (!allowed.includes(model)) {
+      return json({ error: "model not available without an admin token", code: "MODEL_NOT_ALLOWED" }, 403, corsHeaders(request, env));
+    }
+  }
 
   if (!model) return json({ error: "model is required" }, 400, corsHeaders(request, env));
-  if (!prompt) return json({ error: "prompt is required" }, 400, corsHeaders(request, env));
+  if (sessionId && !isValidSessionId(sessionId)) return json({ error: "invalid sessionId" }, 400, corsHeaders(request, env));
   if (prompt.length > MAX_PROMPT_CHARS) {
     return json({ error: `prompt exceeds ${MAX_PROMPT_CHARS} chars` }, 400, corsHeaders(request, env));
   }
 
-  const ac = new AbortController();
-  const timer = setTimeout(() => ac.abort("upstream_timeout"), 30000);
+  // A session id only reaches its own conversation: history stored for another bot or caller is neither
+  // replayed nor overwritten.
+  const stored = sessionId ? await loadChatSession(env, sessionId) : null;
+  if (stored && (stored.bot !== bot || stored.owner !== principal)) {
+    return json({ error: "sessionId belongs to another conversation", code: "SESSION_FORBIDDEN" }, 403, corsHeaders(request, env));
+  }
+  let history = stored?.messages || [];
+  const clientHistory = !widget && body?.messages !== undefined;
+  if (clientHistory) {
+    const parsed = parseClientMessages(body.messages);
+    if (parsed.error) return json({ error: parsed.error }, 400, corsHeaders(request, env));
+    history = parsed.messages;
+  }
+  const startsConversation = !clientHistory && !history.length;
+
+  const turn = prompt ? [{ role: "user", content: prompt }] : [];
+  if (!turn.length && history[history.length - 1]?.role !== "user") {
+    return json({ error: "prompt is required" }, 400, corsHeaders(request, env));
+  }
+
+  const limits = await enforceLimits(request, env, { auth, bot, state: botState });
+  if (limits.response) return limits.response;
 
+  const query = prompt || history[history.length - 1].content;
+  const sources = bot ? await retrieveKb(env, bot, query, KB_TOP_K) : [];
+  const facts = auth?.kind === "widget" ? await loadUserFacts(env, auth.userId) : {};
+  const system = { role: "system", content: renderPersonaPrompt(persona, botState?.vars, memoryValues(facts)) + memoryContext(facts, query, memoryKeys(botState)) + kbContext(sources) };
+  const messages = [system, ...trimToContext([...history, ...turn], contextBudget(model, system))];
+
+  const tools = botTools(botState);
+  const params = { ...personaParams(persona), ...(tools.length ? { tools: tools.map(openAiTool) } : {}) };
+  const startedAt = Date.now();
   try {
-    const upstream = await fetch(`${env.OPENROUTER_BASE_URL || DEFAULT_BASE}/chat/completions`, {
-      method: "POST",
-      headers: {
-        ...openRouterHeaders(env),
-        "content-type": "application/json",
-        accept: "text/event-stream",
-      },
-      body: JSON.stringify({
-        model,
-        stream: true,
-        messages: [
-          {
-            role: "system",
-            content: personaPrompt(persona)
-          },
-          { role: "user", content: prompt }
-        ]
-      }),
-      signal: ac.signal,
-    });
-    clearTimeout(timer);
+    const { response: upstream, provider } = await callModel(env, { model, messages, stream: true, params });
 
     if (!upstream.ok || !upstream.body) {
       const txt = await upstream.text().catch(() => "");
@@ -124,46 +653,308 @@ async function handleChat(request, env) {
       return json({ error: "upstream error", status: upstream.status }, upstream.status || 502, corsHeaders(request, env));
     }
 
-    return new Response(upstream.body, {
+    const meta = { provider, model };
+    if (sources.length) meta.citations = kbCitations(sources);
+    const idleMs = Number(env.STREAM_IDLE_TIMEOUT_MS) || DEFAULT_STREAM_IDLE_MS;
+    const { stream, done } = tools.length
+      ? toolLoopStream(env, upstream.body, { bot, model, messages, params, tools, meta, idleMs })
+      : normalizeCompletionStream(upstream.body, { meta, idleMs });
+    const persist = done.then(async ({ text, usage, error, rounds = [{ provider, usage, messages, reply: text }], toolCalls = [] }) => {
+      // One usage row per model call; a tool loop makes several.
+      const recorded = { totalTokens: 0, promptTokens: 0, completionTokens: 0 };
+      for (const round of rounds) {
+        const row = await recordUsage(env, {
+          bot, userId: auth?.kind === "widget" ? auth.userId : null, sessionId, model, provider: round.provider, source: "chat",
+          usage: round.usage && { prompt_tokens: round.usage.promptTokens, completion_tokens: round.usage.completionTokens, total_tokens: round.usage.totalTokens },
+          messages: round.messages, reply: round.reply,
+        });
+        for (const key of Object.keys(recorded)) recorded[key] += row[key] || 0;
+      }
+      await limits.record(recorded.totalTokens);
+      const userId = auth?.kind === "widget" ? auth.userId : auth?.owner || null;
+      if (bot) await logAnalyticsEvents(env, [{ bot, event_type: "message", user_id: userId || "guest", session_id: sessionId || "chat", meta_json: { source: "chat" } }], ctx);
+      if (bot && sessionId && startsConversation) await queueWebhookEvents(env, [{ bot, type: "conversation.started", data: { sessionId, userId, channel: "chat" } }], ctx);
+      await logConversation(env, {
+        bot, sessionId: sessionId || `chat_${randomHex(8)}`, userId, channel: "chat",
+        messages: [
+          { role: "user", content: query },
+          ...toolCalls.map(toolTranscriptMessage),
+          { role: "assistant", content: text, model, provider: rounds[rounds.length - 1].provider, latency_ms: Date.now() - startedAt, prompt_tokens: recorded.promptTokens, completion_tokens: recorded.completionTokens, meta: error ? { error: error.code } : {} },
+        ],
+      });
+      if (error) console.error("chat_stream_error", error.code, error.message);
+      // A reply cut off by an error is not kept in the session history.
+      if (sessionId && text && !error) await saveChatSession(env, sessionId, { bot, owner: principal }, [...history, ...turn, { role: "assistant", content: text }]);
+      if (auth?.kind === "widget" && text && !error) await extractMemory(env, { bot, state: botState, userId: auth.userId, facts, userText: query, replyText: text });
+    }).catch((e) => console.error("chat_persist_error", e?.message || e));
+    if (ctx?.waitUntil) ctx.waitUntil(persist);
+
+    return new Response(stream, {
       status: 200,
       headers: {
         "content-type": "text/event-stream; charset=utf-8",
         "cache-control": "no-cache, no-transform",
         "x-accel-buffering": "no",
+        "x-kmn-provider": provider,
         ...corsHeaders(request, env),
       },
     });
   } catch (e) {
-    clearTimeout(timer);
-    const timeout = String(e?.message || e).includes("upstream_timeout");
-    return json({ error: timeout ? "upstream timeout" : "network failure" }, timeout ? 504 : 502, corsHeaders(request, env));
+    return json({ error: String(e?.message || e), code: e?.code || "NETWORK_ERROR" }, e?.status || 502, corsHeaders(request, env));
   }
 }
 
-async function handleBuilderStateGet(request, env) {
-  if (!env.SUPABASE_URL || !env.SUPABASE_ANON_KEY) {
-    return json({ ok: false, code: "SUPABASE_NOT_CONFIGURED" }, 200, corsHeaders(request, env));
+// Client-chosen session ids. ":" is left to internal keys (flow AI histories live under "flow:<id>") and the
+// "telegram_" / "viber_" prefixes to the sessions the worker derives for messaging channels.
+function isValidSessionId(id) {
+  return /^[A-Za-z0-9_.-]{1,128}$/.test(id) && !/^(telegram|viber)_/.test(id);
+}
+
+// Models a /api/chat caller without an admin token may use when no bot is given: PUBLIC_CHAT_MODELS
+// (comma-separated, empty for none), by default only DEFAULT_FLOW_MODEL. The first one is the default.
+function publicChatModels(env) {
+  return String(env.PUBLIC_CHAT_MODELS ?? DEFAULT_FLOW_MODEL).split(",").map((m) => m.trim()).filter(Boolean);
+}
+
+// Who a stored chat history belongs to: the widget visitor's or channel user's id, "admin:<owner>" for an
+// admin token, "" for anonymous console chats.
+function sessionPrincipal({ userId, owner }) {
+  return userId || (owner ? `admin:${owner}` : "");
+}
+
+function parseClientMessages(input) {
+  if (!Array.isArray(input)) return { error: "messages must be an array" };
+  if (input.length > MAX_CLIENT_MESSAGES) return { error: `messages exceeds ${MAX_CLIENT_MESSAGES} entries` };
+  const messages = [];
+  for (const m of input) {
+    const role = String(m?.role || "");
+    const content = String(m?.content ?? "");
+    if (role !== "user" && role !== "assistant") return { error: "messages[].role must be user or assistant" };
+    if (content.length > MAX_PROMPT_CHARS) return { error: `messages[].content exceeds ${MAX_PROMPT_CHARS} chars` };
+    if (content.trim()) messages.push({ role, content });
   }
+  return { messages };
+}
 
-  const url = new URL(request.url);
-  const bot = (url.searchParams.get("bot") || "default").trim();
+// Rough token estimate (~4 chars per token plus per-message overhead); good enough for trimming.
+function estimateTokens(message) {
+  return Math.ceil(String(message?.content || "").length / 4) + 4;
+}
+
+function contextBudget(model, system) {
+  const known = Array.isArray(modelsCache.data) ? modelsCache.data.find((m) => m.id === model) : null;
+  const context = known?.contextLength || DEFAULT_CONTEXT_TOKENS;
+  return Math.max(256, context - RESPONSE_TOKEN_RESERVE - estimateTokens(system));
+}
+
+// Keeps the newest messages that fit the token budget; the latest message is always kept.
+function trimToContext(messages, budget) {
+  const kept = [];
+  let used = 0;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(messages[i]);
+    if (kept.length && used + cost > budget) break;
+    kept.unshift(messages[i]);
+    used += cost;
+  }
+  while (kept.length > 1 && kept[0].role !== "user") kept.shift();
+  return kept;
+}
 
+// { bot, owner, messages } for a stored history; null without one. Histories saved before sessions recorded
+// their owner count as none, so the next save claims them.
+async function loadChatSession(env, sessionId) {
   try {
-    const res = await fetch(`${env.SUPABASE_URL}/rest/v1/builder_states?bot=eq.${encodeURIComponent(bot)}&select=bot,state_json,updated_at&limit=1`, {
-      headers: supabaseHeaders(env),
-    });
-    const arr = await res.json();
-    if (!res.ok) return json({ ok: false, error: arr }, 500, corsHeaders(request, env));
-    return json({ ok: true, state: Array.isArray(arr) && arr[0] ? arr[0].state_json : null }, 200, corsHeaders(request, env));
+    const row = await storage(env).sessions.getChat(sessionId);
+    return row && typeof row.owner === "string" ? row : null;
   } catch (e) {
-    return json({ ok: false, error: String(e?.message || e) }, 500, corsHeaders(request, env));
+    console.error("session_load_error", e?.message || e);
+    return null;
   }
 }
 
-async function handleBuilderStatePost(request, env) {
-  if (!env.SUPABASE_URL || !env.SUPABASE_ANON_KEY) {
-    return json({ ok: false, code: "SUPABASE_NOT_CONFIGURED" }, 200, corsHeaders(request, env));
+async function saveChatSession(env, sessionId, { bot, owner }, messages) {
+  try {
+    await storage(env).sessions.putChat(sessionId, { bot: bot || "", owner, messages: messages.slice(-MAX_SESSION_MESSAGES) });
+  } catch (e) {
+    console.error("session_save_error", e?.message || e);
   }
+}
+
+// Re-encodes an upstream OpenAI-style SSE body as the worker's own event stream:
+//   event: meta   {provider, model, citations?}   always first
+//   event: token  {text}                          one per content delta
+//   event: usage  {promptTokens, completionTokens, totalTokens}
+//   event: error  {code, message}                 upstream error, broken stream or idle timeout
+//   event: done   {finishReason}                  always last
+// `done` resolves with { text, usage, error, toolCalls } once the stream ends or the client goes away.
+// toolLoopStream chains several of these: `meta: null` leaves out the meta event and `holdDone` leaves out
+// the done event when the model asked for tools, since another round follows.
+function normalizeCompletionStream(body, { meta = {}, idleMs = DEFAULT_STREAM_IDLE_MS, holdDone = false } = {}) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  const encoder = new TextEncoder();
+  let buf = "";
+  let text = "";
+  let usage = null;
+  let error = null;
+  let finishReason = null;
+  const toolCalls = [];
+  let closed = false;
+  let settle;
+  const done = new Promise((resolve) => { settle = resolve; });
+  const event = (type, data) => encoder.encode(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  const parse = (chunk, out) => {
+    buf += chunk;
+    const lines = buf.split("\n");
+    buf = lines.pop() || "";
+    for (const raw of lines) {
+      const line = raw.trim();
+      if (!line.startsWith("data:")) continue;
+      const data = line.slice(5).trim();
+      if (!data || data === "[DONE]") continue;
+      let json;
+      try {
+        json = JSON.parse(data);
+      } catch {
+        continue;
+      }
+      if (json?.error) {
+        error = { code: "UPSTREAM_ERROR", message: String(json.error.message || json.error).slice(0, 300) };
+        out.push(event("error", error));
+        continue;
+      }
+      const choice = json?.choices?.[0];
+      const token = choice?.delta?.content;
+      if (typeof token === "string" && token) {
+        text += token;
+        out.push(event("token", { text: token }));
+      }
+      // Tool calls arrive in fragments keyed by index: the id and name first, then pieces of the arguments.
+      for (const delta of Array.isArray(choice?.delta?.tool_calls) ? choice.delta.tool_calls : []) {
+        const slot = (toolCalls[Number(delta?.index) || 0] ||= { id: "", name: "", arguments: "" });
+        if (delta.id) slot.id = String(delta.id);
+        if (delta.function?.name) slot.name += delta.function.name;
+        if (delta.function?.arguments) slot.arguments += delta.function.arguments;
+      }
+      if (choice?.finish_reason) finishReason = choice.finish_reason;
+      if (json?.usage) {
+        usage = {
+          promptTokens: Number(json.usage.prompt_tokens) || 0,
+          completionTokens: Number(json.usage.completion_tokens) || 0,
+          totalTokens: Number(json.usage.total_tokens) || 0,
+        };
+        out.push(event("usage", usage));
+      }
+    }
+  };
+
+  const calls = () => toolCalls.filter(Boolean).map((c, i) => ({ ...c, id: c.id || `call_${i}` }));
+  const finish = (controller, out) => {
+    if (closed) return;
+    closed = true;
+    if (!(holdDone && !error && calls().length)) out.push(event("done", { finishReason: error ? "error" : finishReason || "stop" }));
+    for (const chunk of out) controller.enqueue(chunk);
+    controller.close();
+    settle({ text, usage, error, toolCalls: calls() });
+  };
+
+  const read = () => {
+    let timer;
+    const idle = new Promise((resolve) => { timer = setTimeout(() => resolve({ idle: true }), idleMs); });
+    return Promise.race([reader.read(), idle]).finally(() => clearTimeout(timer));
+  };
+
+  return {
+    done,
+    stream: new ReadableStream({
+      start(controller) {
+        if (meta) controller.enqueue(event("meta", meta));
+      },
+      // Keep reading until something can be enqueued: keep-alive comments and chunks that end mid-line
+      // produce no events, and a pull that enqueues nothing is not called again.
+      async pull(controller) {
+        const out = [];
+        try {
+          while (!out.length) {
+            const result = await read();
+            if (result.idle) {
+              error = { code: "UPSTREAM_IDLE_TIMEOUT", message: `no data from upstream for ${idleMs}ms` };
+              out.push(event("error", error));
+              reader.cancel("idle_timeout").catch(() => {});
+              return finish(controller, out);
+            }
+            if (result.done) {
+              parse(decoder.decode() + "\n", out);
+              return finish(controller, out);
+            }
+            parse(decoder.decode(result.value, { stream: true }), out);
+          }
+          for (const chunk of out) controller.enqueue(chunk);
+        } catch (e) {
+          error = { code: "STREAM_ERROR", message: String(e?.message || e).slice(0, 300) };
+          out.push(event("error", error));
+          finish(controller, out);
+        }
+      },
+      cancel(reason) {
+        closed = true;
+        settle({ text, usage, error, toolCalls: [] });
+        return reader.cancel(reason);
+      },
+    }),
+  };
+}
+
+async function handlePersonasGet(request, env) {
+  const url = new URL(request.url);
+  const bot = (url.searchParams.get("bot") || "").trim();
+  if (!bot) return json({ ok: true, personas: listPersonas(null).map(publicPersona), default: "default" }, 200, corsHeaders(request, env));
+
+  const auth = await getAuth(request, env);
+  const record = await loadBotState(env, bot);
+  if (record.error) return json({ ok: false, error: record.error, code: record.code }, record.status, corsHeaders(request, env));
+  if (!canAccessBot(auth, bot, record)) return authError(request, env, auth);
+  // Prompt templates are the bot author's work; only owners see them.
+  const personas = listPersonas(record.state).map((p) => (auth.kind === "admin" ? p : publicPersona(p)));
+  return json({ ok: true, personas, default: String(record.state?.persona || "default") }, 200, corsHeaders(request, env));
+}
+
+function publicPersona(persona) {
+  const { template, ...rest } = persona;
+  return rest;
+}
+
+async function handleBuilderStateGet(request, env) {
+  const url = new URL(request.url);
+  const bot = (url.searchParams.get("bot") || "default").trim();
+  const requested = url.searchParams.get("version");
+  if (requested && !isVersionNumber(requested)) return json({ ok: false, error: "version must be a positive integer" }, 400, corsHeaders(request, env));
+
+  const auth = await getAuth(request, env);
+  if (auth?.kind !== "admin") return authError(request, env, auth);
+
+  const record = await loadBotState(env, bot);
+  if (record.error) return json({ ok: false, error: record.error }, 500, corsHeaders(request, env));
+  if (record.found && record.owner && record.owner !== auth.owner) return authError(request, env, auth);
+  // The builder edits the latest version (the draft); `version=` opens an older one.
+  const version = record.found ? await loadBotVersion(env, bot, requested ? Number(requested) : null) : null;
+  if (requested && !version) return json({ ok: false, error: "version not found", code: "VERSION_NOT_FOUND" }, 404, corsHeaders(request, env));
+  return json({
+    ok: true,
+    state: upgradeBotState(version ? version.state_json : record.state),
+    version: version?.version ?? null,
+    publishedVersion: record.publishedVersion,
+    owner: record.owner,
+    publicKey: record.publicKey,
+  }, 200, corsHeaders(request, env));
+}
+
+// Every save stores an immutable version; `publish: true` also makes it live. Body: { bot, state, message?, publish? }.
+async function handleBuilderStatePost(request, env) {
+  const auth = await getAuth(request, env);
+  if (auth?.kind !== "admin") return authError(request, env, auth);
 
   let body;
   try {
@@ -173,157 +964,5503 @@ async function handleBuilderStatePost(request, env) {
   }
 
   const bot = String(body?.bot || "default").trim();
-  const state = body?.state;
-  if (!bot || !state) return json({ ok: false, error: "bot/state required" }, 400, corsHeaders(request, env));
+  const state = upgradeBotState(body?.state);
+  const message = String(body?.message || "").trim();
+  if (!bot || !isPlainObject(state)) return json({ ok: false, error: "bot/state required" }, 400, corsHeaders(request, env));
+  if (message.length > MAX_VERSION_MESSAGE_CHARS) return json({ ok: false, error: `message exceeds ${MAX_VERSION_MESSAGE_CHARS} chars` }, 400, corsHeaders(request, env));
+  const { errors, warnings } = validateBotState(state, env);
+  if (errors.length) return json({ ok: false, error: "invalid bot state", code: "INVALID_STATE", errors, warnings }, 422, corsHeaders(request, env));
+
+  const record = await loadBotState(env, bot);
+  if (record.error) return json({ ok: false, error: record.error }, 500, corsHeaders(request, env));
+  // Bots saved before ownership existed have no owner; the first admin to save one claims it.
+  if (record.found && record.owner && record.owner !== auth.owner) return authError(request, env, auth);
+  const publicKey = record.publicKey || `pk_${randomHex(16)}`;
 
   try {
-    const payload = [{ bot, state_json: state, updated_at: new Date().toISOString() }];
-    const res = await fetch(`${env.SUPABASE_URL}/rest/v1/builder_states?on_conflict=bot`, {
-      method: "POST",
-      headers: { ...supabaseHeaders(env), "content-type": "application/json", Prefer: "resolution=merge-duplicates,return=representation" },
-      body: JSON.stringify(payload),
-    });
-    const data = await res.json().catch(() => ({}));
-    if (!res.ok) return json({ ok: false, error: data }, 500, corsHeaders(request, env));
-    return json({ ok: true, data }, 200, corsHeaders(request, env));
+    const saved = await saveBotVersion(env, { bot, owner: auth.owner, publicKey, state, message });
+    let publishedVersion = record.publishedVersion;
+    if (body?.publish) publishedVersion = (await publishBotVersion(env, bot, saved.version)).version;
+    return json({ ok: true, bot, version: saved.version, unchanged: saved.unchanged, publishedVersion, publicKey, warnings }, 200, corsHeaders(request, env));
   } catch (e) {
-    return json({ ok: false, error: String(e?.message || e) }, 500, corsHeaders(request, env));
+    return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
   }
 }
 
-async function handleMemoryGet(request, env) {
-  if (!env.SUPABASE_URL || !env.SUPABASE_ANON_KEY) return json({ ok: false, code: "SUPABASE_NOT_CONFIGURED" }, 200, corsHeaders(request, env));
+// Checks a bot definition without saving it. Body: { state } or { bot, version? } for a stored version.
+// Older definitions are upgraded first; the response carries the upgraded state.
+async function handleBuilderValidatePost(request, env) {
+  let body;
+  try { body = await request.json(); } catch { return json({ ok: false, error: "invalid json" }, 400, corsHeaders(request, env)); }
+  let state = body?.state;
+  if (state === undefined) {
+    const bot = String(body?.bot || "").trim();
+    if (!bot) return json({ ok: false, error: "state or bot required" }, 400, corsHeaders(request, env));
+    if (body?.version != null && !isVersionNumber(body.version)) return json({ ok: false, error: "version must be a positive integer" }, 400, corsHeaders(request, env));
+    const access = await requireBotOwner(request, env, bot);
+    if (access.response) return access.response;
+    try {
+      const version = await loadBotVersion(env, bot, body?.version != null ? Number(body.version) : null);
+      if (!version) return json({ ok: false, error: "version not found", code: "VERSION_NOT_FOUND" }, 404, corsHeaders(request, env));
+      state = version.state_json;
+    } catch (e) {
+      return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
+    }
+  } else {
+    const auth = await getAuth(request, env);
+    if (auth?.kind !== "admin") return authError(request, env, auth);
+  }
+  const upgraded = upgradeBotState(state);
+  const { errors, warnings } = validateBotState(upgraded, env);
+  return json({ ok: true, valid: !errors.length, schemaVersion: BOT_SCHEMA_VERSION, errors, warnings, state: upgraded }, 200, corsHeaders(request, env));
+}
+
+// Version history, newest first, without the states themselves.
+async function handleBotVersionsGet(request, env) {
   const url = new URL(request.url);
-  const userId = (url.searchParams.get("userId") || "guest").trim();
+  const bot = (url.searchParams.get("bot") || "").trim();
+  if (!bot) return json({ ok: false, error: "bot required" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+
+  const limit = Math.min(Math.max(Number(url.searchParams.get("limit")) || 50, 1), MAX_VERSION_PAGE);
+  const offset = Math.max(Number(url.searchParams.get("offset")) || 0, 0);
   try {
-    const res = await fetch(`${env.SUPABASE_URL}/rest/v1/user_memory?user_id=eq.${encodeURIComponent(userId)}&select=user_id,memory_json,updated_at&limit=1`, { headers: supabaseHeaders(env) });
-    const arr = await res.json();
-    if (!res.ok) return json({ ok: false, error: arr }, 500, corsHeaders(request, env));
-    return json({ ok: true, memory: Array.isArray(arr) && arr[0] ? arr[0].memory_json : {} }, 200, corsHeaders(request, env));
+    const { rows, total } = await storage(env).bots.versions(bot, { limit, offset });
+    const versions = rows.map((row) => ({
+      version: row.version,
+      author: row.author,
+      message: row.message,
+      createdAt: row.created_at,
+      publishedAt: row.published_at,
+      published: row.version === access.record.publishedVersion,
+    }));
+    const nextOffset = versions.length === limit ? offset + limit : null;
+    return json({ ok: true, bot, publishedVersion: access.record.publishedVersion, versions, total, nextOffset }, 200, corsHeaders(request, env));
   } catch (e) {
     return json({ ok: false, error: String(e?.message || e) }, 500, corsHeaders(request, env));
   }
 }
 
-async function handleMemoryPost(request, env) {
-  if (!env.SUPABASE_URL || !env.SUPABASE_ANON_KEY) return json({ ok: false, code: "SUPABASE_NOT_CONFIGURED" }, 200, corsHeaders(request, env));
+// `from` defaults to the published version and `to` to the latest one.
+async function handleBotVersionDiffGet(request, env) {
+  const url = new URL(request.url);
+  const bot = (url.searchParams.get("bot") || "").trim();
+  if (!bot) return json({ ok: false, error: "bot required" }, 400, corsHeaders(request, env));
+  for (const param of ["from", "to"]) {
+    if (url.searchParams.get(param) && !isVersionNumber(url.searchParams.get(param))) {
+      return json({ ok: false, error: `${param} must be a positive integer` }, 400, corsHeaders(request, env));
+    }
+  }
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+
+  try {
+    const from = await loadBotVersion(env, bot, Number(url.searchParams.get("from")) || access.record.publishedVersion || 1);
+    const to = await loadBotVersion(env, bot, Number(url.searchParams.get("to")) || null);
+    if (!from || !to) return json({ ok: false, error: "version not found", code: "VERSION_NOT_FOUND" }, 404, corsHeaders(request, env));
+    return json({ ok: true, bot, from: from.version, to: to.version, diff: diffBotStates(from.state_json, to.state_json) }, 200, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
+  }
+}
+
+// Body: { bot, version? }; publishes the latest version when none is given.
+async function handleBotVersionPublish(request, env) {
   let body;
   try { body = await request.json(); } catch { return json({ ok: false, error: "invalid json" }, 400, corsHeaders(request, env)); }
-  const userId = String(body?.userId || "guest").trim();
-  const memory = body?.memory || {};
+  const bot = String(body?.bot || "").trim();
+  if (!bot) return json({ ok: false, error: "bot required" }, 400, corsHeaders(request, env));
+  if (body?.version != null && !isVersionNumber(body.version)) return json({ ok: false, error: "version must be a positive integer" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+
   try {
-    const payload = [{ user_id: userId, memory_json: memory, updated_at: new Date().toISOString() }];
-    const res = await fetch(`${env.SUPABASE_URL}/rest/v1/user_memory?on_conflict=user_id`, {
-      method: "POST",
-      headers: { ...supabaseHeaders(env), Prefer: "resolution=merge-duplicates,return=representation" },
-      body: JSON.stringify(payload),
-    });
-    const data = await res.json().catch(() => ({}));
-    if (!res.ok) return json({ ok: false, error: data }, 500, corsHeaders(request, env));
-    return json({ ok: true, data }, 200, corsHeaders(request, env));
+    const version = body?.version != null ? Number(body.version) : (await loadBotVersion(env, bot, null))?.version;
+    const published = version ? await publishBotVersion(env, bot, version) : null;
+    if (!published) return json({ ok: false, error: "version not found", code: "VERSION_NOT_FOUND" }, 404, corsHeaders(request, env));
+    return json({ ok: true, bot, publishedVersion: published.version, publishedAt: published.publishedAt }, 200, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
+  }
+}
+
+// Body: { bot, version? }. Copies the target (by default the version published before the current one)
+// into a new version and publishes it, so history is never rewritten and the draft matches what is live.
+async function handleBotVersionRollback(request, env) {
+  let body;
+  try { body = await request.json(); } catch { return json({ ok: false, error: "invalid json" }, 400, corsHeaders(request, env)); }
+  const bot = String(body?.bot || "").trim();
+  if (!bot) return json({ ok: false, error: "bot required" }, 400, corsHeaders(request, env));
+  if (body?.version != null && !isVersionNumber(body.version)) return json({ ok: false, error: "version must be a positive integer" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+  const { auth, record } = access;
+
+  try {
+    let target = body?.version != null ? Number(body.version) : null;
+    if (!target) {
+      target = await storage(env).bots.lastPublished(bot, record.publishedVersion);
+      if (!target) return json({ ok: false, error: "no earlier published version to roll back to", code: "VERSION_NOT_FOUND" }, 404, corsHeaders(request, env));
+    }
+    const source = await loadBotVersion(env, bot, target);
+    if (!source) return json({ ok: false, error: "version not found", code: "VERSION_NOT_FOUND" }, 404, corsHeaders(request, env));
+    const saved = await saveBotVersion(env, { bot, owner: auth.owner, publicKey: record.publicKey, state: upgradeBotState(source.state_json), message: `Rollback to v${target}` });
+    const published = await publishBotVersion(env, bot, saved.version);
+    return json({ ok: true, bot, rolledBackTo: target, version: saved.version, publishedVersion: published.version }, 200, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
+  }
+}
+
+function isVersionNumber(value) {
+  return /^[1-9]\d{0,8}$/.test(String(value));
+}
+
+// One stored version (with its state), or the latest when `version` is null. Null when there is none.
+function loadBotVersion(env, bot, version) {
+  return storage(env).bots.version(bot, version);
+}
+
+function saveBotVersion(env, { bot, owner, publicKey, state, message }) {
+  return storage(env).bots.saveVersion({ bot, owner, publicKey, state, message });
+}
+
+// Returns { version, publishedAt }, or null when the version does not exist. Only the live state's schedules
+// run, so publishing also re-registers them; that step is retried by the next publish if it fails.
+async function publishBotVersion(env, bot, version) {
+  const published = await storage(env).bots.publish(bot, version);
+  if (published) {
+    try {
+      await syncBotSchedules(env, bot, (await loadBotVersion(env, bot, version))?.state_json);
+    } catch (e) {
+      console.error("schedule_sync_error", bot, e?.message || e);
+    }
+  }
+  return published;
+}
+
+// Node-by-node diff of two bot states, matching nodes by id. `changed` lists the fields that differ,
+// `moved` the nodes whose order among the shared nodes changed, `settings` the other top-level keys that differ.
+function diffBotStates(before, after) {
+  const nodesBefore = Array.isArray(before?.nodes) ? before.nodes.filter(isPlainObject) : [];
+  const nodesAfter = Array.isArray(after?.nodes) ? after.nodes.filter(isPlainObject) : [];
+  const idsBefore = new Set(nodesBefore.map((n) => n.id));
+  const idsAfter = new Set(nodesAfter.map((n) => n.id));
+  const summary = (n) => ({ id: n.id, type: n.type, content: String(n.content ?? "").slice(0, 200) });
+  const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  const sharedBefore = nodesBefore.filter((n) => idsAfter.has(n.id));
+  const sharedAfter = nodesAfter.filter((n) => idsBefore.has(n.id));
+  const changed = [];
+  const moved = [];
+  sharedAfter.forEach((node, index) => {
+    const previousIndex = sharedBefore.findIndex((n) => n.id === node.id);
+    const previous = sharedBefore[previousIndex];
+    const fields = [...new Set([...Object.keys(previous), ...Object.keys(node)])].filter((k) => !sameJson(previous[k], node[k]));
+    if (fields.length) {
+      changed.push({
+        id: node.id,
+        type: node.type,
+        fields,
+        before: Object.fromEntries(fields.map((k) => [k, previous[k] ?? null])),
+        after: Object.fromEntries(fields.map((k) => [k, node[k] ?? null])),
+      });
+    }
+    if (previousIndex !== index) moved.push({ id: node.id, from: previousIndex, to: index });
+  });
+
+  const a = isPlainObject(before) ? before : {};
+  const b = isPlainObject(after) ? after : {};
+  const settings = [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter((key) => key !== "nodes" && !sameJson(a[key], b[key]))
+    .map((key) => ({ key, before: a[key] ?? null, after: b[key] ?? null }));
+
+  return {
+    added: nodesAfter.filter((n) => !idsBefore.has(n.id)).map(summary),
+    removed: nodesBefore.filter((n) => !idsAfter.has(n.id)).map(summary),
+    changed,
+    moved,
+    settings,
+  };
+}
+
+// Downloads a bot as a self-contained bundle: its state (the latest version, or `version=`) and KB documents.
+async function handleBotExportGet(request, env) {
+  const url = new URL(request.url);
+  const bot = (url.searchParams.get("bot") || "").trim();
+  const requested = url.searchParams.get("version");
+  if (!bot) return json({ ok: false, error: "bot required" }, 400, corsHeaders(request, env));
+  if (requested && !isVersionNumber(requested)) return json({ ok: false, error: "version must be a positive integer" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+
+  try {
+    const bundle = await buildBotBundle(env, bot, requested ? Number(requested) : null, access.record);
+    if (!bundle) return json({ ok: false, error: "version not found", code: "VERSION_NOT_FOUND" }, 404, corsHeaders(request, env));
+    return json(bundle, 200, { ...corsHeaders(request, env), "content-disposition": `attachment; filename="${bot.replace(/[^\w.-]+/g, "_")}.kmnbot.json"` });
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
+  }
+}
+
+// Body: { bundle, bot?, overwrite?, publish? }. Creates the bot (named `bot`, else the bundle's name) or, with
+// `overwrite`, stores the bundle as a new version of an existing bot the caller owns and replaces its KB.
+async function handleBotImportPost(request, env) {
+  const auth = await getAuth(request, env);
+  if (auth?.kind !== "admin") return authError(request, env, auth);
+  let body;
+  try { body = await request.json(); } catch { return json({ ok: false, error: "invalid json" }, 400, corsHeaders(request, env)); }
+
+  const migrated = migrateBundle(body?.bundle);
+  if (migrated.errors) return json({ ok: false, error: "invalid bundle", code: "INVALID_BUNDLE", errors: migrated.errors }, 422, corsHeaders(request, env));
+  const { bundle } = migrated;
+  const bot = String(body?.bot || bundle.bot.name || bundle.bot.state.botName || "").trim();
+  if (!bot) return json({ ok: false, error: "bot required" }, 400, corsHeaders(request, env));
+  const state = { ...bundle.bot.state, botName: bot };
+  const { errors, warnings } = validateBotState(state, env);
+  if (errors.length) {
+    const prefixed = errors.map((e) => ({ ...e, path: e.path.replace(/^state/, "bundle.bot.state") }));
+    return json({ ok: false, error: "invalid bot state", code: "INVALID_STATE", errors: prefixed, warnings }, 422, corsHeaders(request, env));
+  }
+
+  const record = await loadBotState(env, bot);
+  if (record.error) return json({ ok: false, error: record.error }, 500, corsHeaders(request, env));
+  if (record.found && record.owner && record.owner !== auth.owner) return authError(request, env, auth);
+  if (record.found && !body?.overwrite) return json({ ok: false, error: `bot "${bot}" already exists; pass overwrite to replace it`, code: "BOT_EXISTS" }, 409, corsHeaders(request, env));
+
+  try {
+    const publicKey = record.publicKey || `pk_${randomHex(16)}`;
+    const saved = await saveBotVersion(env, { bot, owner: auth.owner, publicKey, state, message: `Imported bundle${bundle.source?.bot ? ` from ${String(bundle.source.bot).slice(0, 120)}` : ""}` });
+    if (record.found) {
+      await storage(env).kb.remove(bot);
+      kbIndexCache.delete(bot);
+    }
+    const documents = [];
+    for (const doc of bundle.kb) documents.push(await indexKbDocument(env, bot, doc.name, doc.content));
+    const published = body?.publish ? await publishBotVersion(env, bot, saved.version) : null;
+    return json({ ok: true, bot, version: saved.version, publishedVersion: published?.version ?? record.publishedVersion ?? null, publicKey, documents, warnings }, 200, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
+  }
+}
+
+// Without `id`: the gallery (built-in templates first, then the ones teams published), without bundles.
+// With `id`: one template including its bundle.
+async function handleTemplatesGet(request, env) {
+  const auth = await getAuth(request, env);
+  if (auth?.kind !== "admin") return authError(request, env, auth);
+  const id = (new URL(request.url).searchParams.get("id") || "").trim();
+
+  if (id) {
+    const builtin = BUILTIN_TEMPLATES.find((t) => t.id === id);
+    if (builtin) return json({ ok: true, template: { ...templateSummary(builtin), bundle: builtinTemplateBundle(builtin) } }, 200, corsHeaders(request, env));
+    try {
+      const row = await storage(env).templates.get(id);
+      if (!row) return json({ ok: false, error: "template not found", code: "TEMPLATE_NOT_FOUND" }, 404, corsHeaders(request, env));
+      return json({ ok: true, template: { ...templateSummary(row), bundle: migrateBundle(row.bundle_json).bundle || row.bundle_json } }, 200, corsHeaders(request, env));
+    } catch (e) {
+      return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
+    }
+  }
+
+  const templates = BUILTIN_TEMPLATES.map(templateSummary);
+  try {
+    const rows = await storage(env).templates.list(200);
+    return json({ ok: true, templates: [...templates, ...rows.map(templateSummary)] }, 200, corsHeaders(request, env));
   } catch (e) {
     return json({ ok: false, error: String(e?.message || e) }, 500, corsHeaders(request, env));
   }
 }
 
-async function handleAnalyticsEventPost(request, env) {
-  if (!env.SUPABASE_URL || !env.SUPABASE_ANON_KEY) return json({ ok: false, code: "SUPABASE_NOT_CONFIGURED" }, 200, corsHeaders(request, env));
+// Publishes one of the caller's bots to the gallery. Body: { bot, version?, id, name, description? }.
+// Re-publishing an id updates it; only its author may do that.
+async function handleTemplatePost(request, env) {
   let body;
   try { body = await request.json(); } catch { return json({ ok: false, error: "invalid json" }, 400, corsHeaders(request, env)); }
-  const payload = [{
-    event_type: String(body?.eventType || 'message').slice(0, 64),
-    user_id: String(body?.userId || 'guest').slice(0, 128),
-    session_id: String(body?.sessionId || 'session').slice(0, 128),
-    node_id: String(body?.nodeId || '').slice(0, 128),
-    meta_json: body?.meta || {},
-    created_at: new Date().toISOString()
-  }];
-  try {
-    const res = await fetch(`${env.SUPABASE_URL}/rest/v1/analytics_events`, {
-      method: 'POST',
-      headers: { ...supabaseHeaders(env), Prefer: 'return=minimal' },
-      body: JSON.stringify(payload)
-    });
-    if (!res.ok) return json({ ok: false, error: await res.text() }, 500, corsHeaders(request, env));
+  const bot = String(body?.bot || "").trim();
+  const id = String(body?.id || "").trim();
+  const name = String(body?.name || "").trim();
+  const description = String(body?.description || "").trim();
+  if (!bot) return json({ ok: false, error: "bot required" }, 400, corsHeaders(request, env));
+  if (!TEMPLATE_ID_RE.test(id)) return json({ ok: false, error: "id must be 2-64 chars of [a-z0-9-]" }, 400, corsHeaders(request, env));
+  if (BUILTIN_TEMPLATES.some((t) => t.id === id)) return json({ ok: false, error: `"${id}" is a built-in template`, code: "TEMPLATE_RESERVED" }, 409, corsHeaders(request, env));
+  if (!name || name.length > 120) return json({ ok: false, error: "name must be 1-120 chars" }, 400, corsHeaders(request, env));
+  if (description.length > 500) return json({ ok: false, error: "description exceeds 500 chars" }, 400, corsHeaders(request, env));
+  if (body?.version != null && !isVersionNumber(body.version)) return json({ ok: false, error: "version must be a positive integer" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+
+  try {
+    const existing = await storage(env).templates.get(id);
+    if (existing && existing.author !== access.auth.owner) return authError(request, env, access.auth);
+    const bundle = await buildBotBundle(env, bot, body?.version != null ? Number(body.version) : null, access.record);
+    if (!bundle) return json({ ok: false, error: "version not found", code: "VERSION_NOT_FOUND" }, 404, corsHeaders(request, env));
+    const now = new Date().toISOString();
+    await storage(env).templates.put({ id, name, description, author: access.auth.owner, source_bot: bot, bundle_json: bundle, updated_at: now });
+    return json({ ok: true, template: templateSummary({ id, name, description, author: access.auth.owner, source_bot: bot, updated_at: now }) }, 200, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
+  }
+}
+
+async function handleTemplateDelete(request, env) {
+  const auth = await getAuth(request, env);
+  if (auth?.kind !== "admin") return authError(request, env, auth);
+  const id = (new URL(request.url).searchParams.get("id") || "").trim();
+  if (!TEMPLATE_ID_RE.test(id)) return json({ ok: false, error: "id required" }, 400, corsHeaders(request, env));
+  try {
+    const existing = await storage(env).templates.get(id);
+    if (!existing) return json({ ok: false, error: "template not found", code: "TEMPLATE_NOT_FOUND" }, 404, corsHeaders(request, env));
+    if (existing.author !== auth.owner) return authError(request, env, auth);
+    await storage(env).templates.remove(id);
     return json({ ok: true }, 200, corsHeaders(request, env));
   } catch (e) {
     return json({ ok: false, error: String(e?.message || e) }, 500, corsHeaders(request, env));
   }
 }
 
-async function handleAnalyticsSummaryGet(request, env) {
-  if (!env.SUPABASE_URL || !env.SUPABASE_ANON_KEY) return json({ ok: false, code: "SUPABASE_NOT_CONFIGURED" }, 200, corsHeaders(request, env));
-  try {
-    const res = await fetch(`${env.SUPABASE_URL}/rest/v1/analytics_events?select=event_type,user_id,node_id,created_at&order=created_at.desc&limit=1000`, { headers: supabaseHeaders(env) });
-    const rows = await res.json();
-    if (!res.ok) return json({ ok: false, error: rows }, 500, corsHeaders(request, env));
-    const events = Array.isArray(rows) ? rows : [];
-    const messages = events.filter(r => r.event_type === 'message').length;
-    const users = new Set(events.map(r => r.user_id)).size;
-    const dropoff = events.filter(r => r.event_type === 'dropoff').length;
-    const byNode = {};
-    for (const e of events) {
-      const k = e.node_id || 'unknown';
-      byNode[k] = (byNode[k] || 0) + 1;
-    }
-    return json({ ok: true, summary: { messages, users, dropoff, byNode } }, 200, corsHeaders(request, env));
-  } catch (e) {
-    return json({ ok: false, error: String(e?.message || e) }, 500, corsHeaders(request, env));
-  }
+function templateSummary(t) {
+  return {
+    id: t.id,
+    name: t.name,
+    description: t.description || "",
+    author: t.author || null,
+    sourceBot: t.source_bot || null,
+    builtin: !t.author,
+    updatedAt: t.updated_at || null,
+  };
+}
+
+function builtinTemplateBundle(t) {
+  return {
+    format: BUNDLE_FORMAT,
+    formatVersion: BUNDLE_FORMAT_VERSION,
+    bot: { name: t.name, state: { schemaVersion: BOT_SCHEMA_VERSION, botName: t.name, nodes: t.nodes, vars: {} } },
+    kb: [],
+  };
+}
+
+// The bundle for a bot's latest version (or `version`), or null when that version does not exist.
+async function buildBotBundle(env, bot, version, record) {
+  const row = await loadBotVersion(env, bot, version);
+  const state = row ? row.state_json : version ? null : record.state;
+  if (!state) return null;
+  const docs = await storage(env).kb.contents(bot, MAX_BUNDLE_KB_DOCS);
+  return {
+    format: BUNDLE_FORMAT,
+    formatVersion: BUNDLE_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    source: { bot, version: row?.version ?? null },
+    bot: { name: String(state.botName || bot), state: upgradeBotState(state) },
+    kb: docs.map((d) => ({ name: d.name, content: d.content })),
+  };
+}
+
+// Older bundle formats, each upgraded one step to the next. Version 1 is a bare builder state ({ nodes, ... })
+// or the { state } body of GET /api/builder/state, which is how bots were copied before bundles existed.
+const BUNDLE_MIGRATIONS = {
+  1: (old) => {
+    const state = isPlainObject(old.state) ? old.state : old;
+    return { format: BUNDLE_FORMAT, formatVersion: 2, bot: { name: String(state.botName || ""), state }, kb: [] };
+  },
+};
+
+// Returns { bundle } at BUNDLE_FORMAT_VERSION with the bot state upgraded, or { errors } ({ path, message }).
+function migrateBundle(input) {
+  if (!isPlainObject(input)) return { errors: [{ path: "bundle", message: "must be object" }] };
+  let bundle = input;
+  let version = input.format === undefined && (Array.isArray(input.nodes) || isPlainObject(input.state)) ? 1 : Number(input.formatVersion);
+  if (input.format !== undefined && input.format !== BUNDLE_FORMAT) return { errors: [{ path: "bundle.format", message: `must be "${BUNDLE_FORMAT}"` }] };
+  if (version > BUNDLE_FORMAT_VERSION) return { errors: [{ path: "bundle.formatVersion", message: `format ${version} is newer than this deployment supports (${BUNDLE_FORMAT_VERSION})` }] };
+  while (BUNDLE_MIGRATIONS[version]) {
+    bundle = BUNDLE_MIGRATIONS[version](bundle);
+    version = bundle.formatVersion;
+  }
+  const errors = validateSchema(bundle, BUNDLE_SCHEMA, "bundle");
+  if (errors.length) return { errors };
+  return { bundle: { ...bundle, kb: bundle.kb || [], bot: { ...bundle.bot, state: upgradeBotState(bundle.bot.state) } } };
+}
+
+async function handleFlowRun(request, env, ctx) {
+  let body;
+  try { body = await request.json(); } catch { return json({ ok: false, error: "invalid json" }, 400, corsHeaders(request, env)); }
+
+  const bot = String(body?.bot || "default").trim();
+  const sessionId = String(body?.sessionId || "").trim();
+  const input = String(body?.input ?? "").trim();
+  if (!isValidSessionId(sessionId)) return json({ ok: false, error: "valid sessionId required" }, 400, corsHeaders(request, env));
+  if (input.length > MAX_PROMPT_CHARS) return json({ ok: false, error: `input exceeds ${MAX_PROMPT_CHARS} chars` }, 400, corsHeaders(request, env));
+
+  // The builder playground may pass its unsaved state to preview a flow; everyone else runs the stored bot.
+  const preview = body?.state && typeof body.state === "object" ? body.state : null;
+  const auth = await getAuth(request, env);
+  if (!auth || (preview && auth.kind !== "admin")) return authError(request, env, auth);
+
+  const record = await loadBotState(env, bot);
+  if (record.error) return json({ ok: false, error: record.error, code: record.code }, record.status, corsHeaders(request, env));
+  if (record.found ? !canAccessBot(auth, bot, record) : auth.kind !== "admin") return authError(request, env, auth);
+
+  const state = upgradeBotState(preview || record.state);
+  const limits = await enforceLimits(request, env, { auth, bot, state });
+  if (limits.response) return limits.response;
+  if (!state || !Array.isArray(state.nodes) || !state.nodes.length) {
+    return json({ ok: false, error: "bot has no flow", code: "FLOW_NOT_FOUND" }, 404, corsHeaders(request, env));
+  }
+
+  try {
+    // Seeded vars override the bot's vars and the user's memory that conditions and prompts rely on, so like
+    // the model they are only taken from admins (which covers builder previews).
+    const turn = await runFlowTurn(env, ctx, {
+      bot, state, sessionId, input, limits, preview: !!preview, reset: !!body?.reset,
+      vars: auth.kind === "admin" ? body?.vars : undefined,
+      model: auth.kind === "widget" ? undefined : body?.model,
+      userId: auth.kind === "widget" ? auth.userId : null, owner: auth.owner, channel: "flow",
+    });
+    return json({ ok: true, sessionId, ...turn }, 200, corsHeaders(request, env));
+  } catch (e) {
+    console.error("flow_error", e?.message || e);
+    return json({ ok: false, error: String(e?.message || e), code: e?.code || "FLOW_ERROR" }, e?.status || 500, corsHeaders(request, env));
+  }
+}
+
+// One user turn of a flow conversation: loads or starts the session, walks the flow and records analytics,
+// leads, webhooks, the transcript and memory. Shared by /api/flow/run and the messaging channels.
+async function runFlowTurn(env, ctx, { bot, state, sessionId, input, limits, preview = false, reset = false, vars, model, userId = null, owner = null, channel }) {
+  const principal = sessionPrincipal({ userId, owner });
+  const previous = reset ? null : await loadFlowSession(env, sessionId);
+  // A session stored for another bot or user (or before sessions recorded their user) starts over.
+  let session = previous && previous.bot === bot && previous.user === principal ? previous : null;
+  const started = !session || (session.done && !!input);
+  if (started) {
+    const memory = userId ? await loadUserMemory(env, userId) : {};
+    const seeded = { ...(isPlainObject(state.vars) ? state.vars : {}), ...memory, ...(isPlainObject(vars) ? vars : {}) };
+    session = { bot, user: principal, cursor: state.nodes[0].id, waiting: false, done: false, vars: seeded };
+    if (previous || reset) await saveChatSession(env, `flow:${sessionId}`, { bot, owner: principal }, []);
+  }
+
+  const opts = { sessionId, userId, principal, model: String(model || "").trim(), tokens: 0, visited: [], aiCalls: {}, toolCalls: {}, leads: [] };
+  const wasDone = session.done;
+  const result = await runFlowSteps(env, state, session, input, opts);
+  await saveFlowSession(env, sessionId, session);
+  // Builder previews run unsaved flows, so they stay out of the bot's analytics.
+  if (!preview) {
+    const base = { bot, user_id: userId || owner || "guest", session_id: sessionId };
+    const events = opts.visited.map((nodeId) => ({ ...base, event_type: "node_view", node_id: nodeId }));
+    if (input) events.unshift({ ...base, event_type: "message", meta_json: { source: channel } });
+    if (session.done && !wasDone) events.push({ ...base, event_type: "flow_complete" });
+    await logAnalyticsEvents(env, events, ctx);
+    const hooks = [];
+    const data = { sessionId, userId: base.user_id, channel };
+    if (started) hooks.push({ bot, type: "conversation.started", data });
+    for (const lead of opts.leads) {
+      const row = await saveLead(env, { bot, session_id: sessionId, user_id: base.user_id, channel, node_id: lead.nodeId, fields_json: lead.fields });
+      if (row) hooks.push({ bot, type: "lead.captured", data: { ...data, leadId: row.id, nodeId: lead.nodeId, fields: lead.fields } });
+    }
+    await queueWebhookEvents(env, hooks, ctx);
+  }
+  await logConversation(env, {
+    bot, sessionId, userId: userId || owner || null, channel: preview ? "preview" : channel,
+    messages: [
+      ...(input ? [{ role: "user", content: input }] : []),
+      ...result.messages.flatMap((m) => [...(m.source === "ai" ? (opts.toolCalls[m.nodeId] || []).map(toolTranscriptMessage) : []), flowTranscriptMessage(m, opts.aiCalls[m.nodeId])]),
+    ],
+  });
+  if (opts.tokens) await limits.record(opts.tokens);
+  if (input && !preview && userId) {
+    const replyText = result.messages.filter((m) => m.text).map((m) => m.text).join("\n");
+    const extraction = loadUserFacts(env, userId).then((facts) => extractMemory(env, { bot, state, userId, facts, userText: input, replyText }));
+    if (ctx?.waitUntil) ctx.waitUntil(extraction);
+    else await extraction;
+  }
+  return { ...result, done: session.done, vars: session.vars };
+}
+
+// Walks the flow from the session cursor until it needs user input or reaches the end.
+// Mutates `session` (cursor, waiting, done, vars) and returns the emitted bot messages.
+async function runFlowSteps(env, state, session, input, opts) {
+  const nodes = state.nodes;
+  const indexOf = (id) => nodes.findIndex((n) => n.id === id);
+  const jump = (node, target, fallback) => {
+    if (!target) return fallback;
+    const i = indexOf(target);
+    if (i < 0) throw httpError(`node ${node.id} points at missing node ${target}`, "FLOW_BAD_JUMP", 422);
+    return i;
+  };
+  const messages = [];
+  let pending = input;
+  if (session.done) return { messages, waiting: null };
+  let index = indexOf(session.cursor);
+  if (index < 0) index = 0;
+
+  if (input) session.vars.last_input = input;
+
+  if (session.waiting) {
+    const node = nodes[index];
+    if (node && (node.type === "buttons" || node.type === "quick_replies")) {
+      if (!pending) return { messages, waiting: waitingInfo(node) };
+      // Free text that matches no option is stored as typed and follows the node's default route.
+      const choice = matchChoice(node, pending);
+      session.vars[node.variable || "choice"] = choice ? choice.value ?? choice.label : pending;
+      pending = "";
+      index = jump(node, choice?.nextNodeId || node.nextNodeId, index + 1);
+    } else if (node && node.type === "form") {
+      if (!pending) return { messages, waiting: waitingInfo(node, session) };
+      const fields = formFields(node);
+      const step = Math.min(Number(session.form?.field) || 0, fields.length - 1);
+      const answer = parseFormAnswer(fields[step], pending);
+      pending = "";
+      if (answer.error) {
+        messages.push(formPrompt(node, fields[step], session.vars, answer.error));
+        return { messages, waiting: waitingInfo(node, session) };
+      }
+      if (answer.value === undefined) delete session.vars[fields[step].name];
+      else session.vars[fields[step].name] = answer.value;
+      if (step + 1 < fields.length) {
+        session.form = { field: step + 1 };
+        messages.push(formPrompt(node, fields[step + 1], session.vars));
+        return { messages, waiting: waitingInfo(node, session) };
+      }
+      session.form = null;
+      if (node.saveLead !== false) {
+        const values = Object.fromEntries(fields.filter((f) => session.vars[f.name] !== undefined).map((f) => [f.name, session.vars[f.name]]));
+        opts.leads.push({ nodeId: node.id, fields: values });
+      }
+      index = jump(node, node.nextNodeId, index + 1);
+    }
+    session.waiting = false;
+  }
+
+  for (let steps = 0; index < nodes.length; steps++) {
+    if (steps >= MAX_FLOW_STEPS) throw httpError(`flow exceeded ${MAX_FLOW_STEPS} steps (possible loop)`, "FLOW_STEP_LIMIT", 422);
+    const node = nodes[index];
+    session.cursor = node.id;
+    opts.visited.push(node.id);
+
+    if (node.type === "condition") {
+      index = evaluateCondition(node, session.vars) ? jump(node, node.nextNodeId, index + 1) : jump(node, node.elseNodeId, index + 1);
+      continue;
+    }
+
+    if (node.type === "buttons" || node.type === "quick_replies") {
+      const message = { nodeId: node.id, type: node.type, options: choiceLabels(node) };
+      if (node.content) message.text = interpolate(node.content, session.vars);
+      messages.push(message);
+      session.waiting = true;
+      return { messages, waiting: waitingInfo(node) };
+    }
+
+    if (node.type === "form") {
+      if (node.content) messages.push({ nodeId: node.id, type: "text", text: interpolate(node.content, session.vars) });
+      session.form = { field: 0 };
+      messages.push(formPrompt(node, formFields(node)[0], session.vars));
+      session.waiting = true;
+      return { messages, waiting: waitingInfo(node, session) };
+    }
+
+    if (node.type === "carousel") {
+      messages.push({ nodeId: node.id, type: "carousel", cards: Array.isArray(node.cards) ? node.cards : [] });
+      index = jump(node, node.nextNodeId, index + 1);
+      continue;
+    }
+
+    if (node.type === "ai") {
+      if (!pending) {
+        session.waiting = true;
+        return { messages, waiting: waitingInfo(node) };
+      }
+      const reply = await runAiNode(env, state, node, session, pending, opts);
+      const message = { nodeId: node.id, type: "text", text: reply.text, source: "ai", provider: reply.provider, citations: reply.citations };
+      if (reply.toolCalls.length) message.toolCalls = reply.toolCalls;
+      if (reply.error) message.error = reply.error;
+      messages.push(message);
+      pending = "";
+      // A trailing AI node keeps the conversation open instead of ending the flow.
+      if (index === nodes.length - 1 && !node.nextNodeId) {
+        session.waiting = true;
+        return { messages, waiting: waitingInfo(node) };
+      }
+      index = jump(node, node.nextNodeId, index + 1);
+      continue;
+    }
+
+    messages.push({ nodeId: node.id, type: "text", text: interpolate(node.content || "", session.vars) });
+    index = jump(node, node.nextNodeId, index + 1);
+  }
+
+  session.cursor = null;
+  session.done = true;
+  return { messages, waiting: null };
+}
+
+async function runAiNode(env, state, node, session, input, opts) {
+  const persona = resolvePersona(state, node.persona || state.persona);
+  const model = node.model || persona.model || state.model || opts.model || DEFAULT_FLOW_MODEL;
+  // Flow sessions are seeded with the user's memory, so session vars cover both sources here.
+  let systemText = renderPersonaPrompt(persona, session.vars, {});
+  if (node.content) systemText += `\n\nInstruction for this step: ${node.content}`;
+  systemText += `\n\nKnown variables: ${JSON.stringify(session.vars)}`;
+  const sources = await retrieveKb(env, session.bot, input, KB_TOP_K);
+  systemText += kbContext(sources);
+
+  const system = { role: "system", content: systemText };
+  const historyKey = `flow:${opts.sessionId}`;
+  const stored = await loadChatSession(env, historyKey);
+  const history = stored && stored.bot === session.bot && stored.owner === opts.principal ? stored.messages : [];
+  const turn = { role: "user", content: input };
+  const messages = [system, ...trimToContext([...history, turn], contextBudget(model, system))];
+  const startedAt = Date.now();
+  const tools = botTools(state, node.tools);
+  const { text, provider, rounds, toolCalls, error } = await completeWithTools(env, { bot: session.bot, model, messages, params: personaParams(persona), tools });
+  const latencyMs = Date.now() - startedAt;
+  const recorded = { promptTokens: 0, completionTokens: 0 };
+  for (const round of rounds) {
+    const row = await recordUsage(env, { bot: session.bot, userId: opts.userId, sessionId: opts.sessionId, model, provider: round.provider, source: "flow", usage: round.usage, messages: round.messages, reply: round.reply });
+    opts.tokens += row.totalTokens;
+    recorded.promptTokens += row.promptTokens;
+    recorded.completionTokens += row.completionTokens;
+  }
+  opts.aiCalls[node.id] = { model, provider, latency_ms: latencyMs, prompt_tokens: recorded.promptTokens, completion_tokens: recorded.completionTokens };
+  if (toolCalls.length) opts.toolCalls[node.id] = toolCalls;
+  await saveChatSession(env, historyKey, { bot: session.bot, owner: opts.principal }, [...history, turn, { role: "assistant", content: text }]);
+  return { text, provider, citations: kbCitations(sources), toolCalls: toolCalls.map(publicToolCall), error };
+}
+
+async function completeChat(env, model, messages, params = {}) {
+  const { response, provider } = await callModel(env, { model, messages, stream: false, params });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw httpError(`upstream error ${response.status}`, "UPSTREAM_ERROR", 502);
+  const message = data?.choices?.[0]?.message;
+  const toolCalls = (Array.isArray(message?.tool_calls) ? message.tool_calls : [])
+    .map((c, i) => ({ id: String(c?.id || `call_${i}`), name: String(c?.function?.name || ""), arguments: String(c?.function?.arguments || "") }));
+  return { text: String(message?.content || ""), provider, usage: data?.usage || null, toolCalls };
+}
+
+// The bot's HTTP tools (state.tools), optionally narrowed to `names` (an ai node's `tools`).
+function botTools(state, names) {
+  const tools = (Array.isArray(state?.tools) ? state.tools : []).filter((t) => isPlainObject(t) && t.name && t.url);
+  return Array.isArray(names) ? tools.filter((t) => names.includes(t.name)) : tools;
+}
+
+function openAiTool(tool) {
+  return { type: "function", function: { name: tool.name, description: tool.description || "", parameters: tool.parameters || { type: "object", properties: {} } } };
+}
+
+// Streams a chat whose model may call the bot's tools. Each model call is one upstream stream passed through
+// normalizeCompletionStream; when it ends in tool calls, every call is announced (event: tool_call
+// {id, name, arguments}), run, reported (event: tool_result {id, name, ok, status?, error?, durationMs}) and the
+// model is asked again with the results. The last of MAX_TOOL_ROUNDS rounds may not call tools. `done`
+// resolves like normalizeCompletionStream's, plus `rounds` ({ provider, usage, messages, reply } per model
+// call) and `toolCalls`.
+function toolLoopStream(env, body, { bot, model, messages, params, tools, meta, idleMs }) {
+  const encoder = new TextEncoder();
+  const event = (type, data) => encoder.encode(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  const history = [...messages];
+  const rounds = [];
+  const toolCalls = [];
+  const secrets = new Map();
+  let reader = null;
+  let cancelled = false;
+  let settle;
+  const done = new Promise((resolve) => { settle = resolve; });
+
+  const run = async (controller) => {
+    const push = (chunk) => { if (!cancelled) controller.enqueue(chunk); };
+    let provider = meta.provider;
+    let text = "";
+    let result = null;
+    try {
+      for (let round = 1; ; round++) {
+        const part = normalizeCompletionStream(body, { meta: round === 1 ? meta : null, idleMs, holdDone: true });
+        reader = part.stream.getReader();
+        for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) push(chunk.value);
+        result = await part.done;
+        rounds.push({ provider, usage: result.usage, messages: [...history], reply: result.text || JSON.stringify(result.toolCalls) });
+        text += result.text;
+        if (cancelled || result.error || !result.toolCalls.length) break;
+        // Providers may ignore tool_choice "none"; the model gets no more calls once the rounds are used up.
+        if (round >= MAX_TOOL_ROUNDS) {
+          result = { ...result, error: { code: "TOOL_ROUND_LIMIT", message: `no answer after ${MAX_TOOL_ROUNDS} model calls` } };
+          push(event("error", result.error));
+          push(event("done", { finishReason: "error" }));
+          break;
+        }
+
+        await runToolCalls(env, { bot, tools, calls: result.toolCalls, text: result.text, history, toolCalls, secrets,
+          onCall: (call) => push(event("tool_call", { id: call.id, name: call.name, arguments: call.arguments })),
+          onResult: (call) => push(event("tool_result", publicToolCall(call))),
+        });
+        if (cancelled) break;
+        // Text the model wrote before calling tools stays in the reply, separated from what follows.
+        if (result.text) {
+          text += "\n\n";
+          push(event("token", { text: "\n\n" }));
+        }
+        const next = await callModel(env, { model, messages: history, stream: true, params: round + 1 >= MAX_TOOL_ROUNDS ? { ...params, tool_choice: "none" } : params });
+        provider = next.provider;
+        if (!next.response.ok || !next.response.body) {
+          result = { error: { code: "UPSTREAM_ERROR", message: `upstream error ${next.response.status}` } };
+          push(event("error", result.error));
+          push(event("done", { finishReason: "error" }));
+          break;
+        }
+        body = next.response.body;
+      }
+    } catch (e) {
+      result = { error: { code: e?.code || "STREAM_ERROR", message: String(e?.message || e).slice(0, 300) } };
+      push(event("error", result.error));
+      push(event("done", { finishReason: "error" }));
+    }
+    if (!cancelled) controller.close();
+    settle({ text, usage: result?.usage || null, error: result?.error || null, rounds, toolCalls });
+  };
+
+  return {
+    done,
+    stream: new ReadableStream({
+      start(controller) {
+        run(controller);
+      },
+      cancel(reason) {
+        cancelled = true;
+        return reader?.cancel(reason);
+      },
+    }),
+  };
+}
+
+// completeChat with the bot's tools, for callers that do not stream: runs the calls the model asks for and asks
+// again with the results, for up to MAX_TOOL_ROUNDS model calls. Returns the final { text, provider } with
+// `rounds` ({ provider, usage, messages, reply } per model call) and `toolCalls`, plus a TOOL_ROUND_LIMIT
+// `error` when the last allowed call still asked for tools instead of answering.
+async function completeWithTools(env, { bot, model, messages, params, tools }) {
+  const history = [...messages];
+  const rounds = [];
+  const toolCalls = [];
+  const secrets = new Map();
+  let text = "";
+  for (let round = 1; ; round++) {
+    const offered = tools.length ? { ...params, tools: tools.map(openAiTool), ...(round >= MAX_TOOL_ROUNDS ? { tool_choice: "none" } : {}) } : params;
+    const reply = await completeChat(env, model, history, offered);
+    rounds.push({ provider: reply.provider, usage: reply.usage, messages: [...history], reply: reply.text || JSON.stringify(reply.toolCalls) });
+    text += reply.text;
+    if (!tools.length || !reply.toolCalls.length) return { text: text.trim(), provider: reply.provider, rounds, toolCalls };
+    // Providers may ignore tool_choice "none"; calls asked for in the last allowed round are not run.
+    if (round >= MAX_TOOL_ROUNDS) {
+      const error = { code: "TOOL_ROUND_LIMIT", message: `no answer after ${MAX_TOOL_ROUNDS} model calls` };
+      return { text: text.trim(), provider: reply.provider, rounds, toolCalls, error };
+    }
+    await runToolCalls(env, { bot, tools, calls: reply.toolCalls, text: reply.text, history, toolCalls, secrets });
+    if (reply.text) text += "\n\n";
+  }
+}
+
+// Runs one round of tool calls in order, appending the model's turn and each result to `history` and the
+// finished calls to `toolCalls`. Calls beyond MAX_TOOL_CALLS_PER_TURN are answered with an error, since the
+// model expects a result for every call it made.
+async function runToolCalls(env, { bot, tools, calls, text, history, toolCalls, secrets, onCall = () => {}, onResult = () => {} }) {
+  history.push({ role: "assistant", content: text || null, tool_calls: calls.map((c) => ({ id: c.id, type: "function", function: { name: c.name, arguments: c.arguments } })) });
+  for (const call of calls) {
+    onCall(call);
+    const result = toolCalls.length >= MAX_TOOL_CALLS_PER_TURN
+      ? { ...call, ok: false, error: "TOOL_CALL_LIMIT", durationMs: 0, content: JSON.stringify({ error: `at most ${MAX_TOOL_CALLS_PER_TURN} tool calls per message` }) }
+      : await runToolCall(env, bot, tools, call, secrets);
+    toolCalls.push(result);
+    onResult(result);
+    history.push({ role: "tool", tool_call_id: call.id, content: result.content });
+  }
+}
+
+// Makes one HTTP request for a tool call. Never throws: unknown tools, arguments that fail the tool's
+// parameter schema, missing secrets, timeouts and HTTP errors are all reported back to the model as JSON
+// in `content`, so it can correct itself or tell the user.
+async function runToolCall(env, bot, tools, call, secrets) {
+  const startedAt = Date.now();
+  const finish = (outcome, content) => ({ ...call, ...outcome, durationMs: Date.now() - startedAt, content: JSON.stringify(content) });
+  const tool = tools.find((t) => t.name === call.name);
+  if (!tool) return finish({ ok: false, error: "UNKNOWN_TOOL" }, { error: `unknown tool "${call.name}"` });
+  let args;
+  try { args = call.arguments.trim() ? JSON.parse(call.arguments) : {}; } catch { args = null; }
+  if (!isPlainObject(args)) return finish({ ok: false, error: "INVALID_ARGUMENTS" }, { error: "arguments must be a JSON object" });
+  const problems = validateSchema(args, tool.parameters || { type: "object" }, "arguments");
+  if (problems.length) return finish({ ok: false, error: "INVALID_ARGUMENTS" }, { error: "invalid arguments", details: problems.slice(0, 5) });
+
+  try {
+    const { url, init } = await toolRequest(env, bot, tool, args, secrets);
+    const res = await fetch(url, { ...init, signal: AbortSignal.timeout(Math.min(tool.timeoutMs || DEFAULT_TOOL_TIMEOUT_MS, MAX_TOOL_TIMEOUT_MS)) });
+    const { text, truncated } = await readLimited(res, MAX_TOOL_RESPONSE_BYTES);
+    let body = text;
+    if (!truncated) {
+      try { body = JSON.parse(text); } catch { /* plain text */ }
+    }
+    return finish({ ok: res.ok, status: res.status, ...(truncated ? { truncated } : {}) }, { status: res.status, body, ...(truncated ? { truncated: `first ${MAX_TOOL_RESPONSE_BYTES} bytes only` } : {}) });
+  } catch (e) {
+    const code = e?.name === "TimeoutError" ? "TOOL_TIMEOUT" : e?.code || "TOOL_ERROR";
+    return finish({ ok: false, error: code }, { error: code === "TOOL_TIMEOUT" ? "the tool did not answer in time" : String(e?.message || e).slice(0, 300) });
+  }
+}
+
+// Arguments named in the URL template fill it in; the rest go into the query string (GET, DELETE) or a JSON body.
+// Values are percent-encoded, which leaves "." and ".." alone; URL parsing would resolve those as path
+// segments and send the request to a different endpoint than the template names, so they are refused.
+async function toolRequest(env, bot, tool, args, secrets) {
+  const used = new Set();
+  const text = (v) => (typeof v === "object" ? JSON.stringify(v) : String(v));
+  const url = new URL(tool.url.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (_, key) => {
+    used.add(key);
+    if (args[key] == null) return "";
+    const value = text(args[key]);
+    if (value === "." || value === "..") throw httpError(`argument ${key} cannot be "${value}"`, "INVALID_ARGUMENTS", 400);
+    return encodeURIComponent(value);
+  }));
+  const method = tool.method || "GET";
+  const rest = Object.fromEntries(Object.entries(args).filter(([key, value]) => !used.has(key) && value !== undefined));
+  const headers = { accept: "application/json", ...(tool.headers || {}) };
+  if (tool.auth) {
+    const secret = await botSecret(env, bot, tool.auth.secret, secrets);
+    if (secret === null) throw httpError(`secret ${tool.auth.secret} is not set for this bot`, "TOOL_SECRET_MISSING", 500);
+    headers[tool.auth.header || "Authorization"] = tool.auth.scheme ? `${tool.auth.scheme} ${secret}` : secret;
+  }
+  if (method === "GET" || method === "DELETE") {
+    for (const [key, value] of Object.entries(rest)) url.searchParams.set(key, text(value));
+    return { url: url.toString(), init: { method, headers } };
+  }
+  return { url: url.toString(), init: { method, headers: { ...headers, "content-type": "application/json" }, body: JSON.stringify(rest) } };
+}
+
+// Reads at most `maxBytes` of a response body and cancels the rest.
+async function readLimited(response, maxBytes) {
+  if (!response.body) return { text: "", truncated: false };
+  const reader = response.body.getReader();
+  const bytes = new Uint8Array(maxBytes);
+  let size = 0;
+  let truncated = false;
+  for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+    const room = maxBytes - size;
+    bytes.set(chunk.value.subarray(0, room), size);
+    size += Math.min(chunk.value.byteLength, room);
+    if (chunk.value.byteLength > room) {
+      truncated = true;
+      reader.cancel().catch(() => {});
+      break;
+    }
+  }
+  return { text: new TextDecoder().decode(bytes.subarray(0, size)), truncated };
+}
+
+// Bot secrets are read once per message; `cache` is a Map shared by the message's tool calls.
+async function botSecret(env, bot, name, cache) {
+  if (!cache.has(name)) cache.set(name, (await storage(env).secrets.get(bot, name))?.value ?? null);
+  return cache.get(name);
+}
+
+// A tool call for event streams, flow replies and transcripts: what was called and how it went, not the response.
+function publicToolCall(call) {
+  const info = { id: call.id, name: call.name, arguments: call.arguments, ok: call.ok, durationMs: call.durationMs };
+  if (call.status !== undefined) info.status = call.status;
+  if (call.error) info.error = call.error;
+  if (call.truncated) info.truncated = true;
+  return info;
+}
+
+function toolTranscriptMessage(call) {
+  const { id, ...meta } = publicToolCall(call);
+  return { role: "tool", content: call.content, latency_ms: call.durationMs, meta: { toolCallId: id, ...meta } };
+}
+
+// Text operators compare trimmed and case-insensitively; gt/gte/lt/lte need both sides to be numbers.
+// The variable falls back to the last input, except for exists/empty which test the variable itself.
+function evaluateCondition(node, vars) {
+  const operator = node.operator || "eq";
+  if (operator === "exists" || operator === "empty") {
+    const present = vars[node.conditionVar] != null && String(vars[node.conditionVar]).trim() !== "";
+    return operator === "exists" ? present : !present;
+  }
+  const actual = String(vars[node.conditionVar] ?? vars.last_input ?? "").trim();
+  const expected = String(node.conditionValue ?? "").trim();
+  const a = actual.toLowerCase();
+  const b = expected.toLowerCase();
+  switch (operator) {
+    case "neq": return a !== b;
+    case "contains": return a.includes(b);
+    case "not_contains": return !a.includes(b);
+    case "starts_with": return a.startsWith(b);
+    case "ends_with": return a.endsWith(b);
+    case "gt": case "gte": case "lt": case "lte": {
+      const x = actual === "" ? NaN : Number(actual);
+      const y = expected === "" ? NaN : Number(expected);
+      if (!Number.isFinite(x) || !Number.isFinite(y)) return false;
+      return operator === "gt" ? x > y : operator === "gte" ? x >= y : operator === "lt" ? x < y : x <= y;
+    }
+    case "regex":
+      try { return new RegExp(expected, "iu").test(actual); } catch { return false; }
+    default: return a === b;
+  }
+}
+
+function waitingInfo(node, session) {
+  const info = { nodeId: node.id, type: node.type };
+  if (node.type === "buttons" || node.type === "quick_replies") info.options = choiceLabels(node);
+  if (node.type === "form") info.field = publicFormField(formFields(node)[Number(session?.form?.field) || 0]);
+  return info;
+}
+
+function formFields(node) {
+  const fields = (Array.isArray(node.fields) ? node.fields : []).filter((f) => isPlainObject(f) && f.name);
+  if (!fields.length) throw httpError(`form node ${node.id} has no fields`, "FLOW_BAD_NODE", 422);
+  return fields;
+}
+
+function publicFormField(field) {
+  const info = { name: field.name, type: field.type || "text", required: field.required !== false };
+  if (field.type === "select") info.options = (Array.isArray(field.options) ? field.options : []).map(String);
+  return info;
+}
+
+const FORM_FIELD_LABELS = {
+  text: "Please type your answer.",
+  name: "What is your name?",
+  email: "What is your email address?",
+  phone: "What is your phone number?",
+  select: "Please choose one:",
+  date: "Which date? (YYYY-MM-DD)",
+};
+const FORM_FIELD_ERRORS = {
+  text: "Please type an answer.",
+  name: "Please enter your name using letters only.",
+  email: "That does not look like an email address, e.g. name@example.com.",
+  phone: "That does not look like a phone number, e.g. 09 7xx xxx xxx or +95 9 7xx xxx xxx.",
+  select: "Please pick one of the options.",
+  date: "Please enter a date as YYYY-MM-DD or DD/MM/YYYY.",
+};
+
+// The message asking for one form field; after a rejected reply `error` is put in front of the question.
+function formPrompt(node, field, vars, error) {
+  const type = field.type || "text";
+  const question = interpolate(field.label || FORM_FIELD_LABELS[type], vars);
+  const message = { nodeId: node.id, type: "form", text: question, field: publicFormField(field) };
+  if (error) Object.assign(message, { text: `${field.error ? interpolate(field.error, vars) : error}\n${question}`, invalid: true });
+  return message;
+}
+
+// Checks one reply against its field: { value } (undefined for a skipped optional field) or { error }.
+function parseFormAnswer(field, input) {
+  const type = field.type || "text";
+  const raw = String(input).trim();
+  if (field.required === false && FORM_SKIP_WORDS.includes(raw.toLowerCase())) return { value: undefined };
+  const value = type === "text" ? (raw && raw.length <= 1000 ? raw : null)
+    : type === "name" ? normalizeName(raw)
+    : type === "email" ? normalizeEmail(raw)
+    : type === "phone" ? normalizePhone(raw)
+    : type === "date" ? normalizeDate(raw)
+    : matchFormOption(field, raw);
+  return value === null ? { error: FORM_FIELD_ERRORS[type] || FORM_FIELD_ERRORS.text } : { value };
+}
+
+// Myanmar digits (၀-၉) as ASCII so phone numbers and dates can be typed on a Myanmar keyboard.
+function asciiDigits(text) {
+  return String(text).replace(/[\u1040-\u1049]/g, (d) => String(d.charCodeAt(0) - 0x1040));
+}
+
+function normalizeName(text) {
+  const name = text.replace(/\s+/g, " ");
+  return name.length <= 100 && /^[\p{L}\p{M}][\p{L}\p{M} .'’-]*$/u.test(name) ? name : null;
+}
+
+function normalizeEmail(text) {
+  return text.length <= 254 && /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/.test(text) ? text.toLowerCase() : null;
+}
+
+// Returns E.164. Myanmar numbers may be local (09…, 01…), +95 / 0095 with or without the trunk 0, or 959…;
+// anything else needs an international prefix (+ or 00).
+function normalizePhone(text) {
+  const digits = asciiDigits(text).replace(/[\s().-]/g, "");
+  let m = /^(?:\+|00)950?(\d{6,10})$/.exec(digits) || /^0(\d{6,10})$/.exec(digits) || /^95(9\d{7,9})$/.exec(digits);
+  if (m) return `+95${m[1]}`;
+  m = /^(?:\+|00)([1-9]\d{7,14})$/.exec(digits);
+  return m ? `+${m[1]}` : null;
+}
+
+// YYYY-MM-DD, or day first (DD/MM/YYYY, DD-MM-YYYY, DD.MM.YYYY); returns YYYY-MM-DD for real dates only.
+function normalizeDate(text) {
+  const value = asciiDigits(text).replace(/\s+/g, "");
+  let m = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+  const [y, mo, d] = m ? [m[1], m[2], m[3]] : (m = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(value)) ? [m[3], m[2], m[1]] : [];
+  if (!y) return null;
+  const date = new Date(Date.UTC(Number(y), Number(mo) - 1, Number(d)));
+  if (date.getUTCFullYear() !== Number(y) || date.getUTCMonth() !== Number(mo) - 1 || date.getUTCDate() !== Number(d)) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+// A select reply is an option (ignoring case) or its 1-based number.
+function matchFormOption(field, text) {
+  const options = Array.isArray(field.options) ? field.options.map(String) : [];
+  const wanted = asciiDigits(text).trim().toLowerCase();
+  const byNumber = /^\d+$/.test(wanted) ? options[Number(wanted) - 1] : undefined;
+  return byNumber ?? options.find((o) => o.trim().toLowerCase() === wanted) ?? null;
+}
+
+function choiceLabels(node) {
+  return (Array.isArray(node.options) ? node.options : []).map((o) => String(o?.label ?? "")).filter(Boolean);
+}
+
+// The option a reply picks: exact label or value, ignoring case and surrounding space.
+function matchChoice(node, input) {
+  const wanted = String(input).trim().toLowerCase();
+  return (Array.isArray(node.options) ? node.options : []).find((o) => isPlainObject(o) && [o.label, o.value].some((v) => v != null && String(v).trim().toLowerCase() === wanted)) || null;
+}
+
+function splitOptions(content) {
+  return String(content || "").split("|").map((x) => x.trim()).filter(Boolean);
+}
+
+// Brings a stored bot definition up to BOT_SCHEMA_VERSION. Version 1 (no schemaVersion) kept button and
+// carousel entries in an "A | B" content string, had equality conditions only and used "" for "no jump".
+function upgradeBotState(state) {
+  if (!isPlainObject(state) || Number(state.schemaVersion) >= BOT_SCHEMA_VERSION) return state;
+  const nodes = Array.isArray(state.nodes) ? state.nodes.map((node) => {
+    if (!isPlainObject(node)) return node;
+    const n = { ...node };
+    if ((n.type === "buttons" || n.type === "quick_replies") && !Array.isArray(n.options)) {
+      n.options = splitOptions(n.content).map((label) => ({ label }));
+      delete n.content;
+    }
+    if (n.type === "carousel" && !Array.isArray(n.cards)) {
+      n.cards = splitOptions(n.content).map((title) => ({ title }));
+      delete n.content;
+    }
+    if (n.type === "condition" && !n.operator) n.operator = "eq";
+    for (const key of ["nextNodeId", "elseNodeId", "conditionVar", "variable"]) if (n[key] === "") delete n[key];
+    return n;
+  }) : state.nodes;
+  return { ...state, schemaVersion: BOT_SCHEMA_VERSION, nodes };
+}
+
+// Schema and flow checks for a bot definition. Each issue is { path, code, message }; errors block saves,
+// warnings are only reported. Graph checks: duplicate ids, dangling references, unreachable nodes and
+// loops that never wait for input (INFINITE_LOOP when no condition can leave them, POSSIBLE_LOOP otherwise).
+function validateBotState(state, env) {
+  const errors = validateSchema(state, BOT_STATE_SCHEMA, "state").map((e) => ({ ...e, code: "SCHEMA" }));
+  const warnings = [];
+  if (!isPlainObject(state) || !Array.isArray(state.nodes)) return { errors, warnings };
+  const nodes = state.nodes;
+
+  const toolNames = new Map();
+  (Array.isArray(state.tools) ? state.tools : []).forEach((tool, i) => {
+    if (!isPlainObject(tool) || typeof tool.name !== "string") return;
+    if (toolNames.has(tool.name)) errors.push({ path: `state.tools[${i}].name`, code: "DUPLICATE_ID", message: `duplicates state.tools[${toolNames.get(tool.name)}].name "${tool.name}"` });
+    else toolNames.set(tool.name, i);
+  });
+
+  const schemaNames = new Map();
+  (Array.isArray(state.schemas) ? state.schemas : []).forEach((entry, i) => {
+    if (!isPlainObject(entry) || typeof entry.name !== "string") return;
+    if (schemaNames.has(entry.name)) errors.push({ path: `state.schemas[${i}].name`, code: "DUPLICATE_ID", message: `duplicates state.schemas[${schemaNames.get(entry.name)}].name "${entry.name}"` });
+    else schemaNames.set(entry.name, i);
+    if (isPlainObject(entry.schema)) errors.push(...outputSchemaProblems(entry.schema, `state.schemas[${i}].schema`));
+  });
+
+  const ids = new Map();
+  nodes.forEach((node, i) => {
+    const path = `state.nodes[${i}]`;
+    const spec = isPlainObject(node) ? FLOW_NODE_TYPES[node.type] : null;
+    if (!spec) {
+      errors.push(isPlainObject(node)
+        ? { path: `${path}.type`, code: "SCHEMA", message: `must be one of ${Object.keys(FLOW_NODE_TYPES).join(", ")}` }
+        : { path, code: "SCHEMA", message: "must be object" });
+      return;
+    }
+    const schema = { type: "object", required: ["id", "type", ...(spec.required || [])], additionalProperties: false, properties: { ...FLOW_NODE_BASE, ...spec.properties } };
+    errors.push(...validateSchema(node, schema, path).map((e) => ({ ...e, code: "SCHEMA" })));
+    if (typeof node.id !== "string") return;
+    if (ids.has(node.id)) errors.push({ path: `${path}.id`, code: "DUPLICATE_ID", message: `duplicates state.nodes[${ids.get(node.id)}].id "${node.id}"` });
+    else ids.set(node.id, i);
+  });
+
+  const edges = nodes.map((node, i) => {
+    if (!isPlainObject(node)) return [];
+    const path = `state.nodes[${i}]`;
+    const target = (id, at) => {
+      if (id === undefined || id === "") return i + 1;
+      if (!ids.has(id)) {
+        errors.push({ path: at, code: "DANGLING_REFERENCE", message: `points at missing node "${id}"` });
+        return null;
+      }
+      return ids.get(id);
+    };
+    const next = target(node.nextNodeId, `${path}.nextNodeId`);
+    if (node.type === "condition") return [next, target(node.elseNodeId, `${path}.elseNodeId`)];
+    if (node.type === "buttons" || node.type === "quick_replies") {
+      const options = Array.isArray(node.options) ? node.options : [];
+      return [...options.map((o, j) => target(o?.nextNodeId, `${path}.options[${j}].nextNodeId`)), next];
+    }
+    return [next];
+  }).map((list) => [...new Set(list.filter((t) => t !== null && t < nodes.length))]);
+
+  nodes.forEach((node, i) => {
+    if (!isPlainObject(node)) return;
+    const path = `state.nodes[${i}]`;
+    if (node.type === "condition") {
+      const operator = node.operator || "eq";
+      if (operator !== "exists" && operator !== "empty" && (node.conditionValue === undefined || node.conditionValue === "")) {
+        errors.push({ path: `${path}.conditionValue`, code: "MISSING_VALUE", message: `is required for operator "${operator}"` });
+      } else if (["gt", "gte", "lt", "lte"].includes(operator) && !Number.isFinite(Number(node.conditionValue))) {
+        errors.push({ path: `${path}.conditionValue`, code: "SCHEMA", message: `must be a number for operator "${operator}"` });
+      } else if (operator === "regex") {
+        try { new RegExp(String(node.conditionValue), "iu"); } catch (e) { errors.push({ path: `${path}.conditionValue`, code: "INVALID_REGEX", message: e.message }); }
+      }
+    }
+    if (node.type === "form" && Array.isArray(node.fields)) {
+      const names = new Map();
+      node.fields.forEach((field, j) => {
+        if (!isPlainObject(field)) return;
+        const at = `${path}.fields[${j}]`;
+        if (names.has(field.name)) errors.push({ path: `${at}.name`, code: "DUPLICATE_ID", message: `duplicates ${path}.fields[${names.get(field.name)}].name "${field.name}"` });
+        else names.set(field.name, j);
+        if (field.type === "select" && !(Array.isArray(field.options) && field.options.length)) {
+          errors.push({ path: `${at}.options`, code: "MISSING_VALUE", message: "is required for select fields" });
+        }
+      });
+    }
+    if (node.type === "ai") {
+      (Array.isArray(node.tools) ? node.tools : []).forEach((name, j) => {
+        if (!toolNames.has(name)) errors.push({ path: `${path}.tools[${j}]`, code: "DANGLING_REFERENCE", message: `points at missing tool "${name}"` });
+      });
+      const personaId = node.persona || state.persona;
+      const persona = listPersonas(state).find((p) => p.id.toLowerCase() === String(personaId || "default").toLowerCase());
+      if (personaId && !persona) {
+        errors.push({ path: node.persona ? `${path}.persona` : "state.persona", code: "MISSING_AI_CONFIG", message: `unknown persona "${personaId}"` });
+      }
+      const model = node.model || persona?.model || state.model;
+      if (!model) {
+        warnings.push({ path, code: "MISSING_AI_CONFIG", message: `no model set on the node, its persona or the bot; ${DEFAULT_FLOW_MODEL} will be used` });
+      } else if (env) {
+        const providers = loadProviders(env);
+        if (!routeModel(env, model).some((id) => providers[id])) {
+          warnings.push({ path: node.model ? `${path}.model` : path, code: "MISSING_AI_CONFIG", message: `no configured provider serves model "${model}"` });
+        }
+      }
+    }
+  });
+
+  const scheduleIds = new Map();
+  (Array.isArray(state.schedules) ? state.schedules : []).forEach((schedule, i) => {
+    if (!isPlainObject(schedule)) return;
+    const path = `state.schedules[${i}]`;
+    if (typeof schedule.id === "string") {
+      if (scheduleIds.has(schedule.id)) errors.push({ path: `${path}.id`, code: "DUPLICATE_ID", message: `duplicates state.schedules[${scheduleIds.get(schedule.id)}].id "${schedule.id}"` });
+      else scheduleIds.set(schedule.id, i);
+    }
+    if (typeof schedule.cron === "string") {
+      try {
+        if (!nextCronTime(schedule.cron, new Date())) errors.push({ path: `${path}.cron`, code: "INVALID_CRON", message: "never matches a date" });
+      } catch (e) {
+        errors.push({ path: `${path}.cron`, code: "INVALID_CRON", message: e.message });
+      }
+    }
+    if (schedule.persona && !listPersonas(state).some((p) => p.id.toLowerCase() === String(schedule.persona).toLowerCase())) {
+      errors.push({ path: `${path}.persona`, code: "MISSING_AI_CONFIG", message: `unknown persona "${schedule.persona}"` });
+    }
+  });
+
+  // Reachability from the first node.
+  const reached = new Set(nodes.length ? [0] : []);
+  const queue = [...reached];
+  while (queue.length) {
+    for (const next of edges[queue.shift()]) {
+      if (!reached.has(next)) {
+        reached.add(next);
+        queue.push(next);
+      }
+    }
+  }
+  nodes.forEach((node, i) => {
+    if (!reached.has(i)) warnings.push({ path: `state.nodes[${i}]`, code: "UNREACHABLE_NODE", message: `node "${node?.id}" can never be reached from the first node` });
+  });
+
+  // Cycles among nodes that never wait for input (Tarjan's strongly connected components).
+  const passes = (i) => isPlainObject(nodes[i]) && !WAITING_NODE_TYPES.has(nodes[i].type);
+  const order = new Map();
+  const low = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const visit = (v) => {
+    order.set(v, order.size);
+    low.set(v, order.get(v));
+    stack.push(v);
+    onStack.add(v);
+    for (const w of edges[v].filter(passes)) {
+      if (!order.has(w)) {
+        visit(w);
+        low.set(v, Math.min(low.get(v), low.get(w)));
+      } else if (onStack.has(w)) {
+        low.set(v, Math.min(low.get(v), order.get(w)));
+      }
+    }
+    if (low.get(v) !== order.get(v)) return;
+    const component = [];
+    let w;
+    do {
+      w = stack.pop();
+      onStack.delete(w);
+      component.push(w);
+    } while (w !== v);
+    if (component.length === 1 && !edges[v].includes(v)) return;
+    component.sort((a, b) => a - b);
+    const names = component.map((i) => nodes[i].id).join(" → ");
+    if (component.some((i) => nodes[i].type === "condition")) {
+      warnings.push({ path: `state.nodes[${component[0]}]`, code: "POSSIBLE_LOOP", message: `nodes ${names} form a loop without waiting for input; it only ends if a condition leaves it` });
+    } else {
+      errors.push({ path: `state.nodes[${component[0]}]`, code: "INFINITE_LOOP", message: `nodes ${names} loop forever without waiting for input` });
+    }
+  };
+  nodes.forEach((_, i) => {
+    if (passes(i) && !order.has(i)) visit(i);
+  });
+
+  return { errors, warnings };
+}
+
+// Fills {{name}} and {{a.b}} placeholders from the variables' own properties only, so "constructor" or
+// "__proto__" never reach Object.prototype.
+function interpolate(template, vars) {
+  const own = (o, k) => (o != null && typeof o === "object" && Object.hasOwn(o, k) ? o[k] : undefined);
+  return String(template).replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (_, key) => {
+    const value = own(vars, key) ?? key.split(".").reduce(own, vars);
+    if (value == null) return "";
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+  });
+}
+
+function isPlainObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+// Checks `value` against a small JSON Schema subset: type, enum, properties, required, additionalProperties,
+// items, minimum/maximum, minLength/maxLength, pattern and minItems/maxItems. Returns [{ path, message }].
+function validateSchema(value, schema, path = "value") {
+  const errors = [];
+  if (!schema || typeof schema !== "object") return errors;
+  const fail = (message, at = path) => errors.push({ path: at, message });
+  const types = schema.type === undefined ? [] : [].concat(schema.type);
+  if (types.length && !types.some((t) => schemaTypeMatches(value, t))) {
+    fail(`must be ${types.join(" or ")}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.some((option) => option === value)) fail(`must be one of ${schema.enum.map((o) => JSON.stringify(o)).join(", ")}`);
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must be at least ${schema.minLength} chars`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} chars`);
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, "u").test(value)) fail(`must match ${schema.pattern}`);
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+  }
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) fail("is required", `${path}.${key}`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) errors.push(...validateSchema(item, properties[key], `${path}.${key}`));
+      else if (schema.additionalProperties === false) fail("is not allowed", `${path}.${key}`);
+      else if (isPlainObject(schema.additionalProperties)) errors.push(...validateSchema(item, schema.additionalProperties, `${path}.${key}`));
+    }
+  }
+  return errors;
+}
+
+function schemaTypeMatches(value, type) {
+  if (type === "integer") return Number.isInteger(value);
+  if (type === "number") return typeof value === "number" && Number.isFinite(value);
+  if (type === "object") return isPlainObject(value);
+  if (type === "array") return Array.isArray(value);
+  if (type === "null") return value === null;
+  return typeof value === type;
+}
+
+// Checks a caller-supplied JSON schema for automation output: the root must describe an object (what JSON mode
+// returns) and only keywords validateSchema understands may appear. Returns validateBotState-style problems.
+function outputSchemaProblems(schema, path = "schema") {
+  if (JSON.stringify(schema).length > MAX_OUTPUT_SCHEMA_BYTES) return [{ path, code: "SCHEMA", message: `must be at most ${MAX_OUTPUT_SCHEMA_BYTES} bytes as JSON` }];
+  const problems = [];
+  const walk = (node, at) => {
+    if (!isPlainObject(node)) {
+      problems.push({ path: at, code: "SCHEMA", message: "must be object" });
+      return;
+    }
+    for (const key of Object.keys(node)) {
+      if (!OUTPUT_SCHEMA_KEYWORDS.includes(key)) problems.push({ path: `${at}.${key}`, code: "UNSUPPORTED_KEYWORD", message: `is not supported; use ${OUTPUT_SCHEMA_KEYWORDS.join(", ")}` });
+    }
+    const types = node.type === undefined ? [] : [].concat(node.type);
+    if (types.some((t) => !OUTPUT_SCHEMA_TYPES.includes(t))) problems.push({ path: `${at}.type`, code: "SCHEMA", message: `must be one of ${OUTPUT_SCHEMA_TYPES.join(", ")}` });
+    if (node.enum !== undefined && !Array.isArray(node.enum)) problems.push({ path: `${at}.enum`, code: "SCHEMA", message: "must be array" });
+    if (node.required !== undefined && !(Array.isArray(node.required) && node.required.every((k) => typeof k === "string"))) {
+      problems.push({ path: `${at}.required`, code: "SCHEMA", message: "must be an array of property names" });
+    }
+    for (const key of ["minLength", "maxLength", "minimum", "maximum", "minItems", "maxItems"]) {
+      if (node[key] !== undefined && !Number.isFinite(node[key])) problems.push({ path: `${at}.${key}`, code: "SCHEMA", message: "must be number" });
+    }
+    if (node.pattern !== undefined) {
+      try { new RegExp(String(node.pattern), "u"); } catch (e) { problems.push({ path: `${at}.pattern`, code: "INVALID_REGEX", message: e.message }); }
+    }
+    if (node.items !== undefined) walk(node.items, `${at}.items`);
+    if (node.properties !== undefined) {
+      if (isPlainObject(node.properties)) for (const [key, child] of Object.entries(node.properties)) walk(child, `${at}.properties.${key}`);
+      else problems.push({ path: `${at}.properties`, code: "SCHEMA", message: "must be object" });
+    }
+    if (node.additionalProperties !== undefined && typeof node.additionalProperties !== "boolean") walk(node.additionalProperties, `${at}.additionalProperties`);
+  };
+  walk(schema, path);
+  if (isPlainObject(schema) && schema.type !== "object") problems.unshift({ path: `${path}.type`, code: "SCHEMA", message: 'must be "object"' });
+  return problems;
+}
+
+function httpError(message, code, status) {
+  const e = new Error(message);
+  e.code = code;
+  e.status = status;
+  return e;
+}
+
+// `state` is the published version, or null until the bot's first publish; drafts live in bot_versions.
+async function loadBotState(env, bot) {
+  try {
+    const row = await storage(env).bots.get(bot);
+    return { found: !!row, state: row ? row.state_json : null, owner: row?.owner || null, publicKey: row?.public_key || null, publishedVersion: row?.published_version ?? null, automationSecret: row?.automation_secret || null, updatedAt: row?.updated_at || null };
+  } catch (e) {
+    return { error: String(e?.message || e), status: 500 };
+  }
+}
+
+async function loadFlowSession(env, sessionId) {
+  const row = await storage(env).sessions.getFlow(sessionId);
+  if (!row) return null;
+  return {
+    bot: row.bot,
+    user: row.user_id ?? null,
+    cursor: row.cursor_node,
+    waiting: !!row.waiting,
+    done: !!row.done,
+    vars: isPlainObject(row.vars_json) ? row.vars_json : {},
+    form: isPlainObject(row.form_json) ? row.form_json : null,
+  };
+}
+
+async function saveFlowSession(env, sessionId, session) {
+  await storage(env).sessions.putFlow({
+    session_id: sessionId,
+    bot: session.bot,
+    user_id: session.user,
+    cursor_node: session.cursor,
+    waiting: session.waiting,
+    done: session.done,
+    vars_json: session.vars,
+    form_json: session.form || null,
+  });
+}
+
+async function handleKbDocumentsGet(request, env) {
+  const url = new URL(request.url);
+  const bot = (url.searchParams.get("bot") || "default").trim();
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+  try {
+    return json({ ok: true, documents: await storage(env).kb.documents(bot) }, 200, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e) }, 500, corsHeaders(request, env));
+  }
+}
+
+async function handleKbDocumentPost(request, env) {
+  let body;
+  try { body = await request.json(); } catch { return json({ ok: false, error: "invalid json" }, 400, corsHeaders(request, env)); }
+  const bot = String(body?.bot || "default").trim();
+  const name = String(body?.name || "document").trim().slice(0, 200);
+  const content = String(body?.content || "");
+  if (!content.trim()) return json({ ok: false, error: "content required" }, 400, corsHeaders(request, env));
+  if (content.length > MAX_KB_DOC_CHARS) return json({ ok: false, error: `content exceeds ${MAX_KB_DOC_CHARS} chars` }, 413, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+
+  try {
+    const document = await indexKbDocument(env, bot, name, content);
+    return json({ ok: true, document }, 200, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
+  }
+}
+
+// Stores a document and its indexed chunks; the document row is removed again if the chunks fail.
+async function indexKbDocument(env, bot, name, content) {
+  const chunks = chunkKbText(content);
+  const rows = chunks.map((text, i) => {
+    const terms = kbTerms(text);
+    return { bot, document_name: name, chunk_index: i, content: text, terms_json: countTerms(terms), length: terms.length };
+  });
+  const id = await storage(env).kb.add({ bot, name, content, chars: content.length, chunk_count: chunks.length, created_at: new Date().toISOString() }, rows);
+  kbIndexCache.delete(bot);
+  return { id, name, chars: content.length, chunk_count: chunks.length };
+}
+
+async function handleKbDocumentDelete(request, env) {
+  const url = new URL(request.url);
+  const bot = (url.searchParams.get("bot") || "default").trim();
+  const id = (url.searchParams.get("id") || "").trim();
+  if (!/^\d+$/.test(id)) return json({ ok: false, error: "id required" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+  try {
+    await storage(env).kb.remove(bot, id);
+    kbIndexCache.delete(bot);
+    return json({ ok: true }, 200, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e) }, 500, corsHeaders(request, env));
+  }
+}
+
+async function handleKbSearch(request, env) {
+  const url = new URL(request.url);
+  const bot = (url.searchParams.get("bot") || "default").trim();
+  const q = (url.searchParams.get("q") || "").trim();
+  const k = Math.min(20, Math.max(1, Number(url.searchParams.get("k")) || KB_TOP_K));
+  if (!q) return json({ ok: false, error: "q required" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+  const results = await retrieveKb(env, bot, q, k);
+  return json({ ok: true, results: results.map((r, i) => ({ ...kbCitations([r])[0], n: i + 1, content: r.content })) }, 200, corsHeaders(request, env));
+}
+
+// Splits a document into paragraph-aligned chunks of roughly KB_CHUNK_CHARS, with overlap for long paragraphs.
+function chunkKbText(text) {
+  const paragraphs = String(text).replace(/\r\n?/g, "\n").split(/\n\s*\n/).map((p) => p.trim()).filter(Boolean);
+  const chunks = [];
+  let current = "";
+  const flush = () => { if (current.trim()) chunks.push(current.trim()); current = ""; };
+  for (const para of paragraphs) {
+    if (para.length > KB_CHUNK_CHARS) {
+      flush();
+      for (let start = 0; start < para.length; start += KB_CHUNK_CHARS - KB_CHUNK_OVERLAP) {
+        chunks.push(para.slice(start, start + KB_CHUNK_CHARS));
+        if (start + KB_CHUNK_CHARS >= para.length) break;
+      }
+      continue;
+    }
+    if (current && current.length + para.length + 2 > KB_CHUNK_CHARS) flush();
+    current += (current ? "\n\n" : "") + para;
+  }
+  flush();
+  return chunks;
+}
+
+// Lowercased word terms; Myanmar script is written without spaces, so it is indexed as character bigrams.
+function kbTerms(text) {
+  const terms = [];
+  for (const word of String(text).toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || []) {
+    if (/[\u1000-\u109f]/.test(word)) {
+      const chars = [...word];
+      if (chars.length === 1) terms.push(word);
+      for (let i = 0; i < chars.length - 1; i++) terms.push(chars[i] + chars[i + 1]);
+    } else if (word.length > 1 && !KB_STOPWORDS.has(word)) {
+      terms.push(word);
+    }
+  }
+  return terms;
+}
+
+function countTerms(terms) {
+  const counts = {};
+  for (const t of terms) counts[t] = (counts[t] || 0) + 1;
+  return counts;
+}
+
+async function loadKbIndex(env, bot) {
+  const cached = kbIndexCache.get(bot);
+  if (cached && Date.now() - cached.at < KB_CACHE_TTL_MS) return cached;
+  const chunks = await storage(env).kb.chunks(bot, KB_MAX_CHUNKS);
+  const df = {};
+  let totalLength = 0;
+  for (const c of chunks) {
+    totalLength += c.length || 0;
+    for (const t of Object.keys(c.terms_json || {})) df[t] = (df[t] || 0) + 1;
+  }
+  const index = { at: Date.now(), chunks, df, avgLength: chunks.length ? totalLength / chunks.length : 0 };
+  kbIndexCache.set(bot, index);
+  return index;
+}
+
+// BM25 (k1=1.2, b=0.75) over the bot's chunks. Returns [] when the KB is empty or unavailable.
+async function retrieveKb(env, bot, query, k) {
+  if (!bot) return [];
+  let index;
+  try {
+    index = await loadKbIndex(env, bot);
+  } catch (e) {
+    console.error("kb_index_error", e?.message || e);
+    return [];
+  }
+  if (!index.chunks.length) return [];
+
+  const queryTerms = [...new Set(kbTerms(query))];
+  const n = index.chunks.length;
+  const scored = [];
+  for (const chunk of index.chunks) {
+    const tf = chunk.terms_json || {};
+    let score = 0;
+    for (const term of queryTerms) {
+      const f = tf[term];
+      if (!f) continue;
+      const df = index.df[term] || 0;
+      const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+      score += idf * (f * 2.2) / (f + 1.2 * (1 - 0.75 + 0.75 * ((chunk.length || 0) / (index.avgLength || 1))));
+    }
+    if (score > 0) scored.push({ ...chunk, score });
+  }
+  return scored.sort((a, b) => b.score - a.score).slice(0, k);
+}
+
+function kbContext(sources) {
+  if (!sources.length) return "";
+  const blocks = sources.map((s, i) => `[${i + 1}] (${s.document_name} #${s.chunk_index + 1})\n${s.content}`);
+  return `\n\nAnswer using the knowledge base excerpts below when they are relevant and cite them as [n]. If they do not cover the question, say so.\n\n${blocks.join("\n\n")}`;
+}
+
+function kbCitations(sources) {
+  return sources.map((s, i) => ({
+    n: i + 1,
+    document: s.document_name,
+    chunk: s.chunk_index + 1,
+    score: Math.round(s.score * 1000) / 1000,
+    excerpt: String(s.content).slice(0, 200),
+  }));
+}
+
+// A user's live facts: { key: { value, source, updatedAt, expiresAt? } }. Rows written before facts_json
+// existed only have memory_json, which is read as facts with source "legacy".
+async function loadUserFacts(env, userId) {
+  if (!userId) return {};
+  try {
+    const row = await storage(env).memory.get(userId);
+    if (!row) return {};
+    if (isPlainObject(row.facts_json) && Object.keys(row.facts_json).length) return liveFacts(row.facts_json);
+    const legacy = isPlainObject(row.memory_json) ? row.memory_json : {};
+    return Object.fromEntries(Object.entries(legacy).map(([key, value]) => [key, { value, source: "legacy", updatedAt: row.updated_at }]));
+  } catch (e) {
+    console.error("memory_load_error", e?.message || e);
+    return {};
+  }
+}
+
+function liveFacts(facts) {
+  const now = Date.now();
+  return Object.fromEntries(Object.entries(isPlainObject(facts) ? facts : {}).filter(([, f]) => isPlainObject(f) && "value" in f && !(f.expiresAt && Date.parse(f.expiresAt) <= now)));
+}
+
+function memoryValues(facts) {
+  return Object.fromEntries(Object.entries(facts).map(([key, f]) => [key, f.value]));
+}
+
+async function loadUserMemory(env, userId) {
+  return memoryValues(await loadUserFacts(env, userId));
+}
+
+// Applies `set` and `remove` to the user's facts atomically and returns the result; `remove` wins over `set`.
+async function mergeUserMemory(env, userId, { set = {}, remove = [], replace = false }) {
+  return liveFacts(await storage(env).memory.merge(userId, { set, remove, replace }));
+}
+
+// Turns a `{ key: value | null }` patch into fact entries and deletions. `ttlSeconds` is one number for every
+// key or a per-key map.
+function memoryPatch(memory, { source, ttlSeconds }) {
+  if (!isPlainObject(memory)) return { error: "memory must be an object" };
+  const now = Date.now();
+  const set = {};
+  const remove = [];
+  for (const [key, value] of Object.entries(memory)) {
+    if (!MEMORY_KEY_RE.test(key)) return { error: `invalid memory key: ${key.slice(0, 64)}` };
+    if (value === null) {
+      remove.push(key);
+      continue;
+    }
+    if (JSON.stringify(value).length > MAX_MEMORY_VALUE_CHARS) return { error: `memory.${key} exceeds ${MAX_MEMORY_VALUE_CHARS} chars` };
+    const ttl = Number(isPlainObject(ttlSeconds) ? ttlSeconds[key] : ttlSeconds);
+    set[key] = { value, source, updatedAt: new Date(now).toISOString() };
+    if (ttl > 0) set[key].expiresAt = new Date(now + ttl * 1000).toISOString();
+  }
+  return { set, remove };
+}
+
+async function handleMemoryGet(request, env) {
+  const url = new URL(request.url);
+  const resolved = await resolveMemoryUser(request, env, url.searchParams.get("userId"));
+  if (resolved.response) return resolved.response;
+  const facts = await loadUserFacts(env, resolved.userId);
+  return json({ ok: true, userId: resolved.userId, memory: memoryValues(facts), facts }, 200, corsHeaders(request, env));
+}
+
+// POST replaces the whole memory; PATCH merges (a null value deletes that key).
+// Body: { userId?, memory: { key: value | null }, ttlSeconds?: number | { key: number } }.
+async function handleMemoryWrite(request, env, { replace }) {
+  let body;
+  try { body = await request.json(); } catch { return json({ ok: false, error: "invalid json" }, 400, corsHeaders(request, env)); }
+  const resolved = await resolveMemoryUser(request, env, body?.userId);
+  if (resolved.response) return resolved.response;
+  const patch = memoryPatch(body?.memory ?? {}, { source: resolved.source, ttlSeconds: body?.ttlSeconds });
+  if (patch.error) return json({ ok: false, error: patch.error }, 400, corsHeaders(request, env));
+
+  const current = replace ? {} : await loadUserFacts(env, resolved.userId);
+  const keys = new Set([...Object.keys(current), ...Object.keys(patch.set)]);
+  for (const key of patch.remove) keys.delete(key);
+  if (keys.size > MAX_MEMORY_KEYS) return json({ ok: false, error: `memory exceeds ${MAX_MEMORY_KEYS} keys` }, 400, corsHeaders(request, env));
+  try {
+    const facts = await mergeUserMemory(env, resolved.userId, { ...patch, replace });
+    return json({ ok: true, userId: resolved.userId, memory: memoryValues(facts), facts }, 200, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
+  }
+}
+
+async function handleMemoryDelete(request, env) {
+  const url = new URL(request.url);
+  const key = (url.searchParams.get("key") || "").trim();
+  if (!MEMORY_KEY_RE.test(key)) return json({ ok: false, error: "valid key required" }, 400, corsHeaders(request, env));
+  const resolved = await resolveMemoryUser(request, env, url.searchParams.get("userId"));
+  if (resolved.response) return resolved.response;
+  try {
+    const existed = key in (await loadUserFacts(env, resolved.userId));
+    const facts = await mergeUserMemory(env, resolved.userId, { remove: [key] });
+    return json({ ok: true, userId: resolved.userId, deleted: existed, memory: memoryValues(facts), facts }, 200, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
+  }
+}
+
+// Widget users can only reach their own memory; admins can reach any user's.
+async function resolveMemoryUser(request, env, requested) {
+  const auth = await getAuth(request, env);
+  const userId = String(requested || "").trim();
+  if (!auth) return { response: authError(request, env, auth) };
+  if (auth.kind === "widget") {
+    if (userId && userId !== auth.userId) return { response: authError(request, env, auth) };
+    return { userId: auth.userId, source: "user" };
+  }
+  return { userId: userId || "guest", source: "api" };
+}
+
+function memoryKeys(state) {
+  const custom = Array.isArray(state?.memory?.keys) ? state.memory.keys.filter((k) => MEMORY_KEY_RE.test(String(k?.key || ""))) : [];
+  return custom.length ? custom : DEFAULT_MEMORY_KEYS;
+}
+
+// The facts worth showing the model this turn: `always` keys plus facts whose key or value shares a term
+// with the user's message, newest first.
+function memoryContext(facts, query, keys = DEFAULT_MEMORY_KEYS) {
+  const always = new Set(keys.filter((k) => k.always).map((k) => k.key));
+  const terms = new Set(kbTerms(query));
+  const picked = Object.entries(facts)
+    .filter(([key, f]) => always.has(key) || kbTerms(`${key.replace(/([a-z])([A-Z])/g, "$1 $2")} ${memoryText(f.value)}`).some((t) => terms.has(t)))
+    .sort((a, b) => (always.has(b[0]) - always.has(a[0])) || String(b[1].updatedAt || "").localeCompare(String(a[1].updatedAt || "")))
+    .slice(0, MEMORY_CONTEXT_FACTS);
+  if (!picked.length) return "";
+  return `\n\nWhat you know about the user:\n${picked.map(([key, f]) => `- ${key}: ${memoryText(f.value)}`).join("\n")}`;
+}
+
+function memoryText(value) {
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+// Optional post-turn pass (`state.memory.extract`): asks a model for facts about the user in the latest turn
+// and merges the new or changed ones with source "extraction". Never throws.
+async function extractMemory(env, { bot, state, userId, facts, userText, replyText }) {
+  const config = isPlainObject(state?.memory) ? state.memory : {};
+  if (!config.extract || !userId || !userText) return;
+  const keys = memoryKeys(state);
+  const model = String(config.model || env.MEMORY_EXTRACT_MODEL || DEFAULT_FLOW_MODEL);
+  const messages = [
+    {
+      role: "system",
+      content: [
+        "Extract facts about the user from the conversation turn below.",
+        "Only use these keys:",
+        ...keys.map((k) => `- ${k.key}: ${k.description || k.key}`),
+        `Already known: ${JSON.stringify(memoryValues(facts))}`,
+        'Reply with JSON only: {"facts":[{"key":"...","value":"..."}]}. Include only facts the user stated or clearly implied in this turn; reply {"facts":[]} if there are none.',
+      ].join("\n"),
+    },
+    { role: "user", content: `User: ${userText}\nAssistant: ${String(replyText || "").slice(0, 2000)}` },
+  ];
+  try {
+    const { text, provider, usage } = await completeChat(env, model, messages, { temperature: 0, response_format: { type: "json_object" } });
+    await recordUsage(env, { bot, userId, sessionId: null, model, provider, source: "memory", usage, messages, reply: text });
+    const now = Date.now();
+    const set = {};
+    for (const fact of parseExtractedFacts(text)) {
+      const spec = keys.find((k) => k.key === fact.key);
+      const value = typeof fact.value === "string" ? fact.value.trim() : fact.value;
+      if (!spec || value == null || value === "" || JSON.stringify(value).length > MAX_MEMORY_VALUE_CHARS) continue;
+      if (JSON.stringify(facts[spec.key]?.value) === JSON.stringify(value)) continue;
+      set[spec.key] = { value, source: "extraction", updatedAt: new Date(now).toISOString() };
+      if (Number(spec.ttlDays) > 0) set[spec.key].expiresAt = new Date(now + Number(spec.ttlDays) * 86_400_000).toISOString();
+    }
+    if (Object.keys(set).length && Object.keys({ ...facts, ...set }).length <= MAX_MEMORY_KEYS) await mergeUserMemory(env, userId, { set });
+  } catch (e) {
+    console.error("memory_extract_error", e?.message || e);
+  }
+}
+
+// Models wrap JSON in prose or code fences now and then; take the outermost object.
+function parseExtractedFacts(text) {
+  const raw = String(text || "");
+  const start = raw.indexOf("{");
+  const end = raw.lastIndexOf("}");
+  if (start < 0 || end <= start) return [];
+  try {
+    const parsed = JSON.parse(raw.slice(start, end + 1));
+    return Array.isArray(parsed?.facts) ? parsed.facts.filter((f) => isPlainObject(f) && typeof f.key === "string") : [];
+  } catch {
+    return [];
+  }
+}
+
+// Single-event form kept for older clients; same validation as the batch endpoint.
+async function handleAnalyticsEventPost(request, env, ctx) {
+  const parsed = await readAnalyticsBody(request);
+  if (parsed.error) return json({ ok: false, error: parsed.error }, parsed.status, corsHeaders(request, env));
+  const body = parsed.body;
+  const event = { id: body?.eventId, type: body?.eventType || "message", userId: body?.userId, sessionId: body?.sessionId, nodeId: body?.nodeId, meta: body?.meta };
+  return ingestAnalyticsEvents(request, env, { bot: body?.bot, token: body?.token, events: [event] }, ctx);
+}
+
+// Batch ingestion: { bot?, token?, events: [{ id, type, sessionId, nodeId?, userId?, ts?, meta? }] }.
+// `token` stands in for the Authorization header because navigator.sendBeacon cannot set headers.
+async function handleAnalyticsEventsPost(request, env, ctx) {
+  const parsed = await readAnalyticsBody(request);
+  if (parsed.error) return json({ ok: false, error: parsed.error }, parsed.status, corsHeaders(request, env));
+  const body = parsed.body;
+  if (!Array.isArray(body?.events) || !body.events.length) return json({ ok: false, error: "events required" }, 400, corsHeaders(request, env));
+  if (body.events.length > MAX_ANALYTICS_BATCH) {
+    return json({ ok: false, error: `at most ${MAX_ANALYTICS_BATCH} events per batch` }, 413, corsHeaders(request, env));
+  }
+  return ingestAnalyticsEvents(request, env, body, ctx);
+}
+
+// Parses the body whatever its content type: beacons arrive as text/plain.
+async function readAnalyticsBody(request) {
+  if (Number(request.headers.get("content-length")) > MAX_ANALYTICS_BODY_BYTES) return { error: "body too large", status: 413 };
+  const text = await request.text();
+  if (new TextEncoder().encode(text).length > MAX_ANALYTICS_BODY_BYTES) return { error: "body too large", status: 413 };
+  try {
+    return { body: JSON.parse(text) };
+  } catch {
+    return { error: "invalid json", status: 400 };
+  }
+}
+
+async function ingestAnalyticsEvents(request, env, body, ctx) {
+  const auth = await getAuth(request, env, String(body?.token || ""));
+  if (!auth) return authError(request, env, auth);
+  // Widget users can only log events for their own bot; admins for bots they own.
+  const bot = auth.kind === "widget" ? auth.bot : String(body?.bot || "").trim().slice(0, 128);
+  if (bot && auth.kind === "admin") {
+    const record = await loadBotState(env, bot);
+    if (record.found && !canAccessBot(auth, bot, record)) return authError(request, env, auth);
+  }
+
+  const rows = [];
+  const rejected = [];
+  const seen = new Set();
+  body.events.forEach((event, index) => {
+    const result = normalizeAnalyticsEvent(event, { auth, bot });
+    if (result.error) rejected.push({ index, error: result.error });
+    else if (!result.row.event_id || !seen.has(result.row.event_id)) {
+      if (result.row.event_id) seen.add(result.row.event_id);
+      rows.push(result.row);
+    }
+  });
+  if (!rows.length) return json({ ok: false, error: "no valid events", rejected }, 400, corsHeaders(request, env));
+
+  try {
+    // Webhooks go out for the rows actually stored, so a retried batch does not notify twice.
+    const stored = await storage(env).analytics.insert(rows);
+    if (stored.length) await queueWebhookEvents(env, analyticsWebhookEvents(stored), ctx);
+    return json({ ok: true, accepted: stored.length, duplicates: body.events.length - rejected.length - stored.length, rejected }, 200, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e) }, 500, corsHeaders(request, env));
+  }
+}
+
+// Validates one client event against the registry and maps it to an analytics_events row.
+function normalizeAnalyticsEvent(event, { auth, bot }) {
+  if (!isPlainObject(event)) return { error: "event must be an object" };
+  const type = String(event.type || "");
+  const schema = ANALYTICS_EVENT_TYPES[type];
+  if (!schema) return { error: `unknown event type: ${type.slice(0, 64)}` };
+  const id = event.id === undefined || event.id === null ? "" : String(event.id);
+  if (id && !/^[A-Za-z0-9_.:-]{8,64}$/.test(id)) return { error: "id must be 8-64 chars of [A-Za-z0-9_.:-]" };
+
+  const meta = event.meta === undefined ? {} : event.meta;
+  if (new TextEncoder().encode(JSON.stringify(meta)).length > MAX_EVENT_META_BYTES) return { error: `meta exceeds ${MAX_EVENT_META_BYTES} bytes` };
+  const errors = validateSchema(meta, schema, "meta");
+  if (errors.length) return { error: errors.map((e) => `${e.path} ${e.message}`).join("; ") };
+
+  // Client clocks are trusted for up to a day back (queued or beaconed events) but never for the future.
+  const now = Date.now();
+  const ts = Date.parse(event.ts || "");
+  const createdAt = Number.isFinite(ts) && ts <= now + 60_000 && ts >= now - 86_400_000 ? new Date(ts) : new Date(now);
+  return {
+    row: {
+      bot: bot || null,
+      event_id: id ? `${bot}:${id}` : null,
+      event_type: type,
+      user_id: String(auth.kind === "widget" ? auth.userId : event.userId || auth.owner).slice(0, 128),
+      session_id: String(event.sessionId || "session").slice(0, 128),
+      node_id: String(event.nodeId || "").slice(0, 128),
+      meta_json: meta,
+      created_at: createdAt.toISOString(),
+    },
+  };
+}
+
+// Streams a bot's raw events as NDJSON or CSV, paging through the table by id.
+async function handleAnalyticsExportGet(request, env) {
+  const url = new URL(request.url);
+  const bot = (url.searchParams.get("bot") || "").trim();
+  if (!bot) return json({ ok: false, error: "bot required" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+
+  const format = (url.searchParams.get("format") || "ndjson").trim();
+  if (format !== "ndjson" && format !== "csv") return json({ ok: false, error: "format must be ndjson or csv" }, 400, corsHeaders(request, env));
+  for (const param of ["from", "to"]) {
+    if (url.searchParams.get(param) && !parseDay(url.searchParams.get(param))) {
+      return json({ ok: false, error: `${param} must be YYYY-MM-DD` }, 400, corsHeaders(request, env));
+    }
+  }
+  const to = parseDay(url.searchParams.get("to")) || new Date().toISOString().slice(0, 10);
+  const from = parseDay(url.searchParams.get("from")) || shiftDay(to, -29);
+  if (from > to) return json({ ok: false, error: "from must not be after to" }, 400, corsHeaders(request, env));
+  const type = (url.searchParams.get("type") || "").trim();
+
+  const columns = ANALYTICS_EXPORT_COLUMNS;
+  const encoder = new TextEncoder();
+  let lastId = 0;
+  let sent = 0;
+  let header = format === "csv";
+
+  const stream = new ReadableStream({
+    async pull(controller) {
+      try {
+        const rows = await storage(env).analytics.page({ bot, from: `${from}T00:00:00Z`, to: `${shiftDay(to, 1)}T00:00:00Z`, type, afterId: lastId, limit: ANALYTICS_EXPORT_PAGE });
+        let out = header ? `${columns.join(",")}\n` : "";
+        header = false;
+        for (const row of rows) {
+          out += format === "csv" ? `${columns.map((c) => csvCell(c === "meta_json" ? JSON.stringify(row[c] ?? {}) : row[c])).join(",")}\n` : `${JSON.stringify(row)}\n`;
+        }
+        if (out) controller.enqueue(encoder.encode(out));
+        sent += rows.length;
+        if (rows.length) lastId = rows[rows.length - 1].id;
+        if (rows.length < ANALYTICS_EXPORT_PAGE || sent >= ANALYTICS_EXPORT_MAX_ROWS) controller.close();
+      } catch (e) {
+        console.error("analytics_export_error", e?.message || e);
+        controller.error(e);
+      }
+    },
+  });
+
+  const filename = `${bot.replace(/[^A-Za-z0-9_-]+/g, "_")}-events-${from}-${to}.${format}`;
+  return new Response(stream, {
+    status: 200,
+    headers: {
+      "content-type": format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson; charset=utf-8",
+      "content-disposition": `attachment; filename="${filename}"`,
+      "cache-control": "no-store",
+      ...corsHeaders(request, env),
+    },
+  });
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function handleAnalyticsSummaryGet(request, env) {
+  const url = new URL(request.url);
+  const bot = (url.searchParams.get("bot") || "").trim();
+  if (!bot) return json({ ok: false, error: "bot required" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+
+  const granularity = (url.searchParams.get("granularity") || "day").trim();
+  if (!ANALYTICS_GRANULARITIES.includes(granularity)) {
+    return json({ ok: false, error: `granularity must be one of ${ANALYTICS_GRANULARITIES.join(", ")}` }, 400, corsHeaders(request, env));
+  }
+  for (const param of ["from", "to"]) {
+    if (url.searchParams.get(param) && !parseDay(url.searchParams.get(param))) {
+      return json({ ok: false, error: `${param} must be YYYY-MM-DD` }, 400, corsHeaders(request, env));
+    }
+  }
+  const to = parseDay(url.searchParams.get("to")) || new Date().toISOString().slice(0, 10);
+  const from = parseDay(url.searchParams.get("from")) || shiftDay(to, -29);
+  if (from > to) return json({ ok: false, error: "from must not be after to" }, 400, corsHeaders(request, env));
+  const buckets = analyticsBuckets(from, shiftDay(to, 1), granularity);
+  if (!buckets) return json({ ok: false, error: `range too long for ${granularity} granularity` }, 400, corsHeaders(request, env));
+
+  try {
+    const data = await storage(env).analytics.summary({ bot, from: `${from}T00:00:00Z`, to: `${shiftDay(to, 1)}T00:00:00Z`, bucket: granularity });
+    if (!data) return json({ ok: false, error: "analytics query returned nothing" }, 500, corsHeaders(request, env));
+
+    // Fill empty buckets so clients can plot the series directly.
+    const byBucket = new Map((data.series || []).map((p) => [new Date(p.bucket).toISOString(), p]));
+    const series = buckets.map((bucket) => {
+      const point = byBucket.get(bucket);
+      return { bucket, messages: Number(point?.messages) || 0, users: Number(point?.users) || 0, sessions: Number(point?.sessions) || 0 };
+    });
+    const totals = data.totals || {};
+    return json({
+      ok: true,
+      bot,
+      from,
+      to,
+      granularity,
+      summary: {
+        messages: Number(totals.messages) || 0,
+        users: Number(totals.users) || 0,
+        sessions: Number(totals.sessions) || 0,
+        dropoff: Number(totals.dropoff) || 0,
+        completions: Number(totals.completions) || 0,
+        avgMessagesPerSession: Number(data.avgMessagesPerSession) || 0,
+      },
+      series,
+      funnel: flowFunnel(access.record.state, data.nodes || {}, data.exits || {}),
+    }, 200, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e) }, 500, corsHeaders(request, env));
+  }
+}
+
+// Bucket start times (ISO, UTC) covering [from, to), aligned like Postgres date_trunc (weeks start on Monday).
+function analyticsBuckets(from, to, granularity) {
+  const end = Date.parse(`${to}T00:00:00Z`);
+  const cursor = new Date(`${from}T00:00:00Z`);
+  if (granularity === "week") cursor.setUTCDate(cursor.getUTCDate() - ((cursor.getUTCDay() + 6) % 7));
+  if (granularity === "month") cursor.setUTCDate(1);
+  const buckets = [];
+  while (cursor.getTime() < end) {
+    if (buckets.length >= MAX_ANALYTICS_BUCKETS) return null;
+    buckets.push(cursor.toISOString());
+    if (granularity === "hour") cursor.setUTCHours(cursor.getUTCHours() + 1);
+    else if (granularity === "day") cursor.setUTCDate(cursor.getUTCDate() + 1);
+    else if (granularity === "week") cursor.setUTCDate(cursor.getUTCDate() + 7);
+    else cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  return buckets;
+}
+
+// Per-node reach in flow order. Conversion is relative to the previous node and to the first node;
+// exits are sessions that stopped at the node without finishing the flow.
+function flowFunnel(state, reachedByNode, exitsByNode) {
+  const nodes = Array.isArray(state?.nodes) ? state.nodes : [];
+  const first = Number(reachedByNode[nodes[0]?.id]) || 0;
+  let previous = null;
+  return nodes.map((node) => {
+    const reached = Number(reachedByNode[node.id]) || 0;
+    const exits = Number(exitsByNode[node.id]) || 0;
+    const step = {
+      nodeId: node.id,
+      type: node.type,
+      label: String(node.content || node.label || "").slice(0, 60),
+      reached,
+      conversion: previous === null ? 1 : ratio(reached, previous),
+      conversionFromStart: ratio(reached, first),
+      exits,
+      dropoffRate: ratio(exits, reached),
+    };
+    previous = reached;
+    return step;
+  });
+}
+
+function ratio(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 1000 : 0;
+}
+
+// Appends rows to analytics_events and queues the matching webhook events; failures are logged and never
+// surface to the caller.
+async function logAnalyticsEvents(env, rows, ctx) {
+  if (!rows.length) return;
+  const now = new Date().toISOString();
+  const full = rows.map((r) => ({ node_id: "", meta_json: {}, created_at: now, ...r }));
+  let stored;
+  try {
+    stored = await storage(env).analytics.insert(full);
+  } catch (e) {
+    console.error("analytics_save_error", e?.message || e);
+    return;
+  }
+  if (stored.length) await queueWebhookEvents(env, analyticsWebhookEvents(stored), ctx);
+}
+
+// Appends turns to the conversations/messages transcript. Never throws.
+async function logConversation(env, { bot, sessionId, userId, channel, messages }) {
+  if (!messages.length) return;
+  try {
+    await storage(env).transcripts.log({ bot: bot || "", sessionId, userId: userId || null, channel, messages });
+  } catch (e) {
+    console.error("transcript_save_error", e?.message || e);
+  }
+}
+
+// One flow runtime message as a transcript row; choices and cards are flattened into readable text.
+function flowTranscriptMessage(message, aiCall) {
+  const meta = { type: message.type, nodeId: message.nodeId };
+  if (message.options) meta.options = message.options;
+  if (message.citations?.length) meta.citations = message.citations;
+  if (message.error) meta.error = message.error.code;
+  const content = message.type === "carousel"
+    ? message.cards.map((c) => c.title).join(" | ")
+    : message.options ? [message.text, message.options.join(" | ")].filter(Boolean).join("\n") : message.text || "";
+  return { role: "assistant", content, ...(aiCall || {}), meta };
+}
+
+async function handleConversationsGet(request, env) {
+  const url = new URL(request.url);
+  const bot = (url.searchParams.get("bot") || "").trim();
+  if (!bot) return json({ ok: false, error: "bot required" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+
+  const range = conversationRange(url);
+  if (range.error) return json({ ok: false, error: range.error }, 400, corsHeaders(request, env));
+  const limit = Math.min(Math.max(Number(url.searchParams.get("limit")) || 50, 1), MAX_CONVERSATION_PAGE);
+  const offset = Math.max(Number(url.searchParams.get("offset")) || 0, 0);
+  const filter = conversationFilter(url, bot, range);
+
+  try {
+    const { rows, total } = await storage(env).transcripts.list(filter, { limit, offset });
+    const conversations = rows.map(publicConversation);
+    const nextOffset = conversations.length === limit ? offset + limit : null;
+    return json({ ok: true, bot, conversations, total, nextOffset }, 200, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e) }, 500, corsHeaders(request, env));
+  }
+}
+
+async function handleConversationMessagesGet(request, env) {
+  const url = new URL(request.url);
+  const bot = (url.searchParams.get("bot") || "").trim();
+  const session = (url.searchParams.get("session") || "").trim();
+  if (!bot || !session) return json({ ok: false, error: "bot/session required" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+
+  try {
+    const [transcript] = await loadTranscripts(env, { bot, sessionId: session }, 1);
+    if (!transcript) return json({ ok: false, error: "conversation not found", code: "NOT_FOUND" }, 404, corsHeaders(request, env));
+    return json({ ok: true, bot, ...transcript }, 200, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e) }, 500, corsHeaders(request, env));
+  }
+}
+
+async function handleConversationSearchGet(request, env) {
+  const url = new URL(request.url);
+  const bot = (url.searchParams.get("bot") || "").trim();
+  const q = (url.searchParams.get("q") || "").trim().slice(0, 200);
+  if (!bot || !q) return json({ ok: false, error: "bot/q required" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+  const limit = Math.min(Math.max(Number(url.searchParams.get("limit")) || 20, 1), MAX_CONVERSATION_PAGE);
+
+  try {
+    const rows = await storage(env).transcripts.search({ bot, q, limit });
+    const results = rows.map((r) => ({
+      messageId: r.id,
+      sessionId: r.session_id,
+      role: r.role,
+      snippet: searchSnippet(r.content, q),
+      createdAt: r.created_at,
+    }));
+    return json({ ok: true, bot, q, results }, 200, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e) }, 500, corsHeaders(request, env));
+  }
+}
+
+// One transcript (`session=`) or every conversation in a date range, as JSON or Markdown.
+async function handleConversationExportGet(request, env) {
+  const url = new URL(request.url);
+  const bot = (url.searchParams.get("bot") || "").trim();
+  if (!bot) return json({ ok: false, error: "bot required" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+  const format = (url.searchParams.get("format") || "json").trim();
+  if (format !== "json" && format !== "markdown") return json({ ok: false, error: "format must be json or markdown" }, 400, corsHeaders(request, env));
+  const session = (url.searchParams.get("session") || "").trim();
+  const range = conversationRange(url);
+  if (range.error) return json({ ok: false, error: range.error }, 400, corsHeaders(request, env));
+
+  try {
+    const filter = session ? { bot, sessionId: session } : conversationFilter(url, bot, range);
+    const transcripts = await loadTranscripts(env, filter, session ? 1 : MAX_EXPORT_CONVERSATIONS);
+    if (session && !transcripts.length) return json({ ok: false, error: "conversation not found", code: "NOT_FOUND" }, 404, corsHeaders(request, env));
+
+    const name = `${bot.replace(/[^A-Za-z0-9_-]+/g, "_")}-${session ? session.replace(/[^A-Za-z0-9_-]+/g, "_") : `conversations-${range.from}-${range.to}`}`;
+    const body = format === "json"
+      ? JSON.stringify({ bot, exportedAt: new Date().toISOString(), conversations: transcripts }, null, 2)
+      : transcripts.map((t) => transcriptMarkdown(bot, t)).join("\n\n---\n\n");
+    return new Response(body, {
+      status: 200,
+      headers: {
+        "content-type": format === "json" ? "application/json; charset=utf-8" : "text/markdown; charset=utf-8",
+        "content-disposition": `attachment; filename="${name}.${format === "json" ? "json" : "md"}"`,
+        "cache-control": "no-store",
+        ...corsHeaders(request, env),
+      },
+    });
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e) }, 500, corsHeaders(request, env));
+  }
+}
+
+// Conversations matching `filter` (newest first) with their messages, fetched in two queries.
+async function loadTranscripts(env, filter, limit) {
+  const { rows } = await storage(env).transcripts.list(filter, { limit });
+  if (!rows.length) return [];
+  const messages = await storage(env).transcripts.messages(rows.map((r) => r.id), MAX_TRANSCRIPT_MESSAGES * rows.length);
+  const byConversation = new Map(rows.map((r) => [r.id, []]));
+  for (const m of messages) {
+    byConversation.get(m.conversation_id)?.push({
+      role: m.role,
+      content: m.content,
+      model: m.model || undefined,
+      provider: m.provider || undefined,
+      latencyMs: m.latency_ms ?? undefined,
+      promptTokens: m.prompt_tokens || undefined,
+      completionTokens: m.completion_tokens || undefined,
+      meta: m.meta_json && Object.keys(m.meta_json).length ? m.meta_json : undefined,
+      createdAt: m.created_at,
+    });
+  }
+  return rows.map((r) => ({ conversation: publicConversation(r), messages: byConversation.get(r.id) }));
+}
+
+function publicConversation(row) {
+  return {
+    sessionId: row.session_id,
+    userId: row.user_id,
+    channel: row.channel,
+    messageCount: row.message_count,
+    totalTokens: row.total_tokens,
+    startedAt: row.started_at,
+    lastMessageAt: row.last_message_at,
+  };
+}
+
+// GET /api/leads?bot=<name>&from=YYYY-MM-DD&to=YYYY-MM-DD&limit=50&offset=0: leads saved by form nodes, newest first.
+async function handleLeadsGet(request, env) {
+  const url = new URL(request.url);
+  const bot = (url.searchParams.get("bot") || "").trim();
+  if (!bot) return json({ ok: false, error: "bot required" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+
+  const range = conversationRange(url);
+  if (range.error) return json({ ok: false, error: range.error }, 400, corsHeaders(request, env));
+  const limit = Math.min(Math.max(Number(url.searchParams.get("limit")) || 50, 1), MAX_LEAD_PAGE);
+  const offset = Math.max(Number(url.searchParams.get("offset")) || 0, 0);
+  try {
+    const { rows, total } = await storage(env).leads.list(leadFilter(bot, range), { limit, offset });
+    const nextOffset = rows.length === limit ? offset + limit : null;
+    return json({ ok: true, bot, leads: rows.map(publicLead), total, nextOffset }, 200, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e) }, 500, corsHeaders(request, env));
+  }
+}
+
+// GET /api/leads/export?bot=<name>&from=&to=: CSV with one column per form field seen in the range.
+async function handleLeadsExportGet(request, env) {
+  const url = new URL(request.url);
+  const bot = (url.searchParams.get("bot") || "").trim();
+  if (!bot) return json({ ok: false, error: "bot required" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+
+  const range = conversationRange(url);
+  if (range.error) return json({ ok: false, error: range.error }, 400, corsHeaders(request, env));
+  try {
+    const rows = [];
+    while (rows.length < MAX_LEAD_EXPORT_ROWS) {
+      const page = await storage(env).leads.list(leadFilter(bot, range), { limit: MAX_LEAD_PAGE, offset: rows.length });
+      rows.push(...page.rows);
+      if (page.rows.length < MAX_LEAD_PAGE) break;
+    }
+    const fields = [...new Set(rows.flatMap((r) => Object.keys(r.fields_json || {})))];
+    const columns = ["created_at", "session_id", "user_id", "channel", "node_id"];
+    const lines = [[...columns, ...fields].map(csvCell).join(",")];
+    for (const row of rows) lines.push([...columns.map((c) => row[c]), ...fields.map((f) => row.fields_json?.[f])].map(csvCell).join(","));
+    const filename = `${bot.replace(/[^A-Za-z0-9_-]+/g, "_")}-leads-${range.from}-${range.to}.csv`;
+    return new Response(`${lines.join("\n")}\n`, {
+      status: 200,
+      headers: {
+        "content-type": "text/csv; charset=utf-8",
+        "content-disposition": `attachment; filename="${filename}"`,
+        "cache-control": "no-store",
+        ...corsHeaders(request, env),
+      },
+    });
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e) }, 500, corsHeaders(request, env));
+  }
+}
+
+function leadFilter(bot, range) {
+  return { bot, from: `${range.from}T00:00:00Z`, to: `${shiftDay(range.to, 1)}T00:00:00Z` };
+}
+
+function publicLead(row) {
+  return {
+    id: row.id,
+    sessionId: row.session_id,
+    userId: row.user_id,
+    channel: row.channel,
+    nodeId: row.node_id,
+    fields: row.fields_json || {},
+    createdAt: row.created_at,
+  };
+}
+
+// Stores a completed form as a lead and returns the row, or null when it could not be saved (logged).
+async function saveLead(env, lead) {
+  const row = { id: `lead_${randomHex(12)}`, ...lead, created_at: new Date().toISOString() };
+  try {
+    await storage(env).leads.add(row);
+    return row;
+  } catch (e) {
+    console.error("lead_save_error", e?.message || e);
+    return null;
+  }
+}
+
+function conversationRange(url) {
+  for (const param of ["from", "to"]) {
+    if (url.searchParams.get(param) && !parseDay(url.searchParams.get(param))) return { error: `${param} must be YYYY-MM-DD` };
+  }
+  const to = parseDay(url.searchParams.get("to")) || new Date().toISOString().slice(0, 10);
+  const from = parseDay(url.searchParams.get("from")) || shiftDay(to, -29);
+  if (from > to) return { error: "from must not be after to" };
+  return { from, to };
+}
+
+function conversationFilter(url, bot, range) {
+  return {
+    bot,
+    from: `${range.from}T00:00:00Z`,
+    to: `${shiftDay(range.to, 1)}T00:00:00Z`,
+    userId: (url.searchParams.get("user") || "").trim() || undefined,
+    channel: (url.searchParams.get("channel") || "").trim() || undefined,
+  };
+}
+
+function transcriptMarkdown(bot, { conversation, messages }) {
+  const lines = [
+    `# ${bot} · ${conversation.sessionId}`,
+    "",
+    `- Channel: ${conversation.channel}`,
+    `- User: ${conversation.userId || "anonymous"}`,
+    `- Started: ${conversation.startedAt}`,
+    `- Messages: ${conversation.messageCount} · Tokens: ${conversation.totalTokens}`,
+    "",
+  ];
+  for (const m of messages) {
+    const details = [m.createdAt, m.model, m.latencyMs !== undefined ? `${m.latencyMs} ms` : ""].filter(Boolean).join(" · ");
+    const who = m.role === "user" ? "User" : m.role === "tool" ? `Tool \`${m.meta?.name}\` ${m.meta?.arguments || ""}` : "Bot";
+    lines.push(`**${who}** _(${details})_`, "", m.content || "_(empty)_", "");
+  }
+  return lines.join("\n").trim();
+}
+
+function searchSnippet(content, q) {
+  const text = String(content || "");
+  const first = q.split(/\s+/)[0].toLowerCase();
+  const at = Math.max(text.toLowerCase().indexOf(first), 0);
+  const start = Math.max(at - 60, 0);
+  return `${start > 0 ? "…" : ""}${text.slice(start, start + 200)}${start + 200 < text.length ? "…" : ""}`;
+}
+
+// Stores one model call in usage_events and returns what was recorded. Falls back to token estimates when
+// the provider reported no usage; never throws, so accounting problems cannot fail a reply.
+async function recordUsage(env, { bot, userId, sessionId, model, provider, source, usage, messages, reply }) {
+  const estimated = !usage || !Number(usage.total_tokens);
+  const promptTokens = estimated ? messages.reduce((sum, m) => sum + estimateTokens(m), 0) : Number(usage.prompt_tokens) || 0;
+  const completionTokens = estimated ? estimateTokens({ content: reply }) : Number(usage.completion_tokens) || 0;
+  const totalTokens = estimated ? promptTokens + completionTokens : Number(usage.total_tokens);
+  let costUsd = null;
+  try {
+    const pricing = await modelPricing(env, model, provider);
+    if (pricing) costUsd = promptTokens * pricing.prompt + completionTokens * pricing.completion;
+  } catch (e) {
+    console.error("pricing_error", e?.message || e);
+  }
+  const recorded = { promptTokens, completionTokens, totalTokens, costUsd, estimated };
+  try {
+    await storage(env).usage.insert({
+      bot: bot || null,
+      user_id: userId || null,
+      session_id: sessionId || null,
+      model,
+      provider: provider || null,
+      source,
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: totalTokens,
+      cost_usd: costUsd,
+      estimated,
+    });
+  } catch (e) {
+    console.error("usage_save_error", e?.message || e);
+  }
+  return recorded;
+}
+
+// USD per token for `model`: MODEL_PRICING overrides (USD per 1M tokens) first, then the provider model list.
+async function modelPricing(env, model, provider) {
+  const override = parseJsonEnv(env.MODEL_PRICING, {})[model];
+  if (override) return { prompt: (Number(override.prompt) || 0) / 1e6, completion: (Number(override.completion) || 0) / 1e6 };
+  if (provider === "mock") return { prompt: 0, completion: 0 };
+  const providers = Object.values(loadProviders(env)).filter((p) => p.type === "openai" && p.listModels !== false);
+  if (!providers.length) return null;
+  const { models } = await loadModelCatalog(env, providers);
+  return models.find((m) => m.id === model)?.pricing || null;
+}
+
+async function handleUsageGet(request, env) {
+  const url = new URL(request.url);
+  const bot = (url.searchParams.get("bot") || "").trim();
+  if (!bot) return json({ ok: false, error: "bot required" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+
+  for (const param of ["from", "to"]) {
+    if (url.searchParams.get(param) && !parseDay(url.searchParams.get(param))) {
+      return json({ ok: false, error: `${param} must be YYYY-MM-DD` }, 400, corsHeaders(request, env));
+    }
+  }
+  const today = new Date().toISOString().slice(0, 10);
+  const to = parseDay(url.searchParams.get("to")) || today;
+  const from = parseDay(url.searchParams.get("from")) || shiftDay(to, -29);
+  if (from > to) return json({ ok: false, error: "from must not be after to" }, 400, corsHeaders(request, env));
+
+  const filter = { bot };
+  for (const [param, column] of [["user", "user_id"], ["session", "session_id"], ["model", "model"], ["source", "source"]]) {
+    const value = (url.searchParams.get(param) || "").trim();
+    if (value) filter[column] = value;
+  }
+
+  try {
+    const rows = await fetchUsageRows(env, filter, from, to);
+    const budget = isPlainObject(access.record.state?.budget) ? access.record.state.budget : null;
+    let spend = null;
+    if (budget) {
+      // Budgets cover all of the bot's usage, whatever range or filters the breakdown asked for.
+      const monthStart = `${today.slice(0, 7)}-01`;
+      const monthRows = await fetchUsageRows(env, { bot }, monthStart, today);
+      spend = {
+        day: monthRows.filter((r) => r.created_at.slice(0, 10) === today).reduce((sum, r) => sum + (Number(r.cost_usd) || 0), 0),
+        month: monthRows.reduce((sum, r) => sum + (Number(r.cost_usd) || 0), 0),
+      };
+    }
+    return json({
+      ok: true,
+      bot,
+      from,
+      to,
+      ...summarizeUsage(rows),
+      truncated: rows.length >= USAGE_QUERY_LIMIT,
+      budget: budget && { ...budget, spentTodayUsd: roundUsd(spend.day), spentMonthUsd: roundUsd(spend.month) },
+      alerts: budget ? budgetAlerts(budget, spend) : [],
+    }, 200, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e) }, 500, corsHeaders(request, env));
+  }
+}
+
+// `filter` maps usage_events columns to the values they must equal; `from`/`to` are inclusive days.
+function fetchUsageRows(env, filter, from, to) {
+  return storage(env).usage.rows(filter, `${from}T00:00:00Z`, `${shiftDay(to, 1)}T00:00:00Z`);
+}
+
+function summarizeUsage(rows) {
+  const empty = () => ({ requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0, unpricedRequests: 0, estimatedRequests: 0 });
+  const add = (acc, r) => {
+    acc.requests += 1;
+    acc.promptTokens += Number(r.prompt_tokens) || 0;
+    acc.completionTokens += Number(r.completion_tokens) || 0;
+    acc.totalTokens += Number(r.total_tokens) || 0;
+    if (r.cost_usd === null || r.cost_usd === undefined) acc.unpricedRequests += 1;
+    else acc.costUsd += Number(r.cost_usd) || 0;
+    if (r.estimated) acc.estimatedRequests += 1;
+    return acc;
+  };
+  const group = (key) => {
+    const out = {};
+    for (const r of rows) add(out[key(r)] ||= empty(), r);
+    for (const v of Object.values(out)) v.costUsd = roundUsd(v.costUsd);
+    return out;
+  };
+
+  const totals = rows.reduce(add, empty());
+  totals.costUsd = roundUsd(totals.costUsd);
+  const byDay = group((r) => r.created_at.slice(0, 10));
+  return {
+    totals,
+    days: Object.keys(byDay).sort().map((day) => ({ day, ...byDay[day] })),
+    models: group((r) => r.model),
+    sources: group((r) => r.source),
+    users: group((r) => r.user_id || "anonymous"),
+  };
+}
+
+function budgetAlerts(budget, spend) {
+  const threshold = Number(budget.alertPercent) || DEFAULT_BUDGET_ALERT_PERCENT;
+  const alerts = [];
+  for (const [period, limitKey] of [["day", "dailyUsd"], ["month", "monthlyUsd"]]) {
+    const limitUsd = Number(budget[limitKey]);
+    if (!(limitUsd > 0)) continue;
+    const percent = Math.round((spend[period] / limitUsd) * 1000) / 10;
+    if (percent < threshold) continue;
+    alerts.push({ period, level: percent >= 100 ? "exceeded" : "warning", limitUsd, spentUsd: roundUsd(spend[period]), percent });
+  }
+  return alerts;
+}
+
+function parseDay(value) {
+  const day = String(value || "").trim();
+  const time = Date.parse(`${day}T00:00:00Z`);
+  // Date.parse rolls 2026-02-30 over to March; only accept days that round-trip.
+  return /^\d{4}-\d{2}-\d{2}$/.test(day) && !Number.isNaN(time) && new Date(time).toISOString().startsWith(day) ? day : null;
+}
+
+function shiftDay(day, days) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + days * 86_400_000).toISOString().slice(0, 10);
+}
+
+function roundUsd(value) {
+  return Math.round((Number(value) || 0) * 1e6) / 1e6;
+}
+
+// Runs one text through a bot (or a bare persona) for an external workflow. Body: { text, bot?, userId?, persona?,
+// model?, sessionId?, async?, callbackUrl? }. Callers authenticate with an admin token or, for a bot with an
+// automation secret, an HMAC signature (see automationCaller). With an Idempotency-Key header or `async`, the
+// run is stored as a job: a repeated key replays the stored result instead of calling the model again, and
+// `async` answers 202 with the job id right away and POSTs the result to `callbackUrl` when it is done.
+async function handleAutomationTrigger(request, env, ctx) {
+  const raw = await request.text();
+  if (raw.length > MAX_AUTOMATION_BODY_BYTES) return json({ ok: false, error: `body exceeds ${MAX_AUTOMATION_BODY_BYTES} bytes` }, 413, corsHeaders(request, env));
+  let body;
+  try { body = JSON.parse(raw); } catch { return json({ ok: false, error: "invalid json" }, 400, corsHeaders(request, env)); }
+  const text = String(body?.text || "").trim();
+  const bot = String(body?.bot || "").trim();
+  if (!text) return json({ ok: false, error: "text required" }, 400, corsHeaders(request, env));
+  if (text.length > MAX_PROMPT_CHARS) return json({ ok: false, error: `text exceeds ${MAX_PROMPT_CHARS} chars` }, 400, corsHeaders(request, env));
+
+  const idempotencyKey = (request.headers.get("idempotency-key") || "").trim();
+  if (idempotencyKey && !IDEMPOTENCY_KEY_RE.test(idempotencyKey)) return json({ ok: false, error: "Idempotency-Key must be 1-128 chars of [A-Za-z0-9_.:-]" }, 400, corsHeaders(request, env));
+  const runAsync = body?.async === true;
+  const callbackUrl = body?.callbackUrl == null ? "" : String(body.callbackUrl).trim();
+  if (callbackUrl && (!runAsync || !/^https:\/\/[^\s]+$/.test(callbackUrl) || callbackUrl.length > 2000)) {
+    return json({ ok: false, error: "callbackUrl must be an https URL and requires async: true" }, 400, corsHeaders(request, env));
+  }
+
+  const record = bot ? await loadBotState(env, bot) : null;
+  if (record?.error) return json({ ok: false, error: record.error, code: record.code }, record.status, corsHeaders(request, env));
+  if (record && !record.found) return json({ ok: false, error: "bot not found", code: "BOT_NOT_FOUND" }, 404, corsHeaders(request, env));
+  const caller = await automationCaller(request, env, { bot, record, payload: raw });
+  if (caller.response) return caller.response;
+  const schema = resolveOutputSchema(body?.schema, record?.state);
+  if (schema?.error) return json({ ok: false, error: schema.error, code: schema.code, errors: schema.errors }, 400, corsHeaders(request, env));
+
+  const input = {
+    text,
+    bot,
+    userId: String(body?.userId || "automation").trim(),
+    rememberUser: !!body?.userId,
+    persona: body?.persona,
+    model: body?.model,
+    sessionId: String(body?.sessionId || `auto_${randomHex(8)}`).slice(0, 128),
+    schema,
+  };
+  if (!idempotencyKey && !runAsync) {
+    const limits = await enforceLimits(request, env, { auth: caller.auth, bot, userId: input.userId, state: record?.state });
+    if (limits.response) return limits.response;
+    try {
+      return json({ ok: true, ...await runAutomation(env, input, record, limits, ctx) }, 200, corsHeaders(request, env));
+    } catch (e) {
+      return json({ ok: false, error: e?.detail ?? String(e?.message || e), code: e?.code, errors: e?.errors, output: e?.output }, e?.status || 500, corsHeaders(request, env));
+    }
+  }
+
+  // Keys are scoped to the bot, or to the admin for bot-less calls, so callers cannot collide.
+  const scope = bot ? `bot:${bot}` : `owner:${caller.auth.owner}`;
+  const requestHash = await sha256Hex(raw);
+  let job;
+  try {
+    const now = new Date().toISOString();
+    const created = await storage(env).jobs.create({
+      id: `job_${randomHex(16)}`,
+      bot,
+      owner: caller.auth.kind === "admin" ? caller.auth.owner : null,
+      idempotency_key: idempotencyKey ? `${scope}:${idempotencyKey}` : null,
+      request_hash: requestHash,
+      status: "queued",
+      callback_url: callbackUrl || null,
+      callback_status: callbackUrl ? "pending" : null,
+      callback_attempts: 0,
+      created_at: now,
+      updated_at: now,
+    });
+    job = created.row;
+    if (!created.created) {
+      if (job.request_hash !== requestHash) {
+        return json({ ok: false, error: "Idempotency-Key was already used with a different request", code: "IDEMPOTENCY_KEY_REUSED" }, 422, corsHeaders(request, env));
+      }
+      // A failed run may be retried under the same key; anything else is replayed as stored.
+      const retried = job.status === "failed"
+        ? await storage(env).jobs.update(job.id, { status: "queued", result_json: null, error_json: null, ...(job.callback_url ? { callback_status: "pending", callback_attempts: 0, callback_next_at: null } : {}) }, "failed")
+        : null;
+      if (!retried) return automationJobResponse(request, env, job, { runAsync, replayed: true });
+      job = retried;
+    }
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
+  }
+
+  const limits = await enforceLimits(request, env, { auth: caller.auth, bot, userId: input.userId, state: record?.state });
+  if (limits.response) {
+    await storage(env).jobs.update(job.id, { status: "failed", error_json: { code: "RATE_LIMITED", message: "rate limit exceeded", status: 429 } }).catch(() => {});
+    return limits.response;
+  }
+  const run = processAutomationJob(env, job, input, record, limits, ctx);
+  if (runAsync) {
+    ctx.waitUntil(run);
+    return automationJobResponse(request, env, job, { runAsync });
+  }
+  return automationJobResponse(request, env, await run, { runAsync });
+}
+
+// The model call behind a trigger or schedule. Returns { output, provider, usage }; failures throw with
+// `status`, `code` and, for upstream errors, the provider's body as `detail`. `channel` ("automation" or
+// "schedule") is the transcript channel and usage source; `trigger` is logged as the analytics node. With
+// `ctx` the automation.completed webhooks go out right away instead of on the next cron tick.
+// With `input.schema` ({ name, schema }) the model is asked for JSON and `output` is the parsed value. A reply
+// that does not match is sent back with the problems, up to OUTPUT_SCHEMA_RETRIES times, before failing with
+// OUTPUT_SCHEMA_MISMATCH (`errors` and the last `output` text attached).
+async function runAutomation(env, input, record, limits, ctx) {
+  const { text, bot, userId, channel = "automation", trigger = "webhook", schema = null } = input;
+  const botState = record?.state || null;
+  const persona = resolvePersona(botState, input.persona || "support");
+  const model = String(input.model || persona.model || "openai/gpt-4o-mini").trim();
+  const facts = input.rememberUser ? await loadUserFacts(env, userId) : {};
+  const startedAt = Date.now();
+  const system = renderPersonaPrompt(persona, botState?.vars, memoryValues(facts)) + memoryContext(facts, text, memoryKeys(botState));
+  const messages = [
+    { role: "system", content: schema ? `${system}\n\n${outputSchemaInstructions(schema.schema)}` : system },
+    { role: "user", content: text },
+  ];
+  const params = { ...personaParams(persona), ...(schema ? jsonModeParams(await modelJsonMode(env, model), schema) : {}) };
+
+  const recorded = { promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0, estimated: false };
+  let answer = "";
+  let provider = null;
+  let parsed = null;
+  for (let attempt = 0; ; attempt++) {
+    const call = await callModel(env, { model, stream: false, messages, params });
+    provider = call.provider;
+    const data = await call.response.json().catch(() => ({}));
+    if (!call.response.ok) throw Object.assign(httpError("model call failed", "UPSTREAM_ERROR", call.response.status || 500), { detail: data });
+    answer = data?.choices?.[0]?.message?.content || "";
+    const row = await recordUsage(env, { bot: bot || null, userId, sessionId: input.sessionId, model, provider, source: channel, usage: data?.usage, messages, reply: answer });
+    await limits.record(row.totalTokens);
+    for (const key of ["promptTokens", "completionTokens", "totalTokens"]) recorded[key] += row[key];
+    recorded.costUsd = recorded.costUsd === null || row.costUsd === null ? null : recorded.costUsd + row.costUsd;
+    recorded.estimated ||= row.estimated;
+    if (!schema) break;
+    parsed = parseStructuredOutput(answer, schema.schema);
+    if (!parsed.errors.length || attempt >= OUTPUT_SCHEMA_RETRIES) break;
+    messages.push({ role: "assistant", content: answer }, { role: "user", content: outputRetryPrompt(parsed.errors) });
+  }
+  await logConversation(env, {
+    bot, sessionId: input.sessionId, userId, channel,
+    messages: [
+      { role: "user", content: text },
+      { role: "assistant", content: answer, model, provider, latency_ms: Date.now() - startedAt, prompt_tokens: recorded.promptTokens, completion_tokens: recorded.completionTokens },
+    ],
+  });
+  await logAnalyticsEvents(env, [{ bot: bot || null, event_type: "automation", user_id: userId, session_id: channel, node_id: trigger, meta_json: { textLen: text.length, model, persona: persona.id, provider } }]);
+  if (parsed?.errors.length) {
+    throw Object.assign(httpError(`output did not match the schema after ${OUTPUT_SCHEMA_RETRIES + 1} attempts`, "OUTPUT_SCHEMA_MISMATCH", 422), {
+      errors: parsed.errors.slice(0, 20),
+      output: answer.slice(0, 4000),
+    });
+  }
+  const output = schema ? parsed.value : answer;
+  if (bot) await queueWebhookEvents(env, [{ bot, type: "automation.completed", data: { channel, trigger, sessionId: input.sessionId, userId, model, provider, output, usage: recorded } }], ctx);
+  if (input.rememberUser) await extractMemory(env, { bot: bot || null, state: botState, userId, facts, userText: text, replyText: answer });
+  return { output, provider, usage: recorded, ...(schema ? { schema: schema.name } : {}) };
+}
+
+// `schema` from a trigger request: an inline JSON schema, or the name of one in the bot's state.schemas.
+// Returns null without one, { name, schema } or { error, code, errors? }. Named schemas are checked again
+// because states saved before schemas were validated can still hold one whose root is not an object.
+function resolveOutputSchema(value, state) {
+  if (value === undefined || value === null) return null;
+  let name = "output";
+  let schema = value;
+  if (typeof value === "string") {
+    const entry = (Array.isArray(state?.schemas) ? state.schemas : []).find((s) => s?.name === value);
+    if (!entry) return { error: `schema "${value}" is not defined on this bot`, code: "SCHEMA_NOT_FOUND" };
+    ({ name, schema } = entry);
+  }
+  if (!isPlainObject(schema)) return { error: "schema must be a JSON schema object or the name of a bot schema", code: "INVALID_SCHEMA" };
+  const errors = outputSchemaProblems(schema);
+  return errors.length ? { error: "unsupported schema", code: "INVALID_SCHEMA", errors } : { name, schema };
+}
+
+// How to ask `model` for JSON: "json_schema" when its provider lists structured_outputs for it, "json_object"
+// when it lists response_format, otherwise null and the schema is only described in the prompt.
+async function modelJsonMode(env, model) {
+  const providers = Object.values(loadProviders(env)).filter((p) => p.type === "openai" && p.listModels !== false);
+  if (!providers.length) return null;
+  const { models } = await loadModelCatalog(env, providers);
+  const supported = models.find((m) => m.id === model)?.supportedParameters || [];
+  if (supported.includes("structured_outputs")) return "json_schema";
+  if (supported.includes("response_format")) return "json_object";
+  return null;
+}
+
+function jsonModeParams(mode, { name, schema }) {
+  if (mode === "json_schema") return { response_format: { type: "json_schema", json_schema: { name: name || "output", schema } } };
+  if (mode === "json_object") return { response_format: { type: "json_object" } };
+  return {};
+}
+
+// outputSchemaProblems only accepts object roots, so the reply is always asked for as one JSON object.
+function outputSchemaInstructions(schema) {
+  return `Reply with one JSON object that matches this JSON schema, and nothing else (no prose, no code fences):\n${JSON.stringify(schema)}`;
+}
+
+function outputRetryPrompt(errors) {
+  const list = errors.slice(0, 10).map((e) => `- ${e.path}: ${e.message}`).join("\n");
+  return `That reply does not match the schema:\n${list}\nReply again with only the corrected JSON object.`;
+}
+
+// Parses a model reply as JSON (tolerating code fences and prose around one object) and validates it.
+// Returns { value, errors } with validateSchema-style errors rooted at "output".
+function parseStructuredOutput(text, schema) {
+  const raw = String(text || "").trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/i, "$1");
+  let value;
+  try {
+    value = JSON.parse(raw);
+  } catch {
+    const start = raw.indexOf("{");
+    const end = raw.lastIndexOf("}");
+    try {
+      if (start < 0 || end <= start) throw new Error("no JSON object");
+      value = JSON.parse(raw.slice(start, end + 1));
+    } catch {
+      return { value: null, errors: [{ path: "output", message: "is not valid JSON" }] };
+    }
+  }
+  return { value, errors: validateSchema(value, schema, "output") };
+}
+
+// Runs a queued job, stores its outcome and makes the first callback attempt; later attempts are left to the
+// cron sweep so nothing here outlives the request's waitUntil budget. Never throws; returns the final job row.
+async function processAutomationJob(env, job, input, record, limits, ctx) {
+  const jobs = storage(env).jobs;
+  let current = job;
+  try {
+    current = (await jobs.update(job.id, { status: "running" }, "queued")) || current;
+    if (current.status !== "running") return current;
+    let outcome;
+    try {
+      outcome = { status: "succeeded", result_json: await runAutomation(env, input, record, limits, ctx) };
+    } catch (e) {
+      const error = {
+        code: e?.code || "AUTOMATION_FAILED", message: String(e?.message || e), status: e?.status || 500,
+        ...(e?.detail !== undefined ? { detail: e.detail } : {}),
+        ...(e?.errors ? { errors: e.errors, output: e.output } : {}),
+      };
+      outcome = { status: "failed", error_json: error };
+    }
+    if (current.callback_url) Object.assign(outcome, { callback_status: "pending", callback_next_at: new Date().toISOString() });
+    // Compared against "running": the sweep may have failed a job that outran its lease.
+    const finished = await jobs.update(job.id, outcome, "running");
+    current = finished || (await jobs.get(job.id)) || current;
+    if (finished?.callback_url) current = await deliverAutomationCallback(env, finished, record?.automationSecret || null);
+  } catch (e) {
+    console.error("automation_job_error", job.id, e?.message || e);
+  }
+  return current;
+}
+
+// Cron sweep for automation jobs: fails queued or running jobs whose worker stopped before finishing (a retry
+// with the same Idempotency-Key would otherwise get JOB_IN_PROGRESS forever), then sends the callbacks that are due.
+async function sweepAutomationJobs(env, now) {
+  if (storageConfigError(env)) return;
+  const jobs = storage(env).jobs;
+  try {
+    const leaseStart = new Date(now.getTime() - AUTOMATION_JOB_LEASE_MS).toISOString();
+    for (const job of await jobs.stuck(leaseStart, MAX_AUTOMATION_JOBS_PER_TICK)) {
+      await jobs.update(job.id, {
+        status: "failed",
+        error_json: { code: "JOB_TIMEOUT", message: "the job did not finish", status: 504 },
+        ...(job.callback_url ? { callback_status: "pending", callback_next_at: now.toISOString() } : {}),
+      }, job.status);
+    }
+    const secrets = new Map();
+    for (const job of await jobs.callbacksDue(now.toISOString(), MAX_AUTOMATION_JOBS_PER_TICK)) {
+      if (!secrets.has(job.bot)) secrets.set(job.bot, job.bot ? (await loadBotState(env, job.bot)).automationSecret || null : null);
+      await deliverAutomationCallback(env, job, secrets.get(job.bot));
+    }
+  } catch (e) {
+    console.error("automation_sweep_error", e?.message || e);
+  }
+}
+
+// Makes one callback attempt. The job is claimed first (compare-and-set on callback_next_at, leased for
+// WEBHOOK_SEND_LEASE_MS) so the cron and the request never send it twice. Network errors, 429 and 5xx are
+// retried after AUTOMATION_CALLBACK_RETRY_DELAYS_S; other answers fail the callback.
+async function deliverAutomationCallback(env, job, secret) {
+  const jobs = storage(env).jobs;
+  const leaseUntil = new Date(Date.now() + WEBHOOK_SEND_LEASE_MS).toISOString();
+  if (!(await jobs.claimCallback(job.id, job.callback_next_at, { callback_status: "sending", callback_next_at: leaseUntil }))) return job;
+  const attempts = (job.callback_attempts || 0) + 1;
+  const payload = JSON.stringify({ jobId: job.id, bot: job.bot || null, ...publicAutomationJob(job), id: undefined, callback: undefined });
+  const result = await postSignedCallback(job.callback_url, payload, secret, { "x-kmn-job-id": job.id }, attempts);
+  const patch = { callback_status: result.status, callback_attempts: attempts, callback_next_at: result.nextAt };
+  return (await jobs.update(job.id, patch)) || { ...job, ...patch };
+}
+
+// One POST of a job callback or schedule webhook, signed like incoming triggers when the bot has an automation
+// secret. Returns the callback's next state: "delivered", "pending" again at `nextAt` (network errors, 429 and
+// 5xx, until AUTOMATION_CALLBACK_RETRY_DELAYS_S runs out) or "failed".
+async function postSignedCallback(url, payload, secret, extraHeaders, attempts) {
+  const headers = { "content-type": "application/json", ...extraHeaders, "x-kmn-attempt": String(attempts), ...await webhookSignatureHeaders(secret, payload) };
+  let delivered = false;
+  let retry = true;
+  try {
+    const res = await fetch(url, { method: "POST", headers, body: payload, signal: AbortSignal.timeout(AUTOMATION_CALLBACK_TIMEOUT_MS) });
+    delivered = res.ok;
+    retry = !res.ok && (res.status === 429 || res.status >= 500);
+  } catch (e) {
+    console.error("webhook_delivery_error", url.split("?")[0], attempts, e?.message || e);
+  }
+  const retryIn = delivered || !retry ? undefined : AUTOMATION_CALLBACK_RETRY_DELAYS_S[attempts - 1];
+  return {
+    status: delivered ? "delivered" : retryIn === undefined ? "failed" : "pending",
+    nextAt: retryIn === undefined ? null : new Date(Date.now() + retryIn * 1000).toISOString(),
+  };
+}
+
+// X-KMN-Timestamp / X-KMN-Signature for an outgoing payload, the same scheme automationCaller verifies.
+async function webhookSignatureHeaders(secret, payload) {
+  if (!secret) return {};
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  return { "x-kmn-timestamp": timestamp, "x-kmn-signature": `sha256=${await hmacSha256(secret, `${timestamp}.${payload}`, "hex")}` };
+}
+
+// Admins (for their own bots, or their bot-less jobs) or a request signed with the bot's automation secret:
+//   X-KMN-Timestamp: <unix seconds>   X-KMN-Signature: sha256=<hex HMAC-SHA256(secret, "<timestamp>.<payload>")>
+// The payload is the raw body for POST and the path with its query string for GET. Signatures older than
+// AUTOMATION_SIGNATURE_TOLERANCE_S are rejected.
+async function automationCaller(request, env, { bot, record, payload }) {
+  const auth = await getAuth(request, env);
+  if (auth?.kind === "admin") {
+    if (record?.owner && record.owner !== auth.owner) return { response: authError(request, env, auth) };
+    return { auth };
+  }
+  const signature = request.headers.get("x-kmn-signature") || "";
+  if (!signature) return { response: authError(request, env, auth) };
+  if (!record?.automationSecret) return { response: json({ ok: false, error: "bot has no automation secret", code: "UNAUTHORIZED" }, 401, corsHeaders(request, env)) };
+  const timestamp = request.headers.get("x-kmn-timestamp") || "";
+  if (!/^\d{1,12}$/.test(timestamp) || Math.abs(Date.now() / 1000 - Number(timestamp)) > AUTOMATION_SIGNATURE_TOLERANCE_S) {
+    return { response: json({ ok: false, error: "X-KMN-Timestamp missing or outside the allowed window", code: "INVALID_SIGNATURE" }, 401, corsHeaders(request, env)) };
+  }
+  const expected = `sha256=${await hmacSha256(record.automationSecret, `${timestamp}.${payload}`, "hex")}`;
+  if (!safeEqual(expected, signature.trim())) return { response: json({ ok: false, error: "invalid signature", code: "INVALID_SIGNATURE" }, 401, corsHeaders(request, env)) };
+  return { auth: { kind: "automation", bot } };
+}
+
+function automationJobResponse(request, env, job, { runAsync, replayed = false }) {
+  const headers = { ...corsHeaders(request, env), ...(replayed ? { "idempotent-replayed": "true" } : {}) };
+  const done = job.status === "succeeded" || job.status === "failed";
+  if (runAsync || !done) {
+    // A synchronous retry that finds the first attempt still running must not start a second one.
+    if (!runAsync) return json({ ok: false, error: "a request with this Idempotency-Key is still running", code: "JOB_IN_PROGRESS", jobId: job.id }, 409, { ...headers, "retry-after": "5" });
+    return json({ ok: true, jobId: job.id, status: job.status, statusUrl: `/api/automation/jobs?id=${job.id}` }, done ? 200 : 202, headers);
+  }
+  if (job.status === "failed") {
+    const error = job.error_json || {};
+    return json({ ok: false, error: error.detail ?? error.message, code: error.code, errors: error.errors, output: error.output, jobId: job.id }, error.status || 500, headers);
+  }
+  return json({ ok: true, jobId: job.id, ...job.result_json }, 200, headers);
+}
+
+function publicAutomationJob(job) {
+  return {
+    id: job.id,
+    bot: job.bot || null,
+    status: job.status,
+    ...(job.result_json || {}),
+    error: job.error_json || undefined,
+    callback: job.callback_url ? { url: job.callback_url, status: job.callback_status, attempts: job.callback_attempts } : undefined,
+    createdAt: job.created_at,
+    updatedAt: job.updated_at,
+  };
+}
+
+// GET /api/automation/jobs?id=<jobId>
+async function handleAutomationJobGet(request, env) {
+  const url = new URL(request.url);
+  const id = (url.searchParams.get("id") || "").trim();
+  if (!/^job_[0-9a-f]{32}$/.test(id)) return json({ ok: false, error: "id required" }, 400, corsHeaders(request, env));
+  try {
+    const job = await storage(env).jobs.get(id);
+    const record = job?.bot ? await loadBotState(env, job.bot) : null;
+    const caller = await automationCaller(request, env, { bot: job?.bot || "", record, payload: `${url.pathname}${url.search}` });
+    if (caller.response) return caller.response;
+    // Bot-less jobs belong to the admin that started them; report other people's jobs as missing.
+    if (!job || (!job.bot && job.owner !== caller.auth.owner)) return json({ ok: false, error: "job not found", code: "JOB_NOT_FOUND" }, 404, corsHeaders(request, env));
+    return json({ ok: true, job: publicAutomationJob(job) }, 200, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
+  }
+}
+
+// POST { bot } issues a new automation secret (the old one stops working) and returns it once;
+// DELETE ?bot= removes it, leaving admin tokens as the only way to trigger the bot.
+async function handleAutomationSecret(request, env, { rotate }) {
+  let bot;
+  if (rotate) {
+    let body;
+    try { body = await request.json(); } catch { return json({ ok: false, error: "invalid json" }, 400, corsHeaders(request, env)); }
+    bot = String(body?.bot || "").trim();
+  } else {
+    bot = (new URL(request.url).searchParams.get("bot") || "").trim();
+  }
+  if (!bot) return json({ ok: false, error: "bot required" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+  const secret = rotate ? `whsec_${randomHex(24)}` : null;
+  try {
+    await storage(env).bots.setAutomationSecret(bot, secret);
+    return json({ ok: true, bot, ...(rotate ? { secret } : {}) }, 200, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
+  }
+}
+
+async function sha256Hex(text) {
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text)));
+  return [...digest].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// GET /api/schedules?bot=<name>&schedule=<id>&limit=20: the live version's schedules with their next run,
+// plus the latest runs (optionally of one schedule), newest first.
+async function handleSchedulesGet(request, env) {
+  const url = new URL(request.url);
+  const bot = (url.searchParams.get("bot") || "").trim();
+  if (!bot) return json({ ok: false, error: "bot required" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+  const limit = Math.min(Math.max(Number(url.searchParams.get("limit")) || 20, 1), MAX_SCHEDULE_RUN_PAGE);
+  const scheduleId = (url.searchParams.get("schedule") || "").trim() || undefined;
+  try {
+    const store = storage(env).schedules;
+    const registered = new Map((await store.list(bot)).map((r) => [r.schedule_id, r]));
+    const schedules = (Array.isArray(access.record.state?.schedules) ? access.record.state.schedules : []).map((s) => ({
+      ...s,
+      enabled: s.enabled !== false,
+      nextRunAt: registered.get(s.id)?.next_run_at || null,
+      lastRunAt: registered.get(s.id)?.last_run_at || null,
+    }));
+    const runs = (await store.runs(bot, { scheduleId, limit })).map(publicScheduleRun);
+    return json({ ok: true, bot, publishedVersion: access.record.publishedVersion, schedules, runs }, 200, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
+  }
+}
+
+// POST { bot, id } runs one of the live version's schedules now (also when it is disabled) and returns the run.
+async function handleScheduleRunPost(request, env) {
+  let body;
+  try { body = await request.json(); } catch { return json({ ok: false, error: "invalid json" }, 400, corsHeaders(request, env)); }
+  const bot = String(body?.bot || "").trim();
+  const id = String(body?.id || "").trim();
+  if (!bot || !id) return json({ ok: false, error: "bot and id required" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+  const schedule = (Array.isArray(access.record.state?.schedules) ? access.record.state.schedules : []).find((s) => s.id === id);
+  if (!schedule) return json({ ok: false, error: "schedule not found in the published version", code: "SCHEDULE_NOT_FOUND" }, 404, corsHeaders(request, env));
+  try {
+    const run = await runSchedule(env, bot, access.record, schedule, "manual");
+    return json({ ok: true, run: publicScheduleRun(run) }, 200, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
+  }
+}
+
+// Called by the Cron Trigger. Each due schedule is claimed by moving its next_run_at forward (a compare-and-set,
+// so overlapping ticks never run it twice; missed runs are skipped, not caught up) and then run in turn.
+async function runDueSchedules(env, now) {
+  const problem = storageConfigError(env);
+  if (problem) {
+    console.error("schedule_error", problem);
+    return [];
+  }
+  const store = storage(env).schedules;
+  const due = await store.due(now.toISOString(), MAX_SCHEDULE_RUNS_PER_TICK);
+  const runs = [];
+  for (const row of due) {
+    try {
+      const next = nextCronTime(row.cron, now);
+      const claimed = await store.claim(row.bot, row.schedule_id, row.next_run_at, { next_run_at: next ? next.toISOString() : null, last_run_at: now.toISOString() });
+      if (!claimed) continue;
+      const record = await loadBotState(env, row.bot);
+      if (record.error) throw new Error(record.error);
+      const schedule = (Array.isArray(record.state?.schedules) ? record.state.schedules : []).find((s) => s.id === row.schedule_id);
+      if (!schedule || schedule.enabled === false) continue;
+      runs.push(await runSchedule(env, row.bot, record, schedule, "cron"));
+    } catch (e) {
+      console.error("schedule_error", row.bot, row.schedule_id, e?.message || e);
+    }
+  }
+  return runs;
+}
+
+// Runs one schedule through the automation model path, stores the run and, with `webhookUrl`, POSTs the result
+// there. Scheduled runs are configured by the bot owner and, like the owner's own calls, are exempt from rate
+// limits and daily token quotas: their tokens are not added to TOKEN_QUOTA_BOT_DAILY. Usage is still stored
+// (source "schedule"), so it shows up in /api/usage and its budget alerts, which report spend but stop nothing.
+async function runSchedule(env, bot, record, schedule, trigger) {
+  const store = storage(env).schedules;
+  const startedAt = new Date();
+  const run = { id: `run_${randomHex(12)}`, bot, schedule_id: schedule.id, trigger, status: "running", started_at: startedAt.toISOString() };
+  await store.addRun(run);
+  let patch;
+  try {
+    const text = await scheduleInput(env, bot, record.state, schedule, startedAt);
+    const result = await runAutomation(env, {
+      text,
+      bot,
+      userId: `schedule:${schedule.id}`,
+      persona: schedule.persona || record.state?.persona,
+      model: schedule.model,
+      sessionId: run.id,
+      channel: "schedule",
+      trigger: `schedule:${schedule.id}`,
+    }, record, { record: async () => {} });
+    patch = { status: "succeeded", result_json: result };
+  } catch (e) {
+    patch = { status: "failed", error_json: { code: e?.code || "SCHEDULE_FAILED", message: String(e?.message || e), ...(e?.detail !== undefined ? { detail: e.detail } : {}) } };
+  }
+  patch.finished_at = new Date().toISOString();
+  // The webhook is queued on the run: one attempt now, retries from the cron sweep (sweepScheduleWebhooks).
+  if (schedule.webhookUrl) Object.assign(patch, { webhook_url: schedule.webhookUrl, webhook_status: "pending", webhook_attempts: 0, webhook_next_at: patch.finished_at });
+  const finished = (await store.updateRun(run.id, patch)) || { ...run, ...patch };
+  return schedule.webhookUrl ? deliverScheduleWebhook(env, finished, record.automationSecret) : finished;
+}
+
+// Cron sweep: schedule webhooks whose retry time has come, and "sending" ones whose sender never finished.
+async function sweepScheduleWebhooks(env, now) {
+  if (storageConfigError(env)) return;
+  try {
+    const secrets = new Map();
+    for (const run of await storage(env).schedules.webhooksDue(now.toISOString(), MAX_SCHEDULE_WEBHOOKS_PER_TICK)) {
+      if (!secrets.has(run.bot)) secrets.set(run.bot, (await loadBotState(env, run.bot)).automationSecret || null);
+      await deliverScheduleWebhook(env, run, secrets.get(run.bot));
+    }
+  } catch (e) {
+    console.error("schedule_webhook_sweep_error", e?.message || e);
+  }
+}
+
+// Makes one attempt to POST a finished run to its webhook, claimed and retried like deliverAutomationCallback.
+async function deliverScheduleWebhook(env, run, secret) {
+  const store = storage(env).schedules;
+  const leaseUntil = new Date(Date.now() + WEBHOOK_SEND_LEASE_MS).toISOString();
+  if (!(await store.claimWebhook(run.id, run.webhook_next_at, { webhook_status: "sending", webhook_next_at: leaseUntil }))) return run;
+  const attempts = (run.webhook_attempts || 0) + 1;
+  const payload = JSON.stringify({
+    bot: run.bot, scheduleId: run.schedule_id, runId: run.id, trigger: run.trigger, status: run.status,
+    ...(run.result_json || {}), error: run.error_json || undefined, startedAt: run.started_at,
+  });
+  const result = await postSignedCallback(run.webhook_url, payload, secret, { "x-kmn-run-id": run.id }, attempts);
+  const patch = { webhook_status: result.status, webhook_attempts: attempts, webhook_next_at: result.nextAt };
+  return (await store.updateRun(run.id, patch)) || { ...run, ...patch };
+}
+
+// The schedule's prompt followed by the data it asks for (`input`), covering the last `lookbackHours`.
+// Transcripts of earlier schedule runs are left out so a summary never summarises itself.
+async function scheduleInput(env, bot, state, schedule, now) {
+  const to = now.toISOString();
+  const from = new Date(now.getTime() - (schedule.lookbackHours || DEFAULT_SCHEDULE_LOOKBACK_H) * 3_600_000).toISOString();
+  let data;
+  if (schedule.input === "conversations") {
+    const transcripts = (await loadTranscripts(env, { bot, from, to }, MAX_SCHEDULE_CONVERSATIONS)).filter((t) => t.conversation.channel !== "schedule");
+    data = transcripts.length ? transcripts.map((t) => transcriptMarkdown(bot, t)).join("\n\n---\n\n") : "(no conversations in this period)";
+  } else if (schedule.input === "analytics") {
+    const summary = (await storage(env).analytics.summary({ bot, from, to, bucket: "day" })) || {};
+    const totals = summary.totals || {};
+    data = JSON.stringify({
+      messages: Number(totals.messages) || 0,
+      users: Number(totals.users) || 0,
+      sessions: Number(totals.sessions) || 0,
+      dropoff: Number(totals.dropoff) || 0,
+      completions: Number(totals.completions) || 0,
+      funnel: flowFunnel(state, summary.nodes || {}, summary.exits || {}),
+    }, null, 2);
+  } else {
+    return schedule.prompt;
+  }
+  return `${schedule.prompt}\n\nData from ${from} to ${to}:\n\n${data.slice(0, MAX_SCHEDULE_INPUT_CHARS)}`;
+}
+
+// Registers the enabled schedules of a bot's live state. A schedule whose cron is unchanged keeps its next run.
+async function syncBotSchedules(env, bot, state) {
+  const store = storage(env).schedules;
+  const existing = new Map((await store.list(bot)).map((r) => [r.schedule_id, r]));
+  const now = new Date();
+  const rows = [];
+  for (const schedule of Array.isArray(state?.schedules) ? state.schedules : []) {
+    if (schedule.enabled === false) continue;
+    const old = existing.get(schedule.id);
+    let next = old?.cron === schedule.cron ? old.next_run_at : null;
+    try {
+      next = next || nextCronTime(schedule.cron, now)?.toISOString();
+    } catch {
+      continue;
+    }
+    if (next) rows.push({ bot, schedule_id: schedule.id, cron: schedule.cron, next_run_at: next, last_run_at: old?.last_run_at || null });
+  }
+  await store.replace(bot, rows);
+}
+
+function publicScheduleRun(row) {
+  return {
+    id: row.id,
+    scheduleId: row.schedule_id,
+    trigger: row.trigger,
+    status: row.status,
+    ...(row.result_json || {}),
+    error: row.error_json || undefined,
+    webhook: row.webhook_status ? { status: row.webhook_status, attempts: row.webhook_attempts } : undefined,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at || null,
+  };
+}
+
+// Parses a cron expression (five fields or an @macro) into the allowed values of each field. Throws with a
+// readable message when the expression is invalid.
+function parseCron(expression) {
+  const source = CRON_MACROS[String(expression).trim().toLowerCase()] || String(expression).trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) throw new Error("must have 5 fields: minute hour day-of-month month day-of-week");
+  const [minute, hour, dom, month, dow] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  if (dow.delete(7)) dow.add(0);
+  // Like Vixie cron: when both day fields are restricted a day matching either one runs.
+  return { minute, hour, dom, month, dow, anyDay: parts[2].startsWith("*") || parts[4].startsWith("*") };
+}
+
+function parseCronField(text, field) {
+  const values = new Set();
+  const value = (raw) => {
+    const named = field.names ? field.names.indexOf(raw.toLowerCase()) : -1;
+    const n = named >= 0 ? named + (field.name === "month" ? 1 : 0) : /^\d+$/.test(raw) ? Number(raw) : NaN;
+    if (!(n >= field.min && n <= field.max)) throw new Error(`invalid ${field.name} "${raw}"`);
+    return n;
+  };
+  for (const item of text.split(",")) {
+    const m = /^(\*|[A-Za-z0-9]+)(?:-([A-Za-z0-9]+))?(?:\/(\d+))?$/.exec(item);
+    if (!m || (m[1] === "*" && m[2])) throw new Error(`invalid ${field.name} "${item}"`);
+    const start = m[1] === "*" ? field.min : value(m[1]);
+    const end = m[2] ? value(m[2]) : m[1] === "*" || m[3] ? field.max : start;
+    const step = m[3] ? Number(m[3]) : 1;
+    if (step < 1 || end < start) throw new Error(`invalid ${field.name} "${item}"`);
+    for (let n = start; n <= end; n += step) values.add(n);
+  }
+  return values;
+}
+
+// The first minute strictly after `after` that matches the expression, or null when none does within five
+// years (e.g. "0 0 30 2 *"). Jumps a month, day or hour at a time, so it stays cheap for sparse schedules.
+function nextCronTime(expression, after) {
+  const cron = parseCron(expression);
+  const t = new Date(after);
+  t.setUTCSeconds(0, 0);
+  t.setUTCMinutes(t.getUTCMinutes() + 1);
+  const end = t.getTime() + 5 * 366 * 86_400_000;
+  while (t.getTime() < end) {
+    if (!cron.month.has(t.getUTCMonth() + 1)) {
+      t.setUTCMonth(t.getUTCMonth() + 1, 1);
+      t.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    const dom = cron.dom.has(t.getUTCDate());
+    const dow = cron.dow.has(t.getUTCDay());
+    if (cron.anyDay ? !(dom && dow) : !(dom || dow)) {
+      t.setUTCDate(t.getUTCDate() + 1);
+      t.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hour.has(t.getUTCHours())) {
+      t.setUTCHours(t.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minute.has(t.getUTCMinutes())) {
+      t.setUTCMinutes(t.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+    return t;
+  }
+  return null;
+}
+
+// GET /api/webhooks?bot=<name>: the bot's subscriptions (secrets are only shown when created or rotated).
+async function handleWebhooksGet(request, env) {
+  const bot = (new URL(request.url).searchParams.get("bot") || "").trim();
+  if (!bot) return json({ ok: false, error: "bot required" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+  try {
+    const rows = await storage(env).webhooks.list(bot);
+    return json({ ok: true, bot, events: WEBHOOK_EVENT_TYPES, webhooks: rows.map(publicWebhook) }, 200, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
+  }
+}
+
+// POST { bot, url, events, description?, enabled? } subscribes; with `id` it updates that subscription, and
+// `rotateSecret: true` issues a new signing secret. New secrets are returned once.
+async function handleWebhookPost(request, env) {
+  let body;
+  try { body = await request.json(); } catch { return json({ ok: false, error: "invalid json" }, 400, corsHeaders(request, env)); }
+  const bot = String(body?.bot || "").trim();
+  if (!bot) return json({ ok: false, error: "bot required" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+
+  const store = storage(env).webhooks;
+  try {
+    const existing = await store.list(bot);
+    const id = body?.id ? String(body.id) : "";
+    const current = id ? existing.find((w) => w.id === id) : null;
+    if (id && !current) return json({ ok: false, error: "webhook not found", code: "WEBHOOK_NOT_FOUND" }, 404, corsHeaders(request, env));
+    if (!current && existing.length >= MAX_WEBHOOKS_PER_BOT) return json({ ok: false, error: `at most ${MAX_WEBHOOKS_PER_BOT} webhooks per bot` }, 400, corsHeaders(request, env));
+
+    const url = body?.url === undefined && current ? current.url : String(body?.url || "").trim();
+    if (!/^https:\/\/\S+$/.test(url) || url.length > 2000) return json({ ok: false, error: "url must be an https URL" }, 400, corsHeaders(request, env));
+    const events = body?.events === undefined && current ? current.events_json : body?.events;
+    if (!Array.isArray(events) || !events.length || events.some((e) => e !== "*" && !WEBHOOK_EVENT_TYPES.includes(e))) {
+      return json({ ok: false, error: `events must be a non-empty array of ${WEBHOOK_EVENT_TYPES.join(", ")} or "*"` }, 400, corsHeaders(request, env));
+    }
+    const secret = !current || body?.rotateSecret ? `whsec_${randomHex(24)}` : current.secret;
+    const now = new Date().toISOString();
+    const row = {
+      id: current?.id || `wh_${randomHex(12)}`,
+      bot,
+      url,
+      events_json: [...new Set(events)],
+      description: String(body?.description ?? current?.description ?? "").slice(0, 200),
+      enabled: body?.enabled === undefined ? (current ? !!current.enabled : true) : !!body.enabled,
+      secret,
+      created_at: current?.created_at || now,
+      updated_at: now,
+    };
+    await store.put(row);
+    webhookCache.delete(bot);
+    return json({ ok: true, webhook: publicWebhook(row), ...(secret !== current?.secret ? { secret } : {}) }, current ? 200 : 201, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
+  }
+}
+
+// DELETE ?bot=<name>&id=<webhook id>. Its delivery log is kept.
+async function handleWebhookDelete(request, env) {
+  const url = new URL(request.url);
+  const bot = (url.searchParams.get("bot") || "").trim();
+  const id = (url.searchParams.get("id") || "").trim();
+  if (!bot || !id) return json({ ok: false, error: "bot and id required" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+  try {
+    await storage(env).webhooks.remove(bot, id);
+    webhookCache.delete(bot);
+    return json({ ok: true }, 200, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
+  }
+}
+
+// GET /api/webhooks/deliveries?bot=<name>&webhook=<id>&status=pending|sending|delivered|failed&limit=50
+async function handleWebhookDeliveriesGet(request, env) {
+  const url = new URL(request.url);
+  const bot = (url.searchParams.get("bot") || "").trim();
+  if (!bot) return json({ ok: false, error: "bot required" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+  const status = (url.searchParams.get("status") || "").trim() || undefined;
+  if (status && !["pending", "sending", "delivered", "failed"].includes(status)) return json({ ok: false, error: "invalid status" }, 400, corsHeaders(request, env));
+  const limit = Math.min(Math.max(Number(url.searchParams.get("limit")) || 50, 1), MAX_WEBHOOK_DELIVERY_PAGE);
+  try {
+    const rows = await storage(env).webhooks.deliveries(bot, { subscriptionId: (url.searchParams.get("webhook") || "").trim() || undefined, status, limit });
+    return json({ ok: true, bot, deliveries: rows.map(publicWebhookDelivery) }, 200, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
+  }
+}
+
+// POST { bot, id }: sends a logged delivery's event again as a new delivery (same event id, so receivers can
+// de-duplicate) to the subscription's current URL.
+async function handleWebhookReplay(request, env, ctx) {
+  let body;
+  try { body = await request.json(); } catch { return json({ ok: false, error: "invalid json" }, 400, corsHeaders(request, env)); }
+  const bot = String(body?.bot || "").trim();
+  const id = String(body?.id || "").trim();
+  if (!bot || !id) return json({ ok: false, error: "bot and id required" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+  try {
+    const store = storage(env).webhooks;
+    const original = await store.delivery(id);
+    if (!original || original.bot !== bot) return json({ ok: false, error: "delivery not found", code: "DELIVERY_NOT_FOUND" }, 404, corsHeaders(request, env));
+    const now = new Date().toISOString();
+    const replay = { ...original, id: `whd_${randomHex(12)}`, replay_of: original.id, status: "pending", attempts: 0, next_attempt_at: now, last_status_code: null, last_error: null, delivered_at: null, created_at: now, updated_at: now };
+    await store.addDeliveries([replay]);
+    ctx.waitUntil(sendWebhookDeliveries(env, [replay]));
+    return json({ ok: true, delivery: publicWebhookDelivery(replay) }, 202, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
+  }
+}
+
+function publicWebhook(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    events: row.events_json,
+    description: row.description || "",
+    enabled: !!row.enabled,
+    secretHint: row.secret ? `${row.secret.slice(0, 10)}…` : null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function publicWebhookDelivery(row) {
+  return {
+    id: row.id,
+    webhookId: row.subscription_id,
+    event: row.event_type,
+    eventId: row.event_id,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.status === "pending" ? row.next_attempt_at : null,
+    lastStatusCode: row.last_status_code ?? null,
+    lastError: row.last_error || null,
+    replayOf: row.replay_of || null,
+    payload: row.payload_json,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at || null,
+  };
+}
+
+async function loadWebhookSubscriptions(env, bot) {
+  const cached = webhookCache.get(bot);
+  if (cached && Date.now() - cached.at < WEBHOOK_CACHE_TTL_MS) return cached.rows;
+  const rows = await storage(env).webhooks.list(bot);
+  webhookCache.set(bot, { at: Date.now(), rows });
+  return rows;
+}
+
+function analyticsWebhookEvents(rows) {
+  return rows.filter((r) => r.bot && WEBHOOK_EVENTS_FROM_ANALYTICS[r.event_type]).map((r) => ({
+    bot: r.bot,
+    type: WEBHOOK_EVENTS_FROM_ANALYTICS[r.event_type],
+    id: r.event_id || undefined,
+    at: r.created_at,
+    data: { sessionId: r.session_id, userId: r.user_id, nodeId: r.node_id || undefined, meta: Object.keys(r.meta_json || {}).length ? r.meta_json : undefined },
+  }));
+}
+
+// Queues one delivery per matching subscription for each event ({ bot, type, data, id?, at? }). With `ctx` the
+// first attempt starts in the background right away; otherwise the next cron tick sends it. Never throws.
+async function queueWebhookEvents(env, events, ctx) {
+  if (!events.length) return;
+  try {
+    const now = new Date().toISOString();
+    const deliveries = [];
+    for (const bot of new Set(events.map((e) => e.bot))) {
+      const subscriptions = (await loadWebhookSubscriptions(env, bot)).filter((w) => w.enabled);
+      if (!subscriptions.length) continue;
+      for (const e of events.filter((x) => x.bot === bot)) {
+        const payload = { id: e.id || `evt_${randomHex(12)}`, type: e.type, bot, createdAt: e.at || now, data: e.data };
+        for (const w of subscriptions) {
+          if (!w.events_json.includes(e.type) && !w.events_json.includes("*")) continue;
+          deliveries.push({
+            id: `whd_${randomHex(12)}`, bot, subscription_id: w.id, event_type: e.type, event_id: payload.id, payload_json: payload,
+            status: "pending", attempts: 0, next_attempt_at: now, created_at: now, updated_at: now,
+          });
+        }
+      }
+    }
+    if (!deliveries.length) return;
+    await storage(env).webhooks.addDeliveries(deliveries);
+    if (ctx?.waitUntil) ctx.waitUntil(sendWebhookDeliveries(env, deliveries));
+  } catch (e) {
+    console.error("webhook_queue_error", e?.message || e);
+  }
+}
+
+// Cron sweep: pending deliveries whose retry time has come, and "sending" ones whose sender never finished.
+async function sendDueWebhooks(env, now) {
+  if (storageConfigError(env)) return;
+  try {
+    await sendWebhookDeliveries(env, await storage(env).webhooks.due(now.toISOString(), MAX_WEBHOOK_DELIVERIES_PER_TICK));
+  } catch (e) {
+    console.error("webhook_sweep_error", e?.message || e);
+  }
+}
+
+// Makes one attempt per delivery. Each is claimed first (compare-and-set on next_attempt_at, leased for
+// WEBHOOK_SEND_LEASE_MS) so the cron and a request never send it twice at once. Failures are rescheduled after
+// WEBHOOK_RETRY_DELAYS_S and marked failed when those run out.
+async function sendWebhookDeliveries(env, deliveries) {
+  const store = storage(env).webhooks;
+  for (const delivery of deliveries) {
+    try {
+      const leaseUntil = new Date(Date.now() + WEBHOOK_SEND_LEASE_MS).toISOString();
+      if (!(await store.claim(delivery.id, delivery.next_attempt_at, { status: "sending", next_attempt_at: leaseUntil }))) continue;
+      const attempts = (delivery.attempts || 0) + 1;
+      const subscription = (await loadWebhookSubscriptions(env, delivery.bot)).find((w) => w.id === delivery.subscription_id);
+      let result;
+      if (!subscription?.enabled) {
+        result = { ok: false, final: true, error: subscription ? "webhook is disabled" : "webhook was deleted" };
+      } else {
+        const payload = JSON.stringify(delivery.payload_json);
+        const headers = {
+          "content-type": "application/json",
+          "x-kmn-event": delivery.event_type,
+          "x-kmn-delivery": delivery.id,
+          ...await webhookSignatureHeaders(subscription.secret, payload),
+        };
+        try {
+          const res = await fetch(subscription.url, { method: "POST", headers, body: payload, signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS) });
+          result = res.ok ? { ok: true, code: res.status } : { ok: false, code: res.status, error: (await res.text().catch(() => "")).slice(0, 300) || `HTTP ${res.status}` };
+        } catch (e) {
+          result = { ok: false, error: String(e?.message || e).slice(0, 300) };
+        }
+      }
+      const now = new Date();
+      const retryIn = WEBHOOK_RETRY_DELAYS_S[attempts - 1];
+      await store.update(delivery.id, {
+        status: result.ok ? "delivered" : result.final || retryIn === undefined ? "failed" : "pending",
+        attempts,
+        next_attempt_at: result.ok || result.final || retryIn === undefined ? null : new Date(now.getTime() + retryIn * 1000).toISOString(),
+        last_status_code: result.code ?? null,
+        last_error: result.ok ? null : result.error,
+        delivered_at: result.ok ? now.toISOString() : null,
+      });
+    } catch (e) {
+      console.error("webhook_delivery_error", delivery.id, e?.message || e);
+    }
+  }
+}
+
+// GET /api/secrets?bot=<name>: the names of the secrets tools can use. Values are write-only.
+async function handleSecretsGet(request, env) {
+  const bot = (new URL(request.url).searchParams.get("bot") || "").trim();
+  if (!bot) return json({ ok: false, error: "bot required" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+  try {
+    const rows = await storage(env).secrets.list(bot);
+    const secrets = rows.map((r) => ({ name: r.name, created_at: r.created_at, updated_at: r.updated_at }));
+    return json({ ok: true, bot, secrets }, 200, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
+  }
+}
+
+// POST { bot, name, value }: creates or replaces a secret that tool definitions reference by name in `auth.secret`.
+async function handleSecretPost(request, env) {
+  let body;
+  try { body = await request.json(); } catch { return json({ ok: false, error: "invalid json" }, 400, corsHeaders(request, env)); }
+  const bot = String(body?.bot || "").trim();
+  const name = String(body?.name || "").trim();
+  const value = typeof body?.value === "string" ? body.value : "";
+  if (!bot) return json({ ok: false, error: "bot required" }, 400, corsHeaders(request, env));
+  if (!SECRET_NAME_RE.test(name)) return json({ ok: false, error: "name must be upper case letters, digits and underscores" }, 400, corsHeaders(request, env));
+  if (!value || value.length > MAX_SECRET_CHARS) return json({ ok: false, error: `value must be 1-${MAX_SECRET_CHARS} characters` }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+
+  const store = storage(env).secrets;
+  try {
+    const existing = await store.list(bot);
+    const previous = existing.find((r) => r.name === name);
+    if (!previous && existing.length >= MAX_SECRETS_PER_BOT) return json({ ok: false, error: `at most ${MAX_SECRETS_PER_BOT} secrets per bot` }, 400, corsHeaders(request, env));
+    const now = new Date().toISOString();
+    await store.put({ bot, name, value, created_at: previous?.created_at || now, updated_at: now });
+    return json({ ok: true, secret: { name, created_at: previous?.created_at || now, updated_at: now } }, previous ? 200 : 201, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
+  }
+}
+
+// DELETE ?bot=<name>&name=<SECRET>. Tools that still reference it fail with TOOL_SECRET_MISSING.
+async function handleSecretDelete(request, env) {
+  const url = new URL(request.url);
+  const bot = (url.searchParams.get("bot") || "").trim();
+  const name = (url.searchParams.get("name") || "").trim();
+  if (!bot || !name) return json({ ok: false, error: "bot and name required" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+  try {
+    if (!(await storage(env).secrets.get(bot, name))) return json({ ok: false, error: "secret not found", code: "SECRET_NOT_FOUND" }, 404, corsHeaders(request, env));
+    await storage(env).secrets.remove(bot, name);
+    return json({ ok: true }, 200, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
+  }
+}
+
+// GET /api/channels?bot=<name>: the messaging channels the bot is connected to (tokens are never returned).
+async function handleChannelsGet(request, env) {
+  const bot = (new URL(request.url).searchParams.get("bot") || "").trim();
+  if (!bot) return json({ ok: false, error: "bot required" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+  try {
+    const rows = await storage(env).channels.list(bot);
+    return json({ ok: true, bot, channels: rows.map((r) => publicChannel(request, r)) }, 200, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
+  }
+}
+
+// POST { bot, channel: "telegram" | "viber", token }: checks the token with the platform, stores it and points
+// the platform's webhook at this worker. Connecting again replaces the token and the webhook secret.
+async function handleChannelPost(request, env) {
+  let body;
+  try { body = await request.json(); } catch { return json({ ok: false, error: "invalid json" }, 400, corsHeaders(request, env)); }
+  const bot = String(body?.bot || "").trim();
+  const channel = String(body?.channel || "").trim();
+  const token = String(body?.token || "").trim();
+  if (!bot) return json({ ok: false, error: "bot required" }, 400, corsHeaders(request, env));
+  if (!CHANNEL_TYPES.includes(channel)) return json({ ok: false, error: `channel must be one of ${CHANNEL_TYPES.join(", ")}` }, 400, corsHeaders(request, env));
+  if (!/^[A-Za-z0-9:_-]{10,200}$/.test(token)) return json({ ok: false, error: "valid token required" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+
+  const store = storage(env).channels;
+  try {
+    const previous = await store.get(bot, channel);
+    const account = await channelAccount(env, channel, token);
+    const now = new Date().toISOString();
+    const row = { bot, channel, token, secret: randomHex(24), account_json: account, created_at: previous?.created_at || now, updated_at: now };
+    // Stored first: Viber calls the webhook while set_webhook is still running and the call must verify.
+    await store.put(row);
+    try {
+      await registerChannelWebhook(env, row, channelWebhookUrl(request, row));
+    } catch (e) {
+      if (previous) await store.put(previous);
+      else await store.remove(bot, channel);
+      throw e;
+    }
+    return json({ ok: true, channel: publicChannel(request, row) }, previous ? 200 : 201, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
+  }
+}
+
+// DELETE ?bot=<name>&channel=telegram|viber. The platform webhook is removed on a best-effort basis.
+async function handleChannelDelete(request, env) {
+  const url = new URL(request.url);
+  const bot = (url.searchParams.get("bot") || "").trim();
+  const channel = (url.searchParams.get("channel") || "").trim();
+  if (!bot || !channel) return json({ ok: false, error: "bot and channel required" }, 400, corsHeaders(request, env));
+  const access = await requireBotOwner(request, env, bot);
+  if (access.response) return access.response;
+  try {
+    const row = await storage(env).channels.get(bot, channel);
+    if (!row) return json({ ok: false, error: "channel not connected", code: "CHANNEL_NOT_FOUND" }, 404, corsHeaders(request, env));
+    try {
+      await registerChannelWebhook(env, row, "");
+    } catch (e) {
+      console.error("channel_unregister_error", channel, bot, e?.message || e);
+    }
+    await storage(env).channels.remove(bot, channel);
+    return json({ ok: true }, 200, corsHeaders(request, env));
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
+  }
+}
+
+// POST /api/channels/telegram?bot=<name> and /api/channels/viber?bot=<name>: platform webhooks. Telegram sends
+// the secret given to setWebhook in a header; Viber signs the body with the bot token. The bot's reply goes out
+// through the platform API in the background so the platform gets its 200 right away and does not redeliver.
+async function handleChannelWebhook(request, env, ctx, channel) {
+  const bot = (new URL(request.url).searchParams.get("bot") || "").trim();
+  const raw = await request.text();
+  let row;
+  try {
+    row = bot ? await storage(env).channels.get(bot, channel) : null;
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e), code: e?.code }, e?.status || 500, corsHeaders(request, env));
+  }
+  if (!row || !(await verifyChannelRequest(request, row, raw))) return json({ ok: false, error: "unauthorized" }, 401, corsHeaders(request, env));
+
+  let update;
+  try { update = JSON.parse(raw); } catch { return json({ ok: false, error: "invalid json" }, 400, corsHeaders(request, env)); }
+  const event = channel === "telegram" ? telegramEvent(update) : viberEvent(update);
+  // Viber only lets the bot answer conversation_started in the response body, so that turn runs before replying.
+  if (event?.welcome) return json((await runChannelTurn(request, env, ctx, row, event)) || { ok: true }, 200, corsHeaders(request, env));
+  if (event) ctx.waitUntil(runChannelTurn(request, env, ctx, row, event));
+  return json({ ok: true }, 200, corsHeaders(request, env));
+}
+
+function publicChannel(request, row) {
+  return {
+    channel: row.channel,
+    account: row.account_json || {},
+    tokenHint: `…${row.token.slice(-4)}`,
+    webhookUrl: channelWebhookUrl(request, row),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function channelWebhookUrl(request, row) {
+  return `${new URL(request.url).origin}/api/channels/${row.channel}?bot=${encodeURIComponent(row.bot)}`;
+}
+
+async function verifyChannelRequest(request, row, raw) {
+  if (row.channel === "telegram") return safeEqual(request.headers.get("x-telegram-bot-api-secret-token") || "", row.secret);
+  const signature = request.headers.get("x-viber-content-signature") || "";
+  return !!signature && safeEqual(signature, await hmacSha256(row.token, raw, "hex"));
+}
+
+// Calls a platform Bot API method; throws CHANNEL_API_ERROR (502) when the platform rejects it.
+async function channelApi(env, channel, token, method, payload) {
+  const url = channel === "telegram"
+    ? `${env.TELEGRAM_API_BASE || TELEGRAM_API_BASE}/bot${token}/${method}`
+    : `${env.VIBER_API_BASE || VIBER_API_BASE}/${method}`;
+  const headers = { "content-type": "application/json", ...(channel === "viber" ? { "x-viber-auth-token": token } : {}) };
+  let res, data;
+  try {
+    res = await fetch(url, { method: "POST", headers, body: JSON.stringify(payload || {}), signal: AbortSignal.timeout(CHANNEL_API_TIMEOUT_MS) });
+    data = await res.json().catch(() => ({}));
+  } catch (e) {
+    throw httpError(`${channel} ${method} failed: ${e?.message || e}`, "CHANNEL_API_ERROR", 502);
+  }
+  // Telegram answers { ok, result, description }; Viber { status: 0 | error code, status_message }.
+  const ok = channel === "telegram" ? res.ok && data?.ok === true : res.ok && data?.status === 0;
+  if (!ok) throw httpError(`${channel} ${method} failed: ${data?.description || data?.status_message || `HTTP ${res.status}`}`, "CHANNEL_API_ERROR", 502);
+  return channel === "telegram" ? data.result : data;
+}
+
+// Checks the token and returns what the owner needs to find the account on the platform.
+async function channelAccount(env, channel, token) {
+  if (channel === "telegram") {
+    const me = await channelApi(env, channel, token, "getMe");
+    return { id: me?.id, username: me?.username, name: me?.first_name };
+  }
+  const info = await channelApi(env, channel, token, "get_account_info");
+  return { id: info.id, uri: info.uri, name: info.name };
+}
+
+// Points the platform's webhook at `url`; an empty url removes it.
+async function registerChannelWebhook(env, row, url) {
+  if (row.channel === "telegram") {
+    if (!url) return channelApi(env, row.channel, row.token, "deleteWebhook");
+    return channelApi(env, row.channel, row.token, "setWebhook", { url, secret_token: row.secret, allowed_updates: ["message", "callback_query"] });
+  }
+  return channelApi(env, row.channel, row.token, "set_webhook", url ? { url, event_types: ["message", "conversation_started"], send_name: true } : { url: "" });
+}
+
+// { chatId, userId, text } for a text message or shared contact, { chatId, userId, callbackId, callback } for an
+// inline keyboard tap; null for anything the bot does not answer.
+function telegramEvent(update) {
+  const query = update?.callback_query;
+  if (query?.message?.chat && query.from) {
+    return { chatId: String(query.message.chat.id), userId: `telegram:${query.from.id}`, callbackId: query.id, callback: String(query.data || "") };
+  }
+  const message = update?.message;
+  if (!message?.chat || !message.from) return null;
+  const text = typeof message.text === "string" ? message.text : message.contact?.phone_number;
+  return text ? { chatId: String(message.chat.id), userId: `telegram:${message.from.id}`, text: String(text) } : null;
+}
+
+// Viber also posts "webhook" (the set_webhook check), subscription and delivery events; only messages and
+// conversation_started (a user opening the chat, answered like Telegram's /start) are answered.
+function viberEvent(update) {
+  if (update?.event === "conversation_started" && update.user?.id) {
+    return { chatId: String(update.user.id), userId: `viber:${update.user.id}`, text: "", welcome: true };
+  }
+  if (update?.event !== "message" || !update.sender?.id) return null;
+  const message = update.message || {};
+  const text = message.type === "text" ? message.text : message.type === "contact" ? message.contact?.phone_number : "";
+  return text ? { chatId: String(update.sender.id), userId: `viber:${update.sender.id}`, text: String(text) } : null;
+}
+
+// Runs one incoming channel message through the bot and sends the reply. Platform user ids become
+// "telegram:<id>" / "viber:<id>" user ids, so memory and limits work as they do for widget users.
+// A Viber welcome turn returns its reply as the welcome message body instead of sending it.
+async function runChannelTurn(request, env, ctx, row, event) {
+  const { bot, channel } = row;
+  try {
+    if (event.callbackId) await channelApi(env, channel, row.token, "answerCallbackQuery", { callback_query_id: event.callbackId });
+    const record = await loadBotState(env, bot);
+    if (record.error || !record.state) {
+      console.error("channel_bot_unavailable", channel, bot, record.error || "no published state");
+      return;
+    }
+    const state = channelFlowState(upgradeBotState(record.state));
+    const sessionId = `${channel}_${(await sha256Hex(`${bot}\n${event.chatId}`)).slice(0, 40)}`;
+    let input = event.callback === undefined ? event.text.trim() : await telegramCallbackInput(env, state, sessionId, event.callback);
+    // Telegram clients send /start when a user opens the bot, Viber sends conversation_started; both restart the flow.
+    const reset = !!event.welcome || (channel === "telegram" && /^\/start(\s|$)/.test(input));
+    if (reset) input = "";
+    if (!input && !reset) return;
+    const reply = (messages) => (event.welcome ? viberWelcome(messages, row) : sendChannelMessages(env, row, event.chatId, messages));
+
+    const auth = { kind: "channel", channel, bot, userId: event.userId };
+    const limits = await enforceLimits(request, env, { auth, bot, state });
+    if (limits.response) return await reply([{ type: "text", text: CHANNEL_BUSY_TEXT }]);
+    const turn = await runFlowTurn(env, ctx, { bot, state, sessionId, input: input.slice(0, MAX_PROMPT_CHARS), reset, limits, userId: event.userId, channel });
+    return await reply(turn.messages);
+  } catch (e) {
+    console.error("channel_turn_error", channel, bot, e?.message || e);
+  }
+}
+
+// Bots without a flow still answer on channels: every message goes to the model.
+function channelFlowState(state) {
+  return Array.isArray(state.nodes) && state.nodes.length ? state : { ...state, nodes: [{ id: "chat", type: "ai" }] };
+}
+
+// Telegram callback data is capped at 64 bytes, so buttons carry their index and node rather than the label.
+function telegramCallbackData(nodeId, index) {
+  return `${index}:${nodeId}`.slice(0, 64);
+}
+
+// The option label an inline keyboard tap stands for, or "" when the buttons are no longer the current step.
+async function telegramCallbackInput(env, state, sessionId, data) {
+  const session = await loadFlowSession(env, sessionId);
+  const node = session?.waiting ? state.nodes.find((n) => n.id === session.cursor) : null;
+  if (!node) return "";
+  return choiceLabels(node).find((_, i) => telegramCallbackData(node.id, i) === data) || "";
+}
+
+// Canned replies offered for a form field: select options, plus Skip when the field is optional.
+function formReplyOptions(field) {
+  if (!field) return [];
+  return [...(field.type === "select" ? field.options || [] : []), ...(field.required ? [] : ["Skip"])];
+}
+
+async function sendChannelMessages(env, row, chatId, messages) {
+  const replies = row.channel === "telegram" ? telegramReplies(messages) : viberReplies(messages, row);
+  for (const reply of replies) {
+    const payload = row.channel === "telegram" ? { chat_id: chatId, ...reply.body } : { receiver: chatId, ...reply.body };
+    await channelApi(env, row.channel, row.token, reply.method, payload);
+  }
+}
+
+// Flow messages as Telegram sendMessage/sendPhoto calls: buttons become an inline keyboard, quick replies and
+// form choices a one-time reply keyboard, and a phone field offers Telegram's share-contact button.
+function telegramReplies(messages) {
+  const replies = [];
+  for (const m of messages) {
+    if (m.type === "carousel") {
+      for (const card of m.cards || []) {
+        const caption = [card.title, card.subtitle].filter(Boolean).join("\n");
+        const markup = card.url ? { reply_markup: { inline_keyboard: [[{ text: "Open", url: card.url }]] } } : {};
+        replies.push(card.image
+          ? { method: "sendPhoto", body: { photo: card.image, caption: caption.slice(0, 1024), ...markup } }
+          : { method: "sendMessage", body: { text: caption.slice(0, TELEGRAM_MAX_TEXT), ...markup } });
+      }
+      continue;
+    }
+    const text = String(m.text || (m.options?.length ? "Please choose:" : "")).slice(0, TELEGRAM_MAX_TEXT);
+    if (!text) continue;
+    const body = { text };
+    const keyboard = m.type === "quick_replies" ? m.options.map((label) => [{ text: label }]) : formReplyOptions(m.field).map((label) => [{ text: label }]);
+    if (m.field?.type === "phone") keyboard.unshift([{ text: "Share my phone number", request_contact: true }]);
+    if (m.type === "buttons") body.reply_markup = { inline_keyboard: m.options.map((label, i) => [{ text: label, callback_data: telegramCallbackData(m.nodeId, i) }]) };
+    else if (keyboard.length) body.reply_markup = { keyboard, one_time_keyboard: true, resize_keyboard: true };
+    replies.push({ method: "sendMessage", body });
+  }
+  return replies;
+}
+
+// Flow messages as Viber send_message calls. Viber has no inline buttons, so every choice is a reply keyboard
+// whose tap sends the label back as a text message.
+function viberReplies(messages, row) {
+  const sender = { name: String(row.account_json?.name || row.bot).slice(0, 28) };
+  const replies = [];
+  for (const m of messages) {
+    if (m.type === "carousel") {
+      for (const card of m.cards || []) {
+        const text = [card.title, card.subtitle, card.url].filter(Boolean).join("\n");
+        replies.push({ method: "send_message", body: card.image ? { sender, type: "picture", media: card.image, text: text.slice(0, 768) } : { sender, type: "text", text } });
+      }
+      continue;
+    }
+    const text = String(m.text || (m.options?.length ? "Please choose:" : "")).slice(0, VIBER_MAX_TEXT);
+    if (!text) continue;
+    const options = m.type === "buttons" || m.type === "quick_replies" ? m.options : formReplyOptions(m.field);
+    const body = { sender, type: "text", text };
+    if (options.length) body.keyboard = { Type: "keyboard", DefaultHeight: false, Buttons: options.map((label) => ({ ActionType: "reply", ActionBody: label, Text: label, TextSize: "regular" })) };
+    replies.push({ method: "send_message", body });
+  }
+  return replies;
+}
+
+// Viber takes a single welcome message: the flow's text replies joined, with the keyboard of the last one that
+// has buttons. Null when the turn produced no text.
+function viberWelcome(messages, row) {
+  const texts = viberReplies(messages, row).filter((r) => r.body.type === "text").map((r) => r.body);
+  if (!texts.length) return null;
+  const keyboard = texts.map((b) => b.keyboard).filter(Boolean).pop();
+  return { ...texts[0], text: texts.map((b) => b.text).join("\n\n").slice(0, VIBER_MAX_TEXT), ...(keyboard ? { keyboard } : {}) };
+}
+
+async function handleWidgetConfig(request, env) {
+  const url = new URL(request.url);
+  const bot = (url.searchParams.get("bot") || "").trim();
+  const key = (url.searchParams.get("key") || "").trim();
+  if (!bot || !key) return json({ ok: false, error: "bot/key required" }, 400, corsHeaders(request, env));
+
+  const record = await loadBotState(env, bot);
+  if (record.error) return json({ ok: false, error: record.error, code: record.code }, record.status, corsHeaders(request, env));
+  if (!record.found || !record.publicKey || !safeEqual(record.publicKey, key)) {
+    return json({ ok: false, error: "invalid widget key", code: "UNAUTHORIZED" }, 401, corsHeaders(request, env));
+  }
+  if (!record.state) return json({ ok: false, error: "bot has not been published yet", code: "NOT_PUBLISHED" }, 404, corsHeaders(request, env));
+  // Short cache so a publish in the builder reaches live widgets within a minute.
+  return json({ ok: true, ...publicBotConfig(bot, record) }, 200, { ...corsHeaders(request, env), "cache-control": "public, max-age=30" });
+}
+
+// The subset of a bot's state that is safe to hand to anyone holding its public widget key.
+function publicBotConfig(bot, record) {
+  const state = record.state || {};
+  const nodes = Array.isArray(state.nodes) ? state.nodes : [];
+  const widget = isPlainObject(state.widget) ? state.widget : {};
+  const first = nodes[0];
+  return {
+    bot,
+    name: String(state.botName || bot),
+    model: String(state.model || DEFAULT_FLOW_MODEL),
+    persona: String(state.persona || "default"),
+    hasFlow: nodes.length > 0,
+    welcome: first && first.type === "text" ? interpolate(first.content || "", isPlainObject(state.vars) ? state.vars : {}) : "",
+    widget: {
+      color: String(widget.color || "#d8b46a"),
+      avatar: String(widget.avatar || ""),
+      position: widget.position === "bottom-left" ? "bottom-left" : "bottom-right",
+    },
+    version: record.publishedVersion,
+    updatedAt: record.updatedAt,
+  };
+}
+
+function resolveLimits(env, state) {
+  const limits = {};
+  for (const [name, fallback] of Object.entries(DEFAULT_LIMITS)) {
+    const fromBot = state?.limits?.[name];
+    const fromEnv = env[LIMIT_ENV[name]];
+    const value = fromBot !== undefined && fromBot !== null && fromBot !== "" ? fromBot : (fromEnv !== undefined && fromEnv !== "" ? fromEnv : fallback);
+    limits[name] = Math.max(0, Number(value) || 0);
+  }
+  return limits;
+}
+
+// Fixed-window requests-per-minute and tokens-per-day limits per IP, widget user and bot. Admin callers
+// are exempt. Returns `{ response }` (a 429) when over a limit, else `{ record(tokens) }` to charge the
+// day's token counters after the model call. Counter failures fail open so chat keeps working.
+async function enforceLimits(request, env, { auth, bot, userId, state }) {
+  const noop = { record: async () => {} };
+  if (auth?.kind === "admin") return noop;
+
+  const limits = resolveLimits(env, state);
+  const user = auth?.kind === "widget" || auth?.kind === "channel" ? auth.userId : (userId || "");
+  // Channel webhooks all arrive from the platform's servers, so an ip bucket would throttle every user at once.
+  const ip = auth?.kind === "channel" ? "" : request.headers.get("cf-connecting-ip") || "unknown";
+  const subjects = [
+    { scope: "ip", id: ip, rpm: limits.ipRpm, daily: limits.ipTokensPerDay },
+    { scope: "user", id: user, rpm: limits.userRpm, daily: limits.userTokensPerDay },
+    { scope: "bot", id: bot || "", rpm: limits.botRpm, daily: limits.botTokensPerDay },
+  ].filter((x) => x.id);
+
+  const now = Date.now();
+  const minute = Math.floor(now / 60_000) * 60_000;
+  const day = Math.floor(now / 86_400_000) * 86_400_000;
+  const hits = [];
+  for (const x of subjects) {
+    if (x.rpm) hits.push({ key: `rpm:${x.scope}:${x.id}`, window_start: new Date(minute).toISOString(), cost: 1, limit: x.rpm, retryAfter: Math.ceil((minute + 60_000 - now) / 1000), scope: x.scope });
+    if (x.daily) hits.push({ key: `tok:${x.scope}:${x.id}`, window_start: new Date(day).toISOString(), cost: 0, limit: x.daily, retryAfter: Math.ceil((day + 86_400_000 - now) / 1000), scope: x.scope });
+  }
+  if (!hits.length) return noop;
+
+  let counts;
+  try {
+    counts = await hitRateCounters(env, hits);
+  } catch (e) {
+    console.error("rate_limit_error", e?.message || e);
+    return noop;
+  }
+
+  for (const hit of hits) {
+    const count = counts[hit.key] || 0;
+    const over = hit.cost ? count > hit.limit : count >= hit.limit;
+    if (!over) continue;
+    return {
+      response: json(
+        { ok: false, error: hit.cost ? "rate limit exceeded" : "daily token quota exceeded", code: "RATE_LIMITED", scope: hit.scope, limit: hit.limit, retryAfter: hit.retryAfter },
+        429,
+        { ...corsHeaders(request, env), "retry-after": String(hit.retryAfter) },
+      ),
+    };
+  }
+
+  const tokenHits = hits.filter((h) => !h.cost);
+  return {
+    record: async (tokens) => {
+      if (!tokenHits.length || !(tokens > 0)) return;
+      try {
+        await hitRateCounters(env, tokenHits.map((h) => ({ ...h, cost: Math.ceil(tokens) })));
+      } catch (e) {
+        console.error("rate_limit_record_error", e?.message || e);
+      }
+    },
+  };
+}
+
+// Atomically adds `cost` to each counter and returns `{ key: count }` after the increment.
+function hitRateCounters(env, hits) {
+  return storage(env).rateCounters.hit(hits.map((h) => ({ key: h.key, window_start: h.window_start, cost: h.cost })));
+}
+
+async function handleWidgetSession(request, env) {
+  if (!env.AUTH_SECRET) return json({ ok: false, error: "AUTH_SECRET missing", code: "CONFIG_ERROR" }, 500, corsHeaders(request, env));
+  let body;
+  try { body = await request.json(); } catch { return json({ ok: false, error: "invalid json" }, 400, corsHeaders(request, env)); }
+  const bot = String(body?.bot || "").trim();
+  const key = String(body?.key || "").trim();
+  if (!bot || !key) return json({ ok: false, error: "bot/key required" }, 400, corsHeaders(request, env));
+
+  const record = await loadBotState(env, bot);
+  if (record.error) return json({ ok: false, error: record.error, code: record.code }, record.status, corsHeaders(request, env));
+  if (!record.found || !record.publicKey || !safeEqual(record.publicKey, key)) {
+    return json({ ok: false, error: "invalid widget key", code: "UNAUTHORIZED" }, 401, corsHeaders(request, env));
+  }
+
+  // Returning visitors keep their user id; the id itself is always server-issued so it cannot be guessed.
+  const previous = body?.userToken ? await verifySignedToken(env, String(body.userToken)) : null;
+  const userId = previous?.kind === "widget" && previous.bot === bot ? previous.sub : `u_${randomHex(12)}`;
+  const exp = Math.floor(Date.now() / 1000) + WIDGET_TOKEN_TTL_S;
+  const userToken = await signToken(env, { kind: "widget", bot, sub: userId, exp });
+  return json({ ok: true, userId, userToken, expiresAt: new Date(exp * 1000).toISOString() }, 200, corsHeaders(request, env));
+}
+
+// Resolves the caller from `Authorization: Bearer`: an admin token from ADMIN_TOKENS ("owner:token,...")
+// or a signed widget user token issued by /api/widget/session.
+// `fallbackToken` is only for requests that cannot carry headers (sendBeacon bodies).
+async function getAuth(request, env, fallbackToken = "") {
+  const header = request.headers.get("authorization") || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7).trim() : fallbackToken.trim();
+  if (!token) return null;
+  for (const entry of String(env.ADMIN_TOKENS || "").split(",")) {
+    const sep = entry.indexOf(":");
+    if (sep < 1) continue;
+    if (safeEqual(entry.slice(sep + 1).trim(), token)) return { kind: "admin", owner: entry.slice(0, sep).trim() };
+  }
+  const claims = await verifySignedToken(env, token);
+  if (claims?.kind === "widget") return { kind: "widget", bot: claims.bot, userId: claims.sub };
+  return null;
+}
+
+function authError(request, env, auth) {
+  if (!auth) return json({ ok: false, error: "authentication required", code: "UNAUTHORIZED" }, 401, corsHeaders(request, env));
+  return json({ ok: false, error: "forbidden", code: "FORBIDDEN" }, 403, corsHeaders(request, env));
+}
+
+// Admins may only touch bots they own; widget users only the bot their token was issued for.
+function canAccessBot(auth, bot, record) {
+  if (auth?.kind === "admin") return !!record?.found && (!record.owner || record.owner === auth.owner);
+  if (auth?.kind === "widget") return auth.bot === bot;
+  return false;
+}
+
+async function requireBotOwner(request, env, bot) {
+  const auth = await getAuth(request, env);
+  if (auth?.kind !== "admin") return { response: authError(request, env, auth) };
+  const record = await loadBotState(env, bot);
+  if (record.error) return { response: json({ ok: false, error: record.error, code: record.code }, record.status, corsHeaders(request, env)) };
+  if (!record.found) return { response: json({ ok: false, error: "bot not found; save it in the builder first", code: "BOT_NOT_FOUND" }, 404, corsHeaders(request, env)) };
+  if (record.owner && record.owner !== auth.owner) return { response: authError(request, env, auth) };
+  return { auth, record };
+}
+
+async function signToken(env, claims) {
+  const body = base64UrlEncode(new TextEncoder().encode(JSON.stringify(claims)));
+  return `${body}.${await hmacSha256(env.AUTH_SECRET, body)}`;
+}
+
+async function verifySignedToken(env, token) {
+  if (!env.AUTH_SECRET) return null;
+  const [body, sig] = String(token).split(".");
+  if (!body || !sig) return null;
+  if (!safeEqual(await hmacSha256(env.AUTH_SECRET, body), sig)) return null;
+  try {
+    const claims = JSON.parse(new TextDecoder().decode(base64UrlDecode(body)));
+    if (!claims?.exp || claims.exp < Date.now() / 1000) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+async function hmacSha256(secret, data, encoding = "base64url") {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const sig = new Uint8Array(await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(data)));
+  return encoding === "hex" ? [...sig].map((b) => b.toString(16).padStart(2, "0")).join("") : base64UrlEncode(sig);
+}
+
+function base64UrlEncode(bytes) {
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlDecode(str) {
+  const bin = atob(str.replace(/-/g, "+").replace(/_/g, "/") + "===".slice((str.length + 3) % 4));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+function safeEqual(a, b) {
+  a = String(a);
+  b = String(b);
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < Math.max(a.length, b.length); i++) diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+  return diff === 0;
+}
+
+function randomHex(bytes) {
+  return [...crypto.getRandomValues(new Uint8Array(bytes))].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Providers: "openrouter" (OPEN_ROUTER_API_KEY), "mock" (deterministic, for tests) and any number of
+// OpenAI-compatible servers from LLM_PROVIDERS, e.g.
+// [{"id":"local","baseUrl":"http://127.0.0.1:11434/v1","apiKeyEnv":"LOCAL_LLM_KEY","stripPrefix":"local/"}]
+function loadProviders(env) {
+  const providers = { mock: { id: "mock", type: "mock" } };
+  if (env.OPEN_ROUTER_API_KEY) {
+    providers.openrouter = { id: "openrouter", type: "openai", baseUrl: env.OPENROUTER_BASE_URL || DEFAULT_BASE, headers: openRouterHeaders(env) };
+  }
+  for (const p of parseJsonEnv(env.LLM_PROVIDERS, [])) {
+    if (!p?.id || !p?.baseUrl) continue;
+    const headers = {};
+    if (p.apiKeyEnv && env[p.apiKeyEnv]) headers.Authorization = `Bearer ${env[p.apiKeyEnv]}`;
+    providers[p.id] = {
+      id: String(p.id),
+      type: "openai",
+      baseUrl: String(p.baseUrl).replace(/\/+$/, ""),
+      headers,
+      stripPrefix: String(p.stripPrefix || ""),
+      timeoutMs: Number(p.timeoutMs) || DEFAULT_PROVIDER_TIMEOUT_MS,
+      listModels: p.listModels !== false,
+    };
+  }
+  return providers;
+}
+
+function routeModel(env, model) {
+  const routes = { ...DEFAULT_LLM_ROUTES, ...parseJsonEnv(env.LLM_ROUTES, {}) };
+  let match = "*";
+  for (const prefix of Object.keys(routes)) {
+    if (prefix !== "*" && model.startsWith(prefix) && (match === "*" || prefix.length > match.length)) match = prefix;
+  }
+  const chain = routes[match];
+  return Array.isArray(chain) ? chain.map(String) : [String(chain || "openrouter")];
+}
+
+// Sends a chat completion through the providers routed for `model`, moving to the next one when a
+// provider times out, fails at the network level, rate-limits (429) or returns 5xx. Any other response,
+// success or not, is returned as is together with the id of the provider that produced it.
+async function callModel(env, { model, messages, stream = false, params = {} }) {
+  const providers = loadProviders(env);
+  const chain = routeModel(env, model).map((id) => providers[id]).filter(Boolean);
+  if (!chain.length) throw httpError(`no LLM provider configured for ${model}`, "CONFIG_ERROR", 500);
+
+  let last = null;
+  for (const provider of chain) {
+    const attempt = await callProvider(provider, { model, messages, stream, params });
+    if (attempt.response && !isRetryableStatus(attempt.response.status)) return { response: attempt.response, provider: provider.id };
+    console.error("provider_failed", provider.id, attempt.response?.status || attempt.error);
+    last?.response?.body?.cancel().catch(() => {});
+    last = { ...attempt, provider: provider.id };
+  }
+  // Every provider failed: surface the last upstream response if there was one.
+  if (last.response) return { response: last.response, provider: last.provider };
+  throw last.timeout ? httpError("upstream timeout", "UPSTREAM_TIMEOUT", 504) : httpError("network failure", "NETWORK_ERROR", 502);
+}
+
+async function callProvider(provider, { model, messages, stream, params }) {
+  if (provider.type === "mock") return { response: mockCompletion(model, messages, stream, params) };
+
+  const upstreamModel = provider.stripPrefix && model.startsWith(provider.stripPrefix) ? model.slice(provider.stripPrefix.length) : model;
+  const ac = new AbortController();
+  const timer = setTimeout(() => ac.abort("upstream_timeout"), provider.timeoutMs || DEFAULT_PROVIDER_TIMEOUT_MS);
+  try {
+    const res = await fetch(`${provider.baseUrl}/chat/completions`, {
+      method: "POST",
+      headers: { ...provider.headers, "content-type": "application/json", accept: stream ? "text/event-stream" : "application/json" },
+      body: JSON.stringify({ model: upstreamModel, stream, ...(stream ? { stream_options: { include_usage: true } } : {}), messages, ...params }),
+      signal: ac.signal,
+    });
+    if (stream) return { response: res };
+    // Buffer non-streaming bodies inside the timeout so a stalled body also counts as a timeout.
+    const text = await res.text();
+    return { response: new Response(text, { status: res.status, headers: { "content-type": res.headers.get("content-type") || "application/json" } }) };
+  } catch (e) {
+    const timeout = String(e?.message || e).includes("upstream_timeout") || ac.signal.aborted;
+    return { error: String(e?.message || e), timeout };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// Deterministic OpenAI-style completion: echoes the last user message (or tool result). `mock/status-503` (any
+// 3-digit code) answers with that HTTP status instead, which makes fallback chains easy to exercise. When tools
+// are offered, each `[[tool:name {"json":"args"}]]` in that message becomes a tool call instead of text.
+function mockCompletion(model, messages, stream, params = {}) {
+  const status = Number(/status-(\d{3})/.exec(model)?.[1]);
+  if (status) return json({ error: { message: `mock status ${status}` } }, status);
+
+  const last = [...messages].reverse().find((m) => m.role === "user" || m.role === "tool");
+  const content = String(last?.content || "");
+  const calls = Array.isArray(params.tools) && params.tool_choice !== "none"
+    ? [...content.matchAll(/\[\[tool:([\w-]+)(?:\s+(\{.*?\}))?\]\]/g)].map((m, i) => ({ id: `call_mock_${messages.length}_${i}`, type: "function", function: { name: m[1], arguments: m[2] || "{}" } }))
+    : [];
+  const text = calls.length ? "" : `[mock:${model}] ${content.slice(0, 500)}`;
+  const promptTokens = messages.reduce((sum, m) => sum + estimateTokens(m), 0);
+  const usage = { prompt_tokens: promptTokens, completion_tokens: estimateTokens({ content: text }), total_tokens: promptTokens + estimateTokens({ content: text }) };
+  const finishReason = calls.length ? "tool_calls" : "stop";
+  if (!stream) {
+    const message = calls.length ? { role: "assistant", content: null, tool_calls: calls } : { role: "assistant", content: text };
+    return json({ id: "mock", object: "chat.completion", model, choices: [{ index: 0, message, finish_reason: finishReason }], usage });
+  }
+  const chunks = calls.length
+    ? calls.flatMap((c, index) => [
+      { id: "mock", object: "chat.completion.chunk", model, choices: [{ index: 0, delta: { tool_calls: [{ index, id: c.id, type: "function", function: { name: c.function.name, arguments: "" } }] } }] },
+      ...c.function.arguments.split(/(?<=,)/).map((piece) => ({ id: "mock", object: "chat.completion.chunk", model, choices: [{ index: 0, delta: { tool_calls: [{ index, function: { arguments: piece } }] } }] })),
+    ])
+    : text.split(/(?<= )/).map((piece) => ({ id: "mock", object: "chat.completion.chunk", model, choices: [{ index: 0, delta: { content: piece } }] }));
+  chunks.push({ id: "mock", object: "chat.completion.chunk", model, choices: [{ index: 0, delta: {}, finish_reason: finishReason }], usage });
+  const sse = chunks.map((c) => `data: ${JSON.stringify(c)}\n\n`).join("") + "data: [DONE]\n\n";
+  return new Response(sse, { headers: { "content-type": "text/event-stream; charset=utf-8" } });
+}
+
+function parseJsonEnv(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    console.error("invalid_json_env", String(value).slice(0, 100));
+    return fallback;
+  }
+}
+
+function openRouterHeaders(env) {
+  const h = { Authorization: `Bearer ${env.OPEN_ROUTER_API_KEY}` };
+  if (env.SITE_URL) h["HTTP-Referer"] = env.SITE_URL;
+  if (env.SITE_NAME) h["X-Title"] = env.SITE_NAME;
+  return h;
+}
+
+// Persistence goes through one repository with interchangeable backends: Supabase, Cloudflare D1 (plus KV for
+// sessions when a KV binding exists) or isolate memory. STORAGE_BACKEND picks one; unset, the first configured
+// wins in that order, so `wrangler dev` works with no database at all. Every backend returns rows shaped like
+// the Supabase tables (snake_case columns, JSON columns parsed) and throws httpError(..., "STORAGE_ERROR", 500).
+//
+//   sessions     getChat(id) → { bot, owner, messages } | null, putChat(id, { bot, owner, messages }),
+//                getFlow(id) → row | null, putFlow(row)
+//   bots         get(bot) → builder_states row | null, versions(bot, { limit, offset }) → { rows, total },
+//                version(bot, version | null) → row | null (null: latest), lastPublished(bot, except) → version | null,
+//                saveVersion({ bot, owner, publicKey, state, message }) → { version, unchanged },
+//                publish(bot, version) → { version, publishedAt } | null, setAutomationSecret(bot, secret | null)
+//   templates    list(limit), get(id) → row | null, put(row), remove(id)
+//   kb           documents(bot), contents(bot, limit), chunks(bot, limit), add(document, chunks) → id,
+//                remove(bot, id?) (without id: all of the bot's documents)
+//   memory       get(userId) → row | null, merge(userId, { set, remove, replace }) → facts
+//   analytics    insert(rows) → the rows stored (duplicate event_ids are skipped), page({ bot, from, to, type, afterId,
+//                limit }), summary({ bot, from, to, bucket }) → the kmn_analytics_summary document
+//   transcripts  log({ bot, sessionId, userId, channel, messages }), list(filter, { limit, offset }) → { rows, total },
+//                messages(conversationIds, limit), search({ bot, q, limit })
+//   usage        insert(row), rows(filter, from, to)
+//   rateCounters hit([{ key, window_start, cost }]) → { key: count }
+//   jobs         create(row) → { row, created } (an existing row with the same idempotency_key wins),
+//                get(id) → row | null, update(id, patch, expectedStatus?) → row | null (null: status differed),
+//                stuck(before, limit) → queued/running jobs last updated before `before`,
+//                callbacksDue(now, limit) → pending/sending callbacks with callback_next_at <= now,
+//                claimCallback(id, expectedNextAt, patch) → boolean
+//   schedules    list(bot), replace(bot, rows), due(now, limit) → rows with next_run_at <= now,
+//                claim(bot, scheduleId, expectedNextRunAt, patch) → boolean (false: another tick claimed it),
+//                addRun(row), updateRun(id, patch) → row, runs(bot, { scheduleId, limit }) → newest first,
+//                webhooksDue(now, limit) → runs with a pending/sending webhook and webhook_next_at <= now,
+//                claimWebhook(id, expectedNextAt, patch) → boolean
+//   webhooks     list(bot), put(row), remove(bot, id), addDeliveries(rows), delivery(id) → row | null,
+//                due(now, limit) → pending/sending deliveries with next_attempt_at <= now,
+//                claim(id, expectedNextAttemptAt, patch) → boolean, update(id, patch),
+//                deliveries(bot, { subscriptionId, status, limit }) → newest first
+//   leads        add(row), list({ bot, from, to }, { limit, offset }) → { rows, total }, newest first
+//   channels     get(bot, channel) → row | null, list(bot), put(row), remove(bot, channel)
+//   secrets      get(bot, name) → row | null, list(bot) → rows without values, put(row), remove(bot, name)
+//
+// Time bounds (`from`, `to`) are ISO timestamps, inclusive and exclusive respectively. Exported for
+// test/storage-parity.test.js, which checks that D1 and memory give the same results.
+export function storage(env) {
+  const kind = storageKind(env);
+  if (kind === "supabase") return supabaseStore(env);
+  if (kind === "d1") return d1Store(env);
+  return memoryStore;
+}
+
+function storageKind(env) {
+  const wanted = String(env.STORAGE_BACKEND || "").trim().toLowerCase();
+  if (wanted) return wanted;
+  if (hasSupabase(env)) return "supabase";
+  return env.DB ? "d1" : "memory";
+}
+
+// Why the selected backend cannot be used, or "" when it can.
+function storageConfigError(env) {
+  const kind = storageKind(env);
+  if (kind === "supabase") return hasSupabase(env) ? "" : "STORAGE_BACKEND is supabase but SUPABASE_URL or its key is missing";
+  if (kind === "d1") return env.DB ? "" : "STORAGE_BACKEND is d1 but there is no D1 binding named DB";
+  if (kind === "memory") return "";
+  return `unknown STORAGE_BACKEND: ${kind.slice(0, 32)}`;
+}
+
+function storageError(what, detail) {
+  return httpError(`${what} failed: ${String(detail).slice(0, 200)}`, "STORAGE_ERROR", 500);
+}
+
+function supabaseStore(env) {
+  const base = `${env.SUPABASE_URL}/rest/v1`;
+  const eq = (value) => `eq.${encodeURIComponent(value)}`;
+  async function rest(path, { method = "GET", body, prefer } = {}) {
+    const res = await fetch(`${base}/${path}`, {
+      method,
+      headers: prefer ? { ...supabaseHeaders(env), Prefer: prefer } : supabaseHeaders(env),
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text().catch(() => "");
+    if (!res.ok) throw storageError(`${method} ${path.split("?")[0]}`, `${res.status} ${text}`);
+    let data = null;
+    try { data = text ? JSON.parse(text) : null; } catch { data = null; }
+    return { data, total: Number((res.headers.get("content-range") || "").split("/")[1]) || null };
+  }
+  const select = async (path, opts) => {
+    const { data } = await rest(path, opts);
+    return Array.isArray(data) ? data : [];
+  };
+  const first = async (path) => (await select(path))[0] || null;
+  const rpc = async (name, args) => (await rest(`rpc/${name}`, { method: "POST", body: args })).data;
+  const upsert = (table, key, rows) => rest(`${table}?on_conflict=${key}`, { method: "POST", prefer: "resolution=merge-duplicates,return=minimal", body: rows });
+  const insert = (table, rows) => rest(table, { method: "POST", prefer: "return=minimal", body: rows });
+  const range = (column, from, to) => `${column}=gte.${encodeURIComponent(from)}&${column}=lt.${encodeURIComponent(to)}`;
+
+  return {
+    sessions: {
+      async getChat(id) {
+        const row = await first(`chat_sessions?session_id=${eq(id)}&select=bot,owner,messages_json&limit=1`);
+        return row && { bot: row.bot, owner: row.owner, messages: Array.isArray(row.messages_json) ? row.messages_json : [] };
+      },
+      async putChat(id, { bot, owner, messages }) {
+        await upsert("chat_sessions", "session_id", [{ session_id: id, bot, owner, messages_json: messages, updated_at: new Date().toISOString() }]);
+      },
+      getFlow: (id) => first(`flow_sessions?session_id=${eq(id)}&select=session_id,bot,user_id,cursor_node,waiting,done,vars_json,form_json&limit=1`),
+      async putFlow(row) {
+        await upsert("flow_sessions", "session_id", [{ ...row, updated_at: new Date().toISOString() }]);
+      },
+    },
+    bots: {
+      get: (bot) => first(`builder_states?bot=${eq(bot)}&select=state_json,owner,public_key,published_version,automation_secret,updated_at&limit=1`),
+      async versions(bot, { limit, offset }) {
+        const { data, total } = await rest(`bot_versions?bot=${eq(bot)}&select=version,author,message,created_at,published_at&order=version.desc&limit=${limit}&offset=${offset}`, { prefer: "count=exact" });
+        return { rows: Array.isArray(data) ? data : [], total };
+      },
+      version: (bot, version) => first(`bot_versions?bot=${eq(bot)}${version ? `&version=eq.${version}` : "&order=version.desc"}&select=version,state_json,author,message,created_at,published_at&limit=1`),
+      async lastPublished(bot, except) {
+        const row = await first(`bot_versions?bot=${eq(bot)}&published_at=not.is.null${except ? `&version=neq.${except}` : ""}&select=version&order=published_at.desc&limit=1`);
+        return row ? row.version : null;
+      },
+      async saveVersion({ bot, owner, publicKey, state, message }) {
+        const data = await rpc("kmn_save_bot_version", { p_bot: bot, p_owner: owner, p_public_key: publicKey, p_state: state, p_message: message });
+        if (!data?.version) throw storageError("save version", JSON.stringify(data));
+        return data;
+      },
+      async publish(bot, version) {
+        const data = await rpc("kmn_publish_bot_version", { p_bot: bot, p_version: version });
+        return data?.version ? data : null;
+      },
+      async setAutomationSecret(bot, secret) {
+        await rest(`builder_states?bot=${eq(bot)}`, { method: "PATCH", prefer: "return=minimal", body: { automation_secret: secret } });
+      },
+    },
+    templates: {
+      list: (limit) => select(`bot_templates?select=id,name,description,author,source_bot,updated_at&order=updated_at.desc&limit=${limit}`),
+      get: (id) => first(`bot_templates?id=${eq(id)}&select=id,name,description,author,source_bot,updated_at,bundle_json&limit=1`),
+      async put(row) {
+        await upsert("bot_templates", "id", [row]);
+      },
+      async remove(id) {
+        await rest(`bot_templates?id=${eq(id)}`, { method: "DELETE", prefer: "return=minimal" });
+      },
+    },
+    kb: {
+      documents: (bot) => select(`kb_documents?bot=${eq(bot)}&select=id,name,chars,chunk_count,created_at&order=created_at.desc`),
+      contents: (bot, limit) => select(`kb_documents?bot=${eq(bot)}&select=name,content&order=id.asc&limit=${limit}`),
+      chunks: (bot, limit) => select(`kb_chunks?bot=${eq(bot)}&select=id,document_name,chunk_index,content,terms_json,length&order=id.asc&limit=${limit}`),
+      // The document row is removed again if its chunks cannot be stored.
+      async add(document, chunks) {
+        const { data } = await rest("kb_documents", { method: "POST", prefer: "return=representation", body: [document] });
+        const id = data?.[0]?.id;
+        if (!id) throw storageError("store document", JSON.stringify(data));
+        try {
+          if (chunks.length) await insert("kb_chunks", chunks.map((c) => ({ ...c, document_id: id })));
+        } catch (e) {
+          await rest(`kb_documents?id=eq.${id}`, { method: "DELETE" }).catch(() => {});
+          throw e;
+        }
+        return id;
+      },
+      async remove(bot, id) {
+        await rest(`kb_documents?bot=${eq(bot)}${id ? `&id=eq.${Number(id)}` : ""}`, { method: "DELETE", prefer: "return=minimal" });
+      },
+    },
+    memory: {
+      get: (userId) => first(`user_memory?user_id=${eq(userId)}&select=facts_json,memory_json,updated_at&limit=1`),
+      // One statement (kmn_memory_merge) so concurrent turns cannot drop each other's keys.
+      merge: (userId, { set = {}, remove = [], replace = false }) => rpc("kmn_memory_merge", { p_user: userId, p_set: set, p_delete: remove, p_replace: replace }),
+    },
+    analytics: {
+      async insert(rows) {
+        const { data } = await rest("analytics_events?on_conflict=event_id&select=event_id", { method: "POST", prefer: "resolution=ignore-duplicates,return=representation", body: rows });
+        if (!Array.isArray(data)) return rows;
+        const ids = new Set(data.map((r) => r.event_id));
+        return rows.filter((r) => !r.event_id || ids.has(r.event_id));
+      },
+      page: ({ bot, from, to, type, afterId, limit }) => select(`analytics_events?select=${ANALYTICS_EXPORT_COLUMNS.join(",")}&bot=${eq(bot)}&${range("created_at", from, to)}${type ? `&event_type=${eq(type)}` : ""}&id=gt.${afterId}&order=id.asc&limit=${limit}`),
+      summary: ({ bot, from, to, bucket }) => rpc("kmn_analytics_summary", { p_bot: bot, p_from: from, p_to: to, p_bucket: bucket }),
+    },
+    transcripts: {
+      async log({ bot, sessionId, userId, channel, messages }) {
+        await rpc("kmn_log_messages", { p_bot: bot, p_session: sessionId, p_user: userId, p_channel: channel, p_messages: messages });
+      },
+      async list(filter, { limit, offset = 0 }) {
+        const where = [`bot=${eq(filter.bot)}`];
+        if (filter.sessionId) where.push(`session_id=${eq(filter.sessionId)}`);
+        if (filter.userId) where.push(`user_id=${eq(filter.userId)}`);
+        if (filter.channel) where.push(`channel=${eq(filter.channel)}`);
+        if (filter.from) where.push(`last_message_at=gte.${encodeURIComponent(filter.from)}`);
+        if (filter.to) where.push(`started_at=lt.${encodeURIComponent(filter.to)}`);
+        const { data, total } = await rest(`conversations?select=id,session_id,user_id,channel,message_count,total_tokens,started_at,last_message_at&${where.join("&")}&order=last_message_at.desc&limit=${limit}&offset=${offset}`, { prefer: "count=exact" });
+        return { rows: Array.isArray(data) ? data : [], total };
+      },
+      messages: (ids, limit) => select(`messages?select=conversation_id,role,content,model,provider,latency_ms,prompt_tokens,completion_tokens,meta_json,created_at&conversation_id=in.(${ids.map(Number).join(",")})&order=conversation_id.asc,id.asc&limit=${limit}`),
+      search({ bot, q, limit }) {
+        // Myanmar script has no spaces between words, so the `simple` text search cannot split it; use a substring match.
+        const match = /[က-႟]/.test(q)
+          ? `content=ilike.${encodeURIComponent(`*${q.replace(/[*%_\\]/g, "")}*`)}`
+          : `search=wfts(simple).${encodeURIComponent(q)}`;
+        return select(`messages?select=id,session_id,role,content,created_at&bot=${eq(bot)}&${match}&order=created_at.desc&limit=${limit}`);
+      },
+    },
+    usage: {
+      async insert(row) {
+        await insert("usage_events", [row]);
+      },
+      rows(filter, from, to) {
+        const where = Object.entries(filter).filter(([, v]) => v).map(([column, v]) => `${column}=${eq(v)}`);
+        return select(`usage_events?select=${USAGE_COLUMNS.join(",")}&${where.join("&")}&${range("created_at", from, to)}&order=created_at.asc&limit=${USAGE_QUERY_LIMIT}`);
+      },
+    },
+    rateCounters: {
+      async hit(hits) {
+        const rows = await rpc("kmn_rate_hit", { p_hits: hits });
+        if (!Array.isArray(rows)) throw storageError("rate counter rpc", JSON.stringify(rows));
+        return Object.fromEntries(rows.map((r) => [r.key, Number(r.count) || 0]));
+      },
+    },
+    jobs: {
+      async create(row) {
+        const { data } = await rest("automation_jobs?on_conflict=idempotency_key", { method: "POST", prefer: "resolution=ignore-duplicates,return=representation", body: [row] });
+        if (Array.isArray(data) && data[0]) return { row: data[0], created: true };
+        return { row: await first(`automation_jobs?idempotency_key=${eq(row.idempotency_key)}&limit=1`), created: false };
+      },
+      get: (id) => first(`automation_jobs?id=${eq(id)}&limit=1`),
+      async update(id, patch, expectedStatus) {
+        const { data } = await rest(`automation_jobs?id=${eq(id)}${expectedStatus ? `&status=${eq(expectedStatus)}` : ""}`, {
+          method: "PATCH",
+          prefer: "return=representation",
+          body: { ...patch, updated_at: new Date().toISOString() },
+        });
+        return Array.isArray(data) && data[0] ? data[0] : null;
+      },
+      stuck: (before, limit) => select(`automation_jobs?status=in.(queued,running)&updated_at=lt.${encodeURIComponent(before)}&order=updated_at.asc&limit=${limit}`),
+      callbacksDue: (now, limit) => select(`automation_jobs?callback_status=in.(pending,sending)&callback_next_at=lte.${encodeURIComponent(now)}&order=callback_next_at.asc&limit=${limit}`),
+      async claimCallback(id, expectedNextAt, patch) {
+        const { data } = await rest(`automation_jobs?id=${eq(id)}&callback_status=in.(pending,sending)&callback_next_at=${eq(expectedNextAt)}&select=id`, {
+          method: "PATCH",
+          prefer: "return=representation",
+          body: { ...patch, updated_at: new Date().toISOString() },
+        });
+        return Array.isArray(data) && data.length > 0;
+      },
+    },
+    schedules: {
+      list: (bot) => select(`bot_schedules?bot=${eq(bot)}&order=schedule_id.asc`),
+      async replace(bot, rows) {
+        const keep = rows.map((r) => `"${r.schedule_id}"`).join(",");
+        await rest(`bot_schedules?bot=${eq(bot)}${rows.length ? `&schedule_id=not.in.(${encodeURIComponent(keep)})` : ""}`, { method: "DELETE", prefer: "return=minimal" });
+        if (rows.length) await upsert("bot_schedules", "bot,schedule_id", rows.map((r) => ({ ...r, updated_at: new Date().toISOString() })));
+      },
+      due: (now, limit) => select(`bot_schedules?next_run_at=lte.${encodeURIComponent(now)}&order=next_run_at.asc&limit=${limit}`),
+      async claim(bot, scheduleId, expectedNextRunAt, patch) {
+        const { data } = await rest(`bot_schedules?bot=${eq(bot)}&schedule_id=${eq(scheduleId)}&next_run_at=${eq(expectedNextRunAt)}&select=bot`, {
+          method: "PATCH",
+          prefer: "return=representation",
+          body: { ...patch, updated_at: new Date().toISOString() },
+        });
+        return Array.isArray(data) && data.length > 0;
+      },
+      async addRun(row) {
+        await insert("schedule_runs", [row]);
+      },
+      async updateRun(id, patch) {
+        const { data } = await rest(`schedule_runs?id=${eq(id)}`, { method: "PATCH", prefer: "return=representation", body: patch });
+        return Array.isArray(data) && data[0] ? data[0] : null;
+      },
+      runs: (bot, { scheduleId, limit }) => select(`schedule_runs?bot=${eq(bot)}${scheduleId ? `&schedule_id=${eq(scheduleId)}` : ""}&order=started_at.desc&limit=${limit}`),
+      webhooksDue: (now, limit) => select(`schedule_runs?webhook_status=in.(pending,sending)&webhook_next_at=lte.${encodeURIComponent(now)}&order=webhook_next_at.asc&limit=${limit}`),
+      async claimWebhook(id, expectedNextAt, patch) {
+        const { data } = await rest(`schedule_runs?id=${eq(id)}&webhook_status=in.(pending,sending)&webhook_next_at=${eq(expectedNextAt)}&select=id`, {
+          method: "PATCH",
+          prefer: "return=representation",
+          body: patch,
+        });
+        return Array.isArray(data) && data.length > 0;
+      },
+    },
+    webhooks: {
+      list: (bot) => select(`webhook_subscriptions?bot=${eq(bot)}&order=created_at.asc`),
+      async put(row) {
+        await upsert("webhook_subscriptions", "id", [row]);
+      },
+      async remove(bot, id) {
+        await rest(`webhook_subscriptions?bot=${eq(bot)}&id=${eq(id)}`, { method: "DELETE", prefer: "return=minimal" });
+      },
+      async addDeliveries(rows) {
+        await insert("webhook_deliveries", rows);
+      },
+      delivery: (id) => first(`webhook_deliveries?id=${eq(id)}`),
+      due: (now, limit) => select(`webhook_deliveries?status=in.(pending,sending)&next_attempt_at=lte.${encodeURIComponent(now)}&order=next_attempt_at.asc&limit=${limit}`),
+      async claim(id, expectedNextAttemptAt, patch) {
+        const { data } = await rest(`webhook_deliveries?id=${eq(id)}&status=in.(pending,sending)&next_attempt_at=${eq(expectedNextAttemptAt)}&select=id`, {
+          method: "PATCH",
+          prefer: "return=representation",
+          body: { ...patch, updated_at: new Date().toISOString() },
+        });
+        return Array.isArray(data) && data.length > 0;
+      },
+      async update(id, patch) {
+        await rest(`webhook_deliveries?id=${eq(id)}`, { method: "PATCH", prefer: "return=minimal", body: { ...patch, updated_at: new Date().toISOString() } });
+      },
+      deliveries: (bot, { subscriptionId, status, limit }) => select(`webhook_deliveries?bot=${eq(bot)}${subscriptionId ? `&subscription_id=${eq(subscriptionId)}` : ""}${status ? `&status=${eq(status)}` : ""}&order=created_at.desc&limit=${limit}`),
+    },
+    leads: {
+      async add(row) {
+        await insert("leads", [row]);
+      },
+      async list(filter, { limit, offset = 0 }) {
+        const { data, total } = await rest(`leads?bot=${eq(filter.bot)}&${range("created_at", filter.from, filter.to)}&order=created_at.desc&limit=${limit}&offset=${offset}`, { prefer: "count=exact" });
+        return { rows: Array.isArray(data) ? data : [], total };
+      },
+    },
+    channels: {
+      get: (bot, channel) => first(`bot_channels?bot=${eq(bot)}&channel=${eq(channel)}`),
+      list: (bot) => select(`bot_channels?bot=${eq(bot)}&order=channel.asc`),
+      async put(row) {
+        await upsert("bot_channels", "bot,channel", [row]);
+      },
+      async remove(bot, channel) {
+        await rest(`bot_channels?bot=${eq(bot)}&channel=${eq(channel)}`, { method: "DELETE", prefer: "return=minimal" });
+      },
+    },
+    secrets: {
+      get: (bot, name) => first(`bot_secrets?bot=${eq(bot)}&name=${eq(name)}`),
+      list: (bot) => select(`bot_secrets?select=bot,name,created_at,updated_at&bot=${eq(bot)}&order=name.asc`),
+      async put(row) {
+        await upsert("bot_secrets", "bot,name", [row]);
+      },
+      async remove(bot, name) {
+        await rest(`bot_secrets?bot=${eq(bot)}&name=${eq(name)}`, { method: "DELETE", prefer: "return=minimal" });
+      },
+    },
+  };
+}
+
+// Applied in order on first use by each isolate and recorded in kmn_migrations. Never edit a shipped
+// migration; append a new one.
+const D1_MIGRATIONS = [
+  {
+    id: 1,
+    name: "initial schema",
+    statements: [
+      `CREATE TABLE IF NOT EXISTS builder_states (bot TEXT PRIMARY KEY, state_json TEXT, owner TEXT, public_key TEXT UNIQUE,
+        published_version INTEGER, updated_at TEXT NOT NULL)`,
+      `CREATE TABLE IF NOT EXISTS bot_versions (id INTEGER PRIMARY KEY AUTOINCREMENT, bot TEXT NOT NULL, version INTEGER NOT NULL,
+        state_json TEXT NOT NULL, author TEXT, message TEXT NOT NULL DEFAULT '', created_at TEXT NOT NULL, published_at TEXT,
+        UNIQUE (bot, version))`,
+      `CREATE TABLE IF NOT EXISTS bot_templates (id TEXT PRIMARY KEY, name TEXT NOT NULL, description TEXT NOT NULL DEFAULT '',
+        author TEXT NOT NULL, source_bot TEXT, bundle_json TEXT NOT NULL, created_at TEXT NOT NULL, updated_at TEXT NOT NULL)`,
+      `CREATE TABLE IF NOT EXISTS user_memory (user_id TEXT PRIMARY KEY, facts_json TEXT NOT NULL DEFAULT '{}', updated_at TEXT NOT NULL)`,
+      `CREATE TABLE IF NOT EXISTS analytics_events (id INTEGER PRIMARY KEY AUTOINCREMENT, bot TEXT, event_id TEXT UNIQUE,
+        event_type TEXT NOT NULL, user_id TEXT NOT NULL, session_id TEXT NOT NULL, node_id TEXT, meta_json TEXT NOT NULL DEFAULT '{}',
+        created_at TEXT NOT NULL)`,
+      "CREATE INDEX IF NOT EXISTS analytics_events_bot_created_idx ON analytics_events (bot, created_at)",
+      `CREATE TABLE IF NOT EXISTS chat_sessions (session_id TEXT PRIMARY KEY, messages_json TEXT NOT NULL DEFAULT '[]',
+        updated_at TEXT NOT NULL)`,
+      `CREATE TABLE IF NOT EXISTS flow_sessions (session_id TEXT PRIMARY KEY, bot TEXT NOT NULL, cursor_node TEXT,
+        waiting INTEGER NOT NULL DEFAULT 0, done INTEGER NOT NULL DEFAULT 0, vars_json TEXT NOT NULL DEFAULT '{}', updated_at TEXT NOT NULL)`,
+      `CREATE TABLE IF NOT EXISTS kb_documents (id INTEGER PRIMARY KEY AUTOINCREMENT, bot TEXT NOT NULL, name TEXT NOT NULL,
+        content TEXT NOT NULL, chars INTEGER NOT NULL DEFAULT 0, chunk_count INTEGER NOT NULL DEFAULT 0, created_at TEXT NOT NULL)`,
+      `CREATE TABLE IF NOT EXISTS kb_chunks (id INTEGER PRIMARY KEY AUTOINCREMENT, bot TEXT NOT NULL,
+        document_id INTEGER NOT NULL REFERENCES kb_documents (id) ON DELETE CASCADE, document_name TEXT NOT NULL,
+        chunk_index INTEGER NOT NULL, content TEXT NOT NULL, terms_json TEXT NOT NULL DEFAULT '{}', length INTEGER NOT NULL DEFAULT 0)`,
+      "CREATE INDEX IF NOT EXISTS kb_documents_bot_idx ON kb_documents (bot)",
+      "CREATE INDEX IF NOT EXISTS kb_chunks_bot_idx ON kb_chunks (bot)",
+      `CREATE TABLE IF NOT EXISTS rate_counters (key TEXT NOT NULL, window_start TEXT NOT NULL, count INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (key, window_start))`,
+      `CREATE TABLE IF NOT EXISTS usage_events (id INTEGER PRIMARY KEY AUTOINCREMENT, bot TEXT, user_id TEXT, session_id TEXT,
+        model TEXT NOT NULL, provider TEXT, source TEXT NOT NULL, prompt_tokens INTEGER NOT NULL DEFAULT 0,
+        completion_tokens INTEGER NOT NULL DEFAULT 0, total_tokens INTEGER NOT NULL DEFAULT 0, cost_usd REAL,
+        estimated INTEGER NOT NULL DEFAULT 0, created_at TEXT NOT NULL)`,
+      "CREATE INDEX IF NOT EXISTS usage_events_bot_created_idx ON usage_events (bot, created_at)",
+      `CREATE TABLE IF NOT EXISTS conversations (id INTEGER PRIMARY KEY AUTOINCREMENT, bot TEXT NOT NULL DEFAULT '',
+        session_id TEXT NOT NULL, user_id TEXT, channel TEXT NOT NULL, message_count INTEGER NOT NULL DEFAULT 0,
+        total_tokens INTEGER NOT NULL DEFAULT 0, started_at TEXT NOT NULL, last_message_at TEXT NOT NULL, UNIQUE (bot, session_id))`,
+      "CREATE INDEX IF NOT EXISTS conversations_bot_last_idx ON conversations (bot, last_message_at)",
+      `CREATE TABLE IF NOT EXISTS messages (id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id INTEGER NOT NULL REFERENCES conversations (id) ON DELETE CASCADE, bot TEXT NOT NULL DEFAULT '',
+        session_id TEXT NOT NULL, role TEXT NOT NULL, content TEXT NOT NULL, model TEXT, provider TEXT, latency_ms INTEGER,
+        prompt_tokens INTEGER NOT NULL DEFAULT 0, completion_tokens INTEGER NOT NULL DEFAULT 0, meta_json TEXT NOT NULL DEFAULT '{}',
+        created_at TEXT NOT NULL)`,
+      "CREATE INDEX IF NOT EXISTS messages_conversation_idx ON messages (conversation_id, id)",
+      "CREATE INDEX IF NOT EXISTS messages_bot_created_idx ON messages (bot, created_at)",
+    ],
+  },
+  {
+    id: 2,
+    name: "automation jobs",
+    statements: [
+      "ALTER TABLE builder_states ADD COLUMN automation_secret TEXT",
+      `CREATE TABLE IF NOT EXISTS automation_jobs (id TEXT PRIMARY KEY, bot TEXT NOT NULL DEFAULT '', owner TEXT,
+        idempotency_key TEXT UNIQUE, request_hash TEXT NOT NULL, status TEXT NOT NULL DEFAULT 'queued', result_json TEXT,
+        error_json TEXT, callback_url TEXT, callback_status TEXT, callback_attempts INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL, updated_at TEXT NOT NULL)`,
+      "CREATE INDEX IF NOT EXISTS automation_jobs_bot_created_idx ON automation_jobs (bot, created_at)",
+    ],
+  },
+  {
+    id: 3,
+    name: "schedules",
+    statements: [
+      `CREATE TABLE IF NOT EXISTS bot_schedules (bot TEXT NOT NULL, schedule_id TEXT NOT NULL, cron TEXT NOT NULL, next_run_at TEXT,
+        last_run_at TEXT, updated_at TEXT NOT NULL, PRIMARY KEY (bot, schedule_id))`,
+      "CREATE INDEX IF NOT EXISTS bot_schedules_next_run_idx ON bot_schedules (next_run_at)",
+      `CREATE TABLE IF NOT EXISTS schedule_runs (id TEXT PRIMARY KEY, bot TEXT NOT NULL, schedule_id TEXT NOT NULL, trigger TEXT NOT NULL,
+        status TEXT NOT NULL, result_json TEXT, error_json TEXT, webhook_status TEXT, webhook_attempts INTEGER NOT NULL DEFAULT 0,
+        started_at TEXT NOT NULL, finished_at TEXT)`,
+      "CREATE INDEX IF NOT EXISTS schedule_runs_bot_started_idx ON schedule_runs (bot, started_at)",
+    ],
+  },
+  {
+    id: 4,
+    name: "webhooks",
+    statements: [
+      `CREATE TABLE IF NOT EXISTS webhook_subscriptions (id TEXT PRIMARY KEY, bot TEXT NOT NULL, url TEXT NOT NULL, events_json TEXT NOT NULL,
+        description TEXT NOT NULL DEFAULT '', enabled INTEGER NOT NULL DEFAULT 1, secret TEXT NOT NULL, created_at TEXT NOT NULL, updated_at TEXT NOT NULL)`,
+      "CREATE INDEX IF NOT EXISTS webhook_subscriptions_bot_idx ON webhook_subscriptions (bot)",
+      `CREATE TABLE IF NOT EXISTS webhook_deliveries (id TEXT PRIMARY KEY, bot TEXT NOT NULL, subscription_id TEXT NOT NULL, event_type TEXT NOT NULL,
+        event_id TEXT NOT NULL, payload_json TEXT NOT NULL, status TEXT NOT NULL, attempts INTEGER NOT NULL DEFAULT 0, next_attempt_at TEXT,
+        last_status_code INTEGER, last_error TEXT, replay_of TEXT, delivered_at TEXT, created_at TEXT NOT NULL, updated_at TEXT NOT NULL)`,
+      "CREATE INDEX IF NOT EXISTS webhook_deliveries_bot_created_idx ON webhook_deliveries (bot, created_at)",
+      "CREATE INDEX IF NOT EXISTS webhook_deliveries_next_attempt_idx ON webhook_deliveries (next_attempt_at)",
+    ],
+  },
+  {
+    id: 5,
+    name: "leads",
+    statements: [
+      `CREATE TABLE IF NOT EXISTS leads (id TEXT PRIMARY KEY, bot TEXT NOT NULL, session_id TEXT NOT NULL, user_id TEXT, channel TEXT NOT NULL,
+        node_id TEXT, fields_json TEXT NOT NULL DEFAULT '{}', created_at TEXT NOT NULL)`,
+      "CREATE INDEX IF NOT EXISTS leads_bot_created_idx ON leads (bot, created_at)",
+      "ALTER TABLE flow_sessions ADD COLUMN form_json TEXT",
+    ],
+  },
+  {
+    id: 6,
+    name: "channels",
+    statements: [
+      `CREATE TABLE IF NOT EXISTS bot_channels (bot TEXT NOT NULL, channel TEXT NOT NULL, token TEXT NOT NULL, secret TEXT NOT NULL,
+        account_json TEXT NOT NULL DEFAULT '{}', created_at TEXT NOT NULL, updated_at TEXT NOT NULL, PRIMARY KEY (bot, channel))`,
+    ],
+  },
+  {
+    id: 7,
+    name: "secrets",
+    statements: [
+      `CREATE TABLE IF NOT EXISTS bot_secrets (bot TEXT NOT NULL, name TEXT NOT NULL, value TEXT NOT NULL,
+        created_at TEXT NOT NULL, updated_at TEXT NOT NULL, PRIMARY KEY (bot, name))`,
+    ],
+  },
+  {
+    id: 8,
+    name: "job sweep",
+    statements: [
+      "ALTER TABLE automation_jobs ADD COLUMN callback_next_at TEXT",
+      "CREATE INDEX IF NOT EXISTS automation_jobs_callback_idx ON automation_jobs (callback_next_at)",
+      "CREATE INDEX IF NOT EXISTS automation_jobs_status_updated_idx ON automation_jobs (status, updated_at)",
+    ],
+  },
+  {
+    id: 9,
+    name: "chat session owners",
+    statements: [
+      "ALTER TABLE chat_sessions ADD COLUMN bot TEXT",
+      "ALTER TABLE chat_sessions ADD COLUMN owner TEXT",
+    ],
+  },
+  {
+    id: 10,
+    name: "flow session users",
+    statements: [
+      "ALTER TABLE flow_sessions ADD COLUMN user_id TEXT",
+    ],
+  },
+  {
+    id: 11,
+    name: "schedule webhook queue",
+    statements: [
+      "ALTER TABLE schedule_runs ADD COLUMN webhook_url TEXT",
+      "ALTER TABLE schedule_runs ADD COLUMN webhook_next_at TEXT",
+      "CREATE INDEX IF NOT EXISTS schedule_runs_webhook_idx ON schedule_runs (webhook_next_at)",
+    ],
+  },
+];
+const d1Migrated = new WeakMap();
+
+function migrateD1(db) {
+  let pending = d1Migrated.get(db);
+  if (!pending) {
+    pending = (async () => {
+      await db.prepare("CREATE TABLE IF NOT EXISTS kmn_migrations (id INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at TEXT NOT NULL)").run();
+      const { results } = await db.prepare("SELECT id FROM kmn_migrations").all();
+      const applied = new Set((results || []).map((r) => r.id));
+      for (const migration of D1_MIGRATIONS) {
+        if (applied.has(migration.id)) continue;
+        // A batch runs as one transaction, so a failed migration leaves nothing half-applied.
+        await db.batch([
+          ...migration.statements.map((sql) => db.prepare(sql)),
+          db.prepare("INSERT INTO kmn_migrations (id, name, applied_at) VALUES (?, ?, ?)").bind(migration.id, migration.name, new Date().toISOString()),
+        ]);
+      }
+    })();
+    d1Migrated.set(db, pending);
+    pending.catch(() => d1Migrated.delete(db));
+  }
+  return pending;
+}
+
+// D1 for tables; when a KV namespace is bound as KV, chat and flow sessions live there instead (they are
+// written on every turn and only ever read by key).
+function d1Store(env) {
+  const db = env.DB;
+  const kv = env.KV || null;
+  const now = () => new Date().toISOString();
+  async function all(sql, ...params) {
+    try {
+      await migrateD1(db);
+      const { results } = await db.prepare(sql).bind(...params).all();
+      return results || [];
+    } catch (e) {
+      throw storageError("d1 query", e?.message || e);
+    }
+  }
+  const first = async (sql, ...params) => (await all(sql, ...params))[0] || null;
+  async function batch(statements) {
+    try {
+      await migrateD1(db);
+      return await db.batch(statements.map(([sql, ...params]) => db.prepare(sql).bind(...params)));
+    } catch (e) {
+      throw storageError("d1 batch", e?.message || e);
+    }
+  }
+  const run = (sql, ...params) => batch([[sql, ...params]]);
+  const parse = (row, ...columns) => {
+    if (!row) return row;
+    for (const c of columns) if (typeof row[c] === "string") row[c] = JSON.parse(row[c]);
+    return row;
+  };
+  const where = (conditions) => {
+    const parts = conditions.filter(([, value]) => value !== undefined && value !== null && value !== "");
+    return { sql: parts.map(([clause]) => clause).join(" AND "), params: parts.map(([, value]) => value) };
+  };
+
+  return {
+    sessions: {
+      async getChat(id) {
+        // KV values written before sessions had owners are bare message arrays.
+        const row = kv
+          ? await kv.get(`chat:${id}`, "json")
+          : parse(await first("SELECT bot, owner, messages_json AS messages FROM chat_sessions WHERE session_id = ?", id), "messages");
+        if (!isPlainObject(row)) return null;
+        return { bot: row.bot, owner: row.owner, messages: Array.isArray(row.messages) ? row.messages : [] };
+      },
+      async putChat(id, { bot, owner, messages }) {
+        if (kv) return kv.put(`chat:${id}`, JSON.stringify({ bot, owner, messages }), { expirationTtl: SESSION_KV_TTL_S });
+        await run(
+          `INSERT INTO chat_sessions (session_id, bot, owner, messages_json, updated_at) VALUES (?, ?, ?, ?, ?)
+           ON CONFLICT (session_id) DO UPDATE SET bot = excluded.bot, owner = excluded.owner, messages_json = excluded.messages_json, updated_at = excluded.updated_at`,
+          id, bot, owner, JSON.stringify(messages), now(),
+        );
+      },
+      async getFlow(id) {
+        if (kv) return kv.get(`flow:${id}`, "json");
+        const row = parse(await first("SELECT session_id, bot, user_id, cursor_node, waiting, done, vars_json, form_json FROM flow_sessions WHERE session_id = ?", id), "vars_json", "form_json");
+        return row && { ...row, waiting: !!row.waiting, done: !!row.done };
+      },
+      async putFlow(row) {
+        if (kv) return kv.put(`flow:${row.session_id}`, JSON.stringify(row), { expirationTtl: SESSION_KV_TTL_S });
+        await run(
+          `INSERT INTO flow_sessions (session_id, bot, user_id, cursor_node, waiting, done, vars_json, form_json, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+           ON CONFLICT (session_id) DO UPDATE SET bot = excluded.bot, user_id = excluded.user_id, cursor_node = excluded.cursor_node,
+             waiting = excluded.waiting, done = excluded.done, vars_json = excluded.vars_json, form_json = excluded.form_json, updated_at = excluded.updated_at`,
+          row.session_id, row.bot, row.user_id, row.cursor_node ?? null, row.waiting ? 1 : 0, row.done ? 1 : 0, JSON.stringify(row.vars_json || {}),
+          row.form_json ? JSON.stringify(row.form_json) : null, now(),
+        );
+      },
+    },
+    bots: {
+      get: async (bot) => parse(await first("SELECT state_json, owner, public_key, published_version, automation_secret, updated_at FROM builder_states WHERE bot = ?", bot), "state_json"),
+      async versions(bot, { limit, offset }) {
+        const rows = await all("SELECT version, author, message, created_at, published_at FROM bot_versions WHERE bot = ? ORDER BY version DESC LIMIT ? OFFSET ?", bot, limit, offset);
+        const count = await first("SELECT count(*) AS total FROM bot_versions WHERE bot = ?", bot);
+        return { rows, total: count?.total ?? null };
+      },
+      version: async (bot, version) => parse(version
+        ? await first("SELECT version, state_json, author, message, created_at, published_at FROM bot_versions WHERE bot = ? AND version = ?", bot, version)
+        : await first("SELECT version, state_json, author, message, created_at, published_at FROM bot_versions WHERE bot = ? ORDER BY version DESC LIMIT 1", bot), "state_json"),
+      async lastPublished(bot, except) {
+        const row = await first("SELECT version FROM bot_versions WHERE bot = ? AND published_at IS NOT NULL AND version <> ? ORDER BY published_at DESC LIMIT 1", bot, except || 0);
+        return row ? row.version : null;
+      },
+      // Concurrent saves of one bot race for the same number; the loser fails on UNIQUE (bot, version).
+      async saveVersion({ bot, owner, publicKey, state, message }) {
+        const json = JSON.stringify(state);
+        await run(
+          `INSERT INTO builder_states (bot, state_json, owner, public_key, updated_at) VALUES (?, NULL, ?, ?, ?)
+           ON CONFLICT (bot) DO UPDATE SET owner = coalesce(builder_states.owner, excluded.owner), public_key = coalesce(builder_states.public_key, excluded.public_key)`,
+          bot, owner, publicKey, now(),
+        );
+        const latest = await first("SELECT version, state_json FROM bot_versions WHERE bot = ? ORDER BY version DESC LIMIT 1", bot);
+        if (latest && latest.state_json === json) return { version: latest.version, unchanged: true };
+        const version = (latest?.version || 0) + 1;
+        await run("INSERT INTO bot_versions (bot, version, state_json, author, message, created_at) VALUES (?, ?, ?, ?, ?, ?)", bot, version, json, owner, message || "", now());
+        return { version, unchanged: false };
+      },
+      async publish(bot, version) {
+        const row = await first("SELECT state_json FROM bot_versions WHERE bot = ? AND version = ?", bot, version);
+        if (!row) return null;
+        const at = now();
+        await batch([
+          ["UPDATE bot_versions SET published_at = ? WHERE bot = ? AND version = ?", at, bot, version],
+          ["UPDATE builder_states SET state_json = ?, published_version = ?, updated_at = ? WHERE bot = ?", row.state_json, version, at, bot],
+        ]);
+        return { version, publishedAt: at };
+      },
+      async setAutomationSecret(bot, secret) {
+        await run("UPDATE builder_states SET automation_secret = ? WHERE bot = ?", secret, bot);
+      },
+    },
+    templates: {
+      list: (limit) => all("SELECT id, name, description, author, source_bot, updated_at FROM bot_templates ORDER BY updated_at DESC LIMIT ?", limit),
+      get: async (id) => parse(await first("SELECT id, name, description, author, source_bot, updated_at, bundle_json FROM bot_templates WHERE id = ?", id), "bundle_json"),
+      async put(row) {
+        await run(
+          `INSERT INTO bot_templates (id, name, description, author, source_bot, bundle_json, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+           ON CONFLICT (id) DO UPDATE SET name = excluded.name, description = excluded.description, author = excluded.author,
+             source_bot = excluded.source_bot, bundle_json = excluded.bundle_json, updated_at = excluded.updated_at`,
+          row.id, row.name, row.description || "", row.author, row.source_bot ?? null, JSON.stringify(row.bundle_json), row.updated_at, row.updated_at,
+        );
+      },
+      async remove(id) {
+        await run("DELETE FROM bot_templates WHERE id = ?", id);
+      },
+    },
+    kb: {
+      documents: (bot) => all("SELECT id, name, chars, chunk_count, created_at FROM kb_documents WHERE bot = ? ORDER BY created_at DESC", bot),
+      contents: (bot, limit) => all("SELECT name, content FROM kb_documents WHERE bot = ? ORDER BY id LIMIT ?", bot, limit),
+      chunks: async (bot, limit) => (await all("SELECT id, document_name, chunk_index, content, terms_json, length FROM kb_chunks WHERE bot = ? ORDER BY id LIMIT ?", bot, limit)).map((r) => parse(r, "terms_json")),
+      async add(document, chunks) {
+        const row = await first(
+          "INSERT INTO kb_documents (bot, name, content, chars, chunk_count, created_at) VALUES (?, ?, ?, ?, ?, ?) RETURNING id",
+          document.bot, document.name, document.content, document.chars, document.chunk_count, document.created_at,
+        );
+        try {
+          if (chunks.length) {
+            await batch(chunks.map((c) => [
+              "INSERT INTO kb_chunks (bot, document_id, document_name, chunk_index, content, terms_json, length) VALUES (?, ?, ?, ?, ?, ?, ?)",
+              c.bot, row.id, c.document_name, c.chunk_index, c.content, JSON.stringify(c.terms_json), c.length,
+            ]));
+          }
+        } catch (e) {
+          await run("DELETE FROM kb_documents WHERE id = ?", row.id).catch(() => {});
+          throw e;
+        }
+        return row.id;
+      },
+      async remove(bot, id) {
+        const scope = id ? " AND document_id = ?" : "";
+        const params = id ? [bot, Number(id)] : [bot];
+        await batch([
+          [`DELETE FROM kb_chunks WHERE bot = ?${scope}`, ...params],
+          [`DELETE FROM kb_documents WHERE bot = ?${id ? " AND id = ?" : ""}`, ...params],
+        ]);
+      },
+    },
+    memory: {
+      get: async (userId) => parse(await first("SELECT facts_json, updated_at FROM user_memory WHERE user_id = ?", userId), "facts_json"),
+      // json_patch merges objects recursively, so every touched key is cleared first and then set whole.
+      async merge(userId, { set = {}, remove = [], replace = false }) {
+        const clear = Object.fromEntries([...remove, ...Object.keys(set)].map((key) => [key, null]));
+        const kept = Object.fromEntries(Object.entries(set).filter(([key]) => !remove.includes(key)));
+        const at = now();
+        const results = await batch([
+          ["INSERT INTO user_memory (user_id, facts_json, updated_at) VALUES (?, '{}', ?) ON CONFLICT (user_id) DO NOTHING", userId, at],
+          [
+            "UPDATE user_memory SET facts_json = json_patch(json_patch(CASE WHEN ? THEN '{}' ELSE facts_json END, ?), ?), updated_at = ? WHERE user_id = ? RETURNING facts_json",
+            replace ? 1 : 0, JSON.stringify(clear), JSON.stringify(kept), at, userId,
+          ],
+        ]);
+        const facts = JSON.parse(results[1].results?.[0]?.facts_json || "{}");
+        const expired = Object.keys(facts).filter((key) => !(key in liveFacts(facts)));
+        if (expired.length) {
+          await run("UPDATE user_memory SET facts_json = json_patch(facts_json, ?) WHERE user_id = ?", JSON.stringify(Object.fromEntries(expired.map((key) => [key, null]))), userId);
+          for (const key of expired) delete facts[key];
+        }
+        return facts;
+      },
+    },
+    analytics: {
+      async insert(rows) {
+        const results = await batch(rows.map((r) => [
+          `INSERT INTO analytics_events (bot, event_id, event_type, user_id, session_id, node_id, meta_json, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+           ON CONFLICT (event_id) DO NOTHING`,
+          r.bot ?? null, r.event_id ?? null, r.event_type, r.user_id, r.session_id, r.node_id ?? "", JSON.stringify(r.meta_json || {}), r.created_at,
+        ]));
+        return rows.filter((_, i) => results[i]?.meta?.changes > 0);
+      },
+      async page({ bot, from, to, type, afterId, limit }) {
+        const rows = await all(
+          `SELECT ${ANALYTICS_EXPORT_COLUMNS.join(", ")} FROM analytics_events
+           WHERE bot = ? AND created_at >= ? AND created_at < ? AND (? = '' OR event_type = ?) AND id > ? ORDER BY id LIMIT ?`,
+          bot, isoTime(from), isoTime(to), type || "", type || "", afterId, limit,
+        );
+        return rows.map((r) => parse(r, "meta_json"));
+      },
+      async summary({ bot, from, to, bucket }) {
+        const events = await all(
+          "SELECT id, event_type, user_id, session_id, node_id, created_at FROM analytics_events WHERE bot = ? AND created_at >= ? AND created_at < ?",
+          bot, isoTime(from), isoTime(to),
+        );
+        return summarizeAnalyticsEvents(events, bucket);
+      },
+    },
+    transcripts: {
+      async log({ bot, sessionId, userId, channel, messages }) {
+        const at = now();
+        const tokens = messages.reduce((sum, m) => sum + (Number(m.prompt_tokens) || 0) + (Number(m.completion_tokens) || 0), 0);
+        await batch([
+          [
+            `INSERT INTO conversations (bot, session_id, user_id, channel, message_count, total_tokens, started_at, last_message_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT (bot, session_id) DO UPDATE SET message_count = conversations.message_count + excluded.message_count,
+               total_tokens = conversations.total_tokens + excluded.total_tokens, user_id = coalesce(conversations.user_id, excluded.user_id),
+               last_message_at = excluded.last_message_at`,
+            bot, sessionId, userId, channel, messages.length, tokens, at, at,
+          ],
+          ...messages.map((m) => [
+            `INSERT INTO messages (conversation_id, bot, session_id, role, content, model, provider, latency_ms, prompt_tokens, completion_tokens, meta_json, created_at)
+             VALUES ((SELECT id FROM conversations WHERE bot = ? AND session_id = ?), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            bot, sessionId, bot, sessionId, m.role, String(m.content ?? ""), m.model ?? null, m.provider ?? null, m.latency_ms ?? null,
+            Number(m.prompt_tokens) || 0, Number(m.completion_tokens) || 0, JSON.stringify(m.meta || {}), at,
+          ]),
+        ]);
+      },
+      async list(filter, { limit, offset = 0 }) {
+        const { sql, params } = where([
+          ["bot = ?", filter.bot],
+          ["session_id = ?", filter.sessionId],
+          ["user_id = ?", filter.userId],
+          ["channel = ?", filter.channel],
+          ["last_message_at >= ?", filter.from && isoTime(filter.from)],
+          ["started_at < ?", filter.to && isoTime(filter.to)],
+        ]);
+        const rows = await all(`SELECT id, session_id, user_id, channel, message_count, total_tokens, started_at, last_message_at FROM conversations WHERE ${sql} ORDER BY last_message_at DESC LIMIT ? OFFSET ?`, ...params, limit, offset);
+        const count = await first(`SELECT count(*) AS total FROM conversations WHERE ${sql}`, ...params);
+        return { rows, total: count?.total ?? null };
+      },
+      async messages(ids, limit) {
+        if (!ids.length) return [];
+        const rows = await all(
+          `SELECT conversation_id, role, content, model, provider, latency_ms, prompt_tokens, completion_tokens, meta_json, created_at FROM messages
+           WHERE conversation_id IN (${ids.map(() => "?").join(", ")}) ORDER BY conversation_id, id LIMIT ?`,
+          ...ids, limit,
+        );
+        return rows.map((r) => parse(r, "meta_json"));
+      },
+      // No full-text index in D1; a case-insensitive substring match (ASCII case folding only).
+      search: ({ bot, q, limit }) => all(
+        "SELECT id, session_id, role, content, created_at FROM messages WHERE bot = ? AND instr(lower(content), lower(?)) > 0 ORDER BY created_at DESC, id DESC LIMIT ?",
+        bot, q, limit,
+      ),
+    },
+    usage: {
+      async insert(row) {
+        await run(
+          `INSERT INTO usage_events (bot, user_id, session_id, model, provider, source, prompt_tokens, completion_tokens, total_tokens, cost_usd, estimated, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          row.bot, row.user_id, row.session_id, row.model, row.provider, row.source, row.prompt_tokens, row.completion_tokens, row.total_tokens,
+          row.cost_usd, row.estimated ? 1 : 0, row.created_at || now(),
+        );
+      },
+      async rows(filter, from, to) {
+        const { sql, params } = where([...Object.entries(filter).map(([column, value]) => [`${column} = ?`, value]), ["created_at >= ?", isoTime(from)], ["created_at < ?", isoTime(to)]]);
+        const rows = await all(`SELECT ${USAGE_COLUMNS.join(", ")} FROM usage_events WHERE ${sql} ORDER BY created_at LIMIT ?`, ...params, USAGE_QUERY_LIMIT);
+        return rows.map((r) => ({ ...r, estimated: !!r.estimated }));
+      },
+    },
+    rateCounters: {
+      async hit(hits) {
+        const statements = hits.map((h) => [
+          "INSERT INTO rate_counters (key, window_start, count) VALUES (?, ?, ?) ON CONFLICT (key, window_start) DO UPDATE SET count = count + excluded.count RETURNING key, count",
+          h.key, isoTime(h.window_start), h.cost,
+        ]);
+        // Windows older than a day are never read again; prune them now and then.
+        if (Math.random() < 0.01) statements.push(["DELETE FROM rate_counters WHERE window_start < ?", new Date(Date.now() - 2 * 86_400_000).toISOString()]);
+        const results = await batch(statements);
+        const counts = {};
+        for (const r of results) for (const row of r.results || []) counts[row.key] = Number(row.count) || 0;
+        return counts;
+      },
+    },
+    jobs: {
+      async create(row) {
+        const columns = Object.keys(row);
+        const values = columns.map((c) => (c.endsWith("_json") && row[c] != null ? JSON.stringify(row[c]) : row[c] ?? null));
+        const inserted = await first(
+          `INSERT INTO automation_jobs (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")}) ON CONFLICT (idempotency_key) DO NOTHING RETURNING *`,
+          ...values,
+        );
+        if (inserted) return { row: parse(inserted, "result_json", "error_json"), created: true };
+        return { row: parse(await first("SELECT * FROM automation_jobs WHERE idempotency_key = ?", row.idempotency_key), "result_json", "error_json"), created: false };
+      },
+      get: async (id) => parse(await first("SELECT * FROM automation_jobs WHERE id = ?", id), "result_json", "error_json"),
+      async update(id, patch, expectedStatus) {
+        const entries = Object.entries({ ...patch, updated_at: now() });
+        const row = await first(
+          `UPDATE automation_jobs SET ${entries.map(([c]) => `${c} = ?`).join(", ")} WHERE id = ?${expectedStatus ? " AND status = ?" : ""} RETURNING *`,
+          ...entries.map(([c, v]) => (c.endsWith("_json") && v != null ? JSON.stringify(v) : v ?? null)), id, ...(expectedStatus ? [expectedStatus] : []),
+        );
+        return parse(row, "result_json", "error_json");
+      },
+      stuck: async (before, limit) => (await all(
+        "SELECT * FROM automation_jobs WHERE status IN ('queued', 'running') AND updated_at < ? ORDER BY updated_at LIMIT ?", before, limit,
+      )).map((r) => parse(r, "result_json", "error_json")),
+      callbacksDue: async (nowIso, limit) => (await all(
+        "SELECT * FROM automation_jobs WHERE callback_status IN ('pending', 'sending') AND callback_next_at <= ? ORDER BY callback_next_at LIMIT ?", nowIso, limit,
+      )).map((r) => parse(r, "result_json", "error_json")),
+      async claimCallback(id, expectedNextAt, patch) {
+        const entries = Object.entries({ ...patch, updated_at: now() });
+        const row = await first(
+          `UPDATE automation_jobs SET ${entries.map(([c]) => `${c} = ?`).join(", ")} WHERE id = ? AND callback_status IN ('pending', 'sending') AND callback_next_at = ? RETURNING id`,
+          ...entries.map(([, v]) => v ?? null), id, expectedNextAt,
+        );
+        return !!row;
+      },
+    },
+    schedules: {
+      list: (bot) => all("SELECT * FROM bot_schedules WHERE bot = ? ORDER BY schedule_id", bot),
+      async replace(bot, rows) {
+        await batch([
+          ["DELETE FROM bot_schedules WHERE bot = ?", bot],
+          ...rows.map((r) => ["INSERT INTO bot_schedules (bot, schedule_id, cron, next_run_at, last_run_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)",
+            r.bot, r.schedule_id, r.cron, r.next_run_at, r.last_run_at, now()]),
+        ]);
+      },
+      due: (nowIso, limit) => all("SELECT * FROM bot_schedules WHERE next_run_at <= ? ORDER BY next_run_at LIMIT ?", nowIso, limit),
+      async claim(bot, scheduleId, expectedNextRunAt, patch) {
+        const entries = Object.entries({ ...patch, updated_at: now() });
+        const row = await first(
+          `UPDATE bot_schedules SET ${entries.map(([c]) => `${c} = ?`).join(", ")} WHERE bot = ? AND schedule_id = ? AND next_run_at = ? RETURNING bot`,
+          ...entries.map(([, v]) => v ?? null), bot, scheduleId, expectedNextRunAt,
+        );
+        return !!row;
+      },
+      async addRun(row) {
+        const columns = Object.keys(row);
+        await run(`INSERT INTO schedule_runs (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`, ...columns.map((c) => row[c] ?? null));
+      },
+      async updateRun(id, patch) {
+        const entries = Object.entries(patch);
+        const row = await first(
+          `UPDATE schedule_runs SET ${entries.map(([c]) => `${c} = ?`).join(", ")} WHERE id = ? RETURNING *`,
+          ...entries.map(([c, v]) => (c.endsWith("_json") && v != null ? JSON.stringify(v) : v ?? null)), id,
+        );
+        return parse(row, "result_json", "error_json");
+      },
+      async runs(bot, { scheduleId, limit }) {
+        const w = where([["bot = ?", bot], ["schedule_id = ?", scheduleId]]);
+        const rows = await all(`SELECT * FROM schedule_runs WHERE ${w.sql} ORDER BY started_at DESC LIMIT ?`, ...w.params, limit);
+        return rows.map((r) => parse(r, "result_json", "error_json"));
+      },
+      webhooksDue: async (nowIso, limit) => (await all(
+        "SELECT * FROM schedule_runs WHERE webhook_status IN ('pending', 'sending') AND webhook_next_at <= ? ORDER BY webhook_next_at LIMIT ?", nowIso, limit,
+      )).map((r) => parse(r, "result_json", "error_json")),
+      async claimWebhook(id, expectedNextAt, patch) {
+        const entries = Object.entries(patch);
+        const row = await first(
+          `UPDATE schedule_runs SET ${entries.map(([c]) => `${c} = ?`).join(", ")} WHERE id = ? AND webhook_status IN ('pending', 'sending') AND webhook_next_at = ? RETURNING id`,
+          ...entries.map(([, v]) => v ?? null), id, expectedNextAt,
+        );
+        return !!row;
+      },
+    },
+    webhooks: {
+      list: async (bot) => (await all("SELECT * FROM webhook_subscriptions WHERE bot = ? ORDER BY created_at", bot))
+        .map((r) => ({ ...parse(r, "events_json"), enabled: !!r.enabled })),
+      async put(row) {
+        await run(
+          `INSERT INTO webhook_subscriptions (id, bot, url, events_json, description, enabled, secret, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+           ON CONFLICT (id) DO UPDATE SET url = excluded.url, events_json = excluded.events_json, description = excluded.description,
+             enabled = excluded.enabled, secret = excluded.secret, updated_at = excluded.updated_at`,
+          row.id, row.bot, row.url, JSON.stringify(row.events_json), row.description || "", row.enabled ? 1 : 0, row.secret, row.created_at, row.updated_at,
+        );
+      },
+      async remove(bot, id) {
+        await run("DELETE FROM webhook_subscriptions WHERE bot = ? AND id = ?", bot, id);
+      },
+      async addDeliveries(rows) {
+        await batch(rows.map((row) => {
+          const columns = Object.keys(row);
+          return [`INSERT INTO webhook_deliveries (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`,
+            ...columns.map((c) => (c.endsWith("_json") ? JSON.stringify(row[c]) : row[c] ?? null))];
+        }));
+      },
+      delivery: async (id) => parse(await first("SELECT * FROM webhook_deliveries WHERE id = ?", id), "payload_json"),
+      due: async (nowIso, limit) => (await all(
+        "SELECT * FROM webhook_deliveries WHERE status IN ('pending', 'sending') AND next_attempt_at <= ? ORDER BY next_attempt_at LIMIT ?", nowIso, limit,
+      )).map((r) => parse(r, "payload_json")),
+      async claim(id, expectedNextAttemptAt, patch) {
+        const entries = Object.entries({ ...patch, updated_at: now() });
+        const row = await first(
+          `UPDATE webhook_deliveries SET ${entries.map(([c]) => `${c} = ?`).join(", ")} WHERE id = ? AND status IN ('pending', 'sending') AND next_attempt_at = ? RETURNING id`,
+          ...entries.map(([, v]) => v ?? null), id, expectedNextAttemptAt,
+        );
+        return !!row;
+      },
+      async update(id, patch) {
+        const entries = Object.entries({ ...patch, updated_at: now() });
+        await run(`UPDATE webhook_deliveries SET ${entries.map(([c]) => `${c} = ?`).join(", ")} WHERE id = ?`, ...entries.map(([, v]) => v ?? null), id);
+      },
+      async deliveries(bot, { subscriptionId, status, limit }) {
+        const w = where([["bot = ?", bot], ["subscription_id = ?", subscriptionId], ["status = ?", status]]);
+        const rows = await all(`SELECT * FROM webhook_deliveries WHERE ${w.sql} ORDER BY created_at DESC LIMIT ?`, ...w.params, limit);
+        return rows.map((r) => parse(r, "payload_json"));
+      },
+    },
+    leads: {
+      async add(row) {
+        await run(
+          "INSERT INTO leads (id, bot, session_id, user_id, channel, node_id, fields_json, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+          row.id, row.bot, row.session_id, row.user_id ?? null, row.channel, row.node_id ?? null, JSON.stringify(row.fields_json || {}), row.created_at,
+        );
+      },
+      async list(filter, { limit, offset = 0 }) {
+        const { sql, params } = where([["bot = ?", filter.bot], ["created_at >= ?", filter.from && isoTime(filter.from)], ["created_at < ?", filter.to && isoTime(filter.to)]]);
+        const rows = await all(`SELECT * FROM leads WHERE ${sql} ORDER BY created_at DESC LIMIT ? OFFSET ?`, ...params, limit, offset);
+        const count = await first(`SELECT count(*) AS total FROM leads WHERE ${sql}`, ...params);
+        return { rows: rows.map((r) => parse(r, "fields_json")), total: count?.total ?? null };
+      },
+    },
+    channels: {
+      get: async (bot, channel) => parse(await first("SELECT * FROM bot_channels WHERE bot = ? AND channel = ?", bot, channel), "account_json"),
+      list: async (bot) => (await all("SELECT * FROM bot_channels WHERE bot = ? ORDER BY channel", bot)).map((r) => parse(r, "account_json")),
+      async put(row) {
+        await run(
+          `INSERT INTO bot_channels (bot, channel, token, secret, account_json, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)
+           ON CONFLICT (bot, channel) DO UPDATE SET token = excluded.token, secret = excluded.secret, account_json = excluded.account_json,
+             updated_at = excluded.updated_at`,
+          row.bot, row.channel, row.token, row.secret, JSON.stringify(row.account_json || {}), row.created_at, row.updated_at,
+        );
+      },
+      async remove(bot, channel) {
+        await run("DELETE FROM bot_channels WHERE bot = ? AND channel = ?", bot, channel);
+      },
+    },
+    secrets: {
+      get: (bot, name) => first("SELECT * FROM bot_secrets WHERE bot = ? AND name = ?", bot, name),
+      list: (bot) => all("SELECT bot, name, created_at, updated_at FROM bot_secrets WHERE bot = ? ORDER BY name", bot),
+      async put(row) {
+        await run(
+          `INSERT INTO bot_secrets (bot, name, value, created_at, updated_at) VALUES (?, ?, ?, ?, ?)
+           ON CONFLICT (bot, name) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`,
+          row.bot, row.name, row.value, row.created_at, row.updated_at,
+        );
+      },
+      async remove(bot, name) {
+        await run("DELETE FROM bot_secrets WHERE bot = ? AND name = ?", bot, name);
+      },
+    },
+  };
+}
+
+// Per-isolate tables for local development and tests: nothing survives a restart and isolates do not share
+// data. Reads return copies so callers cannot change stored rows.
+const memoryTables = {
+  ids: 0,
+  chatSessions: new Map(),
+  flowSessions: new Map(),
+  bots: new Map(),
+  versions: [],
+  templates: new Map(),
+  memory: new Map(),
+  events: [],
+  kbDocuments: [],
+  kbChunks: [],
+  conversations: [],
+  messages: [],
+  usage: [],
+  rateCounters: new Map(),
+  jobs: new Map(),
+  schedules: [],
+  scheduleRuns: [],
+  webhooks: [],
+  webhookDeliveries: [],
+  leads: [],
+  channels: [],
+  secrets: [],
+};
+
+const memoryStore = (() => {
+  const t = memoryTables;
+  const copy = (value) => (value === undefined || value === null ? null : structuredClone(value));
+  const now = () => new Date().toISOString();
+  const nextId = () => ++t.ids;
+  const pick = (row, columns) => Object.fromEntries(columns.map((c) => [c, copy(row[c])]));
+  const inRange = (value, from, to) => (!from || value >= isoTime(from)) && (!to || value < isoTime(to));
+  // Append-only tables keep their newest MAX_MEMORY_ROWS rows.
+  const append = (table, rows) => {
+    table.push(...rows);
+    if (table.length > MAX_MEMORY_ROWS) table.splice(0, table.length - MAX_MEMORY_ROWS);
+  };
+  const remember = (map, key, value) => {
+    map.delete(key);
+    map.set(key, value);
+    if (map.size > MAX_SESSION_CACHE) map.delete(map.keys().next().value);
+  };
+
+  return {
+    sessions: {
+      getChat: async (id) => copy(t.chatSessions.get(id)),
+      putChat: async (id, row) => remember(t.chatSessions, id, copy(row)),
+      getFlow: async (id) => copy(t.flowSessions.get(id)),
+      putFlow: async (row) => remember(t.flowSessions, row.session_id, copy(row)),
+    },
+    bots: {
+      get: async (bot) => copy(t.bots.get(bot)),
+      async versions(bot, { limit, offset }) {
+        const rows = t.versions.filter((v) => v.bot === bot).sort((a, b) => b.version - a.version);
+        return { rows: rows.slice(offset, offset + limit).map((v) => pick(v, ["version", "author", "message", "created_at", "published_at"])), total: rows.length };
+      },
+      async version(bot, version) {
+        const rows = t.versions.filter((v) => v.bot === bot && (!version || v.version === version));
+        const row = rows.sort((a, b) => b.version - a.version)[0];
+        return row ? pick(row, ["version", "state_json", "author", "message", "created_at", "published_at"]) : null;
+      },
+      async lastPublished(bot, except) {
+        const rows = t.versions.filter((v) => v.bot === bot && v.published_at && v.version !== except);
+        return rows.sort((a, b) => b.published_at.localeCompare(a.published_at))[0]?.version ?? null;
+      },
+      async saveVersion({ bot, owner, publicKey, state, message }) {
+        const record = t.bots.get(bot) || { state_json: null, owner: null, public_key: null, published_version: null, updated_at: now() };
+        t.bots.set(bot, { ...record, owner: record.owner || owner, public_key: record.public_key || publicKey });
+        const latest = t.versions.filter((v) => v.bot === bot).sort((a, b) => b.version - a.version)[0];
+        if (latest && JSON.stringify(latest.state_json) === JSON.stringify(state)) return { version: latest.version, unchanged: true };
+        const version = (latest?.version || 0) + 1;
+        t.versions.push({ bot, version, state_json: copy(state), author: owner, message: message || "", created_at: now(), published_at: null });
+        return { version, unchanged: false };
+      },
+      async publish(bot, version) {
+        const row = t.versions.find((v) => v.bot === bot && v.version === version);
+        if (!row) return null;
+        const at = now();
+        row.published_at = at;
+        t.bots.set(bot, { ...t.bots.get(bot), state_json: copy(row.state_json), published_version: version, updated_at: at });
+        return { version, publishedAt: at };
+      },
+      async setAutomationSecret(bot, secret) {
+        if (t.bots.has(bot)) t.bots.get(bot).automation_secret = secret;
+      },
+    },
+    templates: {
+      list: async (limit) => [...t.templates.values()].sort((a, b) => b.updated_at.localeCompare(a.updated_at)).slice(0, limit)
+        .map((r) => pick(r, ["id", "name", "description", "author", "source_bot", "updated_at"])),
+      get: async (id) => (t.templates.has(id) ? pick(t.templates.get(id), ["id", "name", "description", "author", "source_bot", "updated_at", "bundle_json"]) : null),
+      async put(row) {
+        t.templates.set(row.id, { created_at: row.updated_at, ...t.templates.get(row.id), ...copy(row) });
+      },
+      async remove(id) {
+        t.templates.delete(id);
+      },
+    },
+    kb: {
+      documents: async (bot) => t.kbDocuments.filter((d) => d.bot === bot).sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .map((d) => pick(d, ["id", "name", "chars", "chunk_count", "created_at"])),
+      contents: async (bot, limit) => t.kbDocuments.filter((d) => d.bot === bot).slice(0, limit).map((d) => pick(d, ["name", "content"])),
+      chunks: async (bot, limit) => t.kbChunks.filter((c) => c.bot === bot).slice(0, limit)
+        .map((c) => pick(c, ["id", "document_name", "chunk_index", "content", "terms_json", "length"])),
+      async add(document, chunks) {
+        const id = nextId();
+        t.kbDocuments.push({ ...copy(document), id });
+        for (const c of chunks) t.kbChunks.push({ ...copy(c), id: nextId(), document_id: id });
+        return id;
+      },
+      async remove(bot, id) {
+        const gone = (d) => d.bot === bot && (!id || d.id === Number(id));
+        const ids = new Set(t.kbDocuments.filter(gone).map((d) => d.id));
+        t.kbDocuments = t.kbDocuments.filter((d) => !ids.has(d.id));
+        t.kbChunks = t.kbChunks.filter((c) => !ids.has(c.document_id));
+      },
+    },
+    memory: {
+      get: async (userId) => copy(t.memory.get(userId)),
+      async merge(userId, { set = {}, remove = [], replace = false }) {
+        const current = replace ? {} : t.memory.get(userId)?.facts_json || {};
+        const facts = liveFacts({ ...current, ...copy(set) });
+        for (const key of remove) delete facts[key];
+        t.memory.set(userId, { facts_json: facts, updated_at: now() });
+        return copy(facts);
+      },
+    },
+    analytics: {
+      async insert(rows) {
+        const known = new Set(t.events.map((e) => e.event_id).filter(Boolean));
+        const fresh = rows.filter((r) => !r.event_id || !known.has(r.event_id)).map((r) => ({ node_id: "", meta_json: {}, ...copy(r), id: nextId() }));
+        append(t.events, fresh);
+        return rows.filter((r) => !r.event_id || !known.has(r.event_id));
+      },
+      page: async ({ bot, from, to, type, afterId, limit }) => t.events
+        .filter((e) => e.bot === bot && inRange(e.created_at, from, to) && (!type || e.event_type === type) && e.id > afterId)
+        .slice(0, limit)
+        .map((e) => pick(e, ANALYTICS_EXPORT_COLUMNS)),
+      summary: async ({ bot, from, to, bucket }) => summarizeAnalyticsEvents(t.events.filter((e) => e.bot === bot && inRange(e.created_at, from, to)), bucket),
+    },
+    transcripts: {
+      async log({ bot, sessionId, userId, channel, messages }) {
+        const at = now();
+        let conversation = t.conversations.find((c) => c.bot === bot && c.session_id === sessionId);
+        if (!conversation) {
+          conversation = { id: nextId(), bot, session_id: sessionId, user_id: userId, channel, message_count: 0, total_tokens: 0, started_at: at, last_message_at: at };
+          append(t.conversations, [conversation]);
+        }
+        conversation.message_count += messages.length;
+        conversation.total_tokens += messages.reduce((sum, m) => sum + (Number(m.prompt_tokens) || 0) + (Number(m.completion_tokens) || 0), 0);
+        conversation.user_id = conversation.user_id || userId;
+        conversation.last_message_at = at;
+        append(t.messages, messages.map((m) => ({
+          id: nextId(),
+          conversation_id: conversation.id,
+          bot,
+          session_id: sessionId,
+          role: m.role,
+          content: String(m.content ?? ""),
+          model: m.model ?? null,
+          provider: m.provider ?? null,
+          latency_ms: m.latency_ms ?? null,
+          prompt_tokens: Number(m.prompt_tokens) || 0,
+          completion_tokens: Number(m.completion_tokens) || 0,
+          meta_json: copy(m.meta) || {},
+          created_at: at,
+        })));
+      },
+      async list(filter, { limit, offset = 0 }) {
+        const rows = t.conversations
+          .filter((c) => c.bot === filter.bot
+            && (!filter.sessionId || c.session_id === filter.sessionId)
+            && (!filter.userId || c.user_id === filter.userId)
+            && (!filter.channel || c.channel === filter.channel)
+            && (!filter.from || c.last_message_at >= isoTime(filter.from))
+            && (!filter.to || c.started_at < isoTime(filter.to)))
+          .sort((a, b) => b.last_message_at.localeCompare(a.last_message_at));
+        const columns = ["id", "session_id", "user_id", "channel", "message_count", "total_tokens", "started_at", "last_message_at"];
+        return { rows: rows.slice(offset, offset + limit).map((c) => pick(c, columns)), total: rows.length };
+      },
+      async messages(ids, limit) {
+        const wanted = new Set(ids.map(Number));
+        return t.messages.filter((m) => wanted.has(m.conversation_id)).sort((a, b) => a.conversation_id - b.conversation_id || a.id - b.id).slice(0, limit)
+          .map((m) => pick(m, ["conversation_id", "role", "content", "model", "provider", "latency_ms", "prompt_tokens", "completion_tokens", "meta_json", "created_at"]));
+      },
+      async search({ bot, q, limit }) {
+        const needle = q.toLowerCase();
+        return t.messages.filter((m) => m.bot === bot && m.content.toLowerCase().includes(needle)).reverse().slice(0, limit)
+          .map((m) => pick(m, ["id", "session_id", "role", "content", "created_at"]));
+      },
+    },
+    usage: {
+      async insert(row) {
+        append(t.usage, [{ created_at: now(), ...copy(row), id: nextId() }]);
+      },
+      rows: async (filter, from, to) => t.usage
+        .filter((r) => Object.entries(filter).every(([column, value]) => !value || r[column] === value) && inRange(r.created_at, from, to))
+        .slice(0, USAGE_QUERY_LIMIT)
+        .map((r) => pick(r, USAGE_COLUMNS)),
+    },
+    rateCounters: {
+      async hit(hits) {
+        const counts = {};
+        const cutoff = Date.now() - 2 * 86_400_000;
+        for (const h of hits) {
+          const id = `${h.key}|${h.window_start}`;
+          const count = (t.rateCounters.get(id)?.count || 0) + h.cost;
+          t.rateCounters.set(id, { count, start: Date.parse(h.window_start) });
+          counts[h.key] = count;
+        }
+        if (t.rateCounters.size > 10_000) {
+          for (const [id, v] of t.rateCounters) if (v.start < cutoff) t.rateCounters.delete(id);
+        }
+        return counts;
+      },
+    },
+    jobs: {
+      async create(row) {
+        const existing = row.idempotency_key && [...t.jobs.values()].find((j) => j.idempotency_key === row.idempotency_key);
+        if (existing) return { row: copy(existing), created: false };
+        remember(t.jobs, row.id, copy(row));
+        return { row: copy(row), created: true };
+      },
+      get: async (id) => copy(t.jobs.get(id)),
+      async update(id, patch, expectedStatus) {
+        const job = t.jobs.get(id);
+        if (!job || (expectedStatus && job.status !== expectedStatus)) return null;
+        Object.assign(job, copy(patch), { updated_at: now() });
+        return copy(job);
+      },
+      stuck: async (before, limit) => copy([...t.jobs.values()].filter((j) => ["queued", "running"].includes(j.status) && j.updated_at < before)
+        .sort((a, b) => a.updated_at.localeCompare(b.updated_at)).slice(0, limit)),
+      callbacksDue: async (at, limit) => copy([...t.jobs.values()].filter((j) => ["pending", "sending"].includes(j.callback_status) && j.callback_next_at && j.callback_next_at <= at)
+        .sort((a, b) => a.callback_next_at.localeCompare(b.callback_next_at)).slice(0, limit)),
+      async claimCallback(id, expectedNextAt, patch) {
+        const job = t.jobs.get(id);
+        if (!job || !["pending", "sending"].includes(job.callback_status) || job.callback_next_at !== expectedNextAt) return false;
+        Object.assign(job, copy(patch), { updated_at: now() });
+        return true;
+      },
+    },
+    schedules: {
+      list: async (bot) => copy(t.schedules.filter((r) => r.bot === bot).sort((a, b) => a.schedule_id.localeCompare(b.schedule_id))),
+      async replace(bot, rows) {
+        t.schedules = [...t.schedules.filter((r) => r.bot !== bot), ...rows.map((r) => ({ ...copy(r), updated_at: now() }))];
+      },
+      due: async (at, limit) => copy(t.schedules.filter((r) => r.next_run_at && r.next_run_at <= at)
+        .sort((a, b) => a.next_run_at.localeCompare(b.next_run_at)).slice(0, limit)),
+      async claim(bot, scheduleId, expectedNextRunAt, patch) {
+        const row = t.schedules.find((r) => r.bot === bot && r.schedule_id === scheduleId && r.next_run_at === expectedNextRunAt);
+        if (row) Object.assign(row, copy(patch), { updated_at: now() });
+        return !!row;
+      },
+      async addRun(row) {
+        append(t.scheduleRuns, [copy(row)]);
+      },
+      async updateRun(id, patch) {
+        const row = t.scheduleRuns.find((r) => r.id === id);
+        if (row) Object.assign(row, copy(patch));
+        return copy(row);
+      },
+      runs: async (bot, { scheduleId, limit }) => copy(t.scheduleRuns.filter((r) => r.bot === bot && (!scheduleId || r.schedule_id === scheduleId))
+        .sort((a, b) => b.started_at.localeCompare(a.started_at)).slice(0, limit)),
+      webhooksDue: async (at, limit) => copy(t.scheduleRuns.filter((r) => ["pending", "sending"].includes(r.webhook_status) && r.webhook_next_at && r.webhook_next_at <= at)
+        .sort((a, b) => a.webhook_next_at.localeCompare(b.webhook_next_at)).slice(0, limit)),
+      async claimWebhook(id, expectedNextAt, patch) {
+        const row = t.scheduleRuns.find((r) => r.id === id);
+        if (!row || !["pending", "sending"].includes(row.webhook_status) || row.webhook_next_at !== expectedNextAt) return false;
+        Object.assign(row, copy(patch));
+        return true;
+      },
+    },
+    webhooks: {
+      list: async (bot) => copy(t.webhooks.filter((r) => r.bot === bot).sort((a, b) => a.created_at.localeCompare(b.created_at))),
+      async put(row) {
+        t.webhooks = [...t.webhooks.filter((r) => r.id !== row.id), copy(row)];
+      },
+      async remove(bot, id) {
+        t.webhooks = t.webhooks.filter((r) => !(r.bot === bot && r.id === id));
+      },
+      async addDeliveries(rows) {
+        append(t.webhookDeliveries, copy(rows));
+      },
+      delivery: async (id) => copy(t.webhookDeliveries.find((r) => r.id === id)),
+      due: async (at, limit) => copy(t.webhookDeliveries.filter((r) => ["pending", "sending"].includes(r.status) && r.next_attempt_at && r.next_attempt_at <= at)
+        .sort((a, b) => a.next_attempt_at.localeCompare(b.next_attempt_at)).slice(0, limit)),
+      async claim(id, expectedNextAttemptAt, patch) {
+        const row = t.webhookDeliveries.find((r) => r.id === id && ["pending", "sending"].includes(r.status) && r.next_attempt_at === expectedNextAttemptAt);
+        if (row) Object.assign(row, copy(patch), { updated_at: now() });
+        return !!row;
+      },
+      async update(id, patch) {
+        const row = t.webhookDeliveries.find((r) => r.id === id);
+        if (row) Object.assign(row, copy(patch), { updated_at: now() });
+      },
+      deliveries: async (bot, { subscriptionId, status, limit }) => copy(t.webhookDeliveries
+        .filter((r) => r.bot === bot && (!subscriptionId || r.subscription_id === subscriptionId) && (!status || r.status === status))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at)).slice(0, limit)),
+    },
+    leads: {
+      async add(row) {
+        append(t.leads, [copy(row)]);
+      },
+      async list(filter, { limit, offset = 0 }) {
+        const rows = t.leads.filter((r) => r.bot === filter.bot && inRange(r.created_at, filter.from, filter.to)).sort((a, b) => b.created_at.localeCompare(a.created_at));
+        return { rows: copy(rows.slice(offset, offset + limit)), total: rows.length };
+      },
+    },
+    channels: {
+      get: async (bot, channel) => copy(t.channels.find((r) => r.bot === bot && r.channel === channel)),
+      list: async (bot) => copy(t.channels.filter((r) => r.bot === bot).sort((a, b) => a.channel.localeCompare(b.channel))),
+      async put(row) {
+        t.channels = [...t.channels.filter((r) => !(r.bot === row.bot && r.channel === row.channel)), copy(row)];
+      },
+      async remove(bot, channel) {
+        t.channels = t.channels.filter((r) => !(r.bot === bot && r.channel === channel));
+      },
+    },
+    secrets: {
+      get: async (bot, name) => copy(t.secrets.find((r) => r.bot === bot && r.name === name)),
+      list: async (bot) => t.secrets.filter((r) => r.bot === bot).sort((a, b) => a.name.localeCompare(b.name))
+        .map(({ value, ...rest }) => copy(rest)),
+      async put(row) {
+        t.secrets = [...t.secrets.filter((r) => !(r.bot === row.bot && r.name === row.name)), copy(row)];
+      },
+      async remove(bot, name) {
+        t.secrets = t.secrets.filter((r) => !(r.bot === bot && r.name === name));
+      },
+    },
+  };
+})();
+
+// Normalizes a timestamp to the fixed-width ISO form D1 and the memory backend store, so text comparison
+// orders correctly ("…T00:00:00Z" would sort after "…T00:00:00.000Z").
+function isoTime(value) {
+  return new Date(value).toISOString();
 }
 
-async function handleAutomationTrigger(request, env) {
-  let body;
-  try { body = await request.json(); } catch { return json({ ok: false, error: 'invalid json' }, 400, corsHeaders(request, env)); }
-  const text = String(body?.text || '').trim();
-  const model = String(body?.model || 'openai/gpt-4o-mini').trim();
-  const persona = String(body?.persona || 'support').trim();
-  const userId = String(body?.userId || 'automation').trim();
-  if (!text) return json({ ok: false, error: 'text required' }, 400, corsHeaders(request, env));
-  if (!env.OPEN_ROUTER_API_KEY) return json({ ok: false, error: 'OPEN_ROUTER_API_KEY missing' }, 500, corsHeaders(request, env));
-
-  try {
-    const upstream = await fetch(`${env.OPENROUTER_BASE_URL || DEFAULT_BASE}/chat/completions`, {
-      method: 'POST',
-      headers: { ...openRouterHeaders(env), 'content-type': 'application/json' },
-      body: JSON.stringify({
-        model,
-        stream: false,
-        messages: [
-          { role: 'system', content: personaPrompt(persona) },
-          { role: 'user', content: text }
-        ]
-      })
-    });
-    const data = await upstream.json().catch(() => ({}));
-    if (!upstream.ok) return json({ ok: false, error: data }, upstream.status || 500, corsHeaders(request, env));
-    const answer = data?.choices?.[0]?.message?.content || '';
-
-    if (env.SUPABASE_URL && env.SUPABASE_ANON_KEY) {
-      await fetch(`${env.SUPABASE_URL}/rest/v1/analytics_events`, {
-        method: 'POST',
-        headers: { ...supabaseHeaders(env), Prefer: 'return=minimal' },
-        body: JSON.stringify([{ event_type: 'automation', user_id: userId, session_id: 'automation', node_id: 'webhook', meta_json: { textLen: text.length, model, persona }, created_at: new Date().toISOString() }])
-      }).catch(() => {});
+// The kmn_analytics_summary document computed from raw events, for backends without that function.
+function summarizeAnalyticsEvents(events, bucket) {
+  const ordered = [...events].sort((a, b) => a.created_at.localeCompare(b.created_at) || a.id - b.id);
+  const completed = new Set(ordered.filter((e) => e.event_type === "flow_complete").map((e) => e.session_id));
+  const series = new Map();
+  const reached = {};
+  const lastNode = new Map();
+  const messagesBySession = new Map();
+  for (const e of ordered) {
+    const key = analyticsBucketStart(e.created_at, bucket);
+    const point = series.get(key) || { bucket: key, messages: 0, users: new Set(), sessions: new Set() };
+    point.users.add(e.user_id);
+    point.sessions.add(e.session_id);
+    if (e.event_type === "message") {
+      point.messages += 1;
+      messagesBySession.set(e.session_id, (messagesBySession.get(e.session_id) || 0) + 1);
+    }
+    series.set(key, point);
+    if (e.event_type === "node_view" && e.node_id) {
+      (reached[e.node_id] ||= new Set()).add(e.session_id);
+      lastNode.set(e.session_id, e.node_id);
     }
-
-    return json({ ok: true, output: answer }, 200, corsHeaders(request, env));
-  } catch (e) {
-    return json({ ok: false, error: String(e?.message || e) }, 500, corsHeaders(request, env));
   }
+  const exits = {};
+  for (const [session, node] of lastNode) if (!completed.has(session)) exits[node] = (exits[node] || 0) + 1;
+  const counts = [...messagesBySession.values()];
+  return {
+    totals: {
+      messages: ordered.filter((e) => e.event_type === "message").length,
+      users: new Set(ordered.map((e) => e.user_id)).size,
+      sessions: new Set(ordered.map((e) => e.session_id)).size,
+      dropoff: ordered.filter((e) => e.event_type === "dropoff").length,
+      completions: completed.size,
+    },
+    series: [...series.values()].sort((a, b) => a.bucket.localeCompare(b.bucket)).map((p) => ({ bucket: p.bucket, messages: p.messages, users: p.users.size, sessions: p.sessions.size })),
+    nodes: Object.fromEntries(Object.entries(reached).map(([node, sessions]) => [node, sessions.size])),
+    exits,
+    avgMessagesPerSession: counts.length ? Math.round((counts.reduce((a, b) => a + b, 0) / counts.length) * 100) / 100 : 0,
+  };
 }
 
-function openRouterHeaders(env) {
-  const h = { Authorization: `Bearer ${env.OPEN_ROUTER_API_KEY}` };
-  if (env.SITE_URL) h["HTTP-Referer"] = env.SITE_URL;
-  if (env.SITE_NAME) h["X-Title"] = env.SITE_NAME;
-  return h;
+// Start of the hour/day/week/month containing `at`, aligned like Postgres date_trunc (weeks start on Monday).
+function analyticsBucketStart(at, bucket) {
+  const d = new Date(at);
+  if (bucket === "hour") d.setUTCMinutes(0, 0, 0);
+  else d.setUTCHours(0, 0, 0, 0);
+  if (bucket === "week") d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  if (bucket === "month") d.setUTCDate(1);
+  return d.toISOString();
 }
 
+function hasSupabase(env) {
+  return !!(env.SUPABASE_URL && (env.SUPABASE_SERVICE_ROLE_KEY || env.SUPABASE_ANON_KEY));
+}
+
+// The worker is the only database client; prefer the service role so RLS can deny anon access entirely.
 function supabaseHeaders(env) {
+  const key = env.SUPABASE_SERVICE_ROLE_KEY || env.SUPABASE_ANON_KEY;
   return {
-    apikey: env.SUPABASE_ANON_KEY,
-    Authorization: `Bearer ${env.SUPABASE_ANON_KEY}`,
+    apikey: key,
+    Authorization: `Bearer ${key}`,
     "content-type": "application/json",
   };
 }
@@ -336,12 +6473,40 @@ function fallbackModels() {
   ];
 }
 
-function personaPrompt(persona) {
-  const p = (persona || 'default').toLowerCase();
-  if (p === 'sales') return 'You are a sales assistant. Be persuasive, concise, and CTA-driven while staying honest.';
-  if (p === 'tutor') return 'You are a tutor. Explain step-by-step, ask check questions, and adapt to learner level.';
-  if (p === 'support') return 'You are a customer support agent. Be calm, precise, and solution-first.';
-  return 'You are Ko Paing style assistant: concise, practical, safe.';
+function listPersonas(state) {
+  const custom = (Array.isArray(state?.personas) ? state.personas : []).map(normalizePersona).filter(Boolean);
+  const overridden = new Set(custom.map((p) => p.id.toLowerCase()));
+  return [...BUILTIN_PERSONAS.filter((p) => !overridden.has(p.id)).map((p) => ({ ...p, builtin: true })), ...custom];
+}
+
+function normalizePersona(p) {
+  if (!isPlainObject(p) || !p.id || !p.template) return null;
+  const persona = { id: String(p.id).trim().slice(0, 64), name: String(p.name || p.id).slice(0, 120), template: String(p.template).slice(0, MAX_PROMPT_CHARS) };
+  if (p.model) persona.model = String(p.model).trim();
+  if (p.temperature !== undefined && p.temperature !== "" && Number.isFinite(Number(p.temperature))) persona.temperature = Math.min(2, Math.max(0, Number(p.temperature)));
+  if (Number(p.maxTokens) > 0) persona.maxTokens = Math.min(32_000, Math.floor(Number(p.maxTokens)));
+  return persona;
+}
+
+// Unknown ids fall back to the bot's (or built-in) default persona.
+function resolvePersona(state, id) {
+  const wanted = String(id || "default").trim().toLowerCase();
+  const all = listPersonas(state);
+  return all.find((p) => p.id.toLowerCase() === wanted) || all.find((p) => p.id.toLowerCase() === "default") || BUILTIN_PERSONAS[0];
+}
+
+// `{{key}}` resolves from the user's memory, then the bot's vars; `{{vars.key}}` / `{{memory.key}}` pick one.
+function renderPersonaPrompt(persona, vars, memory) {
+  const v = isPlainObject(vars) ? vars : {};
+  const m = isPlainObject(memory) ? memory : {};
+  return interpolate(persona.template, { ...v, ...m, vars: v, memory: m });
+}
+
+function personaParams(persona) {
+  const params = {};
+  if (persona.temperature !== undefined) params.temperature = persona.temperature;
+  if (persona.maxTokens) params.max_tokens = persona.maxTokens;
+  return params;
 }
 
 function corsHeaders(request, env) {
@@ -350,8 +6515,9 @@ function corsHeaders(request, env) {
   const value = allowed === "*" ? "*" : (origin === allowed ? allowed : "null");
   return {
     "access-control-allow-origin": value,
-    "access-control-allow-methods": "GET,POST,OPTIONS",
-    "access-control-allow-headers": "content-type",
+    "access-control-allow-methods": "GET,POST,PATCH,DELETE,OPTIONS",
+    "access-control-allow-headers": "content-type,authorization",
+    "access-control-expose-headers": "retry-after,x-kmn-provider",
     vary: "Origin",
   };
 }
@@ -372,6 +6538,78 @@ function htmlResponse(html, request, env) {
   });
 }
 
+// Shared by the console, builder and widget: reads a /api/chat event stream (see
+// normalizeCompletionStream and toolLoopStream), calls on.token/on.meta/on.tool_call/... as events arrive and
+// resolves with the collected { text, meta, usage, error, tools }. Inlined into each client's script, along
+// with randomSessionId for the unguessable session ids the clients send.
+const STREAM_CLIENT_JS = `
+  function randomSessionId(prefix){
+    var bytes=new Uint8Array(12);
+    crypto.getRandomValues(bytes);
+    return prefix+Array.prototype.map.call(bytes,function(b){ return (b<16?'0':'')+b.toString(16); }).join('');
+  }
+  async function readChatStream(res, on){
+    on=on||{};
+    var result={text:'',meta:{},usage:null,error:null,tools:[]};
+    var reader=res.body.getReader(), dec=new TextDecoder(), buf='';
+    function dispatch(block){
+      var type='message', data='';
+      block.split('\\n').forEach(function(l){
+        if(l.indexOf('event:')===0) type=l.slice(6).trim();
+        else if(l.indexOf('data:')===0) data+=l.slice(5).trim();
+      });
+      if(!data) return;
+      var ev; try{ ev=JSON.parse(data); }catch(e){ return; }
+      if(type==='token'){ result.text+=ev.text||''; }
+      else if(type==='meta'){ result.meta=ev; }
+      else if(type==='usage'){ result.usage=ev; }
+      else if(type==='error'){ result.error=ev; }
+      else if(type==='tool_call'){ result.tools.push(ev); }
+      else if(type==='tool_result'){
+        var i=result.tools.map(function(t){ return t.id; }).indexOf(ev.id);
+        if(i>=0) result.tools[i]=ev; else result.tools.push(ev);
+      }
+      if(on[type]) on[type](ev);
+    }
+    while(true){
+      var r=await reader.read();
+      if(r.done) break;
+      buf+=dec.decode(r.value,{stream:true});
+      var blocks=buf.split('\\n\\n'); buf=blocks.pop()||'';
+      blocks.forEach(dispatch);
+    }
+    buf+=dec.decode();
+    if(buf.trim()) dispatch(buf);
+    return result;
+  }
+`;
+
+// Shared by the builder and widget: queues analytics events and posts them to /api/analytics/events in
+// batches. Whatever is still queued when the page is hidden goes out with sendBeacon, which cannot set
+// headers, so the token travels in the body (as does the fetch path, which keeps it a simple request).
+const EVENT_CLIENT_JS = `
+  function eventQueue(url, token, base){
+    var queue=[], timer=null;
+    function newId(){ return 'e_'+Date.now().toString(36)+Math.random().toString(36).slice(2,10); }
+    function flush(beacon){
+      clearTimeout(timer); timer=null;
+      while(queue.length){
+        var body=JSON.stringify(Object.assign({token:token()||undefined,events:queue.splice(0,50)},base()));
+        if(beacon && navigator.sendBeacon && navigator.sendBeacon(url,new Blob([body],{type:'text/plain'}))) continue;
+        fetch(url,{method:'POST',headers:{'content-type':'text/plain'},body:body,keepalive:true}).catch(function(){});
+      }
+    }
+    function track(type,meta,extra){
+      queue.push(Object.assign({id:newId(),type:type,ts:new Date().toISOString(),meta:meta||{}},extra||{}));
+      if(queue.length>=20) flush(false);
+      else if(!timer) timer=setTimeout(function(){ flush(false); },3000);
+    }
+    addEventListener('pagehide',function(){ flush(true); });
+    document.addEventListener('visibilitychange',function(){ if(document.visibilityState==='hidden') flush(true); });
+    return {track:track,flush:flush};
+  }
+`;
+
 const INDEX_HTML = `<!doctype html>
 <html lang="en">
 <head>
@@ -402,12 +6640,7 @@ const INDEX_HTML = `<!doctype html>
     <div id="status">loading models...</div>
     <div class="row">
       <select id="model"></select>
-      <select id="persona">
-        <option value="default">Persona: Default</option>
-        <option value="sales">Persona: Sales</option>
-        <option value="tutor">Persona: Tutor</option>
-        <option value="support">Persona: Support</option>
-      </select>
+      <select id="persona"></select>
       <button id="reload" type="button">Reload Models</button>
       <button id="clear" type="button">Clear</button>
     </div>
@@ -422,11 +6655,16 @@ const INDEX_HTML = `<!doctype html>
     </div>
   </div>
 <script>
-(function(){
-  function $(id){ return document.getElementById(id); }
+(function(){${STREAM_CLIENT_JS}  function $(id){ return document.getElementById(id); }
   var term=$("terminal"), statusEl=$("status"), modelEl=$("model"), personaEl=$("persona"), promptEl=$("prompt"), sendBtn=$("send"), micBtn=$("mic"), speakBtn=$("speak");
   var lastReply='';
+  var sessionId=newSessionId();
+  // Optional bot scope: /?bot=<name>&key=<widget key> chats with that bot's personas and KB.
+  var params=new URLSearchParams(location.search);
+  var bot=params.get('bot')||'', botKey=params.get('key')||'';
+  var botAuth=null;
 
+  function newSessionId(){ return randomSessionId('c_'); }
   function line(cls, txt){
     var p=document.createElement('div');
     p.className=cls||'';
@@ -437,6 +6675,35 @@ const INDEX_HTML = `<!doctype html>
   }
   function setStatus(t){ statusEl.textContent=t; }
 
+  async function authHeaders(){
+    if(!bot) return {};
+    if(!botAuth){
+      var res=await fetch('/api/widget/session',{method:'POST',headers:{'content-type':'application/json'},body:JSON.stringify({bot:bot,key:botKey})});
+      var data=await res.json().catch(function(){return {};});
+      if(!res.ok||!data.ok) throw new Error(data.error||data.code||('HTTP '+res.status));
+      botAuth={authorization:'Bearer '+data.userToken};
+    }
+    return botAuth;
+  }
+
+  async function loadPersonas(){
+    try{
+      var res=await fetch('/api/personas'+(bot?('?bot='+encodeURIComponent(bot)):''),{headers:await authHeaders()});
+      var data=await res.json();
+      if(!res.ok||!data.ok) throw new Error(data.error||data.code||('HTTP '+res.status));
+      personaEl.innerHTML='';
+      (data.personas||[]).forEach(function(p){
+        var o=document.createElement('option');
+        o.value=p.id;
+        o.textContent='Persona: '+(p.name||p.id);
+        personaEl.appendChild(o);
+      });
+      personaEl.value=data.default||'default';
+    }catch(e){
+      line('e','[ERROR] personas: '+e.message);
+    }
+  }
+
   async function loadModels(){
     setStatus('loading models...');
     try{
@@ -472,8 +6739,8 @@ const INDEX_HTML = `<!doctype html>
       var persona=(personaEl && personaEl.value) ? personaEl.value : 'default';
       var res=await fetch('/api/chat',{
         method:'POST',
-        headers:{'content-type':'application/json'},
-        body:JSON.stringify({model:model,prompt:prompt,persona:persona})
+        headers:Object.assign({'content-type':'application/json'},await authHeaders()),
+        body:JSON.stringify({model:model,prompt:prompt,persona:persona,sessionId:sessionId,bot:bot||undefined})
       });
 
       if(!res.ok || !res.body){
@@ -481,34 +6748,9 @@ const INDEX_HTML = `<!doctype html>
         throw new Error(err.error||('HTTP '+res.status));
       }
 
-      var reader=res.body.getReader();
-      var dec=new TextDecoder();
-      var buf='';
-      while(true){
-        var r=await reader.read();
-        if(r.done) break;
-        buf+=dec.decode(r.value,{stream:true});
-        var events=buf.split('\\n\\n');
-        buf=events.pop()||'';
-        for(var i=0;i<events.length;i++){
-          var ev=events[i];
-          var lines=ev.split('\\n');
-          var dataLine='';
-          for(var j=0;j<lines.length;j++){
-            if(lines[j].indexOf('data: ')===0){ dataLine=lines[j].slice(6).trim(); break; }
-          }
-          if(!dataLine || dataLine==='[DONE]') continue;
-          try{
-            var json=JSON.parse(dataLine);
-            var token='';
-            if(json && json.choices && json.choices[0] && json.choices[0].delta && typeof json.choices[0].delta.content==='string'){
-              token=json.choices[0].delta.content;
-            }
-            if(token) out.textContent+=token;
-          }catch(_e){}
-        }
-        term.scrollTop=term.scrollHeight;
-      }
+      var reply=await readChatStream(res,{token:function(ev){ out.textContent+=ev.text; term.scrollTop=term.scrollHeight; }});
+      if(reply.meta.citations&&reply.meta.citations.length) line('', 'Sources: '+reply.meta.citations.map(function(c){ return '['+c.n+'] '+c.document; }).join(', '));
+      if(reply.error) throw new Error(reply.error.message||reply.error.code);
       lastReply = out.textContent || '';
       setStatus('ready');
     }catch(e){
@@ -520,7 +6762,7 @@ const INDEX_HTML = `<!doctype html>
   }
 
   $('reload').addEventListener('click', loadModels);
-  $('clear').addEventListener('click', function(){ term.innerHTML=''; });
+  $('clear').addEventListener('click', function(){ term.innerHTML=''; sessionId=newSessionId(); });
   sendBtn.addEventListener('click', send);
   if(micBtn){
     micBtn.addEventListener('click', function(){
@@ -555,6 +6797,7 @@ const INDEX_HTML = `<!doctype html>
   });
 
   loadModels();
+  loadPersonas();
   promptEl.focus();
 })();
 </script>
@@ -584,6 +6827,11 @@ const BUILDER_HTML = `<!doctype html>
     .tag{display:inline-block;padding:2px 8px;border:1px solid #5c4c2f;border-radius:999px;font-size:12px;color:var(--muted)}
     #log{min-height:180px;max-height:180px;overflow:auto;white-space:pre-wrap;border:1px solid #3b3b3b;padding:8px;border-radius:8px;background:#101010}
     .ok{color:var(--ok)}.err{color:var(--err)}
+    #trend{display:flex;align-items:flex-end;gap:1px;height:60px;margin-top:6px;border-bottom:1px solid var(--line)}
+    #trend div{flex:1;background:var(--gold);min-height:1px;opacity:.8}
+    #funnel{font-size:12px;margin-top:6px}
+    #funnel .step{display:flex;gap:6px;align-items:center;margin-bottom:3px}
+    #funnel .bar{height:8px;background:var(--ok);border-radius:4px}
     @media (max-width:1100px){.grid{grid-template-columns:1fr}}
   </style>
 </head>
@@ -593,8 +6841,11 @@ const BUILDER_HTML = `<!doctype html>
     <span class="tag">Flow Builder</span>
     <span class="tag">AI + KB + Analytics</span>
     <div style="margin-left:auto;display:flex;gap:8px">
+      <input id="adminToken" type="password" placeholder="Admin token" style="width:180px;margin-top:0" />
       <select id="lang" style="width:auto"><option value="en">English</option><option value="my">မြန်မာ</option></select>
+      <input id="versionMsg" placeholder="Version note" style="width:160px;margin-top:0" />
       <button id="saveBtn" style="width:auto">Save Bot</button>
+      <button id="publishBtn" style="width:auto">Publish</button>
     </div>
   </div>
 
@@ -602,8 +6853,13 @@ const BUILDER_HTML = `<!doctype html>
     <div class="card">
       <div class="title">Admin Dashboard</div>
       <label>Bot Name<input id="botName" placeholder="Sales Assistant" /></label>
-      <label>Template<select id="templateSel"><option value="blank">Blank</option><option value="faq">FAQ Bot</option><option value="lead">Lead Capture</option></select></label>
+      <label>Template<select id="templateSel"><option value="blank">Blank</option></select></label>
       <button id="applyTemplate">Apply Template</button>
+      <div class="row">
+        <button id="exportBundle">Export Bundle</button>
+        <button id="publishTemplate">Publish as Template</button>
+      </div>
+      <label>Import Bundle<input id="importBundle" type="file" accept=".json,application/json" /></label>
       <hr style="border-color:#2d2d2d" />
       <div class="title">Node Toolbox</div>
       <select id="nodeType">
@@ -613,8 +6869,10 @@ const BUILDER_HTML = `<!doctype html>
         <option value="carousel">Carousel</option>
         <option value="condition">Condition</option>
         <option value="ai">AI Response</option>
+        <option value="form">Form (lead capture)</option>
       </select>
       <button id="addNode">Add Node</button>
+      <button id="validateBtn">Validate Flow</button>
       <ul id="nodes"></ul>
     </div>
 
@@ -623,7 +6881,7 @@ const BUILDER_HTML = `<!doctype html>
       <div id="canvas"></div>
       <div class="row" style="margin-top:8px">
         <button id="testRun">Run Test</button>
-        <button id="clearHistory">Clear History</button>
+        <button id="clearHistory">New Test Session</button>
       </div>
       <div class="title" style="margin-top:10px">Testing Playground</div>
       <div class="row">
@@ -636,8 +6894,11 @@ const BUILDER_HTML = `<!doctype html>
     <div class="card">
       <div class="title">AI + KB + Widget</div>
       <label>Model<select id="modelSelect"></select></label>
+      <label>Persona<select id="personaSelect"></select></label>
+      <label>User Memory<select id="memExtract"><option value="">Manual only</option><option value="on">Extract facts after each turn</option></select></label>
       <label>Knowledge Base Upload<input type="file" id="kbFile" multiple /></label>
-      <textarea id="kbPreview" placeholder="KB preview" style="min-height:90px"></textarea>
+      <select id="kbDocs" size="4" style="min-height:90px"></select>
+      <button id="kbDelete">Delete Selected Document</button>
       <label>Widget Primary Color<input id="wColor" value="#d8b46a" /></label>
       <label>Avatar URL<input id="wAvatar" placeholder="https://..." /></label>
       <label>Position<select id="wPos"><option>bottom-right</option><option>bottom-left</option></select></label>
@@ -645,73 +6906,318 @@ const BUILDER_HTML = `<!doctype html>
       <textarea id="embedOut" style="min-height:100px"></textarea>
       <div class="title" style="margin-top:8px">Variables & User Context</div>
       <textarea id="vars" placeholder='{"name":"User"}' style="min-height:80px"></textarea>
+      <div class="title" style="margin-top:8px">Custom Personas</div>
+      <textarea id="personas" placeholder='[{"id":"shop","name":"Shop Helper","template":"You help {{name}} shop at {{vars.store}}.","model":"openai/gpt-4o-mini","temperature":0.4,"maxTokens":600}]' style="min-height:100px"></textarea>
+      <div class="title" style="margin-top:8px">Scheduled Automations</div>
+      <textarea id="schedules" placeholder='[{"id":"daily-summary","cron":"0 1 * * *","input":"conversations","lookbackHours":24,"prompt":"Summarise the main questions and complaints in these conversations.","webhookUrl":"https://hooks.example.com/kmn"}]' style="min-height:100px"></textarea>
+      <div class="row">
+        <select id="scheduleSel"></select>
+        <button id="scheduleRun" style="max-width:110px">Run Now</button>
+      </div>
+      <select id="scheduleRuns" size="4" style="min-height:80px"></select>
+      <textarea id="scheduleOut" readonly style="min-height:80px"></textarea>
+      <div class="title" style="margin-top:8px">Output Schemas</div>
+      <textarea id="schemas" placeholder='[{"name":"ticket","description":"Classify a support message","schema":{"type":"object","required":["category","urgent"],"properties":{"category":{"enum":["billing","delivery","other"]},"urgent":{"type":"boolean"}}}}]' style="min-height:100px"></textarea>
+      <div class="title" style="margin-top:8px">Webhooks</div>
+      <input id="whUrl" placeholder="https://hooks.example.com/kmn" />
+      <select id="whEvents" multiple size="4" style="min-height:80px">
+        <option value="conversation.started" selected>conversation.started</option>
+        <option value="node.reached">node.reached</option>
+        <option value="lead.captured" selected>lead.captured</option>
+        <option value="dropoff">dropoff</option>
+        <option value="flow.completed">flow.completed</option>
+        <option value="automation.completed">automation.completed</option>
+      </select>
+      <div class="row">
+        <button id="whAdd">Add Webhook</button>
+        <select id="whList"></select>
+        <button id="whDelete" style="max-width:90px">Delete</button>
+      </div>
+      <select id="whDeliveries" size="5" style="min-height:90px"></select>
+      <div class="row">
+        <button id="whRefresh">Refresh Log</button>
+        <button id="whReplay">Replay Delivery</button>
+      </div>
+      <textarea id="whOut" readonly style="min-height:80px"></textarea>
+      <div class="title" style="margin-top:8px">Channels</div>
+      <div class="row">
+        <select id="chType" style="max-width:110px"><option value="telegram">Telegram</option><option value="viber">Viber</option></select>
+        <input id="chToken" type="password" placeholder="Bot token from BotFather / Viber admin panel" />
+      </div>
+      <div class="row">
+        <button id="chConnect">Connect</button>
+        <select id="chList"></select>
+        <button id="chDisconnect" style="max-width:110px">Disconnect</button>
+      </div>
+      <div class="title" style="margin-top:8px">Tools</div>
+      <textarea id="tools" placeholder='[{"name":"order_status","description":"Look up an order by its number.","parameters":{"type":"object","properties":{"order":{"type":"string"}},"required":["order"]},"method":"GET","url":"https://api.example.com/orders/{{order}}","auth":{"secret":"SHOP_API_KEY"}}]' style="min-height:100px"></textarea>
+      <div class="row">
+        <input id="secName" placeholder="SECRET_NAME" style="max-width:160px" />
+        <input id="secValue" type="password" placeholder="Secret value (write-only)" />
+      </div>
+      <div class="row">
+        <button id="secSave">Save Secret</button>
+        <select id="secList"></select>
+        <button id="secDelete" style="max-width:90px">Delete</button>
+      </div>
       <div class="title" style="margin-top:8px">Analytics</div>
+      <div class="row">
+        <select id="statsRange"><option value="7">Last 7 days</option><option value="30" selected>Last 30 days</option><option value="90">Last 90 days</option></select>
+        <select id="statsGranularity"><option value="day">Daily</option><option value="week">Weekly</option><option value="hour">Hourly</option></select>
+      </div>
       <div id="stats">messages: 0 · users: 0 · drop-off: 0</div>
+      <div id="trend"></div>
+      <div id="funnel"></div>
+      <div class="title" style="margin-top:8px">Usage & Budget</div>
+      <div class="row">
+        <input id="budgetDaily" placeholder="Daily budget (USD)" />
+        <input id="budgetMonthly" placeholder="Monthly budget (USD)" />
+      </div>
+      <div id="usage">usage: -</div>
       <div class="title" style="margin-top:8px">Conversation History</div>
-      <textarea id="history" style="min-height:100px"></textarea>
+      <div class="row">
+        <input id="convSearch" placeholder="Search messages" />
+        <button id="convRefresh" style="max-width:90px">Refresh</button>
+      </div>
+      <select id="convList" size="5" style="min-height:90px"></select>
+      <textarea id="history" readonly style="min-height:100px"></textarea>
+      <button id="convExport">Export Markdown</button>
+      <div class="title" style="margin-top:8px">Leads</div>
+      <select id="leadList" size="5" style="min-height:90px"></select>
+      <div class="row">
+        <button id="leadsRefresh">Refresh</button>
+        <button id="leadsExport">Export CSV</button>
+      </div>
+      <div class="title" style="margin-top:8px">Versions</div>
+      <select id="versionList" size="5" style="min-height:90px"></select>
+      <div class="row">
+        <button id="versionOpen">Open</button>
+        <button id="versionDiff">Diff vs Live</button>
+        <button id="versionPublish">Publish</button>
+        <button id="versionRollback">Roll Back</button>
+      </div>
+      <textarea id="versionDiffOut" readonly style="min-height:90px"></textarea>
     </div>
   </div>
 
 <script>
-(function(){
-  var SKEY='kmn_builder_state_v1';
+(function(){${STREAM_CLIENT_JS}${EVENT_CLIENT_JS}  var SKEY='kmn_builder_state_v1';
   var AKEY='kmn_builder_analytics_v1';
+  var TKEY='kmn_admin_token';
   function $(id){return document.getElementById(id)}
-  var state={botName:'KMN Bot',nodes:[],vars:{},kb:'',history:[]};
+  function api(path, opts){
+    opts=opts||{}; opts.headers=opts.headers||{};
+    var t=sessionStorage.getItem(TKEY)||'';
+    if(t) opts.headers.authorization='Bearer '+t;
+    return fetch(path, opts);
+  }
+  var state={schemaVersion:2,botName:'KMN Bot',nodes:[],vars:{}};
   var dragIndex=-1;
+  var chatSession=newChatSession();
+  var publicKey='';
+  var lastSaveError='';
+  var lastSaveIssues={errors:[],warnings:[]};
 
   function uid(){return 'n'+Math.random().toString(36).slice(2,8)}
+  function newChatSession(){ return randomSessionId('b_'); }
   function currentBot(){ return ($('botName').value||state.botName||'KMN Bot').trim() || 'KMN Bot'; }
   function saveLocal(){ localStorage.setItem(SKEY, JSON.stringify(state)); }
-  async function saveRemote(){
+  // Stores the current state as a new version (optionally publishing it); returns the response or null.
+  async function saveRemote(publish){
     try{
-      var res = await fetch('/api/builder/state',{method:'POST',headers:{'content-type':'application/json'},body:JSON.stringify({bot:currentBot(),state:state})});
+      var res = await api('/api/builder/state',{method:'POST',headers:{'content-type':'application/json'},body:JSON.stringify({bot:currentBot(),state:state,message:$('versionMsg').value.trim(),publish:!!publish})});
       var data = await res.json().catch(function(){return {};});
-      return !!(res.ok && data && data.ok);
-    }catch(e){ return false; }
+      if(data && data.publicKey) publicKey=data.publicKey;
+      lastSaveError = (res.ok && data && data.ok) ? '' : (data.code||data.error||('HTTP '+res.status));
+      lastSaveIssues = {errors:(data&&data.errors)||[], warnings:(data&&data.warnings)||[]};
+      if(lastSaveError) return null;
+      $('versionMsg').value='';
+      refreshVersions();
+      if(publish) refreshSchedules();
+      return data;
+    }catch(e){ lastSaveError=e.message; return null; }
   }
-  async function save(){
+  // Copies the AI and widget settings into the state so the widget config endpoint can serve them.
+  function syncSettings(){
+    if($('modelSelect').value) state.model=$('modelSelect').value;
+    if($('personaSelect').value) state.persona=$('personaSelect').value;
+    state.widget={color:$('wColor').value,avatar:$('wAvatar').value,position:$('wPos').value};
+    var daily=parseFloat($('budgetDaily').value), monthly=parseFloat($('budgetMonthly').value);
+    var budget=Object.assign({},state.budget||{});
+    if(daily>0) budget.dailyUsd=daily; else delete budget.dailyUsd;
+    if(monthly>0) budget.monthlyUsd=monthly; else delete budget.monthlyUsd;
+    if(budget.dailyUsd||budget.monthlyUsd) state.budget=budget; else delete state.budget;
+    state.memory=Object.assign({},state.memory||{},{extract:$('memExtract').value==='on'});
+  }
+  // Edits are kept locally; Save Bot stores them as a version and Publish makes that version live.
+  function save(){
+    syncSettings();
     saveLocal();
-    return await saveRemote();
+  }
+  async function saveVersion(publish){
+    state.botName=$('botName').value||'KMN Bot';
+    save();
+    var data=await saveRemote(publish);
+    if(!data){ log('Saved locally ('+(lastSaveError||'server storage unavailable')+')','err'); logIssues(lastSaveIssues.errors, lastSaveIssues.warnings); return; }
+    var what=data.unchanged?'No changes since v'+data.version:'Saved v'+data.version;
+    log(what+(publish?' · published':'')+' ('+state.botName+')','ok');
+    logIssues([], lastSaveIssues.warnings);
+  }
+  function logIssues(errors, warnings){
+    (errors||[]).forEach(function(x){ log('✖ '+x.path+' '+x.message+' ('+x.code+')','err'); });
+    (warnings||[]).forEach(function(x){ log('⚠ '+x.path+' '+x.message+' ('+x.code+')',''); });
+  }
+  async function refreshVersions(){
+    var sel=$('versionList');
+    try{
+      var res=await api('/api/builder/versions?bot='+encodeURIComponent(currentBot())+'&limit=50');
+      var data=await res.json().catch(function(){return {};});
+      sel.innerHTML='';
+      if(!res.ok||!data.ok) return;
+      data.versions.forEach(function(v){
+        var o=document.createElement('option'); o.value=v.version;
+        o.textContent='v'+v.version+(v.published?' ● live':'')+' · '+(v.createdAt||'').slice(0,16).replace('T',' ')+' · '+(v.author||'?')+(v.message?' · '+v.message:'');
+        sel.appendChild(o);
+      });
+    }catch(e){}
+  }
+  function renderDiff(d){
+    var lines=[];
+    d.added.forEach(function(n){ lines.push('+ '+n.id+' ('+n.type+') '+n.content); });
+    d.removed.forEach(function(n){ lines.push('- '+n.id+' ('+n.type+') '+n.content); });
+    d.changed.forEach(function(c){ lines.push('~ '+c.id+' ('+c.type+'): '+c.fields.join(', ')); });
+    d.moved.forEach(function(m){ lines.push('↕ '+m.id+': position '+(m.from+1)+' → '+(m.to+1)); });
+    d.settings.forEach(function(x){ lines.push('⚙ '+x.key+' changed'); });
+    return lines.length?lines.join('\\n'):'No differences';
+  }
+  async function versionAction(path, body){
+    var res=await api(path,{method:'POST',headers:{'content-type':'application/json'},body:JSON.stringify(body)});
+    var data=await res.json().catch(function(){return {};});
+    if(!res.ok||!data.ok) throw new Error(data.code||data.error||('HTTP '+res.status));
+    refreshVersions(); refreshSchedules();
+    return data;
   }
   function loadLocal(){
-    try{ var raw=localStorage.getItem(SKEY); if(raw) state=JSON.parse(raw); }catch(e){}
+    try{ var raw=localStorage.getItem(SKEY); if(raw) state=upgradeState(JSON.parse(raw)); }catch(e){}
     if(!state.nodes||!state.nodes.length){ state.nodes=[{id:uid(),type:'text',content:'Welcome! How can I help?'}]; }
   }
+  // Same upgrade as the server's upgradeBotState, for drafts kept in localStorage before schema version 2.
+  function upgradeState(s){
+    if(!s||s.schemaVersion>=2) return s;
+    (s.nodes||[]).forEach(function(n){
+      if((n.type==='buttons'||n.type==='quick_replies')&&!n.options){ n.options=splitList(n.content).map(function(l){ return {label:l}; }); delete n.content; }
+      if(n.type==='carousel'&&!n.cards){ n.cards=splitList(n.content).map(function(t){ return {title:t}; }); delete n.content; }
+      if(n.type==='condition'&&!n.operator) n.operator='eq';
+      ['nextNodeId','elseNodeId','conditionVar','variable'].forEach(function(k){ if(n[k]==='') delete n[k]; });
+    });
+    s.schemaVersion=2;
+    return s;
+  }
+  function splitList(text){ return String(text||'').split('|').map(function(x){ return x.trim(); }).filter(Boolean); }
   async function loadRemote(){
     try{
-      var res = await fetch('/api/builder/state?bot='+encodeURIComponent(currentBot()));
+      var res = await api('/api/builder/state?bot='+encodeURIComponent(currentBot()));
       var data = await res.json().catch(function(){return {};});
-      if(res.ok && data && data.ok && data.state){ state = data.state; return true; }
+      if(res.ok && data && data.ok && data.publicKey) publicKey=data.publicKey;
+      if(res.ok && data && data.ok && data.state){ state = upgradeState(data.state); return true; }
     }catch(e){}
     return false;
   }
+  // Loads one stored version of the current bot into the editor.
+  async function loadRemoteVersion(v){
+    var res=await api('/api/builder/state?bot='+encodeURIComponent(currentBot())+'&version='+v);
+    var data=await res.json().catch(function(){return {};});
+    if(!res.ok||!data.ok||!data.state) throw new Error(data.code||data.error||('HTTP '+res.status));
+    if(data.publicKey) publicKey=data.publicKey;
+    state=data.state; saveLocal(); renderNodes(); renderCanvas(); renderPersonaOptions();
+    $('vars').value=JSON.stringify(state.vars||{},null,2);
+    $('personas').value=state.personas&&state.personas.length?JSON.stringify(state.personas,null,2):'';
+    $('schedules').value=state.schedules&&state.schedules.length?JSON.stringify(state.schedules,null,2):'';
+    $('tools').value=state.tools&&state.tools.length?JSON.stringify(state.tools,null,2):'';
+    $('schemas').value=state.schemas&&state.schemas.length?JSON.stringify(state.schemas,null,2):'';
+  }
+  async function loadTemplates(){
+    var sel=$('templateSel'), keep=sel.value;
+    try{
+      var res=await api('/api/templates');
+      var data=await res.json().catch(function(){return {};});
+      if(!res.ok||!data.ok) return;
+      sel.innerHTML='';
+      data.templates.forEach(function(t){
+        var o=document.createElement('option'); o.value=t.id;
+        o.textContent=t.name+(t.builtin?'':' · '+(t.author||'team')); o.title=t.description||'';
+        sel.appendChild(o);
+      });
+      if(keep) sel.value=keep;
+    }catch(e){}
+  }
   function analytics(){
     var a={messages:0,users:1,dropoff:0};
     try{ a=JSON.parse(localStorage.getItem(AKEY)||'{"messages":0,"users":1,"dropoff":0}'); }catch(e){}
     return a;
   }
   function setAnalytics(a){ localStorage.setItem(AKEY, JSON.stringify(a)); $('stats').textContent='messages: '+a.messages+' · users: '+a.users+' · drop-off: '+a.dropoff; }
-  async function postEvent(eventType, nodeId, meta){
-    try{ await fetch('/api/analytics/event',{method:'POST',headers:{'content-type':'application/json'},body:JSON.stringify({eventType:eventType,userId:'builder-admin',sessionId:'builder',nodeId:nodeId||'',meta:meta||{}})}); }catch(e){}
+  // Preview events carry no bot, so they never mix with a bot's real analytics.
+  var events=eventQueue('/api/analytics/events',function(){ return sessionStorage.getItem(TKEY)||''; },function(){ return {}; });
+  function postEvent(eventType, nodeId, meta){
+    events.track(eventType, meta, {sessionId:'builder', nodeId:nodeId||''});
   }
   async function refreshAnalytics(){
     try{
-      var r=await fetch('/api/analytics/summary');
+      var days=parseInt($('statsRange').value,10)||30, to=new Date(), from=new Date(Date.now()-(days-1)*86400000);
+      var q='?bot='+encodeURIComponent(currentBot())+'&granularity='+$('statsGranularity').value+'&from='+from.toISOString().slice(0,10)+'&to='+to.toISOString().slice(0,10);
+      var r=await api('/api/analytics/summary'+q);
       var j=await r.json().catch(function(){return {};});
       if(r.ok && j && j.ok && j.summary){
-        $('stats').textContent='messages: '+j.summary.messages+' · users: '+j.summary.users+' · drop-off: '+j.summary.dropoff;
+        var sm=j.summary;
+        $('stats').textContent='messages: '+sm.messages+' · users: '+sm.users+' · sessions: '+sm.sessions+' · completed: '+sm.completions+' · avg msgs/session: '+sm.avgMessagesPerSession;
+        renderTrend(j.series||[]);
+        renderFunnel(j.funnel||[]);
         return;
       }
     }catch(e){}
+    $('trend').innerHTML=''; $('funnel').innerHTML='';
     setAnalytics(analytics());
   }
+  function renderTrend(series){
+    var max=1; series.forEach(function(p){ if(p.messages>max) max=p.messages; });
+    $('trend').innerHTML='';
+    series.forEach(function(p){
+      var bar=document.createElement('div');
+      bar.style.height=Math.round(p.messages/max*100)+'%';
+      bar.title=p.bucket.slice(0,16).replace('T',' ')+' · messages '+p.messages+' · users '+p.users+' · sessions '+p.sessions;
+      $('trend').appendChild(bar);
+    });
+  }
+  function renderFunnel(steps){
+    $('funnel').innerHTML='';
+    steps.forEach(function(st,i){
+      var row=document.createElement('div'); row.className='step';
+      row.title='reached '+st.reached+' · from previous '+Math.round(st.conversion*100)+'% · exits '+st.exits+' ('+Math.round(st.dropoffRate*100)+'%)';
+      var label=document.createElement('span'); label.style.width='110px'; label.textContent=(i+1)+'. '+st.type;
+      var bar=document.createElement('div'); bar.className='bar'; bar.style.width=Math.max(2,Math.round(st.conversionFromStart*120))+'px';
+      var n=document.createElement('span'); n.textContent=st.reached+(st.exits?(' · -'+st.exits):'');
+      row.appendChild(label); row.appendChild(bar); row.appendChild(n);
+      $('funnel').appendChild(row);
+    });
+  }
+
+  async function refreshUsage(){
+    try{
+      var r=await api('/api/usage?bot='+encodeURIComponent(currentBot()));
+      var j=await r.json().catch(function(){return {};});
+      if(!r.ok||!j.ok){ $('usage').textContent='usage: -'; return; }
+      var text='30 days: '+j.totals.requests+' calls · '+j.totals.totalTokens+' tokens · $'+j.totals.costUsd.toFixed(4);
+      (j.alerts||[]).forEach(function(a){ text+=' · '+(a.level==='exceeded'?'OVER ':'')+a.period+' budget '+a.percent+'%'; });
+      $('usage').textContent=text;
+    }catch(e){}
+  }
 
   function renderNodes(){
     var ul=$('nodes'); ul.innerHTML='';
     state.nodes.forEach(function(n,i){
       var li=document.createElement('li'); li.draggable=true; li.dataset.i=i;
-      li.textContent=(i+1)+'. ['+n.type+'] '+(n.content||n.label||'');
+      li.textContent=(i+1)+'. ['+n.type+' · '+n.id+'] '+nodeSummary(n);
       li.addEventListener('dragstart',function(){dragIndex=i});
       li.addEventListener('dragover',function(e){e.preventDefault()});
       li.addEventListener('drop',function(e){e.preventDefault(); var to=i; if(dragIndex<0||dragIndex===to) return; var moved=state.nodes.splice(dragIndex,1)[0]; state.nodes.splice(to,0,moved); dragIndex=-1; save(); renderNodes(); renderCanvas();});
@@ -724,31 +7230,100 @@ const BUILDER_HTML = `<!doctype html>
     var c=$('canvas'); c.innerHTML='';
     state.nodes.forEach(function(n,i){
       var box=document.createElement('div'); box.className='card'; box.style.margin='0 0 8px 0'; box.style.padding='8px';
-      box.innerHTML='<b>'+(i+1)+'. '+n.type+'</b><div>'+escapeHtml(n.content||n.label||'')+'</div>';
+      box.innerHTML='<b>'+(i+1)+'. '+n.type+'</b> <small>'+escapeHtml(n.id)+'</small><div>'+escapeHtml(nodeSummary(n))+'</div>';
       c.appendChild(box);
     });
   }
 
+  function nodeSummary(n){
+    var text=n.content||n.label||'';
+    if(n.options) text=(text?text+' · ':'')+n.options.map(function(o){ return o.label+(o.nextNodeId?' → '+o.nextNodeId:''); }).join(' | ');
+    if(n.cards) text=n.cards.map(function(c){ return c.title; }).join(' | ');
+    if(n.fields) text=(text?text+' · ':'')+formatFields(n.fields);
+    if(n.type==='condition') text=(n.conditionVar||'last_input')+' '+n.operator+' '+(n.conditionValue==null?'':n.conditionValue)+' ? '+(n.nextNodeId||'next')+' : '+(n.elseNodeId||'next');
+    else if(n.nextNodeId) text+=' → '+n.nextNodeId;
+    return text;
+  }
+  // Form fields as "variable:type" with "?" for optional, "=a,b" for select options and "; label".
+  function formatFields(fields){
+    return fields.map(function(f){ return f.name+':'+f.type+(f.required===false?'?':'')+(f.options?'='+f.options.join(','):'')+(f.label?' ; '+f.label:''); }).join(' | ');
+  }
+  function parseFields(text){
+    return splitList(text).map(function(part){
+      var semi=part.indexOf(';'), spec=(semi<0?part:part.slice(0,semi)).trim(), label=semi<0?'':part.slice(semi+1).trim();
+      var m=/^([A-Za-z_][A-Za-z0-9_]*)\\s*:\\s*([a-z]+)(\\?)?(?:=(.*))?$/.exec(spec);
+      if(!m) throw new Error('Bad field "'+part+'"; use variable:type');
+      var f={name:m[1],type:m[2]};
+      if(m[3]) f.required=false;
+      if(m[4]) f.options=m[4].split(',').map(function(o){ return o.trim(); }).filter(Boolean);
+      if(label) f.label=label;
+      return f;
+    });
+  }
+  // Sets or clears an optional field from a prompt answer; returns false when the prompt was cancelled.
+  function ask(n, key, label){
+    var v=prompt(label, n[key]==null?'':String(n[key]));
+    if(v===null) return false;
+    v=v.trim(); if(v) n[key]=v; else delete n[key];
+    return true;
+  }
   function editNode(i){
     var n=state.nodes[i];
-    var content=prompt('Edit node content', n.content||'');
-    if(content===null) return;
-    n.content=content;
     if(n.type==='condition'){
-      n.conditionVar=prompt('Condition variable name', n.conditionVar||'intent')||'intent';
-      n.conditionValue=prompt('Condition expected value', n.conditionValue||'yes')||'yes';
-      n.nextNodeId=prompt('Next node id if matched', n.nextNodeId||'')||'';
+      if(!ask(n,'conditionVar','Variable to test (blank = last input)')) return;
+      var op=prompt('Operator: eq, neq, contains, not_contains, starts_with, ends_with, gt, gte, lt, lte, regex, exists, empty', n.operator||'eq');
+      if(op===null) return;
+      n.operator=op.trim()||'eq';
+      if(!ask(n,'conditionValue','Value to compare with')) return;
+      if(!ask(n,'nextNodeId','Node id when it matches (blank = next node)')) return;
+      if(!ask(n,'elseNodeId','Node id when it does not match (blank = next node)')) return;
+    }else{
+      var content=prompt(n.type==='buttons'||n.type==='quick_replies'?'Question shown above the options':'Edit node content', n.content||'');
+      if(content===null) return;
+      if(content||n.type==='text'||n.type==='ai') n.content=content; else delete n.content;
+      if(n.type==='ai'&&state.tools&&state.tools.length){
+        var names=prompt('Tools this node may call, comma separated (blank = all of: '+state.tools.map(function(t){ return t.name; }).join(', ')+')', (n.tools||[]).join(', '));
+        if(names===null) return;
+        var picked=names.split(',').map(function(x){ return x.trim(); }).filter(Boolean);
+        if(picked.length) n.tools=picked; else delete n.tools;
+      }
+      if(n.type==='buttons'||n.type==='quick_replies'){
+        var opts=prompt('Options separated by | ; "Label > nodeId" jumps to that node', (n.options||[]).map(function(o){ return o.label+(o.nextNodeId?' > '+o.nextNodeId:''); }).join(' | '));
+        if(opts===null) return;
+        n.options=splitList(opts).map(function(o){ var p=o.split('>'); var opt={label:p[0].trim()}; if(p[1]&&p[1].trim()) opt.nextNodeId=p[1].trim(); return opt; });
+        if(!ask(n,'variable','Variable that stores the choice (blank = choice)')) return;
+      }
+      if(n.type==='form'){
+        var spec=prompt('Fields separated by | ; each "variable:type" with type text, name, email, phone, select or date. Add ? for optional, =A,B for select options and "; Question" for a custom question', formatFields(n.fields||[]));
+        if(spec===null) return;
+        try{ n.fields=parseFields(spec); }catch(e){ log(e.message,'err'); return; }
+        var keep=prompt('Save completed forms as leads? (yes/no)', n.saveLead===false?'no':'yes');
+        if(keep===null) return;
+        if(/^n/i.test(keep.trim())) n.saveLead=false; else delete n.saveLead;
+      }
+      if(n.type==='carousel'){
+        var cards=prompt('Cards separated by | ; each "Title ; subtitle ; image URL ; link URL"', (n.cards||[]).map(function(c){ return [c.title,c.subtitle||'',c.image||'',c.url||''].join(' ; ').replace(/( ; )+$/,''); }).join(' | '));
+        if(cards===null) return;
+        n.cards=splitList(cards).map(function(c){
+          var p=c.split(';').map(function(x){ return x.trim(); }), card={title:p[0]};
+          if(p[1]) card.subtitle=p[1]; if(p[2]) card.image=p[2]; if(p[3]) card.url=p[3];
+          return card;
+        });
+      }
+      if(!ask(n,'nextNodeId','Next node id (blank = next node in order)')) return;
     }
     save(); renderNodes(); renderCanvas();
   }
 
   function addNode(){
     var t=$('nodeType').value;
-    var n={id:uid(),type:t,content:''};
-    if(t==='buttons'||t==='quick_replies') n.content='Option 1 | Option 2';
-    if(t==='carousel') n.content='Card1 | Card2 | Card3';
+    var n={id:uid(),type:t};
+    if(t==='text') n.content='';
+    if(t==='buttons'||t==='quick_replies') n.options=[{label:'Option 1'},{label:'Option 2'}];
+    if(t==='carousel') n.cards=[{title:'Card 1'},{title:'Card 2'},{title:'Card 3'}];
     if(t==='ai') n.content='AI dynamic response';
-    if(t==='condition'){ n.content='Branch condition'; n.conditionVar='intent'; n.conditionValue='yes'; }
+    if(t==='form'){ n.content='A few details so we can reach you.'; n.fields=[{name:'name',type:'name'},{name:'phone',type:'phone'},{name:'email',type:'email',required:false}]; }
+    if(t==='condition'){ n.content='Branch condition'; n.conditionVar='intent'; n.operator='eq'; n.conditionValue='yes'; }
     state.nodes.push(n); save(); renderNodes(); renderCanvas();
   }
 
@@ -759,102 +7334,590 @@ const BUILDER_HTML = `<!doctype html>
       var res=await fetch('/api/models'); var data=await res.json();
       var sel=$('modelSelect'); sel.innerHTML='';
       (data.models||[]).slice(0,80).forEach(function(m){ var o=document.createElement('option'); o.value=m.id; o.textContent=m.id; sel.appendChild(o); });
-    }catch(e){ log('Model load failed: '+e.message,'err'); }
-  }
-
-  async function aiReply(userText){
-    var model=$('modelSelect').value;
-    var res=await fetch('/api/chat',{method:'POST',headers:{'content-type':'application/json'},body:JSON.stringify({model:model,prompt:userText})});
-    if(!res.ok||!res.body){ throw new Error('AI request failed'); }
-    var reader=res.body.getReader(); var dec=new TextDecoder(); var buf=''; var out='';
-    while(true){
-      var r=await reader.read(); if(r.done) break;
-      buf+=dec.decode(r.value,{stream:true});
-      var events=buf.split('\\n\\n'); buf=events.pop()||'';
-      for(var i=0;i<events.length;i++){
-        var ev=events[i]; var lines=ev.split('\\n'); var dataLine='';
-        for(var j=0;j<lines.length;j++){ if(lines[j].indexOf('data: ')===0){ dataLine=lines[j].slice(6).trim(); break; } }
-        if(!dataLine || dataLine==='[DONE]') continue;
-        try{ var x=JSON.parse(dataLine); var t=''; if(x&&x.choices&&x.choices[0]&&x.choices[0].delta&&typeof x.choices[0].delta.content==='string') t=x.choices[0].delta.content; if(t) out+=t; }catch(_e){}
+      if(state.model){
+        if(!Array.prototype.some.call(sel.options,function(o){ return o.value===state.model; })){ var o=document.createElement('option'); o.value=state.model; o.textContent=state.model; sel.insertBefore(o, sel.firstChild); }
+        sel.value=state.model;
       }
-    }
-    return out;
+    }catch(e){ log('Model load failed: '+e.message,'err'); }
   }
 
-  function runFlow(input){
+  async function flowRun(input, reset){
     var vars={};
     try{ vars=JSON.parse($('vars').value||'{}'); }catch(e){}
-    var out='';
-    for(var i=0;i<state.nodes.length;i++){
-      var n=state.nodes[i];
-      if(n.type==='condition'){
-        if(String(vars[n.conditionVar]||input).toLowerCase()!==String(n.conditionValue||'').toLowerCase()) continue;
-      }
-      out += '['+n.type+'] '+(n.content||'')+'\\n';
+    var res=await api('/api/flow/run',{method:'POST',headers:{'content-type':'application/json'},body:JSON.stringify({bot:currentBot(),sessionId:chatSession,input:input,reset:!!reset,model:$('modelSelect').value,vars:vars,state:state})});
+    var data=await res.json().catch(function(){return {};});
+    if(!res.ok||!data.ok) throw new Error(data.error||('HTTP '+res.status));
+    return data;
+  }
+
+  // Without flow nodes the preview chats with the bot directly, streaming like the widget does.
+  async function chatStream(text){
+    var res=await api('/api/chat',{method:'POST',headers:{'content-type':'application/json'},body:JSON.stringify({bot:currentBot(),sessionId:chatSession,prompt:text,model:$('modelSelect').value||undefined,persona:$('personaSelect').value||undefined})});
+    if(!res.ok||!res.body){ var err=await res.json().catch(function(){return {};}); throw new Error(err.error||('HTTP '+res.status)); }
+    var d=null;
+    var reply=await readChatStream(res,{
+      token:function(ev){
+        if(!d){ d=document.createElement('div'); d.className='ok'; d.textContent='BOT: '; $('log').appendChild(d); }
+        d.textContent+=ev.text; $('log').scrollTop=$('log').scrollHeight;
+      },
+      // Tool calls are logged when they finish; the reply carries on in a new line after them.
+      tool_result:function(ev){ logTool(ev); d=null; }
+    });
+    if(reply.meta.citations&&reply.meta.citations.length) log('Sources: '+reply.meta.citations.map(function(c){ return '['+c.n+'] '+c.document+' #'+c.chunk; }).join(', '),'');
+    if(reply.error) throw new Error(reply.error.message||reply.error.code);
+    return reply.text;
+  }
+
+  // Lists the bot's stored conversations, or the sessions matching the search box.
+  async function refreshConversations(){
+    var sel=$('convList'), q=($('convSearch').value||'').trim(), bot=encodeURIComponent(currentBot());
+    try{
+      var res=await api(q?'/api/conversations/search?bot='+bot+'&q='+encodeURIComponent(q):'/api/conversations?bot='+bot+'&limit=50');
+      var data=await res.json().catch(function(){return {};});
+      if(!res.ok||!data.ok) return;
+      var keep=sel.value; sel.innerHTML='';
+      (q?data.results:data.conversations).forEach(function(c){
+        var o=document.createElement('option'); o.value=c.sessionId;
+        o.textContent=q?(c.role+': '+c.snippet):((c.lastMessageAt||'').slice(0,16).replace('T',' ')+' · '+c.channel+' · '+c.messageCount+' msgs · '+(c.userId||'anon'));
+        sel.appendChild(o);
+      });
+      if(keep){ sel.value=keep; if(sel.value===keep) showTranscript(keep); }
+    }catch(e){}
+  }
+  async function showTranscript(session){
+    if(!session) return;
+    var res=await api('/api/conversations/messages?bot='+encodeURIComponent(currentBot())+'&session='+encodeURIComponent(session));
+    var data=await res.json().catch(function(){return {};});
+    if(!res.ok||!data.ok){ $('history').value='Error: '+(data.error||('HTTP '+res.status)); return; }
+    $('history').value=data.messages.map(function(m){
+      if(m.role==='tool') return 'T: '+((m.meta&&m.meta.name)||'tool')+' '+JSON.stringify((m.meta&&m.meta.arguments)||{})+((m.meta&&m.meta.ok===false)?' (failed)':'');
+      return (m.role==='user'?'U: ':'B: ')+m.content;
+    }).join('\\n');
+  }
+
+  // Lists the published version's schedules and their latest runs.
+  var scheduleRuns=[];
+  async function refreshSchedules(){
+    try{
+      var res=await api('/api/schedules?bot='+encodeURIComponent(currentBot())+'&limit=20');
+      var data=await res.json().catch(function(){return {};});
+      if(!res.ok||!data.ok) return;
+      var sel=$('scheduleSel'), keep=sel.value; sel.innerHTML='';
+      data.schedules.forEach(function(x){
+        var o=document.createElement('option'); o.value=x.id;
+        o.textContent=(x.name||x.id)+' · '+x.cron+(x.enabled?(x.nextRunAt?' · next '+x.nextRunAt.slice(0,16).replace('T',' '):''):' · off');
+        sel.appendChild(o);
+      });
+      if(keep) sel.value=keep;
+      scheduleRuns=data.runs; var list=$('scheduleRuns'); list.innerHTML='';
+      scheduleRuns.forEach(function(r,i){
+        var o=document.createElement('option'); o.value=i;
+        o.textContent=(r.startedAt||'').slice(0,16).replace('T',' ')+' · '+r.scheduleId+' · '+r.status+' · '+r.trigger+(r.webhook?' · webhook '+r.webhook.status:'');
+        list.appendChild(o);
+      });
+    }catch(e){}
+  }
+  // Lists the bot's leads from the last 30 days.
+  async function refreshLeads(){
+    var list=$('leadList');
+    try{
+      var res=await api('/api/leads?bot='+encodeURIComponent(currentBot())+'&limit=100');
+      var data=await res.json().catch(function(){return {};});
+      if(!res.ok||!data.ok) return;
+      list.innerHTML='';
+      data.leads.forEach(function(l){
+        var o=document.createElement('option'); o.value=l.id;
+        o.textContent=l.createdAt.slice(0,16).replace('T',' ')+' · '+Object.keys(l.fields).map(function(k){ return l.fields[k]; }).join(' · ');
+        o.title=JSON.stringify(l.fields,null,2);
+        list.appendChild(o);
+      });
+      if(!data.leads.length){ var o=document.createElement('option'); o.disabled=true; o.textContent='No leads in the last 30 days'; list.appendChild(o); }
+    }catch(e){}
+  }
+  function showScheduleRun(r){
+    $('scheduleOut').value=r?(r.error?'Error: '+(r.error.message||r.error.code):(r.output||'')):'';
+  }
+
+  // Lists the messaging channels (Telegram, Viber) the bot answers on.
+  async function refreshChannels(){
+    try{
+      var res=await api('/api/channels?bot='+encodeURIComponent(currentBot()));
+      var data=await res.json().catch(function(){return {};});
+      if(!res.ok||!data.ok) return;
+      var sel=$('chList'); sel.innerHTML='';
+      data.channels.forEach(function(c){
+        var o=document.createElement('option'); o.value=c.channel;
+        o.textContent=c.channel+' · '+(c.account.username?'@'+c.account.username:(c.account.name||''))+' · token '+c.tokenHint;
+        o.title=c.webhookUrl;
+        sel.appendChild(o);
+      });
+      if(!data.channels.length){ var o=document.createElement('option'); o.value=''; o.textContent='No channels connected'; sel.appendChild(o); }
+    }catch(e){}
+  }
+
+  // Lists the names of the bot's secrets; values never come back from the API.
+  async function refreshSecrets(){
+    try{
+      var res=await api('/api/secrets?bot='+encodeURIComponent(currentBot()));
+      var data=await res.json().catch(function(){return {};});
+      if(!res.ok||!data.ok) return;
+      var sel=$('secList'); sel.innerHTML='';
+      data.secrets.forEach(function(x){
+        var o=document.createElement('option'); o.value=x.name; o.textContent=x.name+' · updated '+x.updated_at.slice(0,10); sel.appendChild(o);
+      });
+      if(!data.secrets.length){ var o=document.createElement('option'); o.value=''; o.textContent='No secrets'; sel.appendChild(o); }
+    }catch(e){}
+  }
+
+  // Lists the bot's webhook subscriptions and the delivery log (of the selected webhook, if any).
+  var whDeliveries=[];
+  async function refreshWebhooks(){
+    try{
+      var res=await api('/api/webhooks?bot='+encodeURIComponent(currentBot()));
+      var data=await res.json().catch(function(){return {};});
+      if(!res.ok||!data.ok) return;
+      var sel=$('whList'), keep=sel.value; sel.innerHTML='<option value="">All webhooks</option>';
+      data.webhooks.forEach(function(w){
+        var o=document.createElement('option'); o.value=w.id;
+        o.textContent=w.url.replace(/^https:\\/\\//,'')+' · '+w.events.join(', ')+(w.enabled?'':' · off');
+        sel.appendChild(o);
+      });
+      sel.value=keep;
+      if(sel.value!==keep) sel.value='';
+      await refreshWebhookDeliveries();
+    }catch(e){}
+  }
+  async function refreshWebhookDeliveries(){
+    var id=$('whList').value;
+    try{
+      var res=await api('/api/webhooks/deliveries?bot='+encodeURIComponent(currentBot())+(id?'&webhook='+encodeURIComponent(id):'')+'&limit=50');
+      var data=await res.json().catch(function(){return {};});
+      if(!res.ok||!data.ok) return;
+      whDeliveries=data.deliveries; var list=$('whDeliveries'); list.innerHTML='';
+      whDeliveries.forEach(function(d,i){
+        var o=document.createElement('option'); o.value=i;
+        o.textContent=(d.createdAt||'').slice(0,16).replace('T',' ')+' · '+d.event+' · '+d.status+' · '+d.attempts+' attempt'+(d.attempts===1?'':'s')+(d.lastStatusCode?' · HTTP '+d.lastStatusCode:'')+(d.replayOf?' · replay':'');
+        list.appendChild(o);
+      });
+    }catch(e){}
+  }
+  function showWebhookDelivery(d){
+    if(!d){ $('whOut').value=''; return; }
+    $('whOut').value=(d.lastError?'Last error: '+d.lastError+'\\n':'')+(d.nextAttemptAt?'Next attempt: '+d.nextAttemptAt+'\\n':'')+JSON.stringify(d.payload,null,2);
+  }
+
+  async function loadKbDocs(){
+    var sel=$('kbDocs'); sel.innerHTML='';
+    try{
+      var res=await api('/api/kb/documents?bot='+encodeURIComponent(currentBot()));
+      var data=await res.json().catch(function(){return {};});
+      (data.documents||[]).forEach(function(d){ var o=document.createElement('option'); o.value=d.id; o.textContent=d.name+' · '+d.chunk_count+' chunks'; sel.appendChild(o); });
+    }catch(e){}
+  }
+
+  var builtinPersonas=[];
+  async function loadPersonas(){
+    if(!builtinPersonas.length){
+      try{ var res=await fetch('/api/personas'); var data=await res.json(); builtinPersonas=data.personas||[]; }catch(e){}
     }
-    return out.trim();
+    renderPersonaOptions();
+  }
+  function renderPersonaOptions(){
+    var sel=$('personaSelect'), custom=Array.isArray(state.personas)?state.personas:[];
+    var ids={}; custom.forEach(function(p){ if(p&&p.id) ids[String(p.id).toLowerCase()]=true; });
+    sel.innerHTML='';
+    builtinPersonas.filter(function(p){ return !ids[p.id]; }).concat(custom.filter(function(p){ return p&&p.id; })).forEach(function(p){
+      var o=document.createElement('option'); o.value=p.id; o.textContent=(p.name||p.id)+(p.builtin?'':' (custom)'); sel.appendChild(o);
+    });
+    sel.value=state.persona||'default';
+  }
+
+  function describeFlowMessage(m){
+    if(m.type==='buttons'||m.type==='quick_replies') return '['+m.type+'] '+(m.text?m.text+' ':'')+(m.options||[]).join(' | ');
+    if(m.type==='carousel') return '[carousel] '+(m.cards||[]).map(function(c){return c.title;}).join(' | ');
+    if(m.type==='form') return '[form '+m.field.type+(m.field.required?'':', optional')+'] '+m.text+(m.field.options?' '+m.field.options.join(' | '):'');
+    return m.text||'';
+  }
+
+  function logTool(t){ log('TOOL: '+t.name+' '+JSON.stringify(t.arguments||{})+(t.ok===undefined?'':t.ok?' → '+(t.status||'ok'):' → '+(t.error||'failed'))+(t.durationMs!==undefined?' ('+t.durationMs+' ms)':''),t.ok===false?'err':''); }
+
+  function logFlow(data){
+    var lines=(data.messages||[]).map(describeFlowMessage);
+    (data.messages||[]).forEach(function(m,i){
+      (m.toolCalls||[]).forEach(logTool);
+      log('BOT: '+lines[i],'ok');
+    });
+    (data.messages||[]).forEach(function(m){
+      if(m.citations&&m.citations.length) log('Sources: '+m.citations.map(function(c){ return '['+c.n+'] '+c.document+' #'+c.chunk; }).join(', '),'');
+    });
+    if(data.done) log('(flow finished)','');
+    return lines.join('\\n');
   }
 
   function escapeHtml(s){return String(s).replace(/[&<>\"']/g,function(c){return {'&':'&amp;','<':'&lt;','>':'&gt;','\"':'&quot;',"'":'&#039;'}[c]})}
 
   $('addNode').addEventListener('click', addNode);
-  $('saveBtn').addEventListener('click', async function(){ state.botName=$('botName').value||'KMN Bot'; var ok=await save(); log(ok?('Saved bot: '+state.botName+' (Supabase)'):('Saved locally (Supabase not ready)'), ok?'ok':'err'); });
-  $('testRun').addEventListener('click', async function(){ var o=runFlow($('testInput').value||''); log('FLOW:\\n'+o,'ok'); var a=analytics(); a.messages+=1; setAnalytics(a); await postEvent('message','flow-test',{len:o.length}); state.history.push('FLOW>> '+o); $('history').value=state.history.join('\\n'); save(); refreshAnalytics(); });
+  $('statsRange').addEventListener('change', refreshAnalytics);
+  $('statsGranularity').addEventListener('change', refreshAnalytics);
+  $('saveBtn').addEventListener('click', function(){ saveVersion(false); });
+  $('validateBtn').addEventListener('click', async function(){
+    save();
+    try{
+      var res=await api('/api/builder/validate',{method:'POST',headers:{'content-type':'application/json'},body:JSON.stringify({state:state})});
+      var data=await res.json().catch(function(){return {};});
+      if(!res.ok||!data.ok) throw new Error(data.code||data.error||('HTTP '+res.status));
+      log(data.valid?'Flow is valid'+(data.warnings.length?' ('+data.warnings.length+' warnings)':''):'Flow has '+data.errors.length+' errors', data.valid?'ok':'err');
+      logIssues(data.errors, data.warnings);
+    }catch(e){ log('Validation failed: '+e.message,'err'); }
+  });
+  $('publishBtn').addEventListener('click', function(){ saveVersion(true); });
+  $('testRun').addEventListener('click', async function(){
+    try{
+      chatSession=newChatSession();
+      log('FLOW: new test session','');
+      var o=logFlow(await flowRun('', true));
+      var a=analytics(); a.messages+=1; setAnalytics(a); postEvent('message','flow-test',{source:'builder',textLen:o.length});
+      refreshConversations(); refreshAnalytics();
+    }catch(e){ log('Error: '+e.message,'err'); }
+  });
   $('sendTest').addEventListener('click', async function(){
     try{
       var text=$('testInput').value||''; if(!text) return;
       log('USER: '+text,'');
-      var flow=runFlow(text); if(flow) log('BOT(flow): '+flow,'ok');
-      var ai=await aiReply(text+'\\nContext:\\n'+flow+'\\nKB:\\n'+(state.kb||''));
-      log('BOT(ai): '+ai,'ok');
+      if(state.nodes.length) logFlow(await flowRun(text, false)); else await chatStream(text);
       var a=analytics(); a.messages+=2; setAnalytics(a);
-      await postEvent('message','send-test',{textLen:text.length});
-      state.history.push('U: '+text); state.history.push('B: '+ai); $('history').value=state.history.join('\\n'); save(); refreshAnalytics();
-    }catch(e){ log('Error: '+e.message,'err'); var a=analytics(); a.dropoff+=1; setAnalytics(a); await postEvent('dropoff','send-test',{error:String(e&&e.message||e)}); refreshAnalytics(); }
+      postEvent('message','send-test',{source:'builder',textLen:text.length});
+      refreshConversations(); refreshAnalytics();
+    }catch(e){ log('Error: '+e.message,'err'); var a=analytics(); a.dropoff+=1; setAnalytics(a); postEvent('dropoff','send-test',{reason:String(e&&e.message||e).slice(0,300)}); refreshAnalytics(); }
   });
 
-  $('clearHistory').addEventListener('click', function(){ state.history=[]; $('history').value=''; save(); log('history cleared','ok'); });
+  $('clearHistory').addEventListener('click', function(){ chatSession=newChatSession(); log('new test session: '+chatSession,'ok'); });
+  $('convRefresh').addEventListener('click', refreshConversations);
+  $('convSearch').addEventListener('keydown', function(e){ if(e.key==='Enter') refreshConversations(); });
+  $('convList').addEventListener('change', function(){ showTranscript($('convList').value); });
+  $('convExport').addEventListener('click', async function(){
+    var session=$('convList').value;
+    var q='?bot='+encodeURIComponent(currentBot())+'&format=markdown'+(session?'&session='+encodeURIComponent(session):'');
+    var res=await api('/api/conversations/export'+q);
+    if(!res.ok){ log('Export failed: HTTP '+res.status,'err'); return; }
+    var a=document.createElement('a'); a.href=URL.createObjectURL(await res.blob());
+    a.download=(session||'conversations')+'.md'; a.click(); URL.revokeObjectURL(a.href);
+  });
+  $('leadsRefresh').addEventListener('click', refreshLeads);
+  $('leadsExport').addEventListener('click', async function(){
+    var res=await api('/api/leads/export?bot='+encodeURIComponent(currentBot()));
+    if(!res.ok){ log('Export failed: HTTP '+res.status,'err'); return; }
+    var a=document.createElement('a'); a.href=URL.createObjectURL(await res.blob());
+    a.download=currentBot().replace(/[^\\w.-]+/g,'_')+'-leads.csv'; a.click(); URL.revokeObjectURL(a.href);
+  });
+  $('versionOpen').addEventListener('click', async function(){
+    var v=$('versionList').value; if(!v) return;
+    try{ await loadRemoteVersion(v); log('Opened v'+v+' in the editor; Save Bot to keep it as a new version','ok'); }
+    catch(e){ log('Open failed: '+e.message,'err'); }
+  });
+  $('versionDiff').addEventListener('click', async function(){
+    var v=$('versionList').value;
+    var res=await api('/api/builder/versions/diff?bot='+encodeURIComponent(currentBot())+(v?'&to='+v:''));
+    var data=await res.json().catch(function(){return {};});
+    $('versionDiffOut').value=(res.ok&&data.ok)?('v'+data.from+' → v'+data.to+'\\n'+renderDiff(data.diff)):('Error: '+(data.code||data.error||('HTTP '+res.status)));
+  });
+  $('versionPublish').addEventListener('click', async function(){
+    var v=$('versionList').value; if(!v) return;
+    try{ var data=await versionAction('/api/builder/versions/publish',{bot:currentBot(),version:Number(v)}); log('Published v'+data.publishedVersion,'ok'); }
+    catch(e){ log('Publish failed: '+e.message,'err'); }
+  });
+  $('versionRollback').addEventListener('click', async function(){
+    var v=$('versionList').value;
+    var body={bot:currentBot()}; if(v) body.version=Number(v);
+    try{ var data=await versionAction('/api/builder/versions/rollback',body); log('Rolled back to v'+data.rolledBackTo+' (now v'+data.version+', live)','ok'); }
+    catch(e){ log('Rollback failed: '+e.message,'err'); }
+  });
   $('kbFile').addEventListener('change', function(e){
     var files=e.target.files||[]; if(!files.length) return;
-    var remain=files.length; var merged=[];
-    for(var i=0;i<files.length;i++){
-      (function(f){ var r=new FileReader(); r.onload=function(){ merged.push('## '+f.name+'\\n'+String(r.result||'')); remain--; if(remain===0){ state.kb=merged.join('\\n\\n'); $('kbPreview').value=state.kb.slice(0,4000); save(); log('KB uploaded: '+files.length+' files','ok'); } }; r.readAsText(f); })(files[i]);
-    }
+    var bot=currentBot();
+    Array.prototype.forEach.call(files, function(f){
+      var r=new FileReader();
+      r.onload=async function(){
+        try{
+          var res=await api('/api/kb/documents',{method:'POST',headers:{'content-type':'application/json'},body:JSON.stringify({bot:bot,name:f.name,content:String(r.result||'')})});
+          var data=await res.json().catch(function(){return {};});
+          if(!res.ok||!data.ok) throw new Error(data.code||data.error||('HTTP '+res.status));
+          log('KB indexed: '+f.name+' ('+data.document.chunk_count+' chunks)','ok');
+          loadKbDocs();
+        }catch(err){ log('KB upload failed for '+f.name+': '+err.message,'err'); }
+      };
+      r.readAsText(f);
+    });
+    e.target.value='';
+  });
+  $('kbDelete').addEventListener('click', async function(){
+    var id=$('kbDocs').value; if(!id) return;
+    try{
+      var res=await api('/api/kb/documents?bot='+encodeURIComponent(currentBot())+'&id='+encodeURIComponent(id),{method:'DELETE'});
+      var data=await res.json().catch(function(){return {};});
+      if(!res.ok||!data.ok) throw new Error(data.code||data.error||('HTTP '+res.status));
+      log('KB document deleted','ok'); loadKbDocs();
+    }catch(err){ log('KB delete failed: '+err.message,'err'); }
   });
 
   $('genEmbed').addEventListener('click', function(){
     var cfg={color:$('wColor').value,avatar:$('wAvatar').value,position:$('wPos').value,bot:state.botName};
-    var code='<script src="https://kmnchat.mymyanmarland.workers.dev/widget.js" data-bot="'+cfg.bot+'" data-color="'+cfg.color+'" data-avatar="'+cfg.avatar+'" data-position="'+cfg.position+'"><\\/script>';
+    if(!publicKey) log('Save and publish the bot first to get a working widget key','err');
+    var code='<script src="https://kmnchat.mymyanmarland.workers.dev/widget.js" data-bot="'+cfg.bot+'" data-key="'+publicKey+'" data-color="'+cfg.color+'" data-avatar="'+cfg.avatar+'" data-position="'+cfg.position+'"><\\/script>';
     $('embedOut').value=code;
   });
 
-  $('applyTemplate').addEventListener('click', function(){
-    var t=$('templateSel').value;
-    if(t==='faq') state.nodes=[{id:uid(),type:'text',content:'Hello! Ask me anything about pricing or hours.'},{id:uid(),type:'quick_replies',content:'Pricing | Hours | Contact'},{id:uid(),type:'ai',content:'AI fallback'}];
-    else if(t==='lead') state.nodes=[{id:uid(),type:'text',content:'Hi! Can I get your name?'},{id:uid(),type:'buttons',content:'Yes | Later'},{id:uid(),type:'condition',content:'if yes go next',conditionVar:'intent',conditionValue:'yes'}];
-    else state.nodes=[{id:uid(),type:'text',content:'Welcome! How can I help?'}];
-    save(); renderNodes(); renderCanvas(); log('Template applied: '+t,'ok');
+  // Replaces the flow, variables and personas with the template's; the bot name, AI and widget settings stay.
+  $('applyTemplate').addEventListener('click', async function(){
+    var t=$('templateSel').value; if(!t) return;
+    try{
+      var res=await api('/api/templates?id='+encodeURIComponent(t));
+      var data=await res.json().catch(function(){return {};});
+      if(!res.ok||!data.ok) throw new Error(data.code||data.error||('HTTP '+res.status));
+      var src=data.template.bundle.bot.state, kb=data.template.bundle.kb||[];
+      state.nodes=src.nodes||[]; state.vars=src.vars||{};
+      if(src.personas) state.personas=src.personas; else delete state.personas;
+      $('vars').value=JSON.stringify(state.vars,null,2);
+      $('personas').value=state.personas&&state.personas.length?JSON.stringify(state.personas,null,2):'';
+      save(); renderNodes(); renderCanvas(); renderPersonaOptions();
+      log('Template applied: '+data.template.name,'ok');
+      if(kb.length&&confirm('This template includes '+kb.length+' KB document(s). Save the bot and upload them now?')){
+        await saveVersion(false);
+        for(var i=0;i<kb.length;i++){
+          var up=await api('/api/kb/documents',{method:'POST',headers:{'content-type':'application/json'},body:JSON.stringify({bot:currentBot(),name:kb[i].name,content:kb[i].content})});
+          log('KB '+(up.ok?'indexed':'upload failed')+': '+kb[i].name, up.ok?'ok':'err');
+        }
+        loadKbDocs();
+      }
+    }catch(e){ log('Template failed: '+e.message,'err'); }
+  });
+  $('exportBundle').addEventListener('click', async function(){
+    var v=$('versionList').value;
+    try{
+      var res=await api('/api/bots/export?bot='+encodeURIComponent(currentBot())+(v?'&version='+v:''));
+      var data=await res.json().catch(function(){return {};});
+      if(!res.ok||data.ok===false) throw new Error(data.code||data.error||('HTTP '+res.status));
+      var a=document.createElement('a');
+      a.href=URL.createObjectURL(new Blob([JSON.stringify(data,null,2)],{type:'application/json'}));
+      a.download=currentBot().replace(/[^\\w.-]+/g,'_')+'.kmnbot.json';
+      a.click(); URL.revokeObjectURL(a.href);
+      log('Exported '+(data.source.version?'v'+data.source.version:'bot')+' with '+data.kb.length+' KB document(s)','ok');
+    }catch(e){ log('Export failed: '+e.message,'err'); }
+  });
+  $('importBundle').addEventListener('change', function(e){
+    var f=(e.target.files||[])[0]; if(!f) return;
+    e.target.value='';
+    var r=new FileReader();
+    r.onload=async function(){
+      var bundle;
+      try{ bundle=JSON.parse(String(r.result||'')); }catch(err){ log('Import failed: not a JSON file','err'); return; }
+      var name=prompt('Import as bot', (bundle.bot&&bundle.bot.name)||bundle.botName||currentBot()); if(!name) return;
+      var body={bundle:bundle,bot:name.trim()};
+      try{
+        var res=await api('/api/bots/import',{method:'POST',headers:{'content-type':'application/json'},body:JSON.stringify(body)});
+        var data=await res.json().catch(function(){return {};});
+        if(res.status===409&&data.code==='BOT_EXISTS'&&confirm('Bot "'+body.bot+'" exists. Replace its flow and KB with the bundle (as a new, unpublished version)?')){
+          body.overwrite=true;
+          res=await api('/api/bots/import',{method:'POST',headers:{'content-type':'application/json'},body:JSON.stringify(body)});
+          data=await res.json().catch(function(){return {};});
+        }
+        if(!res.ok||!data.ok){ logIssues(data.errors,[]); throw new Error(data.code||data.error||('HTTP '+res.status)); }
+        $('botName').value=data.bot;
+        await loadRemoteVersion(data.version);
+        log('Imported '+data.bot+' as v'+data.version+' with '+data.documents.length+' KB document(s); Publish to make it live','ok');
+        logIssues([], data.warnings);
+        refreshVersions(); loadKbDocs();
+      }catch(err){ log('Import failed: '+err.message,'err'); }
+    };
+    r.readAsText(f);
+  });
+  $('publishTemplate').addEventListener('click', async function(){
+    var id=prompt('Template id (lowercase letters, digits and dashes)', currentBot().toLowerCase().replace(/[^a-z0-9]+/g,'-').replace(/^-+|-+$/g,'')); if(!id) return;
+    var name=prompt('Template name', currentBot()); if(!name) return;
+    var description=prompt('Short description', '')||'';
+    var v=$('versionList').value;
+    var body={bot:currentBot(),id:id.trim(),name:name.trim(),description:description.trim()}; if(v) body.version=Number(v);
+    try{
+      var res=await api('/api/templates',{method:'POST',headers:{'content-type':'application/json'},body:JSON.stringify(body)});
+      var data=await res.json().catch(function(){return {};});
+      if(!res.ok||!data.ok) throw new Error(data.code||data.error||('HTTP '+res.status));
+      log('Published template '+data.template.id,'ok'); loadTemplates();
+    }catch(e){ log('Publish template failed: '+e.message,'err'); }
   });
 
   $('lang').addEventListener('change', function(){
     var my=this.value==='my';
     document.title=my?'KMN ချတ်တည်ဆောက်မှု':'KMN Chat Builder';
     $('saveBtn').textContent=my?'သိမ်းမယ်':'Save Bot';
+    $('publishBtn').textContent=my?'ထုတ်ဝေမယ်':'Publish';
     $('addNode').textContent=my?'Node ထည့်မယ်':'Add Node';
     $('testRun').textContent=my?'စမ်းမယ်':'Run Test';
     $('sendTest').textContent=my?'ပို့မယ်':'Send';
   });
 
+  $('personas').addEventListener('change', function(){
+    var raw=this.value.trim(), list;
+    try{ list=raw?JSON.parse(raw):[]; }catch(e){ log('Personas must be a JSON array: '+e.message,'err'); return; }
+    if(!Array.isArray(list)){ log('Personas must be a JSON array','err'); return; }
+    var bad=list.filter(function(p){ return !p||!p.id||!p.template; });
+    if(bad.length){ log('Each persona needs an id and a template','err'); return; }
+    state.personas=list; renderPersonaOptions(); save(); log('Personas saved: '+list.length,'ok');
+  });
+
+  $('schedules').addEventListener('change', function(){
+    var raw=this.value.trim(), list;
+    try{ list=raw?JSON.parse(raw):[]; }catch(e){ log('Schedules must be a JSON array: '+e.message,'err'); return; }
+    if(!Array.isArray(list)){ log('Schedules must be a JSON array','err'); return; }
+    var bad=list.filter(function(x){ return !x||!x.id||!x.cron||!x.prompt; });
+    if(bad.length){ log('Each schedule needs an id, a cron expression and a prompt','err'); return; }
+    if(list.length) state.schedules=list; else delete state.schedules;
+    save(); log('Schedules saved: '+list.length+' (they run once the bot is published)','ok');
+  });
+  $('tools').addEventListener('change', function(){
+    var raw=this.value.trim(), list;
+    try{ list=raw?JSON.parse(raw):[]; }catch(e){ log('Tools must be a JSON array: '+e.message,'err'); return; }
+    if(!Array.isArray(list)){ log('Tools must be a JSON array','err'); return; }
+    var bad=list.filter(function(x){ return !x||!x.name||!x.description||!x.url; });
+    if(bad.length){ log('Each tool needs a name, a description and a url','err'); return; }
+    if(list.length) state.tools=list; else delete state.tools;
+    save(); log('Tools saved: '+list.length,'ok');
+  });
+  $('secSave').addEventListener('click', async function(){
+    var name=$('secName').value.trim().toUpperCase(), value=$('secValue').value;
+    if(!/^[A-Z][A-Z0-9_]*$/.test(name)){ log('Secret names use upper case letters, digits and underscores','err'); return; }
+    if(!value){ log('Enter the secret value','err'); return; }
+    var res=await api('/api/secrets',{method:'POST',headers:{'content-type':'application/json'},body:JSON.stringify({bot:currentBot(),name:name,value:value})});
+    var data=await res.json().catch(function(){return {};});
+    if(!res.ok||!data.ok){ log('Secret failed: '+(data.error||('HTTP '+res.status)),'err'); return; }
+    $('secName').value=''; $('secValue').value='';
+    log('Secret '+name+' saved','ok'); refreshSecrets();
+  });
+  $('secDelete').addEventListener('click', async function(){
+    var name=$('secList').value; if(!name){ log('Select a secret to delete','err'); return; }
+    if(!confirm('Delete secret '+name+'? Tools using it stop working.')) return;
+    var res=await api('/api/secrets?bot='+encodeURIComponent(currentBot())+'&name='+encodeURIComponent(name),{method:'DELETE'});
+    var data=await res.json().catch(function(){return {};});
+    if(!res.ok||!data.ok){ log('Delete failed: '+(data.error||('HTTP '+res.status)),'err'); return; }
+    log('Secret '+name+' deleted','ok'); refreshSecrets();
+  });
+  $('schemas').addEventListener('change', function(){
+    var raw=this.value.trim(), list;
+    try{ list=raw?JSON.parse(raw):[]; }catch(e){ log('Output schemas must be a JSON array: '+e.message,'err'); return; }
+    if(!Array.isArray(list)){ log('Output schemas must be a JSON array','err'); return; }
+    var bad=list.filter(function(x){ return !x||!x.name||!x.schema||x.schema.type!=='object'; });
+    if(bad.length){ log('Each output schema needs a name and a schema of type object','err'); return; }
+    if(list.length) state.schemas=list; else delete state.schemas;
+    save(); log('Output schemas saved: '+list.length+' (triggers use the published version)','ok');
+  });
+  $('scheduleRuns').addEventListener('change', function(){ showScheduleRun(scheduleRuns[Number(this.value)]); });
+  $('scheduleRun').addEventListener('click', async function(){
+    var id=$('scheduleSel').value; if(!id){ log('Publish the bot with a schedule first','err'); return; }
+    $('scheduleOut').value='Running '+id+'...';
+    try{
+      var res=await api('/api/schedules/run',{method:'POST',headers:{'content-type':'application/json'},body:JSON.stringify({bot:currentBot(),id:id})});
+      var data=await res.json().catch(function(){return {};});
+      if(!res.ok||!data.ok) throw new Error(data.code||data.error||('HTTP '+res.status));
+      showScheduleRun(data.run); refreshSchedules();
+    }catch(e){ $('scheduleOut').value='Error: '+e.message; }
+  });
+
+  $('whAdd').addEventListener('click', async function(){
+    var url=$('whUrl').value.trim();
+    var events=[].slice.call($('whEvents').selectedOptions).map(function(o){ return o.value; });
+    if(!/^https:\\/\\//.test(url)){ log('Webhook URL must start with https://','err'); return; }
+    if(!events.length){ log('Pick at least one webhook event','err'); return; }
+    try{
+      var res=await api('/api/webhooks',{method:'POST',headers:{'content-type':'application/json'},body:JSON.stringify({bot:currentBot(),url:url,events:events})});
+      var data=await res.json().catch(function(){return {};});
+      if(!res.ok||!data.ok) throw new Error(data.error||('HTTP '+res.status));
+      $('whUrl').value='';
+      $('whOut').value='Signing secret (shown once, store it now):\\n'+data.secret;
+      log('Webhook added','ok'); refreshWebhooks();
+    }catch(e){ log('Webhook failed: '+e.message,'err'); }
+  });
+  $('whDelete').addEventListener('click', async function(){
+    var id=$('whList').value; if(!id){ log('Select a webhook to delete','err'); return; }
+    if(!confirm('Delete this webhook? Its delivery log is kept.')) return;
+    var res=await api('/api/webhooks?bot='+encodeURIComponent(currentBot())+'&id='+encodeURIComponent(id),{method:'DELETE'});
+    var data=await res.json().catch(function(){return {};});
+    if(!res.ok||!data.ok){ log('Delete failed: '+(data.error||('HTTP '+res.status)),'err'); return; }
+    $('whList').value=''; log('Webhook deleted','ok'); refreshWebhooks();
+  });
+  $('whList').addEventListener('change', refreshWebhookDeliveries);
+  $('whRefresh').addEventListener('click', refreshWebhooks);
+  $('whDeliveries').addEventListener('change', function(){ showWebhookDelivery(whDeliveries[Number(this.value)]); });
+  $('whReplay').addEventListener('click', async function(){
+    var d=whDeliveries[Number($('whDeliveries').value)]; if(!d){ log('Select a delivery to replay','err'); return; }
+    try{
+      var res=await api('/api/webhooks/deliveries/replay',{method:'POST',headers:{'content-type':'application/json'},body:JSON.stringify({bot:currentBot(),id:d.id})});
+      var data=await res.json().catch(function(){return {};});
+      if(!res.ok||!data.ok) throw new Error(data.error||('HTTP '+res.status));
+      log('Replay queued: '+data.delivery.id,'ok');
+      setTimeout(refreshWebhookDeliveries,1500);
+    }catch(e){ log('Replay failed: '+e.message,'err'); }
+  });
+
+  $('chConnect').addEventListener('click', async function(){
+    var channel=$('chType').value, token=$('chToken').value.trim();
+    if(!token){ log('Paste the '+channel+' bot token first','err'); return; }
+    try{
+      var res=await api('/api/channels',{method:'POST',headers:{'content-type':'application/json'},body:JSON.stringify({bot:currentBot(),channel:channel,token:token})});
+      var data=await res.json().catch(function(){return {};});
+      if(!res.ok||!data.ok) throw new Error(data.error||('HTTP '+res.status));
+      $('chToken').value='';
+      log(channel+' connected; it answers with the published version','ok'); refreshChannels();
+    }catch(e){ log('Connect failed: '+e.message,'err'); }
+  });
+  $('chDisconnect').addEventListener('click', async function(){
+    var channel=$('chList').value; if(!channel){ log('Select a channel to disconnect','err'); return; }
+    if(!confirm('Disconnect '+channel+'? The bot stops answering there.')) return;
+    var res=await api('/api/channels?bot='+encodeURIComponent(currentBot())+'&channel='+encodeURIComponent(channel),{method:'DELETE'});
+    var data=await res.json().catch(function(){return {};});
+    if(!res.ok||!data.ok){ log('Disconnect failed: '+(data.error||('HTTP '+res.status)),'err'); return; }
+    log(channel+' disconnected','ok'); refreshChannels();
+  });
+
+  ['modelSelect','personaSelect','wColor','wAvatar','wPos'].forEach(function(id){ $(id).addEventListener('change', function(){ save(); }); });
+
+  $('adminToken').addEventListener('change', async function(){
+    sessionStorage.setItem(TKEY, this.value.trim());
+    if(await loadRemote()){ log('Loaded bot state from server','ok'); renderNodes(); renderCanvas(); renderPersonaOptions(); }
+    loadKbDocs(); refreshAnalytics(); refreshVersions(); refreshSchedules(); refreshWebhooks(); refreshChannels(); refreshSecrets(); refreshLeads();
+  });
+
   (async function init(){
+    $('adminToken').value=sessionStorage.getItem(TKEY)||'';
     loadLocal();
     $('botName').value=state.botName||'KMN Bot';
     var remoteLoaded = await loadRemote();
-    if(remoteLoaded){ log('Loaded bot state from Supabase','ok'); }
+    if(remoteLoaded){ log('Loaded bot state from server','ok'); }
     $('botName').value=state.botName||$('botName').value||'KMN Bot';
-    $('kbPreview').value=state.kb||'';
-    $('history').value=(state.history||[]).join('\\n');
+    if(state.kb){ log('This bot has legacy inline KB text; re-upload the files to index them.','err'); delete state.kb; }
+    loadKbDocs();
+    // Transcripts now live in the conversations API; drop the old inline history.
+    delete state.history;
+    refreshConversations();
+    refreshLeads();
+    refreshVersions();
+    loadTemplates();
     $('vars').value=JSON.stringify(state.vars||{name:'Guest'},null,2);
+    var w=state.widget||{};
+    $('personas').value=state.personas&&state.personas.length?JSON.stringify(state.personas,null,2):'';
+    $('schedules').value=state.schedules&&state.schedules.length?JSON.stringify(state.schedules,null,2):'';
+    $('tools').value=state.tools&&state.tools.length?JSON.stringify(state.tools,null,2):'';
+    $('schemas').value=state.schemas&&state.schemas.length?JSON.stringify(state.schemas,null,2):'';
+    refreshSchedules();
+    refreshWebhooks();
+    refreshChannels();
+    refreshSecrets();
+    loadPersonas();
+    if(w.color) $('wColor').value=w.color;
+    if(w.avatar) $('wAvatar').value=w.avatar;
+    if(w.position) $('wPos').value=w.position;
+    $('memExtract').value=state.memory&&state.memory.extract?'on':'';
+    if(state.budget){ $('budgetDaily').value=state.budget.dailyUsd||''; $('budgetMonthly').value=state.budget.monthlyUsd||''; }
     await refreshAnalytics();
+    refreshUsage();
     renderNodes();
     renderCanvas();
     loadModels();
@@ -864,48 +7927,140 @@ const BUILDER_HTML = `<!doctype html>
 </body>
 </html>`;
 
-const WIDGET_JS = `(function(){
-  var s=document.currentScript||{};
+const WIDGET_JS = `(function(){${STREAM_CLIENT_JS}${EVENT_CLIENT_JS}  var s=document.currentScript||{};
+  function attr(n,d){ return (s.getAttribute&&s.getAttribute(n))||d; }
   var host=(s.src||'').split('/widget.js')[0]||location.origin;
-  var color=s.getAttribute('data-color')||'#d8b46a';
-  var pos=s.getAttribute('data-position')||'bottom-right';
-  var bot=s.getAttribute('data-bot')||'KMN Bot';
-  var userId=localStorage.getItem('kmn_widget_user')||('u_'+Math.random().toString(36).slice(2,10));
-  localStorage.setItem('kmn_widget_user',userId);
+  var bot=attr('data-bot','KMN Bot');
+  var key=attr('data-key','');
+  // data-* attributes only cover the first paint; the bot's saved config wins once it loads.
+  var color=attr('data-color','#d8b46a');
+  var avatar=attr('data-avatar','');
+  var pos=attr('data-position','bottom-right');
+  var tkey='kmn_widget_token:'+bot;
+  var auth=null, cfg=null, cfgAt=0, started=false, busy=false;
+  var skey='kmn_widget_session:'+bot;
+  var sessionId=sessionStorage.getItem(skey)||newSessionId();
+  sessionStorage.setItem(skey,sessionId);
+  var events=eventQueue(host+'/api/analytics/events',function(){ return localStorage.getItem(tkey)||''; },function(){ return {bot:bot}; });
+
+  function newSessionId(){ return randomSessionId('w_'); }
 
   var wrap=document.createElement('div');
-  wrap.style.position='fixed'; wrap.style.zIndex='999999'; wrap.style[pos.indexOf('left')>-1?'left':'right']='16px'; wrap.style.bottom='16px';
+  wrap.style.position='fixed'; wrap.style.zIndex='999999'; wrap.style.bottom='16px';
   var btn=document.createElement('button');
-  btn.textContent='💬 '+bot; btn.style.background=color; btn.style.color='#111'; btn.style.border='0'; btn.style.padding='10px 12px'; btn.style.borderRadius='999px'; btn.style.cursor='pointer';
+  btn.style.color='#111'; btn.style.border='0'; btn.style.padding='10px 12px'; btn.style.borderRadius='999px'; btn.style.cursor='pointer'; btn.style.display='flex'; btn.style.alignItems='center'; btn.style.gap='6px';
   var panel=document.createElement('div');
   panel.style.display='none'; panel.style.width='320px'; panel.style.height='420px'; panel.style.background='#111'; panel.style.color='#f3e6c9'; panel.style.border='1px solid #6e5a3a'; panel.style.borderRadius='12px'; panel.style.padding='8px'; panel.style.marginTop='8px';
-  panel.innerHTML='<div style="font-weight:bold;color:'+color+';margin-bottom:6px">'+bot+'</div><div id="kmn_log" style="height:310px;overflow:auto;border:1px solid #333;padding:6px"></div><div style="display:flex;gap:6px;margin-top:6px"><input id="kmn_in" style="flex:1;background:#1a1a1a;color:#f3e6c9;border:1px solid #333;padding:8px" placeholder="Type..."/><button id="kmn_send" style="background:'+color+';border:0;padding:8px 10px">Send</button></div>';
+  panel.innerHTML='<div id="kmn_head" style="font-weight:bold;margin-bottom:6px;display:flex;align-items:center;gap:6px"></div><div id="kmn_log" style="height:310px;overflow:auto;border:1px solid #333;padding:6px"></div><div style="display:flex;gap:6px;margin-top:6px"><input id="kmn_in" style="flex:1;background:#1a1a1a;color:#f3e6c9;border:1px solid #333;padding:8px" placeholder="Type..."/><button id="kmn_send" style="border:0;padding:8px 10px">Send</button></div>';
   wrap.appendChild(btn); wrap.appendChild(panel); document.body.appendChild(wrap);
+  var logEl=panel.querySelector('#kmn_log');
+
+  function avatarImg(size){ var img=document.createElement('img'); img.src=avatar; img.alt=''; img.style.width=size; img.style.height=size; img.style.borderRadius='50%'; img.style.objectFit='cover'; return img; }
+  function paint(name){
+    wrap.style.left=''; wrap.style.right=''; wrap.style[pos.indexOf('left')>-1?'left':'right']='16px';
+    btn.style.background=color; btn.innerHTML='';
+    if(avatar) btn.appendChild(avatarImg('20px'));
+    btn.appendChild(document.createTextNode('💬 '+name));
+    var head=panel.querySelector('#kmn_head'); head.innerHTML=''; head.style.color=color;
+    if(avatar) head.appendChild(avatarImg('24px'));
+    head.appendChild(document.createTextNode(name));
+    panel.querySelector('#kmn_send').style.background=color;
+  }
+  paint(bot);
+
+  function log(t,c){ var d=document.createElement('div'); d.textContent=t; if(c) d.style.color=c; logEl.appendChild(d); logEl.scrollTop=logEl.scrollHeight; return d; }
+  function card(c){
+    var d=log('▣ '+c.title+(c.subtitle?' — '+c.subtitle:''),'#f3e6c9');
+    if(c.image){ var img=document.createElement('img'); img.src=c.image; img.alt=''; img.style.maxWidth='100%'; img.style.borderRadius='8px'; img.style.display='block'; d.appendChild(img); }
+    if(c.url){ var a=document.createElement('a'); a.href=c.url; a.target='_blank'; a.rel='noopener'; a.textContent='Open ↗'; a.style.color=color; d.appendChild(a); }
+  }
+  function choices(options){
+    var row=document.createElement('div'); row.style.display='flex'; row.style.flexWrap='wrap'; row.style.gap='4px'; row.style.margin='4px 0';
+    options.forEach(function(o){
+      var b=document.createElement('button'); b.textContent=o; b.style.background='#1a1a1a'; b.style.color=color; b.style.border='1px solid '+color; b.style.borderRadius='999px'; b.style.padding='4px 10px'; b.style.cursor='pointer';
+      b.onclick=function(){ if(busy) return; row.remove(); log('You: '+o,'#9bc8ff'); flow(o,false); };
+      row.appendChild(b);
+    });
+    logEl.appendChild(row); logEl.scrollTop=logEl.scrollHeight;
+  }
+
+  function widgetAuth(){
+    if(auth) return auth;
+    auth=fetch(host+'/api/widget/session',{method:'POST',headers:{'content-type':'application/json'},body:JSON.stringify({bot:bot,key:key,userToken:localStorage.getItem(tkey)||''})})
+      .then(function(r){ return r.json(); })
+      .then(function(j){ if(!j.ok) throw new Error(j.error||j.code||'widget session failed'); localStorage.setItem(tkey,j.userToken); return {authorization:'Bearer '+j.userToken}; })
+      .catch(function(e){ auth=null; throw e; });
+    return auth;
+  }
+  async function loadConfig(){
+    if(cfg && Date.now()-cfgAt<60000) return cfg;
+    var r=await fetch(host+'/api/widget/config?bot='+encodeURIComponent(bot)+'&key='+encodeURIComponent(key));
+    var j=await r.json();
+    if(!j.ok) throw new Error(j.error||j.code||'config failed');
+    var changed=cfg && cfg.updatedAt!==j.updatedAt;
+    cfg=j; cfgAt=Date.now();
+    color=j.widget.color||color; avatar=j.widget.avatar||avatar; pos=j.widget.position||pos;
+    paint(j.name||bot);
+    // A new version was published: start over on the new flow.
+    if(changed){ started=false; sessionId=newSessionId(); sessionStorage.setItem(skey,sessionId); log('— conversation updated —','#b6a27a'); }
+    return cfg;
+  }
 
-  function log(t,c){ var d=document.createElement('div'); d.textContent=t; if(c) d.style.color=c; var l=panel.querySelector('#kmn_log'); l.appendChild(d); l.scrollTop=l.scrollHeight; }
+  var hints={email:'name@example.com',phone:'09 7xx xxx xxx',date:'YYYY-MM-DD'};
+  function render(m){
+    panel.querySelector('#kmn_in').placeholder=m.type==='form'&&hints[m.field.type]||'Type...';
+    if(m.type==='form'){
+      log('Bot: '+m.text,m.invalid?'#ffb38f':'#f3e6c9');
+      var opts=(m.field.options||[]).slice(); if(!m.field.required) opts.push('Skip');
+      if(opts.length) choices(opts);
+      return;
+    }
+    if(m.type==='buttons'||m.type==='quick_replies'){ if(m.text) log('Bot: '+m.text,'#f3e6c9'); choices(m.options||[]); return; }
+    if(m.type==='carousel'){ (m.cards||[]).forEach(card); return; }
+    log('Bot: '+(m.text||''),'#f3e6c9');
+    if(m.citations&&m.citations.length) log('Sources: '+m.citations.map(function(c){ return '['+c.n+'] '+c.document; }).join(', '),'#b6a27a');
+  }
+
+  async function flow(input, reset){
+    busy=true;
+    try{
+      var h=await widgetAuth();
+      var res=await fetch(host+'/api/flow/run',{method:'POST',headers:Object.assign({'content-type':'application/json'},h),body:JSON.stringify({bot:bot,sessionId:sessionId,input:input,reset:reset})});
+      var j=await res.json().catch(function(){return {};});
+      if(!res.ok||!j.ok) throw new Error(j.error||('HTTP '+res.status));
+      (j.messages||[]).forEach(render);
+    }catch(e){ log('Bot: '+e.message,'#ff8f8f'); }
+    finally{ busy=false; }
+  }
 
-  async function loadMemory(){
-    try{ var r=await fetch(host+'/api/memory?userId='+encodeURIComponent(userId)); var j=await r.json(); return j.memory||{}; }catch(e){ return {}; }
+  async function chat(text){
+    var h;
+    try{ h=await widgetAuth(); }catch(e){ log('Bot: '+e.message,'#ff8f8f'); return; }
+    var res=await fetch(host+'/api/chat',{method:'POST',headers:Object.assign({'content-type':'application/json'},h),body:JSON.stringify({persona:cfg.persona,prompt:text,sessionId:sessionId,bot:bot})});
+    if(!res.ok||!res.body){ log('Bot: error','#ff8f8f'); return; }
+    var reply=await readChatStream(res);
+    if(reply.text) render({text:reply.text,citations:reply.meta.citations});
+    if(reply.error) log('Bot: '+(reply.error.message||'error'),'#ff8f8f');
   }
-  async function saveMemory(m){
-    try{ await fetch(host+'/api/memory',{method:'POST',headers:{'content-type':'application/json'},body:JSON.stringify({userId:userId,memory:m})}); }catch(e){}
+
+  async function open(){
+    try{ await loadConfig(); }catch(e){ log('Bot: '+e.message,'#ff8f8f'); return; }
+    widgetAuth().then(function(){ events.track('widget_open',{page:location.pathname.slice(0,300)},{sessionId:sessionId}); }).catch(function(){});
+    if(started) return;
+    started=true;
+    if(cfg.hasFlow) await flow('',true);
+    else if(cfg.welcome) log('Bot: '+cfg.welcome,'#f3e6c9');
   }
 
   async function send(){
     var input=panel.querySelector('#kmn_in');
-    var text=(input.value||'').trim(); if(!text) return; input.value=''; log('You: '+text,'#9bc8ff');
-    var mem=await loadMemory();
-    if(text.toLowerCase().indexOf('my name is')===0){ mem.name=text.slice(10).trim(); await saveMemory(mem); }
-    var prompt='User memory: '+JSON.stringify(mem)+'\\nUser: '+text;
-    var model='openai/gpt-4o-mini';
-    var res=await fetch(host+'/api/chat',{method:'POST',headers:{'content-type':'application/json'},body:JSON.stringify({model:model,prompt:prompt})});
-    if(!res.ok||!res.body){ log('Bot: error','#ff8f8f'); return; }
-    var reader=res.body.getReader(), dec=new TextDecoder(), buf='', out='';
-    while(true){ var rr=await reader.read(); if(rr.done) break; buf+=dec.decode(rr.value,{stream:true}); var evs=buf.split('\\n\\n'); buf=evs.pop()||''; for(var i=0;i<evs.length;i++){ var line=(evs[i].split('\\n').find(function(x){return x.indexOf('data: ')===0;})||'').slice(6).trim(); if(!line||line==='[DONE]') continue; try{ var j=JSON.parse(line); var t=(j&&j.choices&&j.choices[0]&&j.choices[0].delta&&typeof j.choices[0].delta.content==='string')?j.choices[0].delta.content:''; if(t) out+=t; }catch(e){} } }
-    log('Bot: '+out,'#f3e6c9');
+    var text=(input.value||'').trim(); if(!text||busy) return; input.value=''; log('You: '+text,'#9bc8ff');
+    try{ await loadConfig(); }catch(e){ log('Bot: '+e.message,'#ff8f8f'); return; }
+    if(cfg.hasFlow) await flow(text,false);
+    else await chat(text);
   }
 
-  btn.onclick=function(){ panel.style.display=panel.style.display==='none'?'block':'none'; };
+  btn.onclick=function(){ var show=panel.style.display==='none'; panel.style.display=show?'block':'none'; if(show) open(); };
   panel.querySelector('#kmn_send').onclick=send;
   panel.querySelector('#kmn_in').addEventListener('keydown',function(e){ if(e.key==='Enter'&&!e.shiftKey){ e.preventDefault(); send(); }});
 })();`;
@@ -5,12 +5,48 @@ create table if not exists public.builder_states (
   updated_at timestamptz not null default now()
 );
 
+alter table public.builder_states add column if not exists owner text;
+alter table public.builder_states add column if not exists public_key text unique;
+
+-- Every builder save is an immutable row here. builder_states.state_json holds the published version,
+-- which is all the widget and runtime ever read; it is null until a bot's first publish.
+create table if not exists public.bot_versions (
+  id bigint generated always as identity primary key,
+  bot text not null,
+  version integer not null,
+  state_json jsonb not null,
+  author text,
+  message text not null default '',
+  created_at timestamptz not null default now(),
+  published_at timestamptz,
+  unique (bot, version)
+);
+
+alter table public.builder_states alter column state_json drop not null;
+alter table public.builder_states add column if not exists published_version integer;
+
+-- Bots saved before versioning become version 1, already published.
+insert into public.bot_versions (bot, version, state_json, author, message, published_at)
+select b.bot, 1, b.state_json, b.owner, 'Imported', b.updated_at
+from public.builder_states b
+where b.state_json is not null and not exists (select 1 from public.bot_versions v where v.bot = b.bot);
+update public.builder_states set published_version = 1 where published_version is null and state_json is not null;
+
 create table if not exists public.user_memory (
   user_id text primary key,
   memory_json jsonb not null default '{}'::jsonb,
   updated_at timestamptz not null default now()
 );
 
+-- facts_json: { key: { value, source, updatedAt, expiresAt? } }. memory_json mirrors the plain values.
+alter table public.user_memory add column if not exists facts_json jsonb not null default '{}'::jsonb;
+update public.user_memory
+set facts_json = (
+  select coalesce(jsonb_object_agg(key, jsonb_build_object('value', value, 'source', 'legacy', 'updatedAt', updated_at)), '{}'::jsonb)
+  from jsonb_each(memory_json)
+)
+where facts_json = '{}'::jsonb and memory_json <> '{}'::jsonb;
+
 create table if not exists public.analytics_events (
   id bigint generated always as identity primary key,
   event_type text not null,
@@ -21,50 +57,549 @@ create table if not exists public.analytics_events (
   created_at timestamptz not null default now()
 );
 
+alter table public.analytics_events add column if not exists bot text;
+-- Client-supplied event id (namespaced by bot) so retried batches and beacons are stored once.
+alter table public.analytics_events add column if not exists event_id text;
+create unique index if not exists analytics_events_event_id_key on public.analytics_events (event_id);
+create index if not exists analytics_events_bot_created_idx on public.analytics_events (bot, created_at);
+
+create table if not exists public.chat_sessions (
+  session_id text primary key,
+  messages_json jsonb not null default '[]'::jsonb,
+  updated_at timestamptz not null default now()
+);
+
+-- The bot and caller a history belongs to: a widget or channel user id, 'admin:<owner>', or '' for anonymous
+-- console chats. Other callers presenting the same session id are refused.
+alter table public.chat_sessions add column if not exists bot text;
+alter table public.chat_sessions add column if not exists owner text;
+
+create table if not exists public.flow_sessions (
+  session_id text primary key,
+  bot text not null,
+  cursor_node text,
+  waiting boolean not null default false,
+  done boolean not null default false,
+  vars_json jsonb not null default '{}'::jsonb,
+  updated_at timestamptz not null default now()
+);
+
+-- Progress through a form node ({ field }), null outside forms.
+alter table public.flow_sessions add column if not exists form_json jsonb;
+-- The user the session belongs to (same values as chat_sessions.owner); anyone else starts a new session.
+alter table public.flow_sessions add column if not exists user_id text;
+
+create table if not exists public.kb_documents (
+  id bigint generated always as identity primary key,
+  bot text not null,
+  name text not null,
+  content text not null,
+  chars integer not null default 0,
+  chunk_count integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.kb_chunks (
+  id bigint generated always as identity primary key,
+  bot text not null,
+  document_id bigint not null references public.kb_documents(id) on delete cascade,
+  document_name text not null,
+  chunk_index integer not null,
+  content text not null,
+  terms_json jsonb not null default '{}'::jsonb,
+  length integer not null default 0
+);
+
+create index if not exists kb_documents_bot_idx on public.kb_documents (bot);
+create index if not exists kb_chunks_bot_idx on public.kb_chunks (bot);
+
+-- Gallery templates published from bots (built-in templates live in the worker). bundle_json is a bot bundle,
+-- the same document GET /api/bots/export returns.
+create table if not exists public.bot_templates (
+  id text primary key,
+  name text not null,
+  description text not null default '',
+  author text not null,
+  source_bot text,
+  bundle_json jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists public.rate_counters (
+  key text not null,
+  window_start timestamptz not null,
+  count bigint not null default 0,
+  primary key (key, window_start)
+);
+
+create table if not exists public.usage_events (
+  id bigint generated always as identity primary key,
+  bot text,
+  user_id text,
+  session_id text,
+  model text not null,
+  provider text,
+  source text not null,
+  prompt_tokens integer not null default 0,
+  completion_tokens integer not null default 0,
+  total_tokens integer not null default 0,
+  cost_usd numeric(14, 8),
+  estimated boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists usage_events_bot_created_idx on public.usage_events (bot, created_at);
+
+create table if not exists public.conversations (
+  id bigint generated always as identity primary key,
+  bot text not null default '',
+  session_id text not null,
+  user_id text,
+  channel text not null,
+  message_count integer not null default 0,
+  total_tokens integer not null default 0,
+  started_at timestamptz not null default now(),
+  last_message_at timestamptz not null default now(),
+  unique (bot, session_id)
+);
+
+create index if not exists conversations_bot_last_idx on public.conversations (bot, last_message_at desc);
+
+create table if not exists public.messages (
+  id bigint generated always as identity primary key,
+  conversation_id bigint not null references public.conversations(id) on delete cascade,
+  bot text not null default '',
+  session_id text not null,
+  role text not null,
+  content text not null,
+  model text,
+  provider text,
+  latency_ms integer,
+  prompt_tokens integer not null default 0,
+  completion_tokens integer not null default 0,
+  meta_json jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now(),
+  search tsvector generated always as (to_tsvector('simple', content)) stored
+);
+
+create index if not exists messages_conversation_idx on public.messages (conversation_id, id);
+create index if not exists messages_search_idx on public.messages using gin (search);
+
+-- Per-bot HMAC secret for signed /api/automation/trigger calls.
+alter table public.builder_states add column if not exists automation_secret text;
+
+-- Stored automation runs: idempotent replays, async jobs and callback delivery state.
+create table if not exists public.automation_jobs (
+  id text primary key,
+  bot text not null default '',
+  owner text,
+  idempotency_key text unique,
+  request_hash text not null,
+  status text not null default 'queued',
+  result_json jsonb,
+  error_json jsonb,
+  callback_url text,
+  callback_status text,
+  callback_attempts integer not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists automation_jobs_bot_created_idx on public.automation_jobs (bot, created_at);
+
+-- Callbacks still to send (tried by the cron sweep when callback_next_at comes), and unfinished jobs the sweep
+-- fails once their worker is gone.
+alter table public.automation_jobs add column if not exists callback_next_at timestamptz;
+create index if not exists automation_jobs_callback_idx on public.automation_jobs (callback_next_at)
+  where callback_status in ('pending', 'sending');
+create index if not exists automation_jobs_status_updated_idx on public.automation_jobs (status, updated_at)
+  where status in ('queued', 'running');
+
+-- Schedules of each bot's published version, registered on publish and claimed by the cron handler.
+create table if not exists public.bot_schedules (
+  bot text not null,
+  schedule_id text not null,
+  cron text not null,
+  next_run_at timestamptz,
+  last_run_at timestamptz,
+  updated_at timestamptz not null default now(),
+  primary key (bot, schedule_id)
+);
+
+create index if not exists bot_schedules_next_run_idx on public.bot_schedules (next_run_at);
+
+create table if not exists public.schedule_runs (
+  id text primary key,
+  bot text not null,
+  schedule_id text not null,
+  trigger text not null,
+  status text not null,
+  result_json jsonb,
+  error_json jsonb,
+  webhook_status text,
+  webhook_attempts integer not null default 0,
+  started_at timestamptz not null default now(),
+  finished_at timestamptz
+);
+
+create index if not exists schedule_runs_bot_started_idx on public.schedule_runs (bot, started_at desc);
+
+-- Webhooks still to send for finished runs: tried once when the run ends, then by the cron sweep when
+-- webhook_next_at comes.
+alter table public.schedule_runs add column if not exists webhook_url text;
+alter table public.schedule_runs add column if not exists webhook_next_at timestamptz;
+create index if not exists schedule_runs_webhook_idx on public.schedule_runs (webhook_next_at)
+  where webhook_status in ('pending', 'sending');
+
+-- Outbound event webhooks per bot and their delivery log; pending deliveries are retried by the cron handler.
+create table if not exists public.webhook_subscriptions (
+  id text primary key,
+  bot text not null,
+  url text not null,
+  events_json jsonb not null default '[]'::jsonb,
+  description text not null default '',
+  enabled boolean not null default true,
+  secret text not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists webhook_subscriptions_bot_idx on public.webhook_subscriptions (bot);
+
+create table if not exists public.webhook_deliveries (
+  id text primary key,
+  bot text not null,
+  subscription_id text not null,
+  event_type text not null,
+  event_id text not null,
+  payload_json jsonb not null,
+  status text not null,
+  attempts integer not null default 0,
+  next_attempt_at timestamptz,
+  last_status_code integer,
+  last_error text,
+  replay_of text,
+  delivered_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists webhook_deliveries_bot_created_idx on public.webhook_deliveries (bot, created_at desc);
+create index if not exists webhook_deliveries_next_attempt_idx on public.webhook_deliveries (next_attempt_at)
+  where status in ('pending', 'sending');
+
+-- Answers of completed form nodes.
+create table if not exists public.leads (
+  id text primary key,
+  bot text not null,
+  session_id text not null,
+  user_id text,
+  channel text not null,
+  node_id text,
+  fields_json jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists leads_bot_created_idx on public.leads (bot, created_at desc);
+
+-- Messaging channels (Telegram, Viber) connected to a bot. `token` is the platform bot token; `secret` is the
+-- Telegram webhook secret_token (Viber signs with the token itself).
+create table if not exists public.bot_channels (
+  bot text not null,
+  channel text not null,
+  token text not null,
+  secret text not null,
+  account_json jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  primary key (bot, channel)
+);
+
+-- Values that HTTP tools send as credentials (`auth.secret` in a tool definition). Never returned by the API.
+create table if not exists public.bot_secrets (
+  bot text not null,
+  name text not null,
+  value text not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  primary key (bot, name)
+);
+
+-- Atomically increments a batch of fixed-window counters and returns their new values.
+-- p_hits: [{ "key": "rpm:ip:1.2.3.4", "window_start": "2026-01-01T00:00:00Z", "cost": 1 }, ...]
+create or replace function public.kmn_rate_hit(p_hits jsonb)
+returns table (key text, count bigint)
+language plpgsql
+as $$
+#variable_conflict use_column
+begin
+  -- Windows older than a day are never read again; prune them now and then.
+  if random() < 0.01 then
+    delete from public.rate_counters where window_start < now() - interval '2 days';
+  end if;
+  return query
+  insert into public.rate_counters as rc (key, window_start, count)
+  select h->>'key', (h->>'window_start')::timestamptz, (h->>'cost')::bigint
+  from jsonb_array_elements(p_hits) as h
+  on conflict (key, window_start) do update set count = rc.count + excluded.count
+  returning rc.key, rc.count;
+end;
+$$;
+
+revoke execute on function public.kmn_rate_hit(jsonb) from public, anon, authenticated;
+
+-- Merges facts into a user's memory in one statement so concurrent turns cannot drop each other's keys.
+-- p_set: { key: { value, source, updatedAt, expiresAt? } }; p_delete: keys to remove; p_replace: start empty.
+-- Expired facts are pruned on every write.
+create or replace function public.kmn_memory_merge(p_user text, p_set jsonb, p_delete text[], p_replace boolean default false)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_facts jsonb;
+begin
+  insert into public.user_memory (user_id) values (p_user) on conflict (user_id) do nothing;
+
+  select coalesce(jsonb_object_agg(key, value), '{}'::jsonb) into v_facts
+  from jsonb_each(
+    (select case when p_replace then '{}'::jsonb else facts_json end from public.user_memory where user_id = p_user for update)
+    || coalesce(p_set, '{}'::jsonb)
+  )
+  where not (key = any(coalesce(p_delete, '{}'::text[])))
+    and (value->>'expiresAt' is null or (value->>'expiresAt')::timestamptz > now());
+
+  update public.user_memory
+  set facts_json = v_facts,
+      memory_json = (select coalesce(jsonb_object_agg(key, value->'value'), '{}'::jsonb) from jsonb_each(v_facts)),
+      updated_at = now()
+  where user_id = p_user;
+
+  return v_facts;
+end;
+$$;
+
+revoke execute on function public.kmn_memory_merge(text, jsonb, text[], boolean) from public, anon, authenticated;
+
+-- Stores a new draft version of a bot, creating the bot row on first save. A state identical to the latest
+-- version is not stored again. Returns { version, unchanged }.
+create or replace function public.kmn_save_bot_version(p_bot text, p_owner text, p_public_key text, p_state jsonb, p_message text)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_latest integer;
+  v_state jsonb;
+begin
+  insert into public.builder_states (bot, state_json, owner, public_key)
+  values (p_bot, null, p_owner, p_public_key)
+  on conflict (bot) do update
+  set owner = coalesce(public.builder_states.owner, excluded.owner),
+      public_key = coalesce(public.builder_states.public_key, excluded.public_key);
+
+  select version, state_json into v_latest, v_state
+  from public.bot_versions where bot = p_bot order by version desc limit 1;
+  if v_state is not null and v_state = p_state then
+    return jsonb_build_object('version', v_latest, 'unchanged', true);
+  end if;
+
+  insert into public.bot_versions (bot, version, state_json, author, message)
+  values (p_bot, coalesce(v_latest, 0) + 1, p_state, p_owner, coalesce(p_message, ''));
+  return jsonb_build_object('version', coalesce(v_latest, 0) + 1, 'unchanged', false);
+end;
+$$;
+
+revoke execute on function public.kmn_save_bot_version(text, text, text, jsonb, text) from public, anon, authenticated;
+
+-- Makes a stored version the one live users get. Returns null when the version does not exist.
+create or replace function public.kmn_publish_bot_version(p_bot text, p_version integer)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_state jsonb;
+begin
+  select state_json into v_state from public.bot_versions where bot = p_bot and version = p_version;
+  if not found then
+    return null;
+  end if;
+  update public.bot_versions set published_at = now() where bot = p_bot and version = p_version;
+  update public.builder_states set state_json = v_state, published_version = p_version, updated_at = now() where bot = p_bot;
+  return jsonb_build_object('version', p_version, 'publishedAt', now());
+end;
+$$;
+
+revoke execute on function public.kmn_publish_bot_version(text, integer) from public, anon, authenticated;
+
+-- Appends messages to a conversation, creating it on first use and keeping its counters current.
+-- p_messages: [{ "role", "content", "model"?, "provider"?, "latency_ms"?, "prompt_tokens"?, "completion_tokens"?, "meta"? }]
+create or replace function public.kmn_log_messages(p_bot text, p_session text, p_user text, p_channel text, p_messages jsonb)
+returns bigint
+language plpgsql
+as $$
+declare
+  v_id bigint;
+begin
+  insert into public.conversations as c (bot, session_id, user_id, channel, message_count, total_tokens)
+  select p_bot, p_session, p_user, p_channel, count(*),
+    coalesce(sum(coalesce((m->>'prompt_tokens')::int, 0) + coalesce((m->>'completion_tokens')::int, 0)), 0)
+  from jsonb_array_elements(p_messages) m
+  on conflict (bot, session_id) do update
+    set message_count = c.message_count + excluded.message_count,
+        total_tokens = c.total_tokens + excluded.total_tokens,
+        user_id = coalesce(c.user_id, excluded.user_id),
+        last_message_at = now()
+  returning c.id into v_id;
+
+  insert into public.messages (conversation_id, bot, session_id, role, content, model, provider, latency_ms, prompt_tokens, completion_tokens, meta_json)
+  select v_id, p_bot, p_session, m->>'role', coalesce(m->>'content', ''), m->>'model', m->>'provider', (m->>'latency_ms')::int,
+    coalesce((m->>'prompt_tokens')::int, 0), coalesce((m->>'completion_tokens')::int, 0), coalesce(m->'meta', '{}'::jsonb)
+  from jsonb_array_elements(p_messages) with ordinality as t(m, n)
+  order by n;
+
+  return v_id;
+end;
+$$;
+
+revoke execute on function public.kmn_log_messages(text, text, text, text, jsonb) from public, anon, authenticated;
+
+-- Aggregates one bot's analytics_events in [p_from, p_to) for the summary endpoint.
+-- p_bucket is a date_trunc unit: 'hour', 'day', 'week' or 'month'.
+-- nodes: distinct sessions that reached each node; exits: sessions whose last node was it and that never
+-- completed the flow.
+create or replace function public.kmn_analytics_summary(p_bot text, p_from timestamptz, p_to timestamptz, p_bucket text)
+returns jsonb
+language sql
+stable
+as $$
+  with ev as (
+    select id, event_type, user_id, session_id, node_id, created_at
+    from public.analytics_events
+    where bot = p_bot and created_at >= p_from and created_at < p_to
+  ),
+  series as (
+    select date_trunc(p_bucket, created_at) as bucket,
+      count(*) filter (where event_type = 'message') as messages,
+      count(distinct user_id) as users,
+      count(distinct session_id) as sessions
+    from ev
+    group by 1
+  ),
+  completed as (
+    select distinct session_id from ev where event_type = 'flow_complete'
+  ),
+  reached as (
+    select node_id, count(distinct session_id) as sessions
+    from ev
+    where event_type = 'node_view' and coalesce(node_id, '') <> ''
+    group by node_id
+  ),
+  exits as (
+    select node_id, count(*) as sessions
+    from (
+      select distinct on (session_id) session_id, node_id
+      from ev
+      where event_type = 'node_view' and coalesce(node_id, '') <> ''
+        and session_id not in (select session_id from completed)
+      order by session_id, created_at desc, id desc
+    ) last_node
+    group by node_id
+  ),
+  conversations as (
+    select session_id, count(*) as messages
+    from ev
+    where event_type = 'message'
+    group by session_id
+  )
+  select jsonb_build_object(
+    'totals', (
+      select jsonb_build_object(
+        'messages', count(*) filter (where event_type = 'message'),
+        'users', count(distinct user_id),
+        'sessions', count(distinct session_id),
+        'dropoff', count(*) filter (where event_type = 'dropoff'),
+        'completions', (select count(*) from completed)
+      )
+      from ev
+    ),
+    'series', coalesce((select jsonb_agg(jsonb_build_object('bucket', bucket, 'messages', messages, 'users', users, 'sessions', sessions) order by bucket) from series), '[]'::jsonb),
+    'nodes', coalesce((select jsonb_object_agg(node_id, sessions) from reached), '{}'::jsonb),
+    'exits', coalesce((select jsonb_object_agg(node_id, sessions) from exits), '{}'::jsonb),
+    'avgMessagesPerSession', (select coalesce(round(avg(messages), 2), 0) from conversations)
+  );
+$$;
+
+revoke execute on function public.kmn_analytics_summary(text, timestamptz, timestamptz, text) from public, anon, authenticated;
+
 alter table public.builder_states enable row level security;
+alter table public.bot_versions enable row level security;
 alter table public.user_memory enable row level security;
 alter table public.analytics_events enable row level security;
+alter table public.chat_sessions enable row level security;
+alter table public.flow_sessions enable row level security;
+alter table public.kb_documents enable row level security;
+alter table public.kb_chunks enable row level security;
+alter table public.bot_templates enable row level security;
+alter table public.rate_counters enable row level security;
+alter table public.usage_events enable row level security;
+alter table public.conversations enable row level security;
+alter table public.messages enable row level security;
+alter table public.automation_jobs enable row level security;
+alter table public.bot_schedules enable row level security;
+alter table public.schedule_runs enable row level security;
+alter table public.webhook_subscriptions enable row level security;
+alter table public.webhook_deliveries enable row level security;
+alter table public.leads enable row level security;
+alter table public.bot_channels enable row level security;
+alter table public.bot_secrets enable row level security;
 
--- Demo policy: open access for anon (for personal project).
--- For production, restrict by auth.uid() / owner column.
-drop policy if exists "builder_states_open_select" on public.builder_states;
-create policy "builder_states_open_select"
-on public.builder_states for select
-using (true);
+-- Access model: the worker talks to Supabase with the service role key (SUPABASE_SERVICE_ROLE_KEY),
+-- which bypasses RLS, and enforces admin tokens / widget keys itself. The anon role gets no policies,
+-- so a leaked anon key cannot read or write anything. Bot owners signed in through Supabase Auth
+-- (JWT `sub` = owner) may read their own bots and KB directly.
 
+-- Remove the open demo policies shipped by earlier versions of this file.
+drop policy if exists "builder_states_open_select" on public.builder_states;
 drop policy if exists "builder_states_open_insert" on public.builder_states;
-create policy "builder_states_open_insert"
-on public.builder_states for insert
-with check (true);
-
 drop policy if exists "builder_states_open_update" on public.builder_states;
-create policy "builder_states_open_update"
-on public.builder_states for update
-using (true)
-with check (true);
-
 drop policy if exists "user_memory_open_select" on public.user_memory;
-create policy "user_memory_open_select"
-on public.user_memory for select
-using (true);
-
 drop policy if exists "user_memory_open_insert" on public.user_memory;
-create policy "user_memory_open_insert"
-on public.user_memory for insert
-with check (true);
-
 drop policy if exists "user_memory_open_update" on public.user_memory;
-create policy "user_memory_open_update"
-on public.user_memory for update
-using (true)
-with check (true);
-
 drop policy if exists "analytics_events_open_select" on public.analytics_events;
-create policy "analytics_events_open_select"
-on public.analytics_events for select
-using (true);
-
 drop policy if exists "analytics_events_open_insert" on public.analytics_events;
-create policy "analytics_events_open_insert"
-on public.analytics_events for insert
-with check (true);
+drop policy if exists "chat_sessions_open_select" on public.chat_sessions;
+drop policy if exists "chat_sessions_open_insert" on public.chat_sessions;
+drop policy if exists "chat_sessions_open_update" on public.chat_sessions;
+drop policy if exists "flow_sessions_open_select" on public.flow_sessions;
+drop policy if exists "flow_sessions_open_insert" on public.flow_sessions;
+drop policy if exists "flow_sessions_open_update" on public.flow_sessions;
+drop policy if exists "kb_documents_open_select" on public.kb_documents;
+drop policy if exists "kb_documents_open_insert" on public.kb_documents;
+drop policy if exists "kb_documents_open_delete" on public.kb_documents;
+drop policy if exists "kb_chunks_open_select" on public.kb_chunks;
+drop policy if exists "kb_chunks_open_insert" on public.kb_chunks;
+drop policy if exists "kb_chunks_open_delete" on public.kb_chunks;
+
+drop policy if exists "builder_states_owner_select" on public.builder_states;
+create policy "builder_states_owner_select"
+on public.builder_states for select
+to authenticated
+using (owner = auth.jwt() ->> 'sub');
+
+drop policy if exists "bot_versions_owner_select" on public.bot_versions;
+create policy "bot_versions_owner_select"
+on public.bot_versions for select
+to authenticated
+using (exists (select 1 from public.builder_states b where b.bot = bot_versions.bot and b.owner = auth.jwt() ->> 'sub'));
+
+drop policy if exists "kb_documents_owner_select" on public.kb_documents;
+create policy "kb_documents_owner_select"
+on public.kb_documents for select
+to authenticated
+using (exists (select 1 from public.builder_states b where b.bot = kb_documents.bot and b.owner = auth.jwt() ->> 'sub'));
+
+drop policy if exists "kb_chunks_owner_select" on public.kb_chunks;
+create policy "kb_chunks_owner_select"
+on public.kb_chunks for select
+to authenticated
+using (exists (select 1 from public.builder_states b where b.bot = kb_chunks.bot and b.owner = auth.jwt() ->> 'sub'));
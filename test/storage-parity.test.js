@@ -0,0 +1,249 @@
+// Backend parity: runs the same repository calls against the memory backend and a local D1 database
+// (Miniflare, as used by `wrangler dev`) and expects the same results. Run with `npm test`.
+//
+// Rows are compared on the columns the memory backend returns, since D1 also returns its unset columns as
+// null. Timestamps the backends generate and numeric row ids are masked; everything the test passes in
+// (including created_at / next_*_at times) must come back unchanged.
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { Miniflare } from "miniflare";
+import { storage } from "../src/worker.js";
+
+const T0 = "2026-01-01T00:00:00.000Z";
+const T1 = "2026-01-01T00:01:00.000Z";
+const T2 = "2026-01-01T00:02:00.000Z";
+const T3 = "2026-01-01T00:03:00.000Z";
+const startedAt = Date.now();
+
+// Every repository method, in call order. Each step is [repository, label, (store, ids) => result]; `ids`
+// carries generated ids (kb documents, conversations) from one step to the next.
+const steps = [
+  ["sessions", "getChat missing", (s) => s.sessions.getChat("c1")],
+  ["sessions", "putChat", (s) => s.sessions.putChat("c1", { bot: "b", owner: "admin:alice", messages: [{ role: "user", content: "hi" }] })],
+  ["sessions", "getChat", (s) => s.sessions.getChat("c1")],
+  ["sessions", "putChat overwrite", (s) => s.sessions.putChat("c1", { bot: "b", owner: "admin:alice", messages: [] })],
+  ["sessions", "getChat overwritten", (s) => s.sessions.getChat("c1")],
+  ["sessions", "getFlow missing", (s) => s.sessions.getFlow("f1")],
+  ["sessions", "putFlow", (s) => s.sessions.putFlow({ session_id: "f1", bot: "b", user_id: "u_1", cursor_node: "q", waiting: true, done: false, vars_json: { name: "Ko" }, form_json: null })],
+  ["sessions", "getFlow", (s) => s.sessions.getFlow("f1")],
+  ["sessions", "putFlow done", (s) => s.sessions.putFlow({ session_id: "f1", bot: "b", user_id: "u_1", cursor_node: null, waiting: false, done: true, vars_json: {}, form_json: { nodeId: "f", index: 1, values: { a: 1 } } })],
+  ["sessions", "getFlow done", (s) => s.sessions.getFlow("f1")],
+
+  ["bots", "get missing", (s) => s.bots.get("b")],
+  ["bots", "saveVersion", (s) => s.bots.saveVersion({ bot: "b", owner: "alice", publicKey: "pk_1", state: { nodes: [] }, message: "first" })],
+  ["bots", "saveVersion unchanged", (s) => s.bots.saveVersion({ bot: "b", owner: "bob", publicKey: "pk_2", state: { nodes: [] }, message: "again" })],
+  ["bots", "saveVersion second", (s) => s.bots.saveVersion({ bot: "b", owner: "alice", publicKey: "pk_2", state: { nodes: [{ id: "a" }] } })],
+  ["bots", "get unpublished", (s) => s.bots.get("b")],
+  ["bots", "publish missing", (s) => s.bots.publish("b", 9)],
+  ["bots", "publish", (s) => s.bots.publish("b", 1)],
+  ["bots", "get published", (s) => s.bots.get("b")],
+  ["bots", "versions", (s) => s.bots.versions("b", { limit: 10, offset: 0 })],
+  ["bots", "versions page", (s) => s.bots.versions("b", { limit: 1, offset: 1 })],
+  ["bots", "version latest", (s) => s.bots.version("b", null)],
+  ["bots", "version 1", (s) => s.bots.version("b", 1)],
+  ["bots", "version missing", (s) => s.bots.version("b", 7)],
+  ["bots", "lastPublished", (s) => s.bots.lastPublished("b", null)],
+  ["bots", "lastPublished except", (s) => s.bots.lastPublished("b", 1)],
+  ["bots", "setAutomationSecret", (s) => s.bots.setAutomationSecret("b", "sec")],
+  ["bots", "get with secret", async (s) => (await s.bots.get("b")).automation_secret],
+
+  ["templates", "put", (s) => s.templates.put({ id: "tpl_1", name: "One", description: "d", author: "alice", source_bot: "b", bundle_json: { state: {} }, updated_at: T0 })],
+  ["templates", "put second", (s) => s.templates.put({ id: "tpl_2", name: "Two", description: "", author: "bob", source_bot: "c", bundle_json: { state: { a: 1 } }, updated_at: T1 })],
+  ["templates", "put update", (s) => s.templates.put({ id: "tpl_1", name: "One!", description: "d2", author: "alice", source_bot: "b", bundle_json: { state: { b: 2 } }, updated_at: T2 })],
+  ["templates", "list", (s) => s.templates.list(10)],
+  ["templates", "get", (s) => s.templates.get("tpl_1")],
+  ["templates", "remove", (s) => s.templates.remove("tpl_2")],
+  ["templates", "get removed", (s) => s.templates.get("tpl_2")],
+
+  ["kb", "add", async (s, ids) => {
+    ids.doc1 = await s.kb.add({ bot: "b", name: "a.txt", content: "hello world", chars: 11, chunk_count: 1, created_at: T0 },
+      [{ bot: "b", document_name: "a.txt", chunk_index: 0, content: "hello world", terms_json: { hello: 1, world: 1 }, length: 2 }]);
+    return typeof ids.doc1;
+  }],
+  ["kb", "add second", async (s, ids) => {
+    ids.doc2 = await s.kb.add({ bot: "b", name: "b.txt", content: "x", chars: 1, chunk_count: 0, created_at: T1 }, []);
+    return ids.doc2 !== ids.doc1;
+  }],
+  ["kb", "documents", (s) => s.kb.documents("b")],
+  ["kb", "contents", (s) => s.kb.contents("b", 10)],
+  ["kb", "chunks", (s) => s.kb.chunks("b", 10)],
+  ["kb", "remove one", (s, ids) => s.kb.remove("b", String(ids.doc1))],
+  ["kb", "documents after remove", (s) => s.kb.documents("b")],
+  ["kb", "chunks after remove", (s) => s.kb.chunks("b", 10)],
+  ["kb", "remove all", (s) => s.kb.remove("b")],
+  ["kb", "documents empty", (s) => s.kb.documents("b")],
+
+  ["memory", "get missing", (s) => s.memory.get("u_1")],
+  ["memory", "merge", (s) => s.memory.merge("u_1", { set: { name: "Ko", city: { value: "Yangon" } } })],
+  ["memory", "merge remove", (s) => s.memory.merge("u_1", { set: { lang: "my" }, remove: ["name"] })],
+  ["memory", "merge replace", (s) => s.memory.merge("u_1", { set: { only: true }, replace: true })],
+  ["memory", "get", (s) => s.memory.get("u_1")],
+
+  ["analytics", "insert", (s) => s.analytics.insert([
+    { bot: "b", event_id: "e1", event_type: "node_view", user_id: "u_1", session_id: "s1", node_id: "start", meta_json: {}, created_at: T0 },
+    { bot: "b", event_id: "e2", event_type: "message", user_id: "u_1", session_id: "s1", meta_json: { source: "web" }, created_at: T1 },
+    { bot: "c", event_id: null, event_type: "message", user_id: "u_2", session_id: "s2", created_at: T1 },
+  ])],
+  ["analytics", "insert duplicate", (s) => s.analytics.insert([{ bot: "b", event_id: "e1", event_type: "node_view", user_id: "u_1", session_id: "s1", created_at: T2 }])],
+  ["analytics", "page", (s) => s.analytics.page({ bot: "b", from: T0, to: T3, type: "", afterId: 0, limit: 10 })],
+  ["analytics", "page by type", (s) => s.analytics.page({ bot: "b", from: T0, to: T3, type: "message", afterId: 0, limit: 10 })],
+  ["analytics", "summary", (s) => s.analytics.summary({ bot: "b", from: T0, to: T3, bucket: "day" })],
+
+  ["transcripts", "log", (s) => s.transcripts.log({ bot: "b", sessionId: "s1", userId: null, channel: "web", messages: [
+    { role: "user", content: "Where is my order?" },
+    { role: "assistant", content: "On its way", model: "m", provider: "p", latency_ms: 12, prompt_tokens: 5, completion_tokens: 3, meta: { nodeId: "a" } },
+  ] })],
+  ["transcripts", "log same session", (s) => s.transcripts.log({ bot: "b", sessionId: "s1", userId: "u_1", channel: "web", messages: [{ role: "user", content: "thanks" }] })],
+  ["transcripts", "log other", (s) => s.transcripts.log({ bot: "b", sessionId: "s2", userId: "u_2", channel: "telegram", messages: [{ role: "user", content: "hi" }] })],
+  ["transcripts", "list", async (s, ids) => {
+    const page = await s.transcripts.list({ bot: "b" }, { limit: 10 });
+    ids.conversations = page.rows.map((r) => r.id);
+    return { total: page.total, sessions: page.rows.map((r) => r.session_id).sort() };
+  }],
+  ["transcripts", "list filtered", (s) => s.transcripts.list({ bot: "b", sessionId: "s1", userId: "u_1", channel: "web" }, { limit: 10, offset: 0 })],
+  ["transcripts", "list channel", (s) => s.transcripts.list({ bot: "b", channel: "telegram" }, { limit: 10 })],
+  ["transcripts", "messages", async (s, ids) => (await s.transcripts.messages(ids.conversations, 10))
+    .sort((a, b) => a.content.localeCompare(b.content))],
+  ["transcripts", "search", (s) => s.transcripts.search({ bot: "b", q: "ORDER", limit: 10 })],
+
+  ["usage", "insert", (s) => s.usage.insert({ bot: "b", user_id: "u_1", session_id: "s1", model: "m", provider: "p", source: "chat", prompt_tokens: 5, completion_tokens: 3, total_tokens: 8, cost_usd: 0.001, estimated: false })],
+  ["usage", "insert estimated", (s) => s.usage.insert({ bot: "b", user_id: null, session_id: null, model: "m", provider: null, source: "flow", prompt_tokens: 1, completion_tokens: 1, total_tokens: 2, cost_usd: null, estimated: true })],
+  ["usage", "rows", async (s) => (await s.usage.rows({ bot: "b" }, T0, new Date(Date.now() + 60_000).toISOString()))
+    .sort((a, b) => a.source.localeCompare(b.source))],
+  ["usage", "rows filtered", (s) => s.usage.rows({ bot: "b", source: "chat" }, T0, new Date(Date.now() + 60_000).toISOString())],
+
+  ["rateCounters", "hit", (s) => s.rateCounters.hit([{ key: "rpm:ip:1", window_start: T0, cost: 1 }, { key: "tok:ip:1", window_start: T0, cost: 0 }])],
+  ["rateCounters", "hit again", (s) => s.rateCounters.hit([{ key: "rpm:ip:1", window_start: T0, cost: 1 }, { key: "tok:ip:1", window_start: T0, cost: 40 }])],
+
+  ["jobs", "create", (s) => s.jobs.create({ id: "job_1", bot: "b", owner: null, idempotency_key: "bot:b:k1", request_hash: "h1", status: "queued",
+    callback_url: "https://cb.test/", callback_status: "pending", callback_attempts: 0, created_at: T0, updated_at: T0 })],
+  ["jobs", "create same key", (s) => s.jobs.create({ id: "job_2", bot: "b", owner: null, idempotency_key: "bot:b:k1", request_hash: "h2", status: "queued", created_at: T1, updated_at: T1 })],
+  ["jobs", "create without key", (s) => s.jobs.create({ id: "job_3", bot: "b", owner: "alice", idempotency_key: null, request_hash: "h3", status: "running", created_at: T0, updated_at: T0 })],
+  ["jobs", "get", (s) => s.jobs.get("job_1")],
+  ["jobs", "get missing", (s) => s.jobs.get("job_9")],
+  ["jobs", "stuck", async (s) => (await s.jobs.stuck(T1, 10)).map((j) => j.id)],
+  ["jobs", "update expected status", (s) => s.jobs.update("job_1", { status: "running" }, "queued")],
+  ["jobs", "update wrong status", (s) => s.jobs.update("job_1", { status: "failed" }, "queued")],
+  ["jobs", "update", (s) => s.jobs.update("job_1", { status: "succeeded", result_json: { output: "ok" }, callback_next_at: T1 })],
+  ["jobs", "callbacksDue", async (s) => (await s.jobs.callbacksDue(T2, 10)).map((j) => j.id)],
+  ["jobs", "claimCallback stale", (s) => s.jobs.claimCallback("job_1", T0, { callback_status: "sending", callback_next_at: T3 })],
+  ["jobs", "claimCallback", (s) => s.jobs.claimCallback("job_1", T1, { callback_status: "sending", callback_next_at: T3 })],
+  ["jobs", "claimCallback twice", (s) => s.jobs.claimCallback("job_1", T1, { callback_status: "sending", callback_next_at: T3 })],
+  ["jobs", "callbacksDue after claim", async (s) => (await s.jobs.callbacksDue(T2, 10)).map((j) => j.id)],
+
+  ["schedules", "replace", (s) => s.schedules.replace("b", [
+    { bot: "b", schedule_id: "daily", cron: "0 1 * * *", next_run_at: T1, last_run_at: null },
+    { bot: "b", schedule_id: "weekly", cron: "0 9 * * mon", next_run_at: T3, last_run_at: T0 },
+  ])],
+  ["schedules", "list", (s) => s.schedules.list("b")],
+  ["schedules", "due", async (s) => (await s.schedules.due(T2, 10)).map((r) => r.schedule_id)],
+  ["schedules", "claim stale", (s) => s.schedules.claim("b", "daily", T0, { next_run_at: T3, last_run_at: T2 })],
+  ["schedules", "claim", (s) => s.schedules.claim("b", "daily", T1, { next_run_at: T3, last_run_at: T2 })],
+  ["schedules", "replace keeps other bots", (s) => s.schedules.replace("c", [{ bot: "c", schedule_id: "x", cron: "* * * * *", next_run_at: T0, last_run_at: null }])],
+  ["schedules", "list after claim", (s) => s.schedules.list("b")],
+  ["schedules", "addRun", (s) => s.schedules.addRun({ id: "run_1", bot: "b", schedule_id: "daily", trigger: "cron", status: "running", started_at: T1 })],
+  ["schedules", "addRun second", (s) => s.schedules.addRun({ id: "run_2", bot: "b", schedule_id: "weekly", trigger: "manual", status: "running", started_at: T2 })],
+  ["schedules", "updateRun", (s) => s.schedules.updateRun("run_1", { status: "succeeded", result_json: { output: "done" }, finished_at: T2,
+    webhook_url: "https://hook.test/", webhook_status: "pending", webhook_attempts: 0, webhook_next_at: T2 })],
+  ["schedules", "updateRun failed", (s) => s.schedules.updateRun("run_2", { status: "failed", error_json: { code: "X", message: "no" }, finished_at: T3 })],
+  ["schedules", "runs", (s) => s.schedules.runs("b", { limit: 10 })],
+  ["schedules", "runs filtered", async (s) => (await s.schedules.runs("b", { scheduleId: "daily", limit: 10 })).map((r) => r.id)],
+  ["schedules", "webhooksDue", async (s) => (await s.schedules.webhooksDue(T3, 10)).map((r) => r.id)],
+  ["schedules", "claimWebhook stale", (s) => s.schedules.claimWebhook("run_1", T1, { webhook_status: "sending", webhook_next_at: T3 })],
+  ["schedules", "claimWebhook", (s) => s.schedules.claimWebhook("run_1", T2, { webhook_status: "sending", webhook_next_at: T3 })],
+  ["schedules", "webhooksDue after claim", async (s) => (await s.schedules.webhooksDue(T2, 10)).map((r) => r.id)],
+
+  ["webhooks", "put", (s) => s.webhooks.put({ id: "wh_1", bot: "b", url: "https://hook.test/a", events_json: ["lead.captured"], description: "", enabled: true, secret: "whsec_1", created_at: T0, updated_at: T0 })],
+  ["webhooks", "put second", (s) => s.webhooks.put({ id: "wh_2", bot: "b", url: "https://hook.test/b", events_json: ["*"], description: "all", enabled: false, secret: "whsec_2", created_at: T1, updated_at: T1 })],
+  ["webhooks", "put update", (s) => s.webhooks.put({ id: "wh_1", bot: "b", url: "https://hook.test/c", events_json: ["conversation.started"], description: "x", enabled: true, secret: "whsec_3", created_at: T0, updated_at: T2 })],
+  ["webhooks", "list", (s) => s.webhooks.list("b")],
+  ["webhooks", "addDeliveries", (s) => s.webhooks.addDeliveries([
+    { id: "whd_1", bot: "b", subscription_id: "wh_1", event_type: "lead.captured", event_id: "evt_1", payload_json: { id: "evt_1" }, status: "pending", attempts: 0, next_attempt_at: T1, created_at: T0, updated_at: T0 },
+    { id: "whd_2", bot: "b", subscription_id: "wh_2", event_type: "lead.captured", event_id: "evt_1", payload_json: { id: "evt_1" }, status: "pending", attempts: 0, next_attempt_at: T3, created_at: T1, updated_at: T1 },
+  ])],
+  ["webhooks", "delivery", (s) => s.webhooks.delivery("whd_1")],
+  ["webhooks", "delivery missing", (s) => s.webhooks.delivery("whd_9")],
+  ["webhooks", "due", async (s) => (await s.webhooks.due(T2, 10)).map((r) => r.id)],
+  ["webhooks", "claim stale", (s) => s.webhooks.claim("whd_1", T0, { status: "sending", next_attempt_at: T3 })],
+  ["webhooks", "claim", (s) => s.webhooks.claim("whd_1", T1, { status: "sending", next_attempt_at: T3 })],
+  ["webhooks", "update", (s) => s.webhooks.update("whd_1", { status: "delivered", attempts: 1, next_attempt_at: null, last_status_code: 200, delivered_at: T2 })],
+  ["webhooks", "deliveries", (s) => s.webhooks.deliveries("b", { limit: 10 })],
+  ["webhooks", "deliveries filtered", async (s) => (await s.webhooks.deliveries("b", { subscriptionId: "wh_1", status: "delivered", limit: 10 })).map((r) => r.id)],
+  ["webhooks", "remove", (s) => s.webhooks.remove("b", "wh_2")],
+  ["webhooks", "list after remove", async (s) => (await s.webhooks.list("b")).map((r) => r.id)],
+
+  ["leads", "add", (s) => s.leads.add({ id: "lead_1", bot: "b", session_id: "s1", user_id: "u_1", channel: "web", node_id: "f", fields_json: { email: "a@b.c" }, created_at: T0 })],
+  ["leads", "add second", (s) => s.leads.add({ id: "lead_2", bot: "b", session_id: "s2", user_id: "guest", channel: "telegram", node_id: "f", fields_json: {}, created_at: T2 })],
+  ["leads", "list", (s) => s.leads.list({ bot: "b" }, { limit: 10 })],
+  ["leads", "list range", (s) => s.leads.list({ bot: "b", from: T1, to: T3 }, { limit: 10, offset: 0 })],
+
+  ["channels", "get missing", (s) => s.channels.get("b", "telegram")],
+  ["channels", "put", (s) => s.channels.put({ bot: "b", channel: "telegram", token: "123:abc", secret: "s1", account_json: { username: "kmn_bot" }, created_at: T0, updated_at: T0 })],
+  ["channels", "put viber", (s) => s.channels.put({ bot: "b", channel: "viber", token: "tok", secret: "s2", account_json: {}, created_at: T1, updated_at: T1 })],
+  ["channels", "put replace", (s) => s.channels.put({ bot: "b", channel: "telegram", token: "123:def", secret: "s3", account_json: { username: "kmn_bot" }, created_at: T0, updated_at: T2 })],
+  ["channels", "get", (s) => s.channels.get("b", "telegram")],
+  ["channels", "list", (s) => s.channels.list("b")],
+  ["channels", "remove", (s) => s.channels.remove("b", "viber")],
+  ["channels", "list after remove", async (s) => (await s.channels.list("b")).map((r) => r.channel)],
+
+  ["secrets", "put", (s) => s.secrets.put({ bot: "b", name: "SHOP_API_KEY", value: "v1", created_at: T0, updated_at: T0 })],
+  ["secrets", "put second", (s) => s.secrets.put({ bot: "b", name: "CRM_TOKEN", value: "v2", created_at: T1, updated_at: T1 })],
+  ["secrets", "put update", (s) => s.secrets.put({ bot: "b", name: "SHOP_API_KEY", value: "v3", created_at: T0, updated_at: T2 })],
+  ["secrets", "get", (s) => s.secrets.get("b", "SHOP_API_KEY")],
+  ["secrets", "list", (s) => s.secrets.list("b")],
+  ["secrets", "remove", (s) => s.secrets.remove("b", "CRM_TOKEN")],
+  ["secrets", "get removed", (s) => s.secrets.get("b", "CRM_TOKEN")],
+];
+
+async function runSteps(store) {
+  const ids = {};
+  const results = [];
+  for (const [repository, label, fn] of steps) {
+    try {
+      results.push({ value: await fn(store, ids) });
+    } catch (e) {
+      results.push({ error: e?.code || e?.message || String(e) });
+    }
+  }
+  return results;
+}
+
+// Masks what the backends generate themselves: timestamps from this run and numeric row ids.
+function mask(value, key) {
+  if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}T/.test(value) && Date.parse(value) >= startedAt - 1000) return "<now>";
+  if (typeof value === "number" && (key === "id" || key.endsWith("_id") || key === "afterId")) return "<id>";
+  if (Array.isArray(value)) return value.map((v) => mask(v, ""));
+  if (value && typeof value === "object") return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, mask(v, k)]));
+  return value;
+}
+
+// `actual` reduced to the keys of `expected`, recursively, so extra null columns do not count.
+function project(actual, expected) {
+  if (Array.isArray(expected) && Array.isArray(actual)) return actual.map((v, i) => project(v, expected[i]));
+  if (expected && typeof expected === "object" && !Array.isArray(expected) && actual && typeof actual === "object" && !Array.isArray(actual)) {
+    return Object.fromEntries(Object.keys(expected).map((k) => [k, project(actual[k], expected[k])]));
+  }
+  return actual;
+}
+
+let mf;
+let memory;
+let d1;
+
+before(async () => {
+  mf = new Miniflare({ modules: true, script: "export default { fetch: () => new Response() }", d1Databases: ["DB"], compatibilityDate: "2026-02-17" });
+  memory = await runSteps(storage({ STORAGE_BACKEND: "memory" }));
+  d1 = await runSteps(storage({ DB: await mf.getD1Database("DB") }));
+});
+
+after(() => mf?.dispose());
+
+for (const repository of [...new Set(steps.map(([r]) => r))]) {
+  test(`${repository}: d1 matches memory`, () => {
+    steps.forEach(([r, label], i) => {
+      if (r !== repository) return;
+      const expected = mask(memory[i], "");
+      assert.deepEqual(mask(project(d1[i], memory[i]), ""), expected, label);
+    });
+  });
+}